@@ -0,0 +1,74 @@
+import { output as outputManagerInstance } from '../utils/research.output-manager.mjs';
+
+// Abort controller for the research run started from the CLI (WebSocket runs live on their session)
+let cliResearchController = null;
+
+/**
+ * Provides help text for the /cancel command.
+ * @returns {string} Help text.
+ */
+export function getCancelHelpText() {
+    return `/cancel - Stop the research run in progress. Partial learnings gathered so far are kept. (Web-CLI: press Esc)`;
+}
+
+/**
+ * Registers a new research run so /cancel can abort it.
+ * @param {object} [session] - WebSocket session; omitted in CLI mode.
+ * @returns {AbortController} Controller whose signal should be passed to ResearchEngine.research.
+ */
+export function startResearchRun(session) {
+    const controller = new AbortController();
+    if (session) {
+        session.researchAbortController = controller;
+    } else {
+        cliResearchController = controller;
+    }
+    return controller;
+}
+
+/**
+ * Clears the registered run once it finishes. Only clears if `controller` is still the active one.
+ * @param {object} [session] - WebSocket session; omitted in CLI mode.
+ * @param {AbortController} controller - The controller returned by startResearchRun.
+ */
+export function finishResearchRun(session, controller) {
+    if (session) {
+        if (session.researchAbortController === controller) session.researchAbortController = null;
+    } else if (cliResearchController === controller) {
+        cliResearchController = null;
+    }
+}
+
+/**
+ * Aborts the active research run, if any.
+ * @param {object} [session] - WebSocket session; omitted in CLI mode.
+ * @returns {boolean} True if a running research was signalled.
+ */
+export function cancelResearchRun(session) {
+    const controller = session ? session.researchAbortController : cliResearchController;
+    if (!controller || controller.signal.aborted) return false;
+    controller.abort();
+    return true;
+}
+
+/**
+ * CLI command for cancelling an in-progress research run.
+ * @param {Object} options - Command options.
+ * @param {object} [options.session] - WebSocket session object.
+ * @param {boolean} [options.isWebSocket=false] - Indicates if called via WebSocket.
+ * @param {Function} [options.output] - Output function.
+ * @returns {Promise<Object>} Command result. Input stays disabled in Web-CLI when a run was cancelled,
+ *   because the research command itself re-enables it once partial results are ready.
+ */
+export async function executeCancel(options = {}) {
+    const { session, isWebSocket = false } = options;
+    const effectiveOutput = typeof options.output === 'function' ? options.output : outputManagerInstance.log.bind(outputManagerInstance);
+
+    if (!cancelResearchRun(isWebSocket ? session : null)) {
+        effectiveOutput('No research is currently running.');
+        return { success: true, keepDisabled: false };
+    }
+
+    effectiveOutput('Cancelling research... partial results will follow.');
+    return { success: true, keepDisabled: isWebSocket };
+}
@@ -2,6 +2,8 @@ import readline from 'readline';
 import { LLMClient } from '../infrastructure/ai/venice.llm-client.mjs';
 import { userManager } from '../features/auth/user-manager.mjs';
 import { MemoryManager } from '../infrastructure/memory/memory.manager.mjs';
+import { executeMemory } from './memory.cli.mjs';
+import { parseCommandArgs } from './index.mjs';
 import {
   handleCliError,
   ErrorTypes,
@@ -21,6 +23,13 @@ import { callVeniceWithTokenClassifier } from '../utils/token-classifier.mjs'; /
 import { generateQueries as generateResearchQueriesLLM } from '../features/ai/research.providers.mjs';
 // --- FIX: Import config to get public key ---
 import config from '../config/index.mjs';
+import { startResearchRun, finishResearchRun } from './cancel.cli.mjs';
+import { getLLMProviderDefinition, getDefaultLLMProviderName, listLLMProviders } from '../infrastructure/ai/llm.providers.mjs';
+import { resolveUserLLMConfig, validateRequestedModel } from './models.cli.mjs';
+import { getModelCatalog } from '../infrastructure/ai/llm.model-catalog.mjs';
+import { packChatMessages } from '../infrastructure/ai/llm.token-budget.mjs';
+import { getUsageMeter } from '../infrastructure/usage/usage.meter.mjs';
+import { resolvePersona, buildPersonaSystemPrompt, getPersonaVeniceParameters } from '../infrastructure/ai/llm.personas.mjs';
 
 
 /**
@@ -30,6 +39,8 @@ import config from '../config/index.mjs';
  * @param {Object} options - Command options including args, flags, session, output/error handlers.
  * @param {boolean} options.memory - Enable memory mode (default: false)
  * @param {string} options.depth - Memory depth level: 'short', 'medium', 'long' (default: 'medium')
+ * @param {string} [options.provider] - LLM provider for this session (--provider); defaults to the user's /keys provider choice.
+ * @param {string} [options.model] - Chat model. When chosen with -m it is checked against the provider's model catalog.
  * @param {boolean} options.verbose - Enable verbose logging
  * @param {string} [options.password] - Password provided via args/payload/cache
  * @param {boolean} [options.isWebSocket=false] - Indicates if called via WebSocket
@@ -41,8 +52,8 @@ import config from '../config/index.mjs';
  */
 export async function executeChat(options = {}) {
     const {
-        model = 'qwen3-235b',
         character = 'bitcore',
+        provider,
         session,
         output,
         error,
@@ -50,19 +61,84 @@ export async function executeChat(options = {}) {
         isWebSocket
     } = options;
 
+    let model = options.model || 'qwen3-235b';
     try {
+        const username = options.currentUser?.username || session?.username;
+        const llmProviderName = String(provider || (username ? await userManager.getLLMProvider(username) : null) || getDefaultLLMProviderName()).toLowerCase();
+        if (!getLLMProviderDefinition(llmProviderName)) {
+            const available = listLLMProviders().map(p => p.name).join(', ');
+            error(`Unknown LLM provider '${llmProviderName}'. Available providers: ${available}.`);
+            return { success: false, error: `Unknown LLM provider '${llmProviderName}'`, handled: true, keepDisabled: false };
+        }
+
+        const chatTools = typeof options.flags?.tools === 'string' ? options.flags.tools.toLowerCase() : 'auto';
+        if (!['auto', 'on', 'off'].includes(chatTools)) {
+            error(`Invalid --tools value '${options.flags.tools}'. Use auto, on or off.`);
+            return { success: false, error: 'Invalid --tools value', handled: true, keepDisabled: false };
+        }
+
+        // Built-in Venice character or one of the user's /persona create personas; null character means 'None'
+        const persona = character ? resolvePersona(character, username ? await userManager.getPersonas(username) : {}) : null;
+        if (character && !persona) {
+            if (session) session.sessionCharacter = null; // Let the next /chat pick the default again
+            error(`Unknown persona '${character}'. Run /persona list to see the available personas.`);
+            return { success: false, error: `Unknown persona '${character}'`, handled: true, keepDisabled: false };
+        }
+        if (persona?.model && typeof options.flags?.m !== 'string') {
+            model = persona.model; // The persona's default model, unless -m was given
+        }
+
+        if (typeof options.flags?.m === 'string') {
+            const llmConfig = await resolveUserLLMConfig({ provider: llmProviderName, username, password: options.password });
+            const check = await validateRequestedModel(llmConfig, model);
+            if (!check.valid) {
+                if (session) session.sessionModel = null; // Let the next /chat pick the default again
+                error(check.message);
+                return { success: false, error: `Unknown model '${model}'`, handled: true, keepDisabled: false };
+            }
+            model = check.model;
+        }
+
+        // --memory=true: remember this chat in the user's memory store, consolidated every few exchanges
+        const memoryEnabled = String(options.memory ?? options.flags?.memory ?? false).toLowerCase() === 'true';
+        if (memoryEnabled && (!username || username === 'public')) {
+            error('Memory mode stores memories with your profile. Please /login first.');
+            return { success: false, error: 'Login required for memory mode', handled: true, keepDisabled: false };
+        }
+        const memoryDepth = typeof options.flags?.depth === 'string' ? options.flags.depth.toLowerCase() : 'medium';
+
+        // Each chat session counts once against the quota, once it is known to start; users who aren't logged in
+        // share the 'public' quota, as they do for research
+        const quota = await getUsageMeter().consumeQuota(username || 'public', 'chat', userManager.getUserLimits(options.currentUser || session?.currentUser));
+        if (!quota.allowed) {
+            error(`Chat not started. ${quota.message}`);
+            return { success: false, error: 'Quota exceeded', handled: true, keepDisabled: false };
+        }
+        const memoryManager = memoryEnabled
+            ? new MemoryManager({
+                depth: memoryDepth,
+                user: { username },
+                llmConfig: { ...await resolveUserLLMConfig({ provider: llmProviderName, username, password: options.password }), usage: { username, command: 'chat' } }
+            })
+            : null;
+
         session.isChatActive = true;
         session.chatHistory = [];
+        session.memoryManager = memoryManager;
         session.sessionModel = model;
-        session.sessionCharacter = character;
+        session.sessionCharacter = persona ? persona.slug : 'None';
+        session.sessionPersona = persona;
+        session.llmProvider = llmProviderName;
+        session.chatTools = chatTools;
         
         // Send chat-ready event for WebSocket clients
         if (isWebSocket && webSocketClient) {
             const chatReadyMessage = {
                 type: 'chat-ready',
                 prompt: '[chat] > ',
-                model: model,
-                character: character
+                ...getChatContext(session),
+                tools: chatTools,
+                memory: memoryManager ? memoryDepth : null
             };
             try {
                 webSocketClient.send(JSON.stringify(chatReadyMessage));
@@ -72,6 +148,9 @@ export async function executeChat(options = {}) {
         }
 
         output('Chat session ready. Type /exit to leave.');
+        if (memoryManager) {
+            output(`Memory mode on (${memoryDepth}): memories are consolidated every ${memoryManager.settings.summarizeEvery} exchanges and finalized on /exit.`);
+        }
         return { success: true, keepDisabled: false };
     } catch (err) {
         error(`Failed to start chat: ${err.message}`);
@@ -79,6 +158,112 @@ export async function executeChat(options = {}) {
     }
 }
 
+/**
+ * Describes a background memory consolidation (MemoryManager.recordExchange) for the chat output
+ * and the Web-CLI's `memory_update` message.
+ * @param {object} result - MemoryManager.consolidateMemories() result.
+ * @returns {string}
+ */
+export function formatMemoryUpdate(result) {
+    const counts = [
+        `${result.retained || 0} kept`,
+        `${result.discarded || 0} discarded`,
+        result.summaries?.length ? `${result.summaries.length} summar${result.summaries.length === 1 ? 'y' : 'ies'} written` : null
+    ].filter(Boolean);
+    const lines = [`[memory] Consolidated ${result.validated} memories after ${result.exchanges} exchanges: ${counts.join(', ')}.`];
+    for (const summary of result.summaries || []) {
+        lines.push(`  - ${summary.content}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Model, persona and provider of an active chat, as sent to the Web-CLI in `chat-context` messages.
+ * @param {object} session - WebSocket session object.
+ * @returns {{model: string|null, character: string|null, provider: string|null}}
+ */
+export function getChatContext(session) {
+    return {
+        model: session?.sessionModel || null,
+        character: session?.sessionPersona?.name || null,
+        provider: session?.llmProvider || null
+    };
+}
+
+/**
+ * In-chat /model [id]: shows the chat model, or switches to another one from the provider's catalog.
+ * @param {Object} options - Context object.
+ * @param {object} options.session - WebSocket session object of the active chat.
+ * @param {string[]} [options.positionalArgs] - Model id; shows the current model when empty.
+ * @param {object} [options.currentUser] - User data object if authenticated.
+ * @param {string} [options.password] - Password to decrypt provider credentials for the catalog lookup.
+ * @param {Function} options.output - Output function.
+ * @param {Function} options.error - Error function.
+ * @returns {Promise<Object>} Command result; `changed: true` when the model was switched.
+ */
+export async function executeChatModel(options = {}) {
+    const { session, positionalArgs = [], password, output, error } = options;
+    const requested = positionalArgs.join(' ').trim();
+    const provider = session.llmProvider || getDefaultLLMProviderName();
+    if (!requested) {
+        output(`Chat model: ${session.sessionModel || 'provider default'} (${provider}). Switch with /model <id>; see /models for the list.`);
+        return { success: true, changed: false };
+    }
+
+    const username = options.currentUser?.username || session.username;
+    let llmConfig;
+    try {
+        llmConfig = await resolveUserLLMConfig({ provider, username, password });
+    } catch (credentialError) {
+        // Checking against the built-in catalog instead could accept a model the next message can't use
+        error(`Could not read your ${provider} credentials (${credentialError.message}). Check your password; the chat model was not changed.`);
+        return { success: false, error: `Could not read ${provider} credentials` };
+    }
+    const check = await validateRequestedModel(llmConfig, requested);
+    if (!check.valid) {
+        error(check.message);
+        return { success: false, error: `Unknown model '${requested}'` };
+    }
+    if (check.model === session.sessionModel) {
+        output(`Already using ${check.model}.`);
+        return { success: true, changed: false };
+    }
+    session.sessionModel = check.model;
+    output(`Chat model switched to ${check.model}.`);
+    return { success: true, changed: true };
+}
+
+/**
+ * In-chat /character [name]: shows the chat persona, or switches to another built-in character or /persona create
+ * persona ('none' for no persona). A persona with a default model switches the model too.
+ * @param {Object} options - See executeChatModel().
+ * @returns {Promise<Object>} Command result; `changed: true` when the persona was switched.
+ */
+export async function executeChatCharacter(options = {}) {
+    const { session, positionalArgs = [], output, error } = options;
+    const requested = positionalArgs.join(' ').trim();
+    if (!requested) {
+        output(`Chat persona: ${session.sessionPersona?.name || 'none'}. Switch with /character <name>; see /persona list.`);
+        return { success: true, changed: false };
+    }
+
+    const username = options.currentUser?.username || session.username;
+    const persona = resolvePersona(requested, username ? await userManager.getPersonas(username) : {});
+    if (!persona && requested.toLowerCase() !== 'none') {
+        error(`Unknown persona '${requested}'. Run /persona list to see the available personas.`);
+        return { success: false, error: `Unknown persona '${requested}'` };
+    }
+    session.sessionCharacter = persona ? persona.slug : 'None';
+    session.sessionPersona = persona;
+    if (persona?.model && persona.model !== session.sessionModel) {
+        session.sessionModel = persona.model;
+        output(`Chat persona switched to ${persona.name}, with its model ${persona.model}.`);
+    } else {
+        output(persona ? `Chat persona switched to ${persona.name}.` : 'Chatting without a persona.');
+    }
+    return { success: true, changed: true };
+}
+
 /**
  * Get password input from console securely (CLI specific).
  * Creates its own temporary readline interface.
@@ -154,10 +339,12 @@ async function promptHiddenFixed(query) {
  * @param {Function} outputFn - Output function (bound cmdOutput)
  * @param {Function} errorFn - Error output function (bound cmdError)
  * @param {string} model - Chat model to use
- * @param {string|null} character - Chat character to use
+ * @param {string|Object|null} character - Persona name, or a persona from resolvePersona()
+ * @param {Object} [promptTemplates] - The user's prompt template overrides; 'chat.system' is the system prompt
+ * @param {Object} [personas] - The user's custom personas, for looking up `character` by name
  * @returns {Promise<Object>} Chat session results
  */
-async function startInteractiveChat(llmClient, memoryManager, verbose = false, outputFn, errorFn, model, character) {
+async function startInteractiveChat(llmClient, memoryManager, verbose = false, outputFn, errorFn, model, character, promptTemplates = {}, personas = {}) {
   // Return a promise that resolves when the chat session ends (rl closes)
   return new Promise((resolve) => {
       const rl = readline.createInterface({
@@ -169,27 +356,9 @@ async function startInteractiveChat(llmClient, memoryManager, verbose = false, o
 
       let chatHistory = []; // Maintain history for CLI session
 
-      // Construct system prompt based on character and new formatting rules
-      const personaName = character || 'Bitcore'; // Default to Bitcore if no character specified
-      const systemMessageContent = `You are ${personaName}, an AI assistant powering the /chat command.
-
-✦ Formatting rules ✦
-1. Your answer MUST consist of **two distinct parts** in a single message:
-   a) Your private reasoning, wrapped in a <thinking> … </thinking> tag.
-   b) Your final user-visible reply, which comes immediately after the closing </thinking> tag with **no tag** around it.
-2. Do **not** write “[AI] ...thinking...” or any other extra markers—the tags alone are sufficient.
-3. If you have no private reasoning to share, simply omit the <thinking> block; everything you send will then be treated as the reply.
-4. Keep the language of both sections consistent with the user’s language, unless the user explicitly requests otherwise.
-
-Example
--------
-User: hi
-
-Assistant (one message):
-<thinking>
-Okay, the user just said “hi”. I should greet them warmly and invite a follow-up question.
-</thinking>
-Hello! How can I assist you today?`;
+      // Construct system prompt from the persona (custom system prompt, if any) and the formatting rules
+      const persona = character && typeof character === 'object' ? character : resolvePersona(character || 'bitcore', personas);
+      const systemMessageContent = buildPersonaSystemPrompt(persona, 'chat.system', promptTemplates);
 
       // Add system message to history if it's not empty
       if (systemMessageContent.trim()) {
@@ -222,6 +391,12 @@ Hello! How can I assist you today?`;
             rl.close(); // This triggers the 'close' event below
             return;
           }
+          if (command === 'memory') {
+            const { positionalArgs, flags } = parseCommandArgs(userInput);
+            await executeMemory({ positionalArgs, flags, memoryManager, output: outputFn, error: errorFn });
+            rl.prompt();
+            return;
+          }
           // Optionally handle other in-chat commands here (e.g., /exitmemory, /help, etc.)
           outputFn(`Unknown in-chat command: /${command}`);
           rl.prompt();
@@ -238,53 +413,39 @@ Hello! How can I assist you today?`;
         try {
           // Store user input
           chatHistory.push({ role: 'user', content: userInput });
-          if (memoryManager) {
-              await memoryManager.storeMemory(userInput, 'user');
-          }
 
-          // Retrieve context if memory enabled
+          // Retrieve context if memory enabled; the input is remembered after it is used for recall
           let retrievedMemoryContext = '';
           if (memoryManager) {
-              const relevantMemories = await memoryManager.retrieveRelevantMemories(userInput);
+              const relevantMemories = await memoryManager.recallAndStore(userInput, 'user');
               if (relevantMemories && relevantMemories.length > 0) {
                   retrievedMemoryContext = "Relevant information from memory:\n" + relevantMemories.map(mem => `- ${mem.content}`).join('\n') + "\n";
               }
           }
-          // The main system prompt with formatting rules is already at the start of chatHistory.
-          // For subsequent turns, we might add memory context if available.
-          // We need to ensure the LLM gets the full history including the initial system prompt.
-
-          // Prepare history for LLM (limit context window, but ensure system prompt is included)
-          const maxHistoryLength = 10; // Example, adjust as needed
-          let llmHistory = [];
-          if (chatHistory.length > 0 && chatHistory[0].role === 'system') {
-            llmHistory.push(chatHistory[0]); // Always include the initial system prompt
-            // Add recent messages, excluding the initial system prompt if already added
-            llmHistory.push(...chatHistory.slice(Math.max(1, chatHistory.length - maxHistoryLength + 1)));
-          } else {
-            llmHistory = chatHistory.slice(-maxHistoryLength);
-          }
-          
-          // If memory context exists and isn't already part of a complex system prompt,
-          // we could prepend it to the user's latest message or as a separate system message.
-          // For simplicity, let's insert it before the last user message if not already handled.
-          // This part needs careful consideration based on how LLM best uses such context.
-          // The current system prompt is about formatting. Memory context is different.
-          // A simple approach:
-          if (messagesForLlm.length > 1 && messagesForLlm[messagesForLlm.length -1].role === 'user') {
-              messagesForLlm.splice(messagesForLlm.length -1, 0, {role: 'system', content: "Relevant information from memory:\n" + retrievedMemoryContext});
-          } else {
-               messagesForLlm.push({role: 'system', content: "Relevant information from memory:\n" + retrievedMemoryContext});
+          // chatHistory[0] is the system prompt with the formatting rules. Fit it, the memory context and as much
+          // of the conversation as the model's context window holds; the oldest turns are condensed or dropped first.
+          const maxTokens = 2048;
+          const [systemEntry, ...conversation] = chatHistory;
+          const packed = packChatMessages({
+            system: systemEntry.content,
+            memory: retrievedMemoryContext,
+            history: conversation,
+            contextTokens: getModelCatalog().getContextWindow({ provider: llmClient.providerName }, model),
+            reservedOutputTokens: maxTokens
+          });
+          if (verbose && packed.droppedMessages > 0) {
+            outputFn(`[chat] ${packed.droppedMessages} older messages ${packed.summarized ? 'condensed' : 'dropped'} to fit the context window.`);
           }
 
           // Call LLM
-          const response = await llmClient.completeChat({ messages: messagesForLlm, model: model, temperature: 0.7, maxTokens: 2048 });
+          const response = await llmClient.completeChat({ messages: packed.messages, model: model, temperature: persona?.temperature ?? 0.7, maxTokens, venice_parameters: getPersonaVeniceParameters(persona) });
           const assistantResponse = cleanChatResponse(response.content);
 
           // Store assistant response
           chatHistory.push({ role: 'assistant', content: assistantResponse });
           if (memoryManager) {
               await memoryManager.storeMemory(assistantResponse, 'assistant');
+              memoryManager.recordExchange(result => outputFn(formatMemoryUpdate(result)));
           }
 
           outputFn(`[AI] ${assistantResponse}`); // Use passed outputFn
@@ -402,7 +563,7 @@ export async function exitMemory(options = {}) {
  * Renamed from original generateResearchQueries to avoid conflict with the export below.
  * ... JSDoc ...
  */
-async function generateResearchQueriesFromContext(chatHistory, memoryBlocks = [], numQueries = 3, veniceApiKey, metadata = null, outputFn = console.log, errorFn = console.error) {
+async function generateResearchQueriesFromContext(chatHistory, memoryBlocks = [], numQueries = 3, veniceApiKey, metadata = null, outputFn = console.log, errorFn = console.error, usage, prompts = {}) {
     if (!veniceApiKey) throw new Error("Venice API key not available for query generation.");
     if (!chatHistory || chatHistory.length === 0) {
         errorFn("Chat history is empty, cannot generate queries.");
@@ -420,7 +581,9 @@ async function generateResearchQueriesFromContext(chatHistory, memoryBlocks = []
             query: contextString, // Use the history string as the base "query" for context
             numQueries: numQueries,
             learnings: [], // No prior learnings when starting from history
-            metadata: metadata // Pass classification metadata
+            metadata: metadata, // Pass classification metadata
+            llmConfig: usage ? { usage } : {},
+            prompts
         });
         outputFn(`Generated ${generatedQueries.length} queries.`);
         return generatedQueries; // Returns array of { original: string, metadata?: any }
@@ -457,7 +620,10 @@ export async function startResearchFromChat(options = {}) { // Removed chatHisto
         overrideQueries, // --- NEW: Expect pre-generated queries ---
         output: outputFn, // Get output/error from options
         error: errorFn,
-        progressHandler // Get progress handler from options
+        progressHandler, // Get progress handler from options
+        signal, // Optional AbortSignal from /cancel
+        usage, // { username, command } for the usage meter
+        persona // Chat session persona (session.sessionPersona), applied to the research run
     } = options;
 
     // --- FIX: Validate overrideQueries instead of researchQuery ---
@@ -508,6 +674,9 @@ export async function startResearchFromChat(options = {}) { // Removed chatHisto
       progressHandler: progressHandler, // Pass progress handler from options
       isWebSocket: isWebSocket,
       webSocketClient: webSocketClient,
+      usage,
+      promptTemplates: await userManager.getPromptTemplates(username),
+      persona,
       overrideQueries: overrideQueries // Pass the generated queries here
     });
 
@@ -524,7 +693,8 @@ export async function startResearchFromChat(options = {}) { // Removed chatHisto
     const results = await engine.research({
         query: placeholderQueryObj, // Pass placeholder object
         depth: depth, // Depth might be applied differently with overrideQueries, check engine logic
-        breadth: breadth // Breadth might be applied differently with overrideQueries, check engine logic
+        breadth: breadth, // Breadth might be applied differently with overrideQueries, check engine logic
+        signal
     });
 
     return {
@@ -696,6 +866,13 @@ export async function executeExitResearch(options = {}) {
             effectiveOutput(`Using default research parameters: Query Breadth=${researchBreadth}, Depth=${researchDepth}, Classification=${useClassification}`);
         }
 
+        // Counts against the quota like /research; checked before the first Venice call below
+        const usage = { username: session.username, command: 'research' };
+        const quota = await getUsageMeter().consumeQuota(session.username, 'research', userManager.getUserLimits(currentUser || session.currentUser));
+        if (!quota.allowed) {
+            throw new Error(`Research not started. ${quota.message}`);
+        }
+
         let veniceKey;
         try {
             if (!userPassword) throw new Error("Password required for Venice API key.");
@@ -708,7 +885,7 @@ export async function executeExitResearch(options = {}) {
         if (useClassification) {
             try {
                 effectiveOutput('Performing token classification on research query...');
-                classificationMetadata = await callVeniceWithTokenClassifier(researchQueryString, veniceKey);
+                classificationMetadata = await callVeniceWithTokenClassifier(researchQueryString, veniceKey, console.log, usage);
                 if (!classificationMetadata) {
                     effectiveOutput('Token classification returned no metadata.');
                 } else {
@@ -728,7 +905,9 @@ export async function executeExitResearch(options = {}) {
             veniceKey,
             classificationMetadata,
             effectiveOutput,
-            effectiveError
+            effectiveError,
+            usage,
+            await userManager.getPromptTemplates(session.username)
         );
 
         if (generatedQueries.length === 0) {
@@ -744,6 +923,8 @@ export async function executeExitResearch(options = {}) {
             webSocketClient: webSocketClient,
             classificationMetadata: classificationMetadata,
             overrideQueries: generatedQueries,
+            usage,
+            persona: session.sessionPersona || null,
             output: effectiveOutput,
             error: effectiveError,
             progressHandler: options.progressHandler
@@ -759,7 +940,12 @@ export async function executeExitResearch(options = {}) {
             }
         }
 
-        researchResult = await startResearchFromChat(researchOptions);
+        const runController = startResearchRun(session);
+        try {
+            researchResult = await startResearchFromChat({ ...researchOptions, signal: runController.signal });
+        } finally {
+            finishResearchRun(session, runController);
+        }
 
         if (researchResult.success && isWebSocket && webSocketClient) {
             safeSend(webSocketClient, { type: 'research_complete', summary: researchResult.results?.summary });
@@ -797,8 +983,15 @@ export async function executeExitResearch(options = {}) {
  * @returns {string} Help text.
  */
 export function getChatHelpText() {
-    return `/chat [--memory=true] [--depth=short|medium|long] - Start an interactive chat session. Requires login.
+    return `/chat [--memory=true] [--depth=short|medium|long] [--provider=<name>] [--m=<model>] [--c=<persona>] [--tools=auto|on|off] - Start an interactive chat session. Requires login.
     --memory=true: Enable memory persistence for the session.
-    --depth=<level>: Set memory depth (short, medium, long). Requires --memory=true.
-    In-chat commands: /exit, /exitmemory, /memory stats, /research <query>, /exitresearch, /help`;
+    --provider=<name>: LLM provider for this session (venice, openai). Defaults to your /keys provider choice.
+    --m=<model>: Chat model for this session. Must be listed by /models for the provider.
+    --c=<persona>: Persona for this session (see /persona list); defaults to your /persona use choice, else bitcore. --c=none for none.
+        A persona's default model and temperature apply unless --m is given.
+    --tools=<mode>: Let the model call tools (web_search, research, recall_memories, read_last_research).
+        auto (default) enables them for function-calling models such as llama-3.3-70b; each call is shown as [tool].
+    --depth=<level>: Set memory depth (short, medium, long). Requires --memory=true. Memories are validated and summarized every 10/20/30 exchanges (short/medium/long).
+    In-chat commands: /exit, /exitmemory, /memory (list, search, show, add, delete, pin, tag, stats), /research <query>, /exitresearch, /help,
+        /model [id] (switch the chat model, checked against /models), /character [name] (switch persona, 'none' for none)`;
 }
\ No newline at end of file
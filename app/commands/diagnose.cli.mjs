@@ -14,6 +14,7 @@ import { execSync } from 'child_process';
 import { userManager } from '../features/auth/user-manager.mjs';
 import fetch from 'node-fetch'; // Ensure fetch is available
 import readline from 'readline'; // For password prompt
+import { getSearchCache } from '../infrastructure/search/search.cache.mjs';
 
 // --- Placeholder Constants ---
 // These should ideally be imported from a central config file if they exist elsewhere
@@ -234,11 +235,40 @@ async function checkStorage(output) {
 }
 
 
+/**
+ * Report (and optionally purge) the persistent search result cache (Internal helper)
+ * @param {Function} output - Output function.
+ * @param {boolean|string} purge - true purges everything, 'expired' only entries past their TTL.
+ */
+async function checkSearchCache(output, purge) {
+  output('\n--- Search Cache ---');
+  const cache = getSearchCache();
+
+  if (purge) {
+    const expiredOnly = purge === 'expired';
+    const removed = await cache.purge({ expiredOnly });
+    output(`🧹 Purged ${removed} ${expiredOnly ? 'expired ' : ''}cache entr${removed === 1 ? 'y' : 'ies'}${expiredOnly ? '' : ' and reset statistics'}.`);
+  }
+
+  const stats = await cache.getStats();
+  const lookups = stats.hits + stats.misses;
+  output(`Location: ${stats.dir}`);
+  output(`Entries: ${stats.entries} / ${stats.maxEntries} (${(stats.bytes / 1024).toFixed(1)} KB of ${(stats.maxBytes / (1024 * 1024)).toFixed(0)} MB)`);
+  output(`TTL: ${(stats.ttlMs / (60 * 60 * 1000)).toFixed(1)} hours`);
+  output(`Lookups: ${lookups} (${stats.hits} hits, ${stats.misses} misses, hit rate ${(stats.hitRate * 100).toFixed(1)}%)`);
+  output(`Writes: ${stats.writes}, evictions: ${stats.evictions}`);
+  if (stats.oldest) {
+    output(`Oldest entry: ${new Date(stats.oldest).toISOString()}, newest: ${new Date(stats.newest).toISOString()}`);
+  }
+  return stats;
+}
+
 /**
  * Main execution function for the /diagnose command. Accepts a single options object.
  *
  * @param {Object} options - Command options including positionalArgs, flags, session, output/error handlers.
  * @param {string[]} options.positionalArgs - Positional arguments (e.g., ['api', 'perms'] or ['all'])
+ * @param {object} [options.flags] - Parsed flags; `--purge` / `--purge=expired` with the 'cache' check clears the search cache.
  * @param {string} [options.password] - Password provided via args/payload/cache/prompt
  * @param {boolean} [options.isWebSocket=false] - Indicates if called via WebSocket
  * @param {object} [options.session] - WebSocket session object
@@ -249,6 +279,7 @@ async function checkStorage(output) {
 export async function executeDiagnose(options) {
     const {
         positionalArgs = [],
+        flags = {},
         session,
         isWebSocket,
         password: providedPassword, // Password from handleCommandMessage
@@ -347,6 +378,19 @@ export async function executeDiagnose(options) {
         }
 
 
+        // --- Search Cache ---
+        if (runAll || checksToRun.includes('cache')) {
+            try {
+                // Purging is destructive, so only do it when the cache check was asked for explicitly
+                const purge = checksToRun.includes('cache') ? flags.purge : false;
+                results.cache = await checkSearchCache(cmdOutput, purge);
+            } catch (err) {
+                cmdError(`Error checking search cache: ${err.message}`);
+                overallSuccess = false;
+                results.cache = { error: err.message };
+            }
+        }
+
         // Add more checks as needed
 
         cmdOutput(`\nDiagnosis complete. Review output above for status.`);
@@ -446,5 +490,7 @@ function promptForPassword(query) {
  */
 export function getDiagnoseHelpText() {
   return "/diagnose [check...] - Run system diagnostics (admin only).\n" +
-         "  Checks: system, users, api, keys, perms, storage, all (default)";
+         "  Checks: system, users, api, keys, perms, storage, cache, all (default)\n" +
+         "  /diagnose cache --purge          Clear the search result cache and its statistics.\n" +
+         "  /diagnose cache --purge=expired  Remove only cache entries past their TTL.";
 }
\ No newline at end of file
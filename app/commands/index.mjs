@@ -8,6 +8,11 @@ import * as passwordCli from './password.cli.mjs';
 import * as chatCli from './chat.cli.mjs';
 import * as memoryCli from './memory.cli.mjs';
 import * as diagnoseCli from './diagnose.cli.mjs';
+import * as cancelCli from './cancel.cli.mjs';
+import * as modelsCli from './models.cli.mjs';
+import * as usageCli from './usage.cli.mjs';
+import * as promptsCli from './prompts.cli.mjs';
+import * as personaCli from './persona.cli.mjs';
 
 // Map command names (lowercase) to their execution functions
 export const commands = {
@@ -23,6 +28,11 @@ export const commands = {
     exitresearch: chatCli.executeExitResearch, // Assuming exitresearch is handled by chat.cli.mjs
     memory: memoryCli.executeMemory, // Handles subcommands like 'stats' via positionalArgs
     diagnose: diagnoseCli.executeDiagnose,
+    cancel: cancelCli.executeCancel,
+    models: modelsCli.executeModels,
+    usage: usageCli.executeUsage,
+    prompts: promptsCli.executePrompts,
+    persona: personaCli.executePersona,
     // Add other commands here
 };
 
@@ -72,10 +82,11 @@ export function parseCommandArgs(commandString) {
     for (let i = 1; i < parts.length; i++) {
         const part = parts[i];
         if (part.startsWith('--')) {
-            const flagParts = part.substring(2).split('=', 2); // Split only on the first '='
-            const flagName = flagParts[0];
+            // Split only on the first '=' so values such as URLs with query strings stay intact
+            const separator = part.indexOf('=');
+            const flagName = separator === -1 ? part.substring(2) : part.substring(2, separator);
             // If there's a value after '=', use it; otherwise, treat it as a boolean flag (true)
-            flags[flagName] = flagParts.length > 1 ? flagParts[1] : true;
+            flags[flagName] = separator === -1 ? true : part.substring(separator + 1);
         } else {
             positionalArgs.push(part);
         }
@@ -105,6 +116,11 @@ export function getHelpText() {
     if (chatCli.getChatHelpText) help += chatCli.getChatHelpText() + '\n\n'; // Assumes chat provides combined help
     if (memoryCli.getMemoryHelpText) help += memoryCli.getMemoryHelpText() + '\n\n';
     if (diagnoseCli.getDiagnoseHelpText) help += diagnoseCli.getDiagnoseHelpText() + '\n\n';
+    if (cancelCli.getCancelHelpText) help += cancelCli.getCancelHelpText() + '\n\n';
+    if (modelsCli.getModelsHelpText) help += modelsCli.getModelsHelpText() + '\n\n';
+    if (usageCli.getUsageHelpText) help += usageCli.getUsageHelpText() + '\n\n';
+    if (promptsCli.getPromptsHelpText) help += promptsCli.getPromptsHelpText() + '\n\n';
+    if (personaCli.getPersonaHelpText) help += personaCli.getPersonaHelpText() + '\n\n';
 
     // Add a general help command usage
     help += '/help                     Show this help message.\n';
@@ -6,8 +6,60 @@ import crypto from 'crypto'; // Needed for safeSend if used
 import { safeSend } from '../utils/websocket.utils.mjs';
 import { handleCliError, ErrorTypes, logCommandStart } from '../utils/cli-error-handler.mjs'; // Added logCommandStart here
 import { LLMClient } from '../infrastructure/ai/venice.llm-client.mjs'; // Needed for testApiKeys
+import { getLLMProviderDefinition, getDefaultLLMProviderName, listLLMProviders } from '../infrastructure/ai/llm.providers.mjs';
 import { Octokit } from '@octokit/rest'; // Needed for testApiKeys
 
+// Search and LLM providers configured with flags rather than a single key value.
+// Each flag maps to a field of the JSON config stored (encrypted) under the service name.
+const PROVIDER_CONFIG_FLAGS = {
+    searxng: { url: 'searxng-url', apiKey: 'searxng-key' },
+    'json-http': { urlTemplate: 'json-http-url', apiKey: 'json-http-key', apiKeyHeader: 'json-http-key-header', resultsPath: 'json-http-results' },
+    openai: { baseUrl: 'openai-url', apiKey: 'openai-key', apiKeyHeader: 'openai-key-header', model: 'openai-model' }
+};
+const PROVIDER_REQUIRED_FIELD = { searxng: 'url', 'json-http': 'urlTemplate', openai: 'baseUrl' };
+const LLM_PROVIDER_SERVICES = ['openai'];
+
+/**
+ * Builds the stored config for a flag-configured provider.
+ * @param {string} service - 'searxng', 'json-http' or 'openai'.
+ * @param {object} flags - Parsed command flags.
+ * @returns {{value?: string, error?: string}} JSON string to store ('' when --clear), or an error message.
+ */
+function buildProviderCredential(service, flags) {
+    if (flags.clear) return { value: '' };
+    const config = {};
+    for (const [field, flag] of Object.entries(PROVIDER_CONFIG_FLAGS[service])) {
+        if (typeof flags[flag] === 'string' && flags[flag]) config[field] = flags[flag];
+    }
+    const required = PROVIDER_REQUIRED_FIELD[service];
+    if (!config[required]) {
+        return { error: `Missing --${PROVIDER_CONFIG_FLAGS[service][required]}=<value> for '${service}' (or use --clear).` };
+    }
+    if (service === 'openai') {
+        if (!/^https?:\/\//i.test(config.baseUrl)) {
+            return { error: `--openai-url must be an http(s) URL, e.g. http://localhost:8080/v1.` };
+        }
+        config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    }
+    if (service === 'json-http') {
+        if (!config.urlTemplate.includes('{query}')) {
+            return { error: `--json-http-url must contain a {query} placeholder.` };
+        }
+        // --json-http-fields=title:name,url:link,content:snippet
+        if (typeof flags['json-http-fields'] === 'string') {
+            config.fields = {};
+            for (const pair of flags['json-http-fields'].split(',')) {
+                const [field, sourcePath] = pair.split(':').map(part => part?.trim());
+                if (!['title', 'url', 'content'].includes(field) || !sourcePath) {
+                    return { error: `Invalid --json-http-fields entry '${pair}'. Use title:<path>,url:<path>,content:<path>.` };
+                }
+                config.fields[field] = sourcePath;
+            }
+        }
+    }
+    return { value: JSON.stringify(config) };
+}
+
 // Keep track of the active readline interface to avoid conflicts
 let activeRlInstance = null;
 
@@ -145,7 +197,7 @@ export async function executeKeys(options = {}) {
     const currentUsername = currentUser ? currentUser.username : 'public';
 
     // Define actions requiring authentication and potentially a password internally
-    const needsAuth = action === 'set' || action === 'test';
+    const needsAuth = action === 'set' || action === 'test' || (action === 'provider' && !!service);
 
     if (needsAuth && !isAuthenticated) {
         // Block set/test if not logged in at all
@@ -165,9 +217,10 @@ export async function executeKeys(options = {}) {
 
         // Determine if the operation *needs* a password internally
         const isSettingBraveVenice = action === 'set' && (service === 'brave' || service === 'venice');
+        const isSettingProviderConfig = action === 'set' && !!PROVIDER_CONFIG_FLAGS[service];
         // Setting GitHub config *always* requires password verification now
         const isSettingGitHub = action === 'set' && service === 'github';
-        const needsPasswordInternally = (action === 'test') || isSettingBraveVenice || isSettingGitHub;
+        const needsPasswordInternally = (action === 'test') || isSettingBraveVenice || isSettingProviderConfig || isSettingGitHub;
 
         // --- Password Verification/Prompting ---
         // If the action needs a password internally AND the user is authenticated BUT no password was provided
@@ -196,13 +249,15 @@ export async function executeKeys(options = {}) {
         switch (action) {
             case 'set':
                 const githubConfig = {};
+                let providerConfigValue = null;
                 let isSettingGitHubAction = false; // Renamed to avoid conflict with needsPasswordInternally check variable
 
                 // --- Simplified Validation ---
                 if (!service) {
                     effectiveError('Usage: /keys set <service> [options]');
-                    effectiveError('Services: brave, venice, github');
+                    effectiveError('Services: brave, venice, searxng, json-http, openai, github');
                     effectiveError('Example: /keys set brave <key>');
+                    effectiveError('Example: /keys set searxng --searxng-url=https://searx.example.org');
                     effectiveError('Example: /keys set github --github-owner=... --github-repo=... --github-token=...');
                     return { success: false, error: 'Missing service name', handled: true, keepDisabled: false };
                 }
@@ -213,6 +268,14 @@ export async function executeKeys(options = {}) {
                         return { success: false, error: `Missing value for set ${service}`, handled: true, keepDisabled: false };
                     }
                     // Proceed with Brave/Venice logic below
+                } else if (PROVIDER_CONFIG_FLAGS[service]) {
+                    const built = buildProviderCredential(service, flags);
+                    if (built.error) {
+                        effectiveError(`Error: ${built.error}`);
+                        effectiveError('See /keys help for the available options.');
+                        return { success: false, error: built.error, handled: true, keepDisabled: false };
+                    }
+                    providerConfigValue = built.value;
                 } else if (service === 'github') {
                     isSettingGitHubAction = true;
                     // Check for required GitHub flags - token is now optional for setting just owner/repo/branch
@@ -239,7 +302,7 @@ export async function executeKeys(options = {}) {
                     }
 
                 } else {
-                    effectiveError(`Invalid service '${service}'. Supported services: brave, venice, github.`);
+                    effectiveError(`Invalid service '${service}'. Supported services: brave, venice, searxng, json-http, openai, github.`);
                     return { success: false, error: `Invalid service '${service}'`, handled: true, keepDisabled: false };
                 }
                 // --- End Simplified Validation ---
@@ -264,6 +327,18 @@ export async function executeKeys(options = {}) {
                         results.push(`Failed to set API key for ${service}: ${err.message}`);
                         commandSuccess = false;
                     }
+                } else if (providerConfigValue !== null) {
+                    const kind = LLM_PROVIDER_SERVICES.includes(service) ? 'LLM provider' : 'Search provider';
+                    try {
+                        await userManager.setApiKey(service, providerConfigValue, userPassword, currentUsername);
+                        results.push(`${kind} config for ${service} ${providerConfigValue ? 'set' : 'cleared'} successfully.`);
+                        if (providerConfigValue && kind === 'LLM provider') {
+                            results.push(`Use /keys provider ${service} to make it your default LLM provider.`);
+                        }
+                    } catch (err) {
+                        results.push(`Failed to set ${kind.toLowerCase()} config for ${service}: ${err.message}`);
+                        commandSuccess = false;
+                    }
                 } else if (isSettingGitHubAction) { // Use the flag set during validation
                     try {
                         await userManager.setGitHubConfig(currentUsername, userPassword, githubConfig);
@@ -298,6 +373,10 @@ export async function executeKeys(options = {}) {
                 effectiveOutput('--- API Key & GitHub Status ---');
                 effectiveOutput(`Brave API Key: ${keysStatus.brave ? 'Configured' : 'Not Configured'}`);
                 effectiveOutput(`Venice API Key: ${keysStatus.venice ? 'Configured' : 'Not Configured'}`);
+                effectiveOutput(`SearXNG Search: ${keysStatus.searxng ? 'Configured' : 'Not Configured'}`);
+                effectiveOutput(`JSON-HTTP Search: ${keysStatus['json-http'] ? 'Configured' : 'Not Configured'}`);
+                effectiveOutput(`OpenAI-compatible LLM: ${keysStatus.openai ? 'Configured' : 'Not Configured'}`);
+                effectiveOutput(`Default LLM Provider: ${keysStatus.llmProvider || `${getDefaultLLMProviderName()} (server default)`}`);
                 // --- FIX: Use correct methods for GitHub config and token ---
                 const githubConfigExists = await userManager.hasGitHubConfig(currentUsername);
                 effectiveOutput(`GitHub Config (Owner/Repo): ${githubConfigExists ? 'Configured' : 'Not Configured'}`);
@@ -340,6 +419,40 @@ export async function executeKeys(options = {}) {
                 }
 
 
+            case 'provider': {
+                // /keys provider            -> show the current default
+                // /keys provider <name>     -> choose the default LLM provider for /chat and /research
+                // /keys provider --clear    -> back to the server default
+                const available = listLLMProviders().map(p => p.name).join(', ');
+                if (!service && !flags.clear) {
+                    const current = isAuthenticated ? await userManager.getLLMProvider(currentUsername) : null;
+                    effectiveOutput(`Default LLM provider: ${current || `${getDefaultLLMProviderName()} (server default)`}. Available: ${available}.`);
+                    return { success: true, keepDisabled: false };
+                }
+                if (!isAuthenticated) {
+                    effectiveError('You must be logged in to choose an LLM provider.');
+                    return { success: false, error: 'Authentication required', handled: true, keepDisabled: false };
+                }
+                if (flags.clear) {
+                    await userManager.setLLMProvider(currentUsername, null);
+                    effectiveOutput(`Default LLM provider reset to the server default (${getDefaultLLMProviderName()}).`);
+                    return { success: true, keepDisabled: false };
+                }
+                const definition = getLLMProviderDefinition(service);
+                if (!definition) {
+                    effectiveError(`Unknown LLM provider '${service}'. Available providers: ${available}.`);
+                    return { success: false, error: `Unknown LLM provider '${service}'`, handled: true, keepDisabled: false };
+                }
+                await userManager.setLLMProvider(currentUsername, definition.name);
+                effectiveOutput(`Default LLM provider set to ${definition.name}.`);
+                if (!await userManager.hasApiKey(definition.name, currentUsername)) {
+                    effectiveOutput(definition.requiresCredentials
+                        ? `Warning: no credentials stored for ${definition.name} yet. Use /keys set ${definition.name} first.`
+                        : `Note: no configuration stored for ${definition.name}; server defaults will be used. See /keys help.`);
+                }
+                return { success: true, keepDisabled: false };
+            }
+
             case 'help':
             default:
                 effectiveOutput(getKeysHelpText());
@@ -365,6 +478,9 @@ export function getKeysHelpText() {
   Services:
     brave     Set Brave Search API key.
     venice    Set Venice LLM API key.
+    searxng   Configure a SearXNG instance for /research --provider=searxng.
+    json-http Configure a generic JSON search API for /research --provider=json-http.
+    openai    Configure an OpenAI-compatible LLM server (llama.cpp, vLLM, Ollama, ...).
     github    Set GitHub configuration for persistence.
 
   Options for 'brave'/'venice':
@@ -372,6 +488,29 @@ export function getKeysHelpText() {
       Example: /keys set brave YOUR_BRAVE_KEY
                /keys set venice ""
 
+  Options for 'searxng':
+    --searxng-url=<url>       (Required) Instance base URL (JSON output must be enabled).
+    --searxng-key=<token>     (Optional) Bearer token for instances behind an auth proxy.
+    --clear                   Remove the stored configuration.
+      Example: /keys set searxng --searxng-url=https://searx.example.org
+
+  Options for 'json-http':
+    --json-http-url=<tmpl>    (Required) URL template with {query} and optionally {apiKey}.
+    --json-http-key=<key>     (Optional) API key substituted into {apiKey}.
+    --json-http-key-header=<h> (Optional) Also send the key in this header, e.g. X-API-Key.
+    --json-http-results=<path> (Optional) Dot path to the results array (default 'results').
+    --json-http-fields=<map>  (Optional) Result field paths, e.g. title:name,url:link,content:snippet.
+    --clear                   Remove the stored configuration.
+      Example: /keys set json-http --json-http-url="https://api.example.com/search?q={query}" --json-http-results=data.items
+
+  Options for 'openai':
+    --openai-url=<url>        (Required) Base URL of the API, e.g. http://localhost:8080/v1.
+    --openai-key=<key>        (Optional) API key, if the server requires one.
+    --openai-key-header=<h>   (Optional) Header for the key (default Authorization: Bearer <key>).
+    --openai-model=<id>       (Optional) Model to use (default: first model the server lists).
+    --clear                   Remove the stored configuration.
+      Example: /keys set openai --openai-url=http://localhost:8080/v1
+
   Options for 'github':
     --github-owner=<user>     (Required) Repository owner (username or org).
     --github-repo=<name>      (Required) Repository name.
@@ -383,6 +522,9 @@ export function getKeysHelpText() {
   Other Actions:
     /keys check | stat              Check if API keys & GitHub config/token are set.
     /keys test                      Test configured API keys & GitHub token.
+    /keys provider [name]           Show or choose your default LLM provider (venice, openai).
+                                    /chat --provider=<name> and /research --llm-provider=<name> override it.
+    /keys provider --clear          Use the server default LLM provider (LLM_PROVIDER, else venice).
     /keys help                      Show this help message.
 
   Note: 'set' and 'test' require your password internally, which should be handled by your current session.`;
@@ -1,66 +1,243 @@
 import { userManager } from '../features/auth/user-manager.mjs';
-import { handleCliError, ErrorTypes } from '../utils/cli-error-handler.mjs';
+import { output as outputManagerInstance } from '../utils/research.output-manager.mjs';
+import { getDefaultLLMProviderName } from '../infrastructure/ai/llm.providers.mjs';
+import { MemoryManager } from '../infrastructure/memory/memory.manager.mjs';
+import { resolveUserLLMConfig } from './models.cli.mjs';
+
+const ACTIONS = ['stats', 'list', 'search', 'show', 'add', 'delete', 'pin', 'unpin', 'tag'];
+const LIST_LAYERS = ['short', 'long', 'meta', 'pinned'];
+const SEARCH_LIMIT = 10;
+const PREVIEW_LENGTH = 80;
 
 /**
  * Provides help text for the /memory command.
  * @returns {string} Help text.
  */
 export function getMemoryHelpText() {
-    return `/memory stats - Display statistics about the current memory session (only available within /chat --memory).`;
-    // Add help for other potential actions like clear, list, search later
+    return `/memory list [--layer=short|long|meta|pinned] - List your stored memories, oldest first.
+/memory search <text> [--limit=<n>] - Find memories by meaning (embedding similarity).
+/memory show <id> - Show a memory in full.
+/memory add <text> [--tags=a,b] - Remember something explicitly (stored as a long-term memory).
+/memory delete <id> - Forget a memory.
+/memory pin <id> | unpin <id> - Pinned memories are never discarded or summarized away.
+/memory tag <id> <tags> [--replace] - Add comma-separated tags; --replace sets exactly these tags.
+/memory stats [--verbose] - Memory counts, embedding model and storage location.
+    --verbose adds each memory's score (decayed by age, raised by retrieval hits) and the latest
+    promotion, eviction and reinforcement decisions.
+    Works in and outside /chat; inside a /chat --memory=true session it uses that session's memory.`;
+}
+
+/**
+ * Splits tag arguments ("a,b c") into a list of tags.
+ * @param {Array<string>|string} values
+ * @returns {string[]}
+ */
+function parseTags(values) {
+    return [].concat(values).join(',').split(/[,\s]+/).map(tag => tag.trim().replace(/^#/, '')).filter(Boolean);
 }
 
 /**
- * CLI command for interacting with the memory system.
- * Usage: /memory stats
+ * One-line description of a memory for list and search results.
+ * @param {object} memory - Memory with `layer` (and `similarity` for search results).
+ * @returns {string}
+ */
+function describeMemory(memory) {
+    const flags = [memory.layer, memory.pinned && 'pinned'].filter(Boolean).join(', ');
+    const date = memory.timestamp ? ` ${String(memory.timestamp).slice(0, 10)}` : '';
+    const score = typeof memory.similarity === 'number' ? ` (${memory.similarity.toFixed(2)})` : '';
+    const tags = memory.tags?.length ? ` #${memory.tags.join(' #')}` : '';
+    const text = String(memory.content || '').replace(/\s+/g, ' ').trim();
+    const preview = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 3)}...` : text;
+    return `${memory.id} [${flags}]${date}${score}${tags} - ${preview}`;
+}
+
+/**
+ * @param {number} hours
+ * @returns {string} e.g. '45m', '5h', '3d'.
+ */
+function formatAge(hours) {
+    if (hours < 1) return `${Math.round(hours * 60)}m`;
+    if (hours < 48) return `${Math.round(hours)}h`;
+    return `${Math.round(hours / 24)}d`;
+}
+
+/**
+ * The memory manager a /memory command works on: the chat session's when memory mode is on, otherwise one
+ * over the user's persistent store.
+ * @param {object} options - executeMemory() options.
+ * @param {string} username
+ * @returns {Promise<MemoryManager>}
+ */
+async function getMemoryManager(options, username) {
+    const existing = options.memoryManager || options.session?.memoryManager;
+    if (existing) {
+        await existing.initialize(); // Stats are read synchronously; make sure stored memories are loaded
+        return existing;
+    }
+    const provider = options.session?.llmProvider || await userManager.getLLMProvider(username) || getDefaultLLMProviderName();
+    const llmConfig = await resolveUserLLMConfig({ provider, username, password: options.password });
+    const memoryManager = new MemoryManager({ user: { username }, llmConfig: { ...llmConfig, usage: { username, command: 'memory' } } });
+    await memoryManager.initialize();
+    return memoryManager;
+}
+
+/**
+ * CLI command for browsing and editing the user's memories.
+ * @param {Object} options - Command options.
+ * @param {string[]} [options.positionalArgs] - Action (stats|list|search|show|add|delete|pin|unpin|tag) and its arguments.
+ * @param {Object} [options.flags] - `--layer` for list, `--limit` for search, `--tags` for add, `--replace` for tag,
+ *   `--verbose` for stats.
+ * @param {string} [options.action] - Action, when not given as the first positional argument.
+ * @param {string} [options.password] - Password to decrypt provider credentials for remote embeddings.
+ * @param {object} [options.currentUser] - User data object if authenticated.
+ * @param {object} [options.session] - WebSocket session object; its memoryManager is used when memory mode is on.
+ * @param {boolean} [options.isWebSocket] - Whether the command runs over WebSocket (no fallback to the CLI user).
+ * @param {MemoryManager} [options.memoryManager] - Memory manager of the running CLI chat.
+ * @param {Function} [options.output] - Output function.
+ * @param {Function} [options.error] - Error function.
+ * @param {Function} [wsOutput] - Output function (legacy positional form).
+ * @param {Function} [wsError] - Error function (legacy positional form).
+ * @returns {Promise<Object>} Command result.
  */
 export async function executeMemory(options = {}, wsOutput, wsError) {
-  const { action = 'stats', session } = options; // Default action is stats
+    const { positionalArgs = [], flags = {}, session } = options;
+    const output = typeof options.output === 'function' ? options.output
+        : typeof wsOutput === 'function' ? wsOutput : outputManagerInstance.log.bind(outputManagerInstance);
+    const error = typeof options.error === 'function' ? options.error
+        : typeof wsError === 'function' ? wsError : outputManagerInstance.error.bind(outputManagerInstance);
 
-  if (!session || !session.memoryManager) {
-    const errorMsg = 'Memory mode is not active. Use /chat --memory=true first.';
-    if (wsError) {
-      wsError(errorMsg);
-      // Send keepDisabled false explicitly for WS
-      wsOutput({ type: 'output', data: '', keepDisabled: false });
-    } else {
-      console.error(errorMsg);
+    const [action = options.action || 'stats', ...args] = positionalArgs;
+    const text = args.join(' ').trim();
+    const id = args[0];
+    const username = options.currentUser?.username || session?.username || (options.isWebSocket ? null : userManager.getUsername());
+    if (!username || username === 'public') {
+        error('Memories are stored with your profile. Please /login first.');
+        return { success: false, error: 'Login required', handled: true, keepDisabled: false };
+    }
+    if (!ACTIONS.includes(action)) {
+        error(`Unknown memory action '${action}'. Use ${ACTIONS.join(', ')}.`);
+        return { success: false, error: 'Unknown action', handled: true, keepDisabled: false };
+    }
+    const usage = {
+        search: '/memory search <text>',
+        add: '/memory add <text>',
+        show: '/memory show <id>',
+        delete: '/memory delete <id>',
+        pin: '/memory pin <id>',
+        unpin: '/memory unpin <id>',
+        tag: '/memory tag <id> <tags>'
+    }[action];
+    if (usage && (!text || (action === 'tag' && parseTags(args.slice(1)).length === 0))) {
+        error(`Usage: ${usage}`);
+        return { success: false, error: 'Missing argument', handled: true, keepDisabled: false };
+    }
+    if (action === 'list' && flags.layer && !LIST_LAYERS.includes(flags.layer)) {
+        error(`Unknown layer '${flags.layer}'. Use ${LIST_LAYERS.join(', ')}.`);
+        return { success: false, error: 'Unknown layer', handled: true, keepDisabled: false };
     }
-    return { success: false, error: errorMsg, handled: true };
-  }
 
-  const memoryManager = session.memoryManager;
-  const outputFn = wsOutput || console.log;
-  const errorFn = wsError || console.error;
+    try {
+        const memoryManager = await getMemoryManager(options, username);
+        const notFound = () => {
+            error(`No memory with ID '${id}'. Use /memory list or /memory search to find IDs.`);
+            return { success: false, error: 'Memory not found', handled: true, keepDisabled: false };
+        };
 
-  try {
-    switch (action) {
-      case 'stats':
-        const stats = await memoryManager.getStats();
-        outputFn('--- Memory Statistics ---');
-        outputFn(`Depth Level: ${stats.depthLevel}`);
-        outputFn(`Short-Term Count: ${stats.shortTermCount} / ${stats.shortTermCapacity}`);
-        outputFn(`Long-Term Count (GitHub): ${stats.longTermCount}`);
-        outputFn(`Meta Memory Count (GitHub): ${stats.metaCount}`);
-        outputFn(`GitHub Integration: ${stats.githubStatus}`);
-        outputFn('-------------------------');
-        // Send keepDisabled false explicitly for WS
-        if (wsOutput) wsOutput({ type: 'output', data: '', keepDisabled: false });
-        return { success: true, stats: stats };
-      default:
-        const unknownActionMsg = `Unknown memory action: ${action}. Available actions: stats`;
-        errorFn(unknownActionMsg);
-        if (wsOutput) wsOutput({ type: 'output', data: '', keepDisabled: false });
-        return { success: false, error: unknownActionMsg, handled: true };
+        switch (action) {
+            case 'stats': {
+                const stats = memoryManager.getStats();
+                output('--- Memory Statistics ---');
+                output(`Depth Level: ${stats.depthLevel}`);
+                output(`Short-Term Count: ${stats.shortTermCount} / ${stats.shortTermCapacity}`);
+                output(`Long-Term Count: ${stats.longTermCount}`);
+                output(`Meta Memory Count: ${stats.metaCount}`);
+                output(`Pinned: ${stats.pinnedCount}`);
+                output(`Embedding Model: ${stats.embeddingModel}`);
+                output(`Stored In: ${stats.storePath || 'this session only'}`);
+                output(`GitHub Replica: ${stats.githubStatus}`);
+                output('-------------------------');
+                if (!flags.verbose) {
+                    return { success: true, stats, keepDisabled: false };
+                }
+                const report = memoryManager.getScoreReport();
+                const decisions = await memoryManager.getDecisionTrail();
+                output(`Scoring: half-life ${report.halfLifeHours}h, promote to long-term at ${report.promoteScore}, ` +
+                    `evict lowest above ${report.maxMemories} short-term, +${Math.round(report.reinforcementRate * 100)}% per retrieval hit`);
+                output('Scores (highest first):');
+                if (report.memories.length === 0) output('  (no memories)');
+                for (const memory of report.memories) {
+                    output(`  ${memory.id} [${memory.layer}${memory.pinned ? ', pinned' : ''}] ${memory.score.toFixed(2)} ` +
+                        `(base ${memory.baseScore.toFixed(2)}, ${memory.hits} hits, ${formatAge(memory.ageHours)} since last use)`);
+                }
+                output('Recent decisions:');
+                if (decisions.length === 0) output('  (none yet)');
+                for (const decision of decisions) {
+                    output(`  ${decision.at} ${decision.action} ${decision.id} - ${decision.reason}${decision.content ? ` "${decision.content}"` : ''}`);
+                }
+                return { success: true, stats, scores: report, decisions, keepDisabled: false };
+            }
+            case 'list': {
+                const memories = await memoryManager.listMemories(flags.layer);
+                if (memories.length === 0) {
+                    output(flags.layer ? `No ${flags.layer} memories.` : 'No memories yet. Chat with --memory=true or use /memory add <text>.');
+                } else {
+                    output(`Memories (${memories.length}${flags.layer ? `, ${flags.layer}` : ''}):`);
+                    memories.forEach(memory => output(describeMemory(memory)));
+                }
+                return { success: true, memories, keepDisabled: false };
+            }
+            case 'search': {
+                const limit = Number.parseInt(flags.limit, 10) > 0 ? Number.parseInt(flags.limit, 10) : SEARCH_LIMIT;
+                const memories = await memoryManager.searchMemories(text, limit);
+                if (memories.length === 0) {
+                    output(`No memories match '${text}'.`);
+                } else {
+                    output(`Memories matching '${text}' (most similar first):`);
+                    memories.forEach(memory => output(describeMemory(memory)));
+                }
+                return { success: true, memories, keepDisabled: false };
+            }
+            case 'show': {
+                const memory = await memoryManager.findMemory(id);
+                if (!memory) return notFound();
+                output(`ID: ${memory.id}`);
+                output(`Layer: ${memoryManager.getMemoryLayer(memory)}${memory.pinned ? ' (pinned)' : ''}`);
+                output(`Role: ${memory.role || 'unknown'}`);
+                output(`Created: ${memory.timestamp || 'unknown'}`);
+                if (typeof memory.score === 'number') output(`Score: ${memory.score.toFixed(2)}`);
+                output(`Tags: ${memory.tags?.length ? memory.tags.join(', ') : 'none'}`);
+                if (memory.embeddingModel) output(`Embedding: ${memory.embeddingModel} (${memory.embedding?.length || 0} dimensions)`);
+                output('Content:');
+                output(String(memory.content || ''));
+                const { embedding, ...shown } = memory;
+                return { success: true, memory: shown, keepDisabled: false };
+            }
+            case 'add': {
+                const memory = await memoryManager.addMemory(text, { tags: flags.tags ? parseTags(flags.tags) : [] });
+                output(`Remembered as ${memory.id}.`);
+                return { success: true, id: memory.id, keepDisabled: false };
+            }
+            case 'delete': {
+                if (!await memoryManager.deleteMemory(id)) return notFound();
+                output(`Forgot memory ${id}.`);
+                return { success: true, keepDisabled: false };
+            }
+            case 'pin':
+            case 'unpin': {
+                const memory = await memoryManager.pinMemory(id, action === 'pin');
+                if (!memory) return notFound();
+                output(action === 'pin' ? `Pinned memory ${id}; it will be kept as a long-term memory.` : `Unpinned memory ${id}.`);
+                return { success: true, keepDisabled: false };
+            }
+            case 'tag': {
+                const memory = await memoryManager.tagMemory(id, parseTags(args.slice(1)), { replace: !!flags.replace });
+                if (!memory) return notFound();
+                output(`Tags for ${id}: ${memory.tags.length ? memory.tags.join(', ') : 'none'}`);
+                return { success: true, tags: memory.tags, keepDisabled: false };
+            }
+        }
+    } catch (err) {
+        error(`Memory command failed: ${err.message}`);
+        return { success: false, error: err.message, handled: true, keepDisabled: false };
     }
-  } catch (error) {
-    const errorResult = handleCliError(
-      error,
-      ErrorTypes.UNKNOWN,
-      { command: `memory ${action}` },
-      errorFn
-    );
-     if (wsOutput) wsOutput({ type: 'output', data: '', keepDisabled: false });
-    return { ...errorResult, handled: true };
-  }
 }
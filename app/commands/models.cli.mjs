@@ -0,0 +1,125 @@
+import { userManager } from '../features/auth/user-manager.mjs';
+import { output as outputManagerInstance } from '../utils/research.output-manager.mjs';
+import { getModelCatalog } from '../infrastructure/ai/llm.model-catalog.mjs';
+import { getLLMProviderDefinition, getDefaultLLMProviderName, listLLMProviders } from '../infrastructure/ai/llm.providers.mjs';
+
+/**
+ * Provides help text for the /models command.
+ * @returns {string} Help text.
+ */
+export function getModelsHelpText() {
+    return `/models [filter] [--provider=<name>] [--refresh] - List the models your LLM provider offers, with context window and traits.
+    The list is fetched from the provider and cached for an hour; --refresh fetches it again.
+    Falls back to the built-in Venice table when the provider can't be reached. Pick a model with -m, e.g. /chat --m=<model>.`;
+}
+
+/**
+ * Builds createLLMClient() config for a provider from the user's stored /keys credential.
+ * Without a password (or for the public user) only the provider name is returned, so clients fall back
+ * to environment variables.
+ * @param {object} params
+ * @param {string} params.provider - Registered LLM provider name.
+ * @param {string} [params.username]
+ * @param {string} [params.password] - Needed to decrypt the credential.
+ * @returns {Promise<object>} { provider, ...credential config }
+ * @throws {Error} If the stored credential can't be parsed.
+ */
+export async function resolveUserLLMConfig({ provider, username, password }) {
+    const definition = getLLMProviderDefinition(provider);
+    if (!definition || !username || username === 'public' || !password) return { provider };
+    if (!await userManager.hasApiKey(definition.name, username)) return { provider };
+    const credential = await userManager.getApiKey({ username, password, service: definition.name });
+    return { provider, ...definition.fromCredential(credential) };
+}
+
+/**
+ * Checks a model requested with -m against the provider's model catalog.
+ * @param {object} llmConfig - createLLMClient() config, see resolveUserLLMConfig().
+ * @param {string} model - Requested model id.
+ * @returns {Promise<{valid: boolean, model: string, message?: string}>} `model` is the catalog's spelling of the id.
+ */
+export async function validateRequestedModel(llmConfig, model) {
+    const result = await getModelCatalog().validateModel(llmConfig, model);
+    if (result.valid) return { valid: true, model: result.model?.id || model };
+    const hint = result.suggestions.length > 0 ? ` Did you mean: ${result.suggestions.join(', ')}?` : '';
+    return {
+        valid: false,
+        model,
+        message: `Model '${model}' is not offered by ${result.catalog.provider}.${hint} Run /models --provider=${result.catalog.provider} to list available models.`
+    };
+}
+
+/**
+ * Formats a context window size, e.g. 131072 -> '128k'.
+ * @param {number|null} tokens
+ * @returns {string}
+ */
+function formatContext(tokens) {
+    if (!tokens) return '?';
+    return tokens >= 1024 ? `${Math.round(tokens / 1024)}k` : String(tokens);
+}
+
+/**
+ * CLI command for listing the models of an LLM provider.
+ * @param {Object} options - Command options.
+ * @param {string[]} [options.positionalArgs] - Optional filter: only ids containing this text are listed.
+ * @param {Object} [options.flags] - `--provider=<name>` and `--refresh`.
+ * @param {string} [options.password] - Password to decrypt stored provider credentials.
+ * @param {object} [options.currentUser] - User data object if authenticated.
+ * @param {object} [options.session] - WebSocket session object.
+ * @param {Function} [options.output] - Output function.
+ * @param {Function} [options.error] - Error function.
+ * @returns {Promise<Object>} Command result.
+ */
+export async function executeModels(options = {}) {
+    const { positionalArgs = [], flags = {}, password, session } = options;
+    const output = typeof options.output === 'function' ? options.output : outputManagerInstance.log.bind(outputManagerInstance);
+    const error = typeof options.error === 'function' ? options.error : outputManagerInstance.error.bind(outputManagerInstance);
+
+    const username = options.currentUser?.username || session?.username;
+    const provider = String((typeof flags.provider === 'string' && flags.provider)
+        || session?.llmProvider
+        || (username ? await userManager.getLLMProvider(username) : null)
+        || getDefaultLLMProviderName()).toLowerCase();
+    if (!getLLMProviderDefinition(provider)) {
+        const available = listLLMProviders().map(p => p.name).join(', ');
+        error(`Unknown LLM provider '${provider}'. Available providers: ${available}.`);
+        return { success: false, error: `Unknown LLM provider '${provider}'`, handled: true, keepDisabled: false };
+    }
+
+    let llmConfig;
+    try {
+        llmConfig = await resolveUserLLMConfig({ provider, username, password });
+    } catch (credentialError) {
+        error(`Could not read your ${provider} credentials (${credentialError.message}). Listing models without them.`);
+        llmConfig = { provider };
+    }
+
+    let catalog;
+    try {
+        catalog = await getModelCatalog().getModels(llmConfig, { refresh: !!flags.refresh });
+    } catch (catalogError) {
+        error(`Failed to list models: ${catalogError.message}`);
+        return { success: false, error: catalogError.message, handled: true, keepDisabled: false };
+    }
+
+    const filter = positionalArgs.join(' ').trim().toLowerCase();
+    const models = filter ? catalog.models.filter(m => m.id.toLowerCase().includes(filter)) : catalog.models;
+
+    if (catalog.source === 'static') {
+        output(`Could not fetch the live model list from ${provider} (${catalog.error}).`);
+        if (catalog.models.length === 0) {
+            output(`No built-in model list exists for ${provider}. Check the server with /keys check, or pass the model id directly with -m.`);
+            return { success: true, keepDisabled: false };
+        }
+        output('Showing the built-in model table instead; it may be out of date.');
+    }
+
+    output(`Models for ${provider}${filter ? ` matching '${filter}'` : ''} (${models.length} of ${catalog.models.length}, ${catalog.source === 'live' ? `fetched ${new Date(catalog.fetchedAt).toLocaleTimeString()}` : 'built-in'}):`);
+    const idWidth = Math.max(0, ...models.map(m => m.id.length));
+    for (const model of models) {
+        const traits = model.traits.length > 0 ? `  ${model.traits.join(', ')}` : '';
+        output(`  ${model.id.padEnd(idWidth)}  ${formatContext(model.availableContextTokens).padStart(5)} ctx${traits}`);
+    }
+    return { success: true, keepDisabled: false };
+}
@@ -0,0 +1,160 @@
+import { userManager } from '../features/auth/user-manager.mjs';
+import { output as outputManagerInstance } from '../utils/research.output-manager.mjs';
+import { singlePrompt } from '../utils/research.prompt.mjs';
+import { getDefaultLLMProviderName } from '../infrastructure/ai/llm.providers.mjs';
+import { listPersonas, resolvePersona, validatePersona, personaSlug } from '../infrastructure/ai/llm.personas.mjs';
+import { resolveUserLLMConfig, validateRequestedModel } from './models.cli.mjs';
+
+const PROMPT_TIMEOUT_MS = 5 * 60 * 1000;
+const PREVIEW_LENGTH = 60;
+
+/**
+ * Provides help text for the /persona command.
+ * @returns {string} Help text.
+ */
+export function getPersonaHelpText() {
+    return `/persona list - List the built-in characters (archon, bitcore, metacore) and your personas.
+/persona create <name> --prompt="<system prompt>" [--m=<model>] [--temperature=<0-2>] [--description="<text>"]
+    Create or replace a persona. Without --prompt you are asked for it. --m must be listed by /models.
+/persona use <name> - Make a persona the default for /chat and /research (--c=<persona> overrides it per session). 'none' for no persona.
+/persona delete <name> - Delete one of your personas.`;
+}
+
+/**
+ * Short description of a persona for /persona list.
+ * @param {object} persona
+ * @returns {string}
+ */
+function describePersona(persona) {
+    const settings = [persona.model && `model ${persona.model}`, persona.temperature != null && `temperature ${persona.temperature}`].filter(Boolean);
+    const text = persona.description || persona.systemPrompt || '';
+    const preview = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 3)}...` : text;
+    return `${persona.name} [${persona.builtIn ? 'built-in' : 'custom'}]${settings.length ? ` (${settings.join(', ')})` : ''}${preview ? ` - ${preview}` : ''}`;
+}
+
+/**
+ * CLI command for managing chat/research personas.
+ * @param {Object} options - Command options.
+ * @param {string[]} [options.positionalArgs] - Action (list|create|use|delete) and persona name.
+ * @param {Object} [options.flags] - For create: `--prompt`, `--m`, `--temperature`, `--description`.
+ * @param {string} [options.password] - Password to decrypt provider credentials when checking --m.
+ * @param {object} [options.currentUser] - User data object if authenticated.
+ * @param {object} [options.session] - WebSocket session object; /persona use also applies to it.
+ * @param {boolean} [options.isWebSocket] - Whether the command runs over WebSocket.
+ * @param {WebSocket} [options.webSocketClient] - WebSocket client, for wsPrompt.
+ * @param {Function} [options.wsPrompt] - Prompt function for WebSocket input.
+ * @param {Function} [options.output] - Output function.
+ * @param {Function} [options.error] - Error function.
+ * @returns {Promise<Object>} Command result.
+ */
+export async function executePersona(options = {}) {
+    const { positionalArgs = [], flags = {}, password, session, isWebSocket, webSocketClient, wsPrompt } = options;
+    const output = typeof options.output === 'function' ? options.output : outputManagerInstance.log.bind(outputManagerInstance);
+    const error = typeof options.error === 'function' ? options.error : outputManagerInstance.error.bind(outputManagerInstance);
+
+    const [action = 'list', ...nameArgs] = positionalArgs;
+    const name = nameArgs.join(' ').trim();
+    const username = options.currentUser?.username || session?.username;
+    if (!username || username === 'public') {
+        error('Personas are stored with your profile. Please /login first.');
+        return { success: false, error: 'Login required', handled: true, keepDisabled: false };
+    }
+
+    try {
+        const personas = await userManager.getPersonas(username);
+
+        if (action === 'list') {
+            const defaultSlug = personaSlug(await userManager.getDefaultPersona(username));
+            const currentSlug = session?.sessionPersona?.slug;
+            output('Personas (* = your default, > = this session):');
+            for (const persona of listPersonas(personas)) {
+                const marker = `${persona.slug === defaultSlug ? '*' : ' '}${persona.slug === currentSlug ? '>' : ' '}`;
+                output(`${marker} ${describePersona(persona)}`);
+            }
+            if (defaultSlug === 'none') output('Default: none (no persona).');
+            return { success: true, keepDisabled: false };
+        }
+
+        if (!['create', 'use', 'delete'].includes(action)) {
+            error(`Unknown action '${action}'. Use list, create, use or delete.`);
+            return { success: false, error: 'Unknown action', handled: true, keepDisabled: false };
+        }
+        if (!name) {
+            error(`Usage: /persona ${action} <name>`);
+            return { success: false, error: 'Missing persona name', handled: true, keepDisabled: false };
+        }
+
+        if (action === 'create') {
+            let systemPrompt = typeof flags.prompt === 'string' ? flags.prompt : '';
+            if (!systemPrompt.trim()) {
+                const message = `System prompt for ${name} (one line, \\n for line breaks): `;
+                if (isWebSocket) {
+                    if (!wsPrompt || !webSocketClient) throw new Error('Interactive input is not available. Pass --prompt="...".');
+                    systemPrompt = await wsPrompt(webSocketClient, session, message, PROMPT_TIMEOUT_MS);
+                } else {
+                    systemPrompt = await singlePrompt(message);
+                }
+            }
+            const check = validatePersona({
+                name,
+                systemPrompt: String(systemPrompt || '').replace(/\\n/g, '\n'),
+                model: typeof flags.m === 'string' ? flags.m : undefined,
+                temperature: flags.temperature,
+                description: typeof flags.description === 'string' ? flags.description : undefined
+            });
+            if (!check.valid) {
+                error(check.error);
+                return { success: false, error: check.error, handled: true, keepDisabled: false };
+            }
+            const persona = check.persona;
+            if (persona.model) {
+                const provider = session?.llmProvider || await userManager.getLLMProvider(username) || getDefaultLLMProviderName();
+                const modelCheck = await validateRequestedModel(await resolveUserLLMConfig({ provider, username, password }), persona.model);
+                if (!modelCheck.valid) {
+                    error(modelCheck.message);
+                    return { success: false, error: `Unknown model '${persona.model}'`, handled: true, keepDisabled: false };
+                }
+                persona.model = modelCheck.model;
+            }
+            const replaced = !!personas[persona.slug];
+            await userManager.savePersona(username, { ...persona, createdAt: personas[persona.slug]?.createdAt || new Date().toISOString() });
+            output(`Persona '${persona.name}' ${replaced ? 'updated' : 'created'}. Use it with /chat --c=${persona.slug} or make it your default with /persona use ${persona.slug}.`);
+            return { success: true, keepDisabled: false };
+        }
+
+        if (action === 'use') {
+            const persona = resolvePersona(name, personas);
+            if (!persona && personaSlug(name) !== 'none') {
+                error(`Unknown persona '${name}'. Run /persona list to see the available personas.`);
+                return { success: false, error: `Unknown persona '${name}'`, handled: true, keepDisabled: false };
+            }
+            await userManager.setDefaultPersona(username, persona ? persona.slug : 'None');
+            if (session) {
+                session.sessionCharacter = persona ? persona.slug : 'None';
+                session.sessionPersona = persona;
+            }
+            output(persona ? `Now using persona '${persona.name}' for /chat and /research.` : 'Now chatting and researching without a persona.');
+            return { success: true, keepDisabled: false };
+        }
+
+        // delete
+        const slug = personaSlug(name);
+        if (resolvePersona(slug)) {
+            error(`'${slug}' is a built-in character and cannot be deleted.`);
+            return { success: false, error: 'Built-in persona', handled: true, keepDisabled: false };
+        }
+        if (!await userManager.deletePersona(username, slug)) {
+            error(`You have no persona named '${name}'.`);
+            return { success: false, error: `Unknown persona '${name}'`, handled: true, keepDisabled: false };
+        }
+        if (session?.sessionPersona?.slug === slug) {
+            session.sessionCharacter = null;
+            session.sessionPersona = null;
+        }
+        output(`Persona '${name}' deleted.`);
+        return { success: true, keepDisabled: false };
+    } catch (err) {
+        error(`Persona command failed: ${err.message}`);
+        return { success: false, error: err.message, handled: true, keepDisabled: false };
+    }
+}
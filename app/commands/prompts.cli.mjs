@@ -0,0 +1,161 @@
+import { userManager } from '../features/auth/user-manager.mjs';
+import { output as outputManagerInstance } from '../utils/research.output-manager.mjs';
+import { singlePrompt } from '../utils/research.prompt.mjs';
+import {
+    listPromptTemplates,
+    getPromptTemplateDefinition,
+    resolvePromptTemplate,
+    validatePromptTemplate
+} from '../infrastructure/prompts/prompt.templates.mjs';
+
+const PROMPT_TIMEOUT_MS = 5 * 60 * 1000; // Writing a template takes longer than answering y/n
+
+/**
+ * Provides help text for the /prompts command.
+ * @returns {string} Help text.
+ */
+export function getPromptsHelpText() {
+    return `/prompts list - List the prompt templates used by /research and /chat, marking the ones you customized.
+/prompts show <id> - Show the template text in use, its variables and whether it is the default.
+/prompts edit <id> [text] [--text=<text>] - Replace a template. Without text you are asked for it; write \\n for a line break.
+    Variables use the {{name}} syntax, e.g. {{query}}; see /prompts show <id> for the ones a template receives.
+/prompts reset <id> | --all - Go back to the built-in default.
+    --user=<name>: Manage another user's templates (Admin only).`;
+}
+
+/**
+ * Turns '\n' and '\t' typed on the single-line prompt into real line breaks and tabs.
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeTemplateText(text) {
+    return text.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+}
+
+/**
+ * CLI command for viewing and editing the user's prompt templates.
+ * @param {Object} options - Command options.
+ * @param {string[]} [options.positionalArgs] - Action (list|show|edit|reset), template id and, for edit, the text.
+ * @param {Object} [options.flags] - `--text=<text>`, `--all` (reset) and `--user=<name>` (admin).
+ * @param {object} [options.currentUser] - User data object if authenticated.
+ * @param {object} [options.requestingUser] - User data object of the user making the request.
+ * @param {object} [options.session] - WebSocket session object.
+ * @param {boolean} [options.isWebSocket] - Whether the command runs over WebSocket.
+ * @param {WebSocket} [options.webSocketClient] - WebSocket client, for wsPrompt.
+ * @param {Function} [options.wsPrompt] - Prompt function for WebSocket input.
+ * @param {Function} [options.output] - Output function.
+ * @param {Function} [options.error] - Error function.
+ * @returns {Promise<Object>} Command result.
+ */
+export async function executePrompts(options = {}) {
+    const { positionalArgs = [], flags = {}, session, isWebSocket, webSocketClient, wsPrompt } = options;
+    const output = typeof options.output === 'function' ? options.output : outputManagerInstance.log.bind(outputManagerInstance);
+    const error = typeof options.error === 'function' ? options.error : outputManagerInstance.error.bind(outputManagerInstance);
+    const requestingUser = options.requestingUser || options.currentUser || session?.currentUser;
+
+    const [action = 'list', id, ...textArgs] = positionalArgs;
+    let username = options.currentUser?.username || session?.username;
+    if (typeof flags.user === 'string') {
+        if (!requestingUser || requestingUser.role !== 'admin') {
+            error('Error: Only administrators can manage other users\' prompt templates.');
+            return { success: false, error: 'Permission denied', handled: true, keepDisabled: false };
+        }
+        username = flags.user;
+    }
+    if (!username || username === 'public') {
+        error('Prompt templates are stored with your profile. Please /login first.');
+        return { success: false, error: 'Login required', handled: true, keepDisabled: false };
+    }
+
+    let overrides;
+    try {
+        overrides = await userManager.getPromptTemplates(username);
+    } catch (err) {
+        error(`Error loading prompt templates: ${err.message}`);
+        return { success: false, error: err.message, handled: true, keepDisabled: false };
+    }
+
+    if (action === 'list') {
+        output(`Prompt templates for ${username}:`);
+        for (const template of listPromptTemplates()) {
+            const variables = template.variables.length ? template.variables.map(name => `{{${name}}}`).join(', ') : 'none';
+            output(`  ${template.id} [${overrides[template.id] ? 'custom' : 'default'}] - ${template.description}`);
+            output(`      variables: ${variables}`);
+        }
+        return { success: true, keepDisabled: false };
+    }
+
+    if (!['show', 'edit', 'reset'].includes(action)) {
+        error(`Unknown action '${action}'. Use list, show, edit or reset.`);
+        return { success: false, error: 'Unknown action', handled: true, keepDisabled: false };
+    }
+    if (action === 'reset' && flags.all) {
+        const customized = Object.keys(overrides);
+        for (const templateId of customized) {
+            await userManager.setPromptTemplate(username, templateId, null);
+        }
+        output(customized.length ? `Reset ${customized.length} prompt template(s) to the defaults.` : 'No customized prompt templates to reset.');
+        return { success: true, keepDisabled: false };
+    }
+    const definition = id ? getPromptTemplateDefinition(id) : null;
+    if (!definition) {
+        error(id ? `Unknown prompt template '${id}'. Run /prompts list to see the available ids.` : `Usage: /prompts ${action} <id>`);
+        return { success: false, error: 'Unknown template', handled: true, keepDisabled: false };
+    }
+
+    if (action === 'show') {
+        output(`${id} [${overrides[id] ? 'custom' : 'default'}] - ${definition.description}`);
+        output(`Variables: ${definition.variables.length ? definition.variables.map(name => `{{${name}}}`).join(', ') : 'none'}`);
+        output('---');
+        output(resolvePromptTemplate(id, overrides));
+        return { success: true, keepDisabled: false };
+    }
+
+    if (action === 'reset') {
+        if (!overrides[id]) {
+            output(`${id} already uses the default template.`);
+            return { success: true, keepDisabled: false };
+        }
+        await userManager.setPromptTemplate(username, id, null);
+        output(`${id} reset to the default template.`);
+        return { success: true, keepDisabled: false };
+    }
+
+    // edit
+    let text = typeof flags.text === 'string' ? flags.text : textArgs.join(' ');
+    if (!text.trim()) {
+        try {
+            const message = `New template for ${id} (one line, \\n for line breaks): `;
+            if (isWebSocket) {
+                if (!wsPrompt || !webSocketClient) throw new Error('Interactive input is not available.');
+                text = await wsPrompt(webSocketClient, session, message, PROMPT_TIMEOUT_MS);
+            } else {
+                text = await singlePrompt(message);
+            }
+        } catch (promptError) {
+            error(`Template edit cancelled: ${promptError.message}`);
+            return { success: false, error: promptError.message, handled: true, keepDisabled: false };
+        }
+    }
+    text = unescapeTemplateText(text || '');
+
+    const check = validatePromptTemplate(id, text);
+    if (!check.valid) {
+        error(check.error);
+        return { success: false, error: check.error, handled: true, keepDisabled: false };
+    }
+    try {
+        await userManager.setPromptTemplate(username, id, text);
+    } catch (err) {
+        error(`Error saving prompt template: ${err.message}`);
+        return { success: false, error: err.message, handled: true, keepDisabled: false };
+    }
+    output(`${id} updated (${text.length} characters).`);
+    if (check.unknownVariables.length) {
+        output(`Warning: ${check.unknownVariables.map(name => `{{${name}}}`).join(', ')} ${check.unknownVariables.length === 1 ? 'is' : 'are'} not provided to this template and will render empty.`);
+    }
+    if (check.unusedVariables.length) {
+        output(`Note: the template does not use ${check.unusedVariables.map(name => `{{${name}}}`).join(', ')}.`);
+    }
+    return { success: true, keepDisabled: false };
+}
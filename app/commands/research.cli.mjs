@@ -25,6 +25,15 @@ import { cleanQuery } from '../utils/research.clean-query.mjs';
 import { output } from '../utils/research.output-manager.mjs'; // Use the output manager
 import { singlePrompt } from '../utils/research.prompt.mjs'; // For CLI prompts
 import { saveToFile } from '../utils/research.file-utils.mjs'; // For saving results
+import { startResearchRun, finishResearchRun } from './cancel.cli.mjs';
+import { ResearchCheckpoint } from '../infrastructure/research/research.checkpoint.mjs';
+import { getSearchProviderDefinition, listSearchProviders } from '../infrastructure/search/search.providers.mjs';
+import { resolveCorpusPath } from '../infrastructure/search/search.local-corpus.mjs';
+import { LLM_CACHE_MODES } from '../infrastructure/ai/venice.response-cache.mjs';
+import { getLLMProviderDefinition, getDefaultLLMProviderName, listLLMProviders } from '../infrastructure/ai/llm.providers.mjs';
+import { validateRequestedModel } from './models.cli.mjs';
+import { getUsageMeter } from '../infrastructure/usage/usage.meter.mjs';
+import { resolvePersona, personaSlug } from '../infrastructure/ai/llm.personas.mjs';
 
 // --- Remove freshUserManager import ---
 // import { userManager as freshUserManager } from '../features/auth/user-manager.mjs';
@@ -39,11 +48,17 @@ const POST_RESEARCH_PROMPT_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes for post-res
  * CLI command for executing research.
  * @param {Object} options - Command options including positionalArgs, flags, session, output/error handlers.
  * @param {string} [options.action='run'] - The subcommand (should always be 'run' now).
- * @param {string[]} options.positionalArgs - Positional arguments (query parts).
+ * @param {string[]} options.positionalArgs - Positional arguments (query parts, or ['resume', <runId>] to continue a checkpointed run).
  * @param {string} [options.query] - Query string (for 'run' action).
  * @param {number} options.depth - Research depth (for 'run' action).
  * @param {number} options.breadth - Research breadth (for 'run' action).
+ * @param {number} [options.concurrency=3] - Max query nodes researched in parallel.
+ * @param {boolean} [options.fetchContent=false] - Download and read full result pages instead of using search snippets only.
+ * @param {string} [options.llmProvider] - LLM provider (--llm-provider); defaults to the user's /keys provider choice.
+ * @param {string} [options.model] - Research model; applied when chosen with -m, after checking the provider's model catalog.
  * @param {boolean} options.classify - Use token classification (for 'run' action).
+ * @param {Object} [options.flags] - Raw flags; `--json` prints the JSON research tree instead of markdown in CLI mode,
+ *   `--c=<persona>` picks a persona (llm.personas.mjs) for this run.
  * @param {boolean} options.verbose - Enable verbose logging.
  * @param {string} [options.password] - Password provided via args/payload/cache/prompt.
  * @param {boolean} [options.isWebSocket=false] - Indicates if called via WebSocket.
@@ -72,9 +87,15 @@ export async function executeResearch(options = {}) {
 
     const {
         positionalArgs = [],
+        flags = {},
         query: queryFromOptions,
         depth = 2,
         breadth = 3,
+        concurrency = 3,
+        fetchContent = false,
+        provider,
+        llmProvider,
+        source,
         classify = false,
         verbose = false,
         password, // This is the password passed in options (from cache, payload, or prompt)
@@ -196,19 +217,105 @@ export async function executeResearch(options = {}) {
         // ===========================
         // Condition 'action === run' removed as it's the only path
 
+        // --- LLM Response Cache Mode ---
+        const llmCacheMode = typeof flags['llm-cache'] === 'string' ? flags['llm-cache'].toLowerCase() : undefined;
+        if (llmCacheMode && !LLM_CACHE_MODES.includes(llmCacheMode)) {
+            effectiveError(`Invalid --llm-cache mode '${flags['llm-cache']}'. Valid modes: ${LLM_CACHE_MODES.join(', ')}.`);
+            return { success: false, error: `Invalid LLM cache mode '${flags['llm-cache']}'`, handled: true, keepDisabled: false };
+        }
+
+        // --- Resume a checkpointed run: /research resume <runId> ---
+        let resumeCheckpoint = null;
+        if (positionalArgs[0] === 'resume') {
+            const runId = positionalArgs[1];
+            if (!runId) {
+                effectiveError('Usage: /research resume <runId>');
+                return { success: false, error: 'Run ID required', handled: true, keepDisabled: false };
+            }
+            try {
+                resumeCheckpoint = await ResearchCheckpoint.load(currentUsername, runId);
+            } catch (loadError) {
+                effectiveError(`Cannot resume research: ${loadError.message}`);
+                return { success: false, error: loadError.message, handled: true, keepDisabled: false };
+            }
+            researchQuery = resumeCheckpoint.query?.original;
+            effectiveOutput(`Resuming research run ${runId}: "${researchQuery}" (Depth: ${resumeCheckpoint.depth}, Breadth: ${resumeCheckpoint.breadth}, last status: ${resumeCheckpoint.status}).`);
+        }
+        // A resumed run keeps the providers, model and persona it started with, so one tree never mixes backends
+        const runSettings = resumeCheckpoint?.settings || null;
+        if (runSettings) {
+            const ignored = ['provider', 'llm-provider', 'source', 'fetch-content', 'm', 'c'].filter(flag => flags[flag] !== undefined);
+            if (ignored.length > 0) {
+                effectiveOutput(`Ignoring ${ignored.map(flag => `--${flag}`).join(', ')}: a resumed run keeps its original settings.`);
+            }
+            const details = [
+                `search: ${runSettings.searchProvider}${runSettings.source !== 'web' ? ` (${runSettings.source})` : ''}`,
+                `LLM: ${runSettings.llmProvider || 'default'}${runSettings.model ? `/${runSettings.model}` : ''}`,
+                `persona: ${runSettings.persona || 'none'}`,
+                runSettings.fetchContent ? 'fetching full pages' : null
+            ].filter(Boolean);
+            effectiveOutput(`Resumed run settings: ${details.join(', ')}.`);
+        }
+
+        // --- Search Provider Selection ---
+        // --source=local:<path> researches a local document folder instead of the web
+        const requestedSource = runSettings ? runSettings.source : (source ?? flags.source);
+        const researchSource = typeof requestedSource === 'string' ? requestedSource.trim() : 'web';
+        let localCorpusPath = null;
+        if (researchSource.toLowerCase().startsWith('local:')) {
+            // Over the web UI the corpus must sit under MCP_LOCAL_CORPUS_ROOT unless the user is an admin
+            const corpusRoot = process.env.MCP_LOCAL_CORPUS_ROOT;
+            if (isWebSocket && !corpusRoot && currentUserRole !== 'admin') {
+                effectiveError('Local corpus research from the web terminal requires the server to set MCP_LOCAL_CORPUS_ROOT.');
+                return { success: false, error: 'Local corpus root not configured', handled: true, keepDisabled: false };
+            }
+            try {
+                localCorpusPath = resolveCorpusPath(researchSource.slice('local:'.length), { root: corpusRoot });
+            } catch (pathError) {
+                effectiveError(pathError.message);
+                return { success: false, error: pathError.message, handled: true, keepDisabled: false };
+            }
+        } else if (researchSource.toLowerCase() !== 'web') {
+            effectiveError(`Unknown research source '${researchSource}'. Use --source=web (default) or --source=local:<path>.`);
+            return { success: false, error: `Unknown research source '${researchSource}'`, handled: true, keepDisabled: false };
+        }
+        const providerName = localCorpusPath ? 'local' : String(runSettings?.searchProvider || provider || flags.provider || 'brave').toLowerCase();
+        if (providerName === 'local' && !localCorpusPath) {
+            effectiveError('The local provider needs a folder: use --source=local:<path>.');
+            return { success: false, error: 'Missing local corpus path', handled: true, keepDisabled: false };
+        }
+        const providerDefinition = getSearchProviderDefinition(providerName);
+        if (!providerDefinition) {
+            const available = listSearchProviders().map(p => p.name).join(', ');
+            effectiveError(`Unknown search provider '${providerName}'. Available providers: ${available}.`);
+            return { success: false, error: `Unknown search provider '${providerName}'`, handled: true, keepDisabled: false };
+        }
+
+        // --- LLM Provider Selection ---
+        // --provider picks the search backend here, so the LLM provider has its own flag
+        const llmProviderName = String(runSettings?.llmProvider || llmProvider || flags['llm-provider'] || await userManager.getLLMProvider(currentUsername) || getDefaultLLMProviderName()).toLowerCase();
+        const llmProviderDefinition = getLLMProviderDefinition(llmProviderName);
+        if (!llmProviderDefinition) {
+            const available = listLLMProviders().map(p => p.name).join(', ');
+            effectiveError(`Unknown LLM provider '${llmProviderName}'. Available providers: ${available}.`);
+            return { success: false, error: `Unknown LLM provider '${llmProviderName}'`, handled: true, keepDisabled: false };
+        }
+        const usesVenice = llmProviderName === 'venice';
+
         // --- API Key Check (for 'run' action) ---
-        const hasBraveKey = await userManager.hasApiKey('brave', currentUsername);
+        const hasSearchCredentials = !providerDefinition.requiresCredentials || await userManager.hasApiKey(providerName, currentUsername);
         const hasVeniceKey = await userManager.hasApiKey('venice', currentUsername);
-        if (!hasBraveKey || !hasVeniceKey) {
+        const hasLLMCredentials = usesVenice ? hasVeniceKey : await userManager.hasApiKey(llmProviderName, currentUsername);
+        if (!hasSearchCredentials || (llmProviderDefinition.requiresCredentials && !hasLLMCredentials)) {
             let missingKeys = [];
-            if (!hasBraveKey) missingKeys.push('Brave');
-            if (!hasVeniceKey) missingKeys.push('Venice');
+            if (!hasSearchCredentials) missingKeys.push(providerName === 'brave' ? 'Brave' : `${providerName} (search provider)`);
+            if (llmProviderDefinition.requiresCredentials && !hasLLMCredentials) missingKeys.push(usesVenice ? 'Venice' : `${llmProviderName} (LLM provider)`);
             effectiveError(`Missing API key(s) required for research: ${missingKeys.join(', ')}. Use /keys set to configure.`);
             return { success: false, error: `Missing API key(s): ${missingKeys.join(', ')}`, handled: true, keepDisabled: false };
         }
 
         // --- Get API Keys (Requires Password - already handled above) ---
-        let braveKey, veniceKey;
+        let searchCredential = null, veniceKey = null, llmCredential = null;
          if (!userPassword) {
              // This should not happen due to the check/prompt above
              effectiveError('Internal Error: Password missing after check.');
@@ -217,18 +324,28 @@ export async function executeResearch(options = {}) {
         try {
             effectiveDebug(`[executeResearch] Attempting to get API keys for ${currentUsername}...`);
             // Use the userPassword obtained above (from options or prompt)
-            const braveOptions = { username: currentUser.username, password: userPassword, service: 'brave' };
             const veniceOptions = { username: currentUser.username, password: userPassword, service: 'venice' };
 
-            effectiveDebug(`[executeResearch] PRE-CALL 1 (Brave) - Options:`, { ...braveOptions, password: braveOptions.password ? '******' : 'MISSING' });
-            braveKey = await userManager.getApiKey(braveOptions);
-            effectiveDebug(`[executeResearch] POST-CALL 1 (Brave) - Brave Key: ${braveKey ? '******' : 'NULL/EMPTY'}`);
+            if (providerDefinition.requiresCredentials) {
+                const searchOptions = { username: currentUser.username, password: userPassword, service: providerName };
+                effectiveDebug(`[executeResearch] PRE-CALL 1 (${providerName}) - Options:`, { ...searchOptions, password: searchOptions.password ? '******' : 'MISSING' });
+                searchCredential = await userManager.getApiKey(searchOptions);
+                effectiveDebug(`[executeResearch] POST-CALL 1 (${providerName}) - Credential: ${searchCredential ? '******' : 'NULL/EMPTY'}`);
+            }
 
-            effectiveDebug(`[executeResearch] PRE-CALL 2 (Venice) - Options:`, { ...veniceOptions, password: veniceOptions.password ? '******' : 'MISSING' });
-            veniceKey = await userManager.getApiKey(veniceOptions);
-            effectiveDebug(`[executeResearch] POST-CALL 2 (Venice) - Venice Key: ${veniceKey ? '******' : 'NULL/EMPTY'}`); // Restored debug log
+            // The Venice key also powers the token classifier, so fetch it whenever it is stored
+            if (hasVeniceKey) {
+                effectiveDebug(`[executeResearch] PRE-CALL 2 (Venice) - Options:`, { ...veniceOptions, password: veniceOptions.password ? '******' : 'MISSING' });
+                veniceKey = await userManager.getApiKey(veniceOptions);
+                effectiveDebug(`[executeResearch] POST-CALL 2 (Venice) - Venice Key: ${veniceKey ? '******' : 'NULL/EMPTY'}`); // Restored debug log
+            }
+            if (!usesVenice && hasLLMCredentials) {
+                llmCredential = await userManager.getApiKey({ ...veniceOptions, service: llmProviderName });
+                effectiveDebug(`[executeResearch] POST-CALL 3 (${llmProviderName}) - Credential: ${llmCredential ? '******' : 'NULL/EMPTY'}`);
+            }
 
-            if (!braveKey || !veniceKey) throw new Error('Failed to retrieve one or more required API keys.');
+            const llmCredentialMissing = llmProviderDefinition.requiresCredentials && !(usesVenice ? veniceKey : llmCredential);
+            if ((providerDefinition.requiresCredentials && !searchCredential) || llmCredentialMissing) throw new Error('Failed to retrieve one or more required API keys.');
              // Re-cache password on success if WebSocket (already done during prompt, but good to ensure)
             if (isWebSocket && session && !session.password) session.password = userPassword;
             effectiveDebug(`[executeResearch] API keys successfully decrypted.`);
@@ -256,13 +373,76 @@ export async function executeResearch(options = {}) {
             }
         }
 
+        // --- Persona ---
+        // --c picks one for this run; otherwise the chat session's persona or the user's /persona use choice
+        const personaName = runSettings
+            ? runSettings.persona
+            : typeof flags.c === 'string'
+                ? flags.c
+                : (session?.sessionPersona?.slug || await userManager.getDefaultPersona(currentUsername));
+        const persona = personaName ? resolvePersona(personaName, await userManager.getPersonas(currentUsername)) : null;
+        if (personaName && !persona && personaSlug(personaName) !== 'none') {
+            effectiveError(`Unknown persona '${personaName}'. Run /persona list to see the available personas.`);
+            return { success: false, error: `Unknown persona '${personaName}'`, handled: true, keepDisabled: false };
+        }
+
+        // --- Provider Settings ---
+        // Checked before the quota is charged, so a bad setting doesn't use up a run
+        let searchProviderOptions;
+        try {
+            searchProviderOptions = providerDefinition.fromCredential(searchCredential);
+            if (localCorpusPath) searchProviderOptions.path = localCorpusPath;
+        } catch (configError) {
+            effectiveError(`Stored configuration for search provider '${providerName}' is invalid (${configError.message}). Re-run /keys set ${providerName}.`);
+            return { success: false, error: `Invalid ${providerName} configuration`, handled: true, keepDisabled: false };
+        }
+        let llmProviderOptions = {};
+        if (!usesVenice) {
+            try {
+                llmProviderOptions = llmProviderDefinition.fromCredential(llmCredential);
+            } catch (configError) {
+                effectiveError(`Stored configuration for LLM provider '${llmProviderName}' is invalid (${configError.message}). Re-run /keys set ${llmProviderName}.`);
+                return { success: false, error: `Invalid ${llmProviderName} configuration`, handled: true, keepDisabled: false };
+            }
+        }
+        if (runSettings?.model) {
+            llmProviderOptions = { ...llmProviderOptions, model: runSettings.model }; // Checked when the run started
+        } else if (!runSettings && typeof flags.m === 'string' && options.model) {
+            const check = await validateRequestedModel({ provider: llmProviderName, ...(usesVenice ? { apiKey: veniceKey } : llmProviderOptions) }, options.model);
+            if (!check.valid) {
+                if (session) session.sessionModel = null;
+                effectiveError(check.message);
+                return { success: false, error: `Unknown model '${options.model}'`, handled: true, keepDisabled: false };
+            }
+            llmProviderOptions = { ...llmProviderOptions, model: check.model };
+        } else if (!runSettings && persona?.model) {
+            // The persona's model was checked against the provider in use when it was created, which may not be this one
+            const check = await validateRequestedModel({ provider: llmProviderName, ...(usesVenice ? { apiKey: veniceKey } : llmProviderOptions) }, persona.model);
+            if (!check.valid) {
+                effectiveError(`Persona '${persona.name}' uses a model ${llmProviderName} doesn't offer. ${check.message} Pick another with -m.`);
+                return { success: false, error: `Unknown model '${persona.model}'`, handled: true, keepDisabled: false };
+            }
+            llmProviderOptions = { ...llmProviderOptions, model: check.model };
+        }
+
+        // --- Quota Check ---
+        // Counts this run against the user's hourly/daily quota once its settings are valid, before any Venice or
+        // Brave call is made
+        const usage = { username: currentUsername, command: 'research' };
+        const quota = await getUsageMeter().consumeQuota(currentUsername, 'research', userManager.getUserLimits(currentUser));
+        if (!quota.allowed) {
+            effectiveError(`Research not started. ${quota.message}`);
+            return { success: false, error: 'Quota exceeded', handled: true, keepDisabled: false };
+        }
+
         // --- Token Classification ---
-        let enhancedQuery = { original: researchQuery };
-        let useClassifier = classify;
+        // A resumed run keeps the query object (and metadata) it was started with
+        let enhancedQuery = resumeCheckpoint ? resumeCheckpoint.query : { original: researchQuery };
+        let useClassifier = classify && !resumeCheckpoint;
          if (useClassifier) {
             effectiveOutput('Attempting token classification...', true);
             try {
-                const tokenResponse = await callVeniceWithTokenClassifier(researchQuery, veniceKey);
+                const tokenResponse = await callVeniceWithTokenClassifier(researchQuery, veniceKey, effectiveDebug, usage);
                 if (tokenResponse) {
                     enhancedQuery.tokenClassification = tokenResponse;
                     enhancedQuery.metadata = tokenResponse; // Also add as metadata for summary
@@ -279,16 +459,28 @@ export async function executeResearch(options = {}) {
         // --- Initialize Research Engine ---
         const userInfo = { username: currentUsername, role: currentUserRole };
         const engineConfig = {
-            braveApiKey: braveKey,
-            veniceApiKey: veniceKey,
+            braveApiKey: providerName === 'brave' ? searchCredential : undefined,
+            veniceApiKey: usesVenice ? veniceKey : undefined,
+            llmProvider: llmProviderName,
+            llmProviderOptions,
+            searchProviderName: providerName,
+            searchProviderOptions,
             verbose: verbose,
             user: userInfo,
+            usage,
+            promptTemplates: await userManager.getPromptTemplates(currentUsername),
+            persona,
             outputHandler: effectiveOutput,
             errorHandler: effectiveError,
             debugHandler: effectiveDebug,
             progressHandler: effectiveProgress,
             isWebSocket: isWebSocket,
-            webSocketClient: webSocketClient
+            webSocketClient: webSocketClient,
+            concurrency: parseInt(concurrency, 10) || 3,
+            fetchContent: runSettings ? runSettings.fetchContent : !!(fetchContent || flags['fetch-content']),
+            searchCache: !flags['no-cache'],
+            llmCache: llmCacheMode,
+            overrideQueries: resumeCheckpoint?.overrideQueries || null
         };
         const controller = new ResearchEngine(engineConfig);
 
@@ -298,11 +490,24 @@ export async function executeResearch(options = {}) {
             safeSend(webSocketClient, { type: 'research_start', keepDisabled: true });
         }
 
-        const results = await controller.research({
-            query: enhancedQuery,
-            depth: parseInt(depth, 10) || 2,
-            breadth: parseInt(breadth, 10) || 3
-        });
+        // Register the run so /cancel (or Esc in the Web-CLI) can abort it
+        const runController = startResearchRun(isWebSocket ? session : null);
+        let results;
+        try {
+            results = await controller.research({
+                query: enhancedQuery,
+                depth: resumeCheckpoint ? resumeCheckpoint.depth : (parseInt(depth, 10) || 2),
+                breadth: resumeCheckpoint ? resumeCheckpoint.breadth : (parseInt(breadth, 10) || 3),
+                signal: runController.signal,
+                resume: resumeCheckpoint
+            });
+        } finally {
+            finishResearchRun(isWebSocket ? session : null, runController);
+        }
+        if (results?.cancelled) {
+            effectiveOutput(`Research cancelled. Keeping ${results.learnings?.length || 0} partial learnings.`);
+            if (results.runId) effectiveOutput(`To continue later: /research resume ${results.runId}`);
+        }
 
         // --- Output Results ---
         if (results && results.success !== false) { // Check if research didn't explicitly fail
@@ -312,6 +517,9 @@ export async function executeResearch(options = {}) {
             if (results.markdownContent && isWebSocket && session) {
                 session.currentResearchResult = results.markdownContent; // Store the actual markdown
                 session.currentResearchFilename = results.suggestedFilename; // Store the suggested filename
+                session.currentResearchJson = results.jsonContent
+                    ? { filename: results.suggestedJsonFilename, content: results.jsonContent }
+                    : null; // For the 'Export' action
                 // --- FIX: Store promptData needed by handleInputMessage ---
                 session.promptData = { suggestedFilename: results.suggestedFilename };
                 effectiveDebug("Stored research markdown content and suggested filename in session and promptData.");
@@ -325,6 +533,7 @@ export async function executeResearch(options = {}) {
         } else {
             // Handle case where research failed within the engine
             effectiveError(`Research failed: ${results?.error || 'Unknown error during research execution.'}`);
+            if (results?.runId) effectiveOutput(`Completed queries were checkpointed. Retry with: /research resume ${results.runId}`);
             // No prompt needed if research failed
             return { success: false, error: results?.error || 'Research failed', handled: true, keepDisabled: false };
         }
@@ -332,7 +541,7 @@ export async function executeResearch(options = {}) {
         // --- Send Prompt or Finalize (WebSocket vs CLI) ---
         if (isWebSocket && webSocketClient) {
             // --- Use wsPrompt for post-research action ---
-            effectiveOutput("Research complete. Choose an action:"); // Inform user prompt is coming
+            effectiveOutput(results.cancelled ? "Partial results ready. Choose an action:" : "Research complete. Choose an action:"); // Inform user prompt is coming
 
             if (!effectivePrompt) {
                 effectiveError("Internal Error: Prompt function not available for post-research action.");
@@ -345,7 +554,7 @@ export async function executeResearch(options = {}) {
                 effectivePrompt(
                     webSocketClient,
                     session,
-                    `Choose action for "${results.suggestedFilename || 'research results'}": [Download] | [Upload] | [Keep] | [Discard]`,
+                    `Choose action for "${results.suggestedFilename || 'research results'}": [Download] | [Export] (JSON tree) | [Upload] | [Keep] | [Discard]`,
                     120000, // 2 minute timeout
                     false, // Not a password prompt
                     'post_research_action' // Set context for handleInputMessage
@@ -366,8 +575,12 @@ export async function executeResearch(options = {}) {
         } else {
             // CLI mode: Just finish
             effectiveOutput(`[CMD SUCCESS] research: Completed successfully.`);
-            // Output the markdown content directly in CLI mode?
-            if (results.markdownContent) {
+            // Output the markdown content directly in CLI mode (or the JSON tree export with --json)
+            if (flags.json && results.jsonContent) {
+                effectiveOutput("\n--- Research JSON ---");
+                effectiveOutput(results.jsonContent);
+                effectiveOutput("--- End JSON ---");
+            } else if (results.markdownContent) {
                 effectiveOutput("\n--- Research Content ---");
                 effectiveOutput(results.markdownContent);
                 effectiveOutput("--- End Content ---");
@@ -404,22 +617,39 @@ export async function executeResearch(options = {}) {
 // ... existing getResearchHelpText function ...
 export function getResearchHelpText() {
     return `
-Usage: /research <query> [--depth=<number>] [--breadth=<number>] [--classify] [--verbose]
+Usage: /research <query> [--depth=<number>] [--breadth=<number>] [--concurrency=<number>] [--provider=<name>] [--llm-provider=<name>] [--m=<model>] [--c=<persona>] [--source=local:<path>] [--fetch-content] [--no-cache] [--llm-cache=<mode>] [--classify] [--json] [--verbose]
+       /research resume <runId>
 Initiates a research task based on the provided query. Requires login.
-After completion (Web UI), you will be prompted to Download, Upload (to GitHub), Keep (in session), or Discard the result.
+Progress is checkpointed after every query, so an interrupted run (error, cancel, restart) can be resumed by its run ID.
+After completion (Web UI), you will be prompted to Download, Export (JSON research tree), Upload (to GitHub), Keep (in session), or Discard the result.
+Results are organised as a tree with one node per query, so every learning can be traced to the query and sources that produced it.
 
 Arguments:
   <query>          The topic or question to research. Can be multiple words.
+  resume <runId>   Continue an earlier run from its last completed query, with the providers, model and persona it started with. The run ID is printed when research starts.
 
 Options:
   --depth=<number>   Specify the depth of the research (default: 2). Controls how many layers of queries are generated.
   --breadth=<number> Specify the breadth of the research (default: 3). Controls how many queries are generated per layer.
+  --concurrency=<number> Max queries researched in parallel across the whole tree (default: 3).
+  --provider=<name>  Search provider: brave (default), searxng or json-http. Configure non-default providers with /keys set <name>.
+  --llm-provider=<name> LLM provider: venice or openai (an OpenAI-compatible server such as llama.cpp or vLLM). Defaults to your /keys provider choice.
+  --m=<model>        LLM model for this research session. Must be listed by /models for the LLM provider.
+  --c=<persona>      Persona for this run (see /persona list); its system prompt, model and temperature apply to every research step. Defaults to your /persona use choice; --c=none for none.
+  --source=local:<path> Research a local folder of markdown/text notes (ranked with BM25) instead of the web. Over the web terminal the folder must be under MCP_LOCAL_CORPUS_ROOT.
+  --fetch-content    Download each new result page (respecting robots.txt) and extract learnings from its full text, not just the search snippet. Slower, but deeper.
+  --no-cache         Bypass the search result cache for this run: every query goes to the provider and nothing is stored.
+  --llm-cache=<mode> LLM response cache for this run: cache (reuse identical prompts), record (call Venice and save every response) or replay (answer only from saved responses, no Venice calls; a missing response fails that step). Default: off, or VENICE_LLM_CACHE.
   --classify         Enhance the initial query using token classification via Venice AI (requires Venice key).
+  --json             CLI only: print the JSON research tree (queries, learnings, sources) instead of the markdown report.
   --verbose          Enable detailed logging during the research process.
 
 Examples:
   /research history of artificial intelligence
   /research benefits of renewable energy --depth=3 --breadth=5
   /research "impact of social media on mental health" --classify
+  /research open source llm benchmarks --provider=searxng
+  /research "onboarding checklist" --source=local:~/team-notes
+  /research resume 20250101120000-a1b2c3
 `;
 }
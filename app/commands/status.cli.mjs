@@ -1,12 +1,14 @@
 import { userManager } from '../features/auth/user-manager.mjs';
 import { outputManager } from '../utils/research.output-manager.mjs'; // Use named import again
+import { getUsageMeter } from '../infrastructure/usage/usage.meter.mjs';
+import { formatUsageLine } from './usage.cli.mjs';
 
 /**
  * Provides help text for the /status command.
  * @returns {string} Help text.
  */
 export function getStatusHelpText() {
-    return `/status - Display your current login status, role, and API key configuration status.`;
+    return `/status - Display your current login status, role, API key configuration status, and API usage against your quotas.`;
 }
 
 /**
@@ -60,5 +62,20 @@ export async function executeStatus(options = {}) {
      output('Limits: (Public defaults apply)'); // Fallback for public if somehow empty
   }
 
+  // Usage in the current quota windows (UTC hour and UTC day)
+  try {
+    const usage = await getUsageMeter().getCurrentUsage(username);
+    const quotaLimits = userManager.getUserLimits(requestingUser || { username, role, limits });
+    output('Usage (UTC):');
+    output(`  - This hour: ${formatUsageLine(usage.hour, quotaLimits.maxQueriesPerHour)}`);
+    output(`  - Today:     ${formatUsageLine(usage.day, quotaLimits.maxQueriesPerDay, quotaLimits.maxTokensPerDay)}`);
+    for (const [service, counts] of Object.entries(usage.day.services)) {
+      output(`      ${service}: ${counts.requests} requests, ${counts.tokensIn} tokens in, ${counts.tokensOut} tokens out`);
+    }
+  } catch (usageError) {
+    outputManager.warn(`[Status] Could not read usage for ${username}: ${usageError.message}`);
+    output('Usage: unavailable');
+  }
+
   return { success: true };
 }
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { output as outputManagerInstance } from '../utils/research.output-manager.mjs';
+import { getUsageMeter } from '../infrastructure/usage/usage.meter.mjs';
+
+const DEFAULT_DAYS = 1;
+const MAX_DAYS = 31; // Matches the meter's retention
+
+/**
+ * Provides help text for the /usage command.
+ * @returns {string} Help text.
+ */
+export function getUsageHelpText() {
+    return `/usage [--user=<name>] [--days=<n>] - API usage report per user (Admin only).
+    Shows queries (research runs and chat sessions), Venice/Brave requests and tokens in/out per service and command.
+    --days=<n>: Report window in UTC days, including today (default ${DEFAULT_DAYS}, max ${MAX_DAYS}).`;
+}
+
+/**
+ * One-line summary of usage totals, with the query/token limits when set.
+ * @param {{runs: number, requests: number, tokensIn: number, tokensOut: number}} totals
+ * @param {number} [maxQueries]
+ * @param {number} [maxTokens]
+ * @returns {string} e.g. '2/3 queries, 5 API requests, 1200/100000 tokens (900 in, 300 out)'
+ */
+export function formatUsageLine(totals, maxQueries, maxTokens) {
+    const tokens = totals.tokensIn + totals.tokensOut;
+    const queries = maxQueries != null ? `${totals.runs}/${maxQueries}` : String(totals.runs);
+    const tokenText = maxTokens != null ? `${tokens}/${maxTokens}` : String(tokens);
+    return `${queries} queries, ${totals.requests} API requests, ${tokenText} tokens (${totals.tokensIn} in, ${totals.tokensOut} out)`;
+}
+
+/**
+ * CLI command for the admin usage report.
+ * @param {Object} options - Command options.
+ * @param {Object} [options.flags] - `--user=<name>` and `--days=<n>`.
+ * @param {object} [options.requestingUser] - User data object of the user making the request.
+ * @param {Function} [options.output] - Output function.
+ * @param {Function} [options.error] - Error function.
+ * @returns {Promise<Object>} Command result.
+ */
+export async function executeUsage(options = {}) {
+    const { flags = {}, requestingUser } = options;
+    const output = typeof options.output === 'function' ? options.output : outputManagerInstance.log.bind(outputManagerInstance);
+    const error = typeof options.error === 'function' ? options.error : outputManagerInstance.error.bind(outputManagerInstance);
+
+    if (!requestingUser || requestingUser.role !== 'admin') {
+        error('Error: Only administrators can view usage reports. Use /status for your own usage.');
+        return { success: false, error: 'Permission denied', handled: true, keepDisabled: false };
+    }
+
+    const days = flags.days === undefined ? DEFAULT_DAYS : parseInt(flags.days, 10);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+        error(`Invalid --days value '${flags.days}'. Use a number from 1 to ${MAX_DAYS}.`);
+        return { success: false, error: 'Invalid --days', handled: true, keepDisabled: false };
+    }
+    const now = new Date();
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1)));
+
+    const meter = getUsageMeter();
+    const usernames = typeof flags.user === 'string' ? [flags.user] : await meter.listUsers();
+    if (usernames.length === 0) {
+        output('No API usage recorded yet.');
+        return { success: true, keepDisabled: false };
+    }
+
+    output(`API usage since ${since.toISOString().slice(0, 10)} (UTC, ${days} day${days === 1 ? '' : 's'}):`);
+    for (const username of usernames) {
+        const totals = await meter.getUsage(username, since);
+        output(`${username}: ${formatUsageLine(totals)}`);
+        for (const [service, counts] of Object.entries(totals.services)) {
+            output(`    service ${service}: ${counts.requests} requests, ${counts.tokensIn} tokens in, ${counts.tokensOut} tokens out`);
+        }
+        for (const [command, counts] of Object.entries(totals.commands)) {
+            output(`    command ${command}: ${counts.runs || 0} queries, ${counts.requests || 0} requests, ${(counts.tokensIn || 0) + (counts.tokensOut || 0)} tokens`);
+        }
+    }
+    return { success: true, keepDisabled: false };
+}
@@ -0,0 +1,296 @@
+import { userManager } from '../auth/user-manager.mjs';
+import { suggestSearchProvider } from '../../infrastructure/search/search.providers.mjs';
+import { ResearchEngine } from '../../infrastructure/research/research.engine.mjs';
+import { getModelCatalog } from '../../infrastructure/ai/llm.model-catalog.mjs';
+import { truncateToTokens } from '../../infrastructure/ai/llm.token-budget.mjs';
+import { getUsageMeter } from '../../infrastructure/usage/usage.meter.mjs';
+
+const MAX_TOOL_ROUNDS = 4; // Model turns that may call tools before it has to answer
+const MAX_RESULT_TOKENS = 1500; // Per tool result, so a long research report can't crowd out the conversation
+
+// --- Chat tool registry ---
+// Each tool: { name, description, parameters (JSON schema), execute(args, context) }.
+// execute() returns a JSON-serializable result; throwing reports { error } to the model instead of failing the reply.
+// `context` carries the chat session: { session, username, password, llmConfig, usage, signal, debug }.
+const chatTools = new Map();
+
+/**
+ * Registers (or replaces) a tool the chat model can call.
+ * @param {string} name - Function name shown to the model (letters, digits, underscores).
+ * @param {object} definition
+ * @param {string} definition.description - What the tool does and when to use it, written for the model.
+ * @param {object} definition.parameters - JSON schema of the arguments object.
+ * @param {Function} definition.execute - async (args, context) => result.
+ * @param {Function} [definition.describeResult] - (result) => short summary for the terminal.
+ */
+export function registerChatTool(name, definition) {
+  const key = String(name);
+  if (!/^[a-zA-Z0-9_]+$/.test(key)) {
+    throw new Error(`Chat tool name '${name}' may only contain letters, digits and underscores.`);
+  }
+  if (!definition || typeof definition.execute !== 'function') {
+    throw new Error(`Chat tool '${name}' must provide an execute(args, context) function.`);
+  }
+  chatTools.set(key, {
+    name: key,
+    description: definition.description || '',
+    parameters: definition.parameters || { type: 'object', properties: {} },
+    execute: definition.execute,
+    describeResult: definition.describeResult || (() => 'done')
+  });
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null} Registered tool definition.
+ */
+export function getChatTool(name) {
+  return chatTools.get(String(name)) || null;
+}
+
+/**
+ * @returns {Array<{name: string, description: string}>} Registered tools, in registration order.
+ */
+export function listChatTools() {
+  return [...chatTools.values()].map(({ name, description }) => ({ name, description }));
+}
+
+/**
+ * Tool definitions in the OpenAI/Venice `tools` request format.
+ * @param {string[]} [names] - Subset to expose; all registered tools by default.
+ * @returns {Array<object>}
+ */
+export function getChatToolSchemas(names) {
+  const selected = names ? names.map(getChatTool).filter(Boolean) : [...chatTools.values()];
+  return selected.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+/**
+ * Whether a model advertises function calling in the model catalog (a `function_calling*` trait, e.g.
+ * llama-3.3-70b's `function_calling_default`). Uses the cached catalog or the built-in table; no network request.
+ * @param {object} llmConfig - createLLMClient() config.
+ * @param {string} model
+ * @returns {boolean}
+ */
+export function modelSupportsTools(llmConfig, model) {
+  const entry = getModelCatalog().findModel(llmConfig, model);
+  return !!entry?.traits?.some(trait => trait.startsWith('function_calling'));
+}
+
+/**
+ * Runs one tool call. Unknown tools, bad arguments and tool failures come back as `{ error }` for the model.
+ * @param {{id: string, name: string, arguments: string}} call - As returned in LLMClient#completeChat's `toolCalls`.
+ * @param {object} context - See the registry comment above.
+ * @returns {Promise<{ok: boolean, result: object, summary: string}>}
+ */
+export async function executeChatToolCall(call, context = {}) {
+  const tool = getChatTool(call.name);
+  if (!tool) {
+    return { ok: false, result: { error: `Unknown tool '${call.name}'. Available tools: ${[...chatTools.keys()].join(', ')}.` }, summary: 'unknown tool' };
+  }
+  let args;
+  try {
+    args = call.arguments ? JSON.parse(call.arguments) : {};
+  } catch {
+    return { ok: false, result: { error: 'Arguments were not valid JSON.' }, summary: 'invalid arguments' };
+  }
+  try {
+    const result = await tool.execute(args || {}, context);
+    return { ok: true, result, summary: tool.describeResult(result) };
+  } catch (error) {
+    if (context.signal?.aborted) throw error;
+    return { ok: false, result: { error: error.message }, summary: `failed: ${error.message}` };
+  }
+}
+
+/**
+ * Chat completion with server-side tool execution: while the model answers with tool calls, each call is run and
+ * its result appended as a `tool` message, then the model is asked again. After MAX_TOOL_ROUNDS the tools are
+ * withdrawn so the model has to answer.
+ *
+ * @param {object} params
+ * @param {LLMClient} params.llm
+ * @param {Array<object>} params.messages - Request messages; not modified.
+ * @param {string} [params.model]
+ * @param {string[]} [params.tools] - Tool names to expose; all registered tools by default.
+ * @param {object} [params.context] - Passed to each tool's execute().
+ * @param {Function} [params.onStep] - Called with { type: 'call', name, args } before and
+ *   { type: 'result', name, ok, summary } after each tool call, for display.
+ * @param {number} [params.maxRounds=MAX_TOOL_ROUNDS]
+ * @param {object} [params.completion] - Other completeChat() options: temperature, maxTokens, stream, onChunk, signal.
+ * @returns {Promise<object>} The final completeChat() result plus `toolSteps` (the calls made, in order).
+ */
+export async function runChatWithTools({ llm, messages, model, tools, context = {}, onStep = () => {}, maxRounds = MAX_TOOL_ROUNDS, completion = {} }) {
+  const schemas = getChatToolSchemas(tools);
+  const working = [...messages];
+  const toolSteps = [];
+  for (let round = 0; ; round++) {
+    const offerTools = schemas.length > 0 && round < maxRounds;
+    const response = await llm.completeChat({ ...completion, messages: working, model, ...(offerTools ? { tools: schemas } : {}) });
+    if (!offerTools || !response.toolCalls?.length) {
+      return { ...response, toolSteps };
+    }
+
+    working.push({
+      role: 'assistant',
+      content: response.content || '',
+      tool_calls: response.toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } }))
+    });
+    for (const call of response.toolCalls) {
+      let args = call.arguments;
+      try { args = JSON.parse(call.arguments || '{}'); } catch { /* shown raw */ }
+      onStep({ type: 'call', name: call.name, args });
+      const outcome = await executeChatToolCall(call, { ...context, signal: completion.signal });
+      onStep({ type: 'result', name: call.name, ok: outcome.ok, summary: outcome.summary });
+      toolSteps.push({ name: call.name, args, ok: outcome.ok, summary: outcome.summary });
+      working.push({ role: 'tool', tool_call_id: call.id, content: truncateToTokens(JSON.stringify(outcome.result), MAX_RESULT_TOKENS) });
+    }
+  }
+}
+
+/**
+ * One-line terminal rendering of a tool step, e.g. `[tool] web_search {"query":"bm25"}` / `[tool] web_search: 5 results`.
+ * @param {object} step - As passed to runChatWithTools' onStep.
+ * @returns {string}
+ */
+export function formatToolStep(step) {
+  if (step.type === 'call') {
+    const args = typeof step.args === 'string' ? step.args : JSON.stringify(step.args);
+    return `[tool] ${step.name} ${args.length > 200 ? `${args.slice(0, 200)}...` : args}`;
+  }
+  return `[tool] ${step.name}: ${step.summary}`;
+}
+
+// --- Built-in tools ---
+
+/** Decrypts a stored key for the chat user; null for public users or when the password is unknown. */
+async function getUserKey(context, service) {
+  if (!context.username || context.username === 'public' || !context.password) return null;
+  if (!await userManager.hasApiKey(service, context.username)) return null;
+  return userManager.getApiKey({ username: context.username, password: context.password, service });
+}
+
+registerChatTool('web_search', {
+  description: 'Search the web for current information. Returns titles, URLs and snippets of the top results.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search query.' },
+      count: { type: 'integer', description: 'Number of results to return (1-10, default 5).' }
+    },
+    required: ['query']
+  },
+  async execute({ query, count = 5 }, context) {
+    if (!query || typeof query !== 'string') throw new Error('query is required.');
+    // Brave falls back to BRAVE_API_KEY when the user has no stored key
+    const apiKey = await getUserKey(context, 'brave');
+    const provider = suggestSearchProvider({
+      type: 'web',
+      provider: 'brave',
+      ...(apiKey ? { apiKey } : {}),
+      usage: context.usage,
+      outputFn: context.debug || (() => {}),
+      errorFn: context.debug || (() => {})
+    });
+    const results = await provider.search(query, { signal: context.signal });
+    const limit = Math.min(Math.max(parseInt(count, 10) || 5, 1), 10);
+    return {
+      query,
+      results: results.slice(0, limit).map(r => ({ title: r.title, url: r.url, snippet: r.content }))
+    };
+  },
+  describeResult: (result) => `${result.results.length} results`
+});
+
+registerChatTool('research', {
+  description: 'Run a shallow multi-query research pass (depth 1) on a topic. Slower than web_search; use it when a question '
+    + 'needs several sources combined. Returns a summary, key learnings and sources. Counts against the user\'s research quota.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Research topic or question.' },
+      breadth: { type: 'integer', description: 'Number of search queries to generate (1-3, default 2).' }
+    },
+    required: ['query']
+  },
+  async execute({ query, breadth = 2 }, context) {
+    if (!query || typeof query !== 'string') throw new Error('query is required.');
+    if (!context.username || context.username === 'public') throw new Error('Research requires a logged-in user.');
+    const quota = await getUsageMeter().consumeQuota(context.username, 'research', userManager.getUserLimits(context.session?.currentUser || { username: context.username }));
+    if (!quota.allowed) throw new Error(quota.message);
+
+    const { provider, usage, ...llmProviderOptions } = context.llmConfig || {};
+    const braveApiKey = await getUserKey(context, 'brave');
+    const engine = new ResearchEngine({
+      braveApiKey: braveApiKey || undefined,
+      llmProvider: provider,
+      llmProviderOptions,
+      user: { username: context.username, role: context.session?.currentUser?.role || 'client' },
+      usage: { username: context.username, command: 'chat' },
+      promptTemplates: await userManager.getPromptTemplates(context.username),
+      persona: context.session?.sessionPersona || null,
+      outputHandler: context.debug || (() => {}),
+      errorHandler: context.debug || (() => {}),
+      debugHandler: context.debug || (() => {})
+    });
+    const results = await engine.research({
+      query: { original: query },
+      depth: 1,
+      breadth: Math.min(Math.max(parseInt(breadth, 10) || 2, 1), 3),
+      signal: context.signal
+    });
+    if (results.error) throw new Error(results.error);
+    if (context.session && results.markdownContent) {
+      context.session.currentResearchResult = results.markdownContent; // Readable via read_last_research and the post-research actions
+    }
+    return {
+      query,
+      summary: results.summary,
+      learnings: results.learnings,
+      sources: (results.sources || []).slice(0, 10)
+    };
+  },
+  describeResult: (result) => `${result.learnings?.length || 0} learnings from ${result.sources?.length || 0} sources`
+});
+
+registerChatTool('recall_memories', {
+  description: 'Recall memories stored in this chat session (requires /chat --memory=true) that are relevant to a query.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to remember.' },
+      limit: { type: 'integer', description: 'Maximum number of memories (1-10, default 5).' }
+    },
+    required: ['query']
+  },
+  async execute({ query, limit = 5 }, context) {
+    const memoryManager = context.session?.memoryManager;
+    if (!memoryManager) throw new Error('Memory is not enabled for this chat. Start it with /chat --memory=true.');
+    const memories = await memoryManager.retrieveRelevantMemories(String(query || ''));
+    const max = Math.min(Math.max(parseInt(limit, 10) || 5, 1), 10);
+    return {
+      memories: (memories || []).slice(0, max).map(m => ({ content: m.content, role: m.role, timestamp: m.timestamp, relevance: m.similarity }))
+    };
+  },
+  describeResult: (result) => `${result.memories.length} memories`
+});
+
+registerChatTool('read_last_research', {
+  description: 'Read the report of the most recent research run in this session (from /research or the research tool).',
+  parameters: {
+    type: 'object',
+    properties: {
+      maxChars: { type: 'integer', description: 'Return at most this many characters (default 6000).' }
+    }
+  },
+  async execute({ maxChars = 6000 }, context) {
+    const report = context.session?.currentResearchResult;
+    if (!report) throw new Error('No research has been run in this session yet.');
+    const limit = Math.max(parseInt(maxChars, 10) || 6000, 200);
+    return { report: report.length > limit ? `${report.slice(0, limit)}\n[...truncated]` : report, totalChars: report.length };
+  },
+  describeResult: (result) => `${result.totalChars} characters`
+});
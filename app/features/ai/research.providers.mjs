@@ -1,4 +1,8 @@
 import { LLMClient, LLMError } from '../../infrastructure/ai/venice.llm-client.mjs'; // Import LLMError
+import { createLLMClient, llmProviderRequiresKey, getLLMProviderDefinition, getDefaultLLMProviderName } from '../../infrastructure/ai/llm.providers.mjs';
+import { getModelCatalog } from '../../infrastructure/ai/llm.model-catalog.mjs';
+import { estimateTokens, getInputBudget, packContentBlocks } from '../../infrastructure/ai/llm.token-budget.mjs';
+import { jsonSchemaResponseFormat, parseStructuredReply } from '../../infrastructure/ai/llm.structured-output.mjs';
 import { systemPrompt, queryExpansionTemplate } from '../../utils/research.prompt.mjs';
 import { VENICE_CHARACTERS, getDefaultResearchCharacterSlug, getDefaultTokenClassifierCharacterSlug } from '../../infrastructure/ai/venice.characters.mjs';
 
@@ -60,6 +64,27 @@ function processLearningResponse(rawText) {
   }
 }
 
+// Matches citation markers such as [2], [1, 3] or [Source 4]
+const CITATION_MARKER = /\s*\[(?:Source\s*)?(\d+(?:\s*,\s*\d+)*)\]/gi;
+
+/**
+ * Strips citation markers from a learning and returns the source numbers it cited.
+ * Numbers outside 1..sourceCount are left in the text (e.g. "[2023]" is a year, not a citation).
+ * @param {string} learning - Learning text as returned by the LLM.
+ * @param {number} sourceCount - Number of sources that were in the prompt.
+ * @returns {{text: string, sourceNumbers: number[]}}
+ */
+export function extractCitations(learning, sourceCount) {
+  const sourceNumbers = new Set();
+  const text = learning.replace(CITATION_MARKER, (marker, list) => {
+    const numbers = list.split(',').map(n => parseInt(n.trim(), 10));
+    if (!numbers.every(n => n >= 1 && n <= sourceCount)) return marker;
+    numbers.forEach(n => sourceNumbers.add(n));
+    return '';
+  }).trim();
+  return { text, sourceNumbers: [...sourceNumbers].sort((a, b) => a - b) };
+}
+
 function processReportResponse(rawText) {
   if (!rawText.trim()) {
     return { success: false, error: 'Empty report text' };
@@ -81,8 +106,63 @@ function processResponse(type, content) {
 }
 
 
+// JSON schemas for the research calls whose replies are parsed into lists. Replies are validated against them;
+// processQueryResponse/processLearningResponse remain the fallback for models that can't produce valid JSON.
+const stringList = (minItems) => ({ type: 'array', items: { type: 'string', minLength: 1 }, minItems });
+const OUTPUT_SCHEMAS = {
+  query: {
+    name: 'research_queries',
+    schema: {
+      type: 'object',
+      properties: { queries: stringList(1) },
+      required: ['queries'],
+      additionalProperties: false
+    },
+    toData: (value) => ({ success: true, queries: value.queries.map(q => q.trim()).filter(Boolean) })
+  },
+  learning: {
+    name: 'research_learnings',
+    schema: {
+      type: 'object',
+      properties: { learnings: stringList(1), followUpQuestions: stringList(0) },
+      required: ['learnings', 'followUpQuestions'],
+      additionalProperties: false
+    },
+    toData: (value) => ({
+      success: true,
+      learnings: value.learnings.map(l => l.trim()).filter(Boolean),
+      followUpQuestions: value.followUpQuestions.map(q => q.trim()).filter(Boolean)
+    })
+  }
+};
+
+/**
+ * Prompt suffix asking for JSON output, for types that have a schema ('query', 'learning'); '' otherwise.
+ * Exported so callers that budget the prompt (processResults) can count it.
+ * @param {string} type
+ * @returns {string}
+ */
+export function getStructuredOutputInstructions(type) {
+  const spec = OUTPUT_SCHEMAS[type];
+  if (!spec) return '';
+  return `\n\nReply with only a JSON object matching this JSON schema, instead of the plain-text format described above. Keep the same content rules (including source numbers such as [2]).\n${JSON.stringify(spec.schema)}`;
+}
+
+/**
+ * Whether an error means the server rejected the response_format rather than the request as a whole.
+ */
+function isResponseFormatRejection(error) {
+  return error instanceof LLMError && (error.code === 'APIError_400' || error.code === 'APIError_422');
+}
+
 /**
  * Generates LLM output using the Venice API.
+ *
+ * Types with a JSON schema ('query', 'learning') are requested as JSON first: schema-constrained through
+ * `response_format` where the provider supports it (falling back to prompt-only JSON when the server rejects it),
+ * then parsed, repaired and validated. An invalid reply gets one corrective retry; if that fails too, the request is
+ * repeated in the plain-text format and parsed with the text parsers.
+ *
  * @param {Object} params - Parameters for generation.
  * @param {string} params.apiKey - The Venice API key.
  * @param {string} params.type - The type of output expected ('query', 'learning', 'report').
@@ -92,11 +172,18 @@ function processResponse(type, content) {
  * @param {number} [params.maxTokens=1000] - Maximum tokens to generate.
  * @param {function} [params.outputFn=console.log] - Function to handle output logs.
  * @param {function} [params.errorFn=console.error] - Function to handle error logs.
- * @returns {Promise<Object>} - Result object with success status and data or error.
+ * @param {AbortSignal} [params.signal] - Optional signal to cancel the LLM call.
+ * @param {string|Object} [params.llmCache] - LLMClient response cache mode ('cache', 'record', 'replay'); defaults to VENICE_LLM_CACHE.
+ * @param {Object} [params.llmConfig] - LLM provider settings for createLLMClient(): { provider, baseUrl, apiKeyHeader, model, apiKey }.
+ *   Defaults to Venice; `apiKey` above takes precedence over llmConfig.apiKey. A research persona adds
+ *   `characterSlug` (Venice character, null for none) and `temperature`, which overrides `temperature` above.
+ * @param {boolean} [params.structured=true] - Request JSON output for types that have a schema.
+ * @returns {Promise<Object>} - Result object with success status and data or error. `aborted: true` if cancelled.
+ *   `structured: true` when the data came from a validated JSON reply.
  */
-export async function generateOutput({ apiKey, type, system, prompt, temperature = 0.7, maxTokens = 1000, outputFn = console.log, errorFn = console.error }) {
-  // Ensure API key is provided
-  if (!apiKey) {
+export async function generateOutput({ apiKey, type, system, prompt, temperature = 0.7, maxTokens = 1000, outputFn = console.log, errorFn = console.error, signal, llmCache, llmConfig = {}, structured = true }) {
+  // Ensure API key is provided (local OpenAI-compatible servers may not need one)
+  if (!apiKey && !llmConfig.apiKey && llmProviderRequiresKey(llmConfig.provider)) {
       errorFn("[generateOutput] Error: API key is missing.");
       // Indicate API-level issue if possible, though this is a config error
       return { success: false, error: 'API key is required for generateOutput.', isApiError: true };
@@ -106,9 +193,19 @@ export async function generateOutput({ apiKey, type, system, prompt, temperature
   let character_slug;
   if (type === 'research') character_slug = getDefaultResearchCharacterSlug();
   else if (type === 'token_classifier') character_slug = getDefaultTokenClassifierCharacterSlug();
+  if (llmConfig.characterSlug !== undefined) character_slug = llmConfig.characterSlug;
+  const venice_parameters = character_slug !== undefined ? { character_slug } : {};
+  if (llmConfig.temperature != null) temperature = llmConfig.temperature;
 
-  const client = new LLMClient({ apiKey, outputFn, errorFn });
+  const client = createLLMClient({ ...llmConfig, ...(apiKey ? { apiKey } : {}), outputFn, errorFn, cache: llmCache });
   try {
+    const schemaSpec = structured ? OUTPUT_SCHEMAS[type] : null;
+    if (schemaSpec) {
+      const structuredResult = await generateStructuredOutput({ client, schemaSpec, type, system, prompt, temperature, maxTokens, venice_parameters, signal, llmConfig, outputFn, errorFn });
+      if (structuredResult) return structuredResult;
+      errorFn(`[generateOutput] No valid JSON for type ${type}; retrying with the plain-text format.`);
+    }
+
     outputFn(`[generateOutput] Calling LLM for type: ${type}. Max Tokens: ${maxTokens}, Temp: ${temperature}`); // DEBUG LOG
 
     const response = await client.complete({
@@ -117,7 +214,8 @@ export async function generateOutput({ apiKey, type, system, prompt, temperature
       temperature,
       maxTokens,
       type,
-      venice_parameters: character_slug ? { character_slug } : {}
+      venice_parameters,
+      signal
     });
 
     const rawContent = response.content; // Store raw content
@@ -136,6 +234,10 @@ export async function generateOutput({ apiKey, type, system, prompt, temperature
     return { success: false, error: parsed.error || 'Failed to parse LLM response.', rawContent: rawContent }; // Return raw content
 
   } catch (error) {
+    if (error instanceof LLMError && error.code === 'AbortError') {
+      outputFn(`[generateOutput] LLM call cancelled for type: ${type}.`);
+      return { success: false, error: 'LLM call cancelled.', isApiError: true, aborted: true };
+    }
     errorFn(`[generateOutput] LLM API call failed: ${error.message}`, error);
     // Check if it's an LLMError and provide more details if possible
     const errorMessage = error instanceof LLMError ? `${error.name}: ${error.message}` : error.message;
@@ -144,6 +246,50 @@ export async function generateOutput({ apiKey, type, system, prompt, temperature
   }
 }
 
+/**
+ * JSON half of generateOutput(): one request, plus one corrective retry if the reply doesn't parse or validate.
+ * @returns {Promise<Object|null>} generateOutput() result, or null to fall back to the plain-text format.
+ * @throws {LLMError} API errors other than a rejected response_format.
+ */
+async function generateStructuredOutput({ client, schemaSpec, type, system, prompt, temperature, maxTokens, venice_parameters, signal, llmConfig, outputFn, errorFn }) {
+  const definition = getLLMProviderDefinition(llmConfig.provider || getDefaultLLMProviderName());
+  let responseFormat = definition?.supportsResponseSchema(llmConfig) ? jsonSchemaResponseFormat(schemaSpec.name, schemaSpec.schema) : undefined;
+  const messages = [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    { role: 'user', content: prompt + getStructuredOutputInstructions(type) }
+  ];
+  const request = (msgs) => client.completeChat({ messages: msgs, temperature, maxTokens, venice_parameters, signal, responseFormat });
+
+  outputFn(`[generateOutput] Calling LLM for type: ${type} (JSON${responseFormat ? ', schema-constrained' : ''}). Max Tokens: ${maxTokens}, Temp: ${temperature}`);
+  let response;
+  try {
+    response = await request(messages);
+  } catch (error) {
+    if (!responseFormat || !isResponseFormatRejection(error)) throw error;
+    errorFn(`[generateOutput] Provider rejected the JSON schema response format (${error.message}); asking for JSON in the prompt only.`);
+    responseFormat = undefined;
+    response = await request(messages);
+  }
+
+  let parsed = parseStructuredReply(response.content, schemaSpec.schema);
+  if (!parsed.ok) {
+    errorFn(`[generateOutput] Invalid JSON reply for type ${type}: ${parsed.error} Asking the model to correct it.`);
+    response = await request([
+      ...messages,
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: `That reply was not valid: ${parsed.error}\nReply again with only the corrected JSON object.` }
+    ]);
+    parsed = parseStructuredReply(response.content, schemaSpec.schema);
+  }
+  if (!parsed.ok) {
+    errorFn(`[generateOutput] Corrected reply for type ${type} is still invalid: ${parsed.error}`);
+    return null;
+  }
+  const data = schemaSpec.toData(parsed.value);
+  outputFn(`[generateOutput] Structured output for type ${type} validated${parsed.repaired ? ' after repair' : ''}.`);
+  return { success: true, data, structured: true };
+}
+
 /**
  * Generates search queries based on the initial query and context.
  * @param {Object} params - Parameters for query generation.
@@ -154,11 +300,15 @@ export async function generateOutput({ apiKey, type, system, prompt, temperature
  * @param {string|null} [params.metadata=null] - Metadata from token classification or other context.
  * @param {function} [params.outputFn=console.log] - Function to handle output logs.
  * @param {function} [params.errorFn=console.error] - Function to handle error logs.
- * @returns {Promise<Array<Object>>} - Array of generated query objects { original: string, metadata?: any }.
+ * @param {AbortSignal} [params.signal] - Optional signal to cancel the LLM call.
+ * @param {string|Object} [params.llmCache] - Response cache mode, passed to generateOutput().
+ * @param {Object} [params.llmConfig] - LLM provider settings, passed to generateOutput().
+ * @param {Object} [params.prompts] - Per-user prompt template overrides ({ id: template }).
+ * @returns {Promise<Array<Object>>} - Array of generated query objects { original: string, metadata?: any }. Empty if cancelled.
  */
-export async function generateQueries({ apiKey, query, numQueries = 3, learnings = [], metadata = null, outputFn = console.log, errorFn = console.error }) {
+export async function generateQueries({ apiKey, query, numQueries = 3, learnings = [], metadata = null, outputFn = console.log, errorFn = console.error, signal, llmCache, llmConfig = {}, prompts = {} }) {
   // ** Add explicit checks for required parameters **
-  if (!apiKey) {
+  if (!apiKey && !llmConfig.apiKey && llmProviderRequiresKey(llmConfig.provider)) {
       errorFn("[generateQueries] Error: API key is missing.");
       throw new Error('API key is required for generateQueries.');
   }
@@ -184,7 +334,7 @@ export async function generateQueries({ apiKey, query, numQueries = 3, learnings
   }
 
   // Create a prompt that adapts based on input length (heuristic for chat history)
-  let enrichedPrompt = queryExpansionTemplate(query, learnings);
+  let enrichedPrompt = queryExpansionTemplate(query, learnings, prompts);
 
   // --- Refined Instructions for Broader Coverage ---
   const isLikelyChatHistory = query.length > 1000 || query.includes('\nuser:') || query.includes('\nassistant:'); // Heuristic check
@@ -216,14 +366,22 @@ Keep queries plain, clear, and focused on the core concepts identified. Ensure t
   const result = await generateOutput({
     apiKey, // Pass key
     type: 'query',
-    system: systemPrompt(),
+    system: systemPrompt(prompts),
     prompt: enrichedPrompt,
     temperature: 0.7,
     maxTokens: 500, // Reduced max tokens for query generation
     outputFn,
-    errorFn
+    errorFn,
+    signal,
+    llmCache,
+    llmConfig
   });
 
+  // Cancelled runs must not fall back to generic queries (that would spawn more work)
+  if (result.aborted) {
+    return [];
+  }
+
   // --- Start: Enhanced Logging ---
   outputFn(`[generateQueries] LLM result for query generation:`, JSON.stringify(result));
   // --- End: Enhanced Logging ---
@@ -278,28 +436,36 @@ Keep queries plain, clear, and focused on the core concepts identified. Ensure t
 }
 
 /**
- * Processes search results content to extract learnings and follow-up questions.
- * @param {Object} params - Parameters for processing results.
+ * Extracts learnings and follow-up questions from search result content.
+ * Content blocks are numbered in the prompt and the LLM is asked to cite them, so each
+ * learning can be attributed to the search results it came from.
+ * @param {Object} params
  * @param {string} params.apiKey - The Venice API key.
- * @param {string} params.query - The original user query or sub-query.
- * @param {Array<string>} params.content - Array of text content strings from search results.
- * @param {number} [params.numLearnings=3] - Minimum number of learnings to extract.
- * @param {number} [params.numFollowUpQuestions=3] - Minimum number of follow-up questions.
- * @param {string|null} [params.metadata=null] - Metadata from token classification or other context.
- * @param {function} [params.outputFn=console.log] - Function to handle output logs.
- * @param {function} [params.errorFn=console.error] - Function to handle error logs.
- * @returns {Promise<Object>} - Object containing arrays of learnings and followUpQuestions.
+ * @param {string} params.query - Query the content was found for.
+ * @param {string[]} params.content - Search result content, one entry per result.
+ * @param {Array<{url: string, title?: string}>} [params.sources=[]] - Search results matching `content` by index.
+ * @param {number} [params.numLearnings=3]
+ * @param {number} [params.numFollowUpQuestions=3]
+ * @param {Object|null} [params.metadata=null]
+ * @param {function} [params.outputFn=console.log]
+ * @param {function} [params.errorFn=console.error]
+ * @param {AbortSignal} [params.signal] - Optional signal to cancel the LLM call.
+ * @param {string|Object} [params.llmCache] - Response cache mode, passed to generateOutput().
+ * @param {Object} [params.llmConfig] - LLM provider settings, passed to generateOutput().
+ * @param {Object} [params.prompts] - Per-user prompt template overrides ({ id: template }).
+ * @returns {Promise<{learnings: string[], followUpQuestions: string[], citations: Object<string, string[]>}>}
+ *   `citations` maps each learning (citation markers stripped) to the URLs of the sources it cited.
  */
-export async function processResults({ apiKey, query, content, numLearnings = 3, numFollowUpQuestions = 3, metadata = null, outputFn = console.log, errorFn = console.error }) {
+export async function processResults({ apiKey, query, content, sources = [], numLearnings = 3, numFollowUpQuestions = 3, metadata = null, outputFn = console.log, errorFn = console.error, signal, llmCache, llmConfig = {}, prompts = {} }) {
   // ** Add explicit checks for required parameters **
-  if (!apiKey) {
+  if (!apiKey && !llmConfig.apiKey && llmProviderRequiresKey(llmConfig.provider)) {
       errorFn("[processResults] Error: API key is missing.");
       throw new Error('API key is required for processResults.'); // Keep throwing for fatal config issues
   }
   if (!Array.isArray(content) || content.length === 0) {
       errorFn(`[processResults] Error: Invalid content provided for query "${query}". Must be a non-empty array.`);
       // If no content, we can't extract anything. Return empty results.
-      return { learnings: [], followUpQuestions: [] };
+      return { learnings: [], followUpQuestions: [], citations: {} };
   }
   // --- FIX: Use || instead of or ---
   if (isNaN(numLearnings) || numLearnings < 0) numLearnings = 3;
@@ -315,30 +481,37 @@ export async function processResults({ apiKey, query, content, numLearnings = 3,
     analysisPrompt += `Context from query analysis:\n${metadataString}\n\nUse this context to better interpret the query "${query}" and extract the most relevant information from the content below.\n\n`;
   }
 
-  // Combine content, ensuring it doesn't exceed limits (simple trim for now)
-  const combinedContent = content.map(txt => `---\n${txt}\n---`).join('\n');
-  const maxContentLength = 50000; // Adjust as needed based on model limits
-  const trimmedContent = trimPrompt(combinedContent, maxContentLength);
-  if (combinedContent.length > maxContentLength) {
-      errorFn(`[processResults] Content truncated to ${maxContentLength} characters for analysis.`);
+  // Updated prompt format example
+  const instructions = `Based *only* on the content provided above, extract:\n1. Key Learnings (at least ${numLearnings}):\n   - Focus on specific facts, data points, or summaries found in the text.\n   - Each learning should be a concise statement.\n   - End each learning with the number(s) of the source(s) it is based on, e.g. [2] or [1, 3].\n2. Follow-up Questions (at least ${numFollowUpQuestions}):\n   - Generate questions that arise *directly* from the provided content and would require further research.\n   - Must start with What, How, Why, When, Where, or Which.\n\nFormat the output strictly as:\nKey Learnings:\n- [Learning 1]\n- [Learning 2]\n...\n\nFollow-up Questions:\n- [Question 1]\n- [Question 2]\n...`;
+
+  // Number each result so learnings can cite it, then fit as many results as the model's context window allows.
+  // Results arrive ranked, so the lowest-ranked ones are dropped first.
+  const maxTokens = 1000; // Allow sufficient tokens for learnings/questions
+  const contextTokens = getModelCatalog().getContextWindow(llmConfig);
+  const contentBudget = getInputBudget(contextTokens, maxTokens) - estimateTokens(systemPrompt(prompts)) - estimateTokens(analysisPrompt + instructions + getStructuredOutputInstructions('learning'));
+  const numberedContent = content.map((txt, i) => `---\n[Source ${i + 1}]${sources[i]?.url ? ` ${sources[i].url}` : ''}\n${txt}\n---`);
+  const packed = packContentBlocks(numberedContent, contentBudget);
+  if (packed.dropped > 0 || packed.truncated > 0) {
+      errorFn(`[processResults] Content trimmed to fit the ${contextTokens}-token context window: ${packed.dropped} of ${content.length} sources dropped, ${packed.truncated} truncated.`);
   }
-  outputFn(`[processResults] Combined content length for analysis: ${trimmedContent.length} characters.`);
+  outputFn(`[processResults] Content for analysis: ~${packed.usedTokens} tokens of a ${contextTokens}-token context window.`);
 
-  analysisPrompt += `Content:\n${trimmedContent}\n\n`;
-  // Updated prompt format example
-  analysisPrompt += `Based *only* on the content provided above, extract:\n1. Key Learnings (at least ${numLearnings}):\n   - Focus on specific facts, data points, or summaries found in the text.\n   - Each learning should be a concise statement.\n2. Follow-up Questions (at least ${numFollowUpQuestions}):\n   - Generate questions that arise *directly* from the provided content and would require further research.\n   - Must start with What, How, Why, When, Where, or Which.\n\nFormat the output strictly as:\nKey Learnings:\n- [Learning 1]\n- [Learning 2]\n...\n\nFollow-up Questions:\n- [Question 1]\n- [Question 2]\n...`;
+  analysisPrompt += `Content:\n${packed.blocks.join('\n')}\n\n` + instructions;
 
   outputFn(`[processResults] Final prompt for learning extraction (query: "${query}"):\n---START---\n`, analysisPrompt, `\n---END---`);
 
   const result = await generateOutput({
     apiKey, // Pass key
     type: 'learning',
-    system: systemPrompt(), // Use standard system prompt
+    system: systemPrompt(prompts), // Use standard system prompt
     prompt: analysisPrompt,
     temperature: 0.5,
-    maxTokens: 1000, // Allow sufficient tokens for learnings/questions
+    maxTokens,
     outputFn,
-    errorFn
+    errorFn,
+    signal,
+    llmCache,
+    llmConfig
   });
 
   outputFn(`[processResults] LLM result for learning extraction (query: "${query}"):`, JSON.stringify(result));
@@ -349,9 +522,17 @@ export async function processResults({ apiKey, query, content, numLearnings = 3,
     const extractedFollowUpQuestions = (result.data.followUpQuestions || []);
     outputFn(`[processResults] Successfully extracted ${extractedLearnings.length} learnings and ${extractedFollowUpQuestions.length} follow-up questions for query: "${query}"`); // DEBUG LOG
     // Slice *after* logging the total extracted count
-    const finalLearnings = extractedLearnings.slice(0, numLearnings);
     const finalFollowUpQuestions = extractedFollowUpQuestions.slice(0, numFollowUpQuestions);
-    return { learnings: finalLearnings, followUpQuestions: finalFollowUpQuestions };
+    const finalLearnings = [];
+    const citations = {};
+    for (const learning of extractedLearnings.slice(0, numLearnings)) {
+      const { text, sourceNumbers } = extractCitations(learning, content.length);
+      if (!text) continue;
+      finalLearnings.push(text);
+      const urls = sourceNumbers.map(n => sources[n - 1]?.url).filter(Boolean);
+      if (urls.length > 0) citations[text] = urls;
+    }
+    return { learnings: finalLearnings, followUpQuestions: finalFollowUpQuestions, citations };
   } else {
     // --- ADJUSTED ERROR HANDLING WITH FALLBACK ---
     if (result.isApiError) {
@@ -381,15 +562,19 @@ export async function processResults({ apiKey, query, content, numLearnings = 3,
             if (potentialLearnings.length > 0) {
                 errorFn(`[processResults] Fallback extraction yielded ${potentialLearnings.length} potential learnings.`);
                 // Return the first few potential learnings as fallback, ensure no follow-up questions from fallback
-                return { learnings: potentialLearnings.slice(0, numLearnings), followUpQuestions: [] };
+                // Fallback lines can't be attributed reliably, so markers are stripped and no citations are returned
+                const fallbackLearnings = potentialLearnings.slice(0, numLearnings)
+                    .map(line => extractCitations(line, content.length).text)
+                    .filter(Boolean);
+                return { learnings: fallbackLearnings, followUpQuestions: [], citations: {} };
             } else {
                 errorFn(`[processResults] Fallback extraction failed to find usable lines in raw content.`);
-                return { learnings: [], followUpQuestions: [] }; // Fallback failed, return empty
+                return { learnings: [], followUpQuestions: [], citations: {} }; // Fallback failed, return empty
             }
         } else {
             // Raw content wasn't available for some reason (shouldn't happen with generateOutput changes)
             errorFn(`[processResults] Raw content not available for fallback extraction.`);
-            return { learnings: [], followUpQuestions: [] }; // Cannot perform fallback, return empty
+            return { learnings: [], followUpQuestions: [], citations: {} }; // Cannot perform fallback, return empty
         }
     }
     // --- END ADJUSTED ERROR HANDLING ---
@@ -405,10 +590,14 @@ export async function processResults({ apiKey, query, content, numLearnings = 3,
  * @param {string|null} [params.metadata=null] - Metadata from token classification or other context.
  * @param {function} [params.outputFn=console.log] - Function to handle output logs.
  * @param {function} [params.errorFn=console.error] - Function to handle error logs.
+ * @param {AbortSignal} [params.signal] - Optional signal to cancel the LLM call.
+ * @param {string|Object} [params.llmCache] - Response cache mode, passed to generateOutput().
+ * @param {Object} [params.llmConfig] - LLM provider settings, passed to generateOutput().
+ * @param {Object} [params.prompts] - Per-user prompt template overrides ({ id: template }).
  * @returns {Promise<string>} - The generated summary markdown text.
  */
-export async function generateSummary({ apiKey, query, learnings = [], metadata = null, outputFn = console.log, errorFn = console.error }) {
-  if (!apiKey) throw new Error('API key is required for generateSummary.');
+export async function generateSummary({ apiKey, query, learnings = [], metadata = null, outputFn = console.log, errorFn = console.error, signal, llmCache, llmConfig = {}, prompts = {} }) {
+  if (!apiKey && !llmConfig.apiKey && llmProviderRequiresKey(llmConfig.provider)) throw new Error('API key is required for generateSummary.');
 
   // Filter out potential error messages before checking length
   // Assumes error messages consistently start with "Error processing" or similar patterns added in ResearchPath
@@ -452,12 +641,15 @@ export async function generateSummary({ apiKey, query, learnings = [], metadata
   const result = await generateOutput({
     apiKey, // Pass key
     type: 'report',
-    system: systemPrompt(), // Use standard system prompt
+    system: systemPrompt(prompts), // Use standard system prompt
     prompt,
     temperature: 0.7,
     maxTokens: 2000, // Allow more tokens for the final report
     outputFn,
-    errorFn
+    errorFn,
+    signal,
+    llmCache,
+    llmConfig
   });
 
   if (result.success && result.data.reportMarkdown) {
@@ -12,6 +12,11 @@ import { ensureDir } from '../../utils/research.ensure-dir.mjs';
 import { output } from '../../utils/research.output-manager.mjs'; // Use output manager
 import { outputManager } from '../../utils/research.output-manager.mjs'; // Use outputManager for logging
 
+// Services whose credentials live (encrypted) in userData.encryptedApiKeys.
+// searxng and json-http hold a JSON config string (URL, optional key) for the search provider registry;
+// openai holds the JSON config (base URL, optional key/header/model) of an OpenAI-compatible LLM server.
+export const API_KEY_SERVICES = ['brave', 'venice', 'searxng', 'json-http', 'openai'];
+
 // Rate limiting for login attempts
 class RateLimiter {
   constructor(maxAttempts = 5, windowMs = 15 * 60 * 1000) { // 5 attempts per 15 minutes
@@ -730,8 +735,8 @@ export class UserManager {
 
 
   /**
-   * Sets an API key (Brave, Venice) for a specific user. Requires password verification.
-   * @param {string} service - The service name ('brave', 'venice').
+   * Sets an API key (Brave, Venice, search provider config) for a specific user. Requires password verification.
+   * @param {string} service - The service name (one of API_KEY_SERVICES).
    * @param {string} apiKey - The API key value. Pass null or empty string to clear.
    * @param {string} password - The user's current password for verification.
    * @param {string} username - The user for whom to set the key.
@@ -741,7 +746,7 @@ export class UserManager {
   async setApiKey(service, apiKey, password, username) {
     console.log(`[Auth] Setting API key for service: ${service}, user: ${username}`);
 
-    if (service !== 'brave' && service !== 'venice') {
+    if (!API_KEY_SERVICES.includes(service)) {
         throw new Error(`Invalid service type '${service}' for setApiKey. Use setGitHubConfig for GitHub.`);
     }
     if (!username || username === 'public') {
@@ -921,6 +926,154 @@ export class UserManager {
     };
   }
 
+  /**
+   * Gets the user's default LLM provider (chosen with /keys provider <name>).
+   * @param {string} username - The username.
+   * @returns {Promise<string|null>} Provider name, or null if the user never chose one.
+   */
+  async getLLMProvider(username) {
+    const userData = await this.getUserData(username);
+    return userData?.llmProvider || null;
+  }
+
+  /**
+   * Sets the user's default LLM provider. Not a secret, so no password is needed.
+   * The caller validates the name against the LLM provider registry.
+   * @param {string} username - The username.
+   * @param {string|null} provider - Provider name, or null to go back to the server default.
+   * @returns {Promise<void>}
+   */
+  async setLLMProvider(username, provider) {
+    if (!username || username === 'public') {
+        throw new Error('Cannot set the LLM provider for public or unspecified user');
+    }
+    const userData = await this.getUserData(username);
+    if (!userData) throw new Error(`User ${username} not found.`);
+    if (provider) {
+        userData.llmProvider = provider;
+    } else {
+        delete userData.llmProvider;
+    }
+    await this.saveUserData(username, userData);
+  }
+
+  /**
+   * Gets the user's prompt template overrides (edited with /prompts edit).
+   * @param {string} username - The username.
+   * @returns {Promise<Object<string, string>>} Template id → template text; empty for public or unknown users.
+   */
+  async getPromptTemplates(username) {
+    if (!username || username === 'public') return {};
+    const userData = await this.getUserData(username);
+    return { ...(userData?.promptTemplates || {}) };
+  }
+
+  /**
+   * Sets or removes one prompt template override. The caller validates the id and text
+   * (see validatePromptTemplate in prompt.templates.mjs).
+   * @param {string} username - The username.
+   * @param {string} id - Template id, e.g. 'research.system'.
+   * @param {string|null} template - Template text, or null to go back to the built-in default.
+   * @returns {Promise<void>}
+   */
+  async setPromptTemplate(username, id, template) {
+    if (!username || username === 'public') {
+        throw new Error('Cannot set prompt templates for public or unspecified user');
+    }
+    const userData = await this.getUserData(username);
+    if (!userData) throw new Error(`User ${username} not found.`);
+    const templates = { ...(userData.promptTemplates || {}) };
+    if (template) {
+        templates[id] = template;
+    } else {
+        delete templates[id];
+    }
+    if (Object.keys(templates).length) {
+        userData.promptTemplates = templates;
+    } else {
+        delete userData.promptTemplates;
+    }
+    await this.saveUserData(username, userData);
+  }
+
+  /**
+   * Gets the user's custom personas (created with /persona create).
+   * @param {string} username - The username.
+   * @returns {Promise<Object<string, object>>} Slug → persona; empty for public or unknown users.
+   */
+  async getPersonas(username) {
+    if (!username || username === 'public') return {};
+    const userData = await this.getUserData(username);
+    return { ...(userData?.personas || {}) };
+  }
+
+  /**
+   * Creates or replaces a custom persona. The caller validates it (see validatePersona in llm.personas.mjs).
+   * @param {string} username - The username.
+   * @param {object} persona - Validated persona; stored under `persona.slug`.
+   * @returns {Promise<void>}
+   */
+  async savePersona(username, persona) {
+    if (!username || username === 'public') {
+        throw new Error('Cannot save personas for public or unspecified user');
+    }
+    const userData = await this.getUserData(username);
+    if (!userData) throw new Error(`User ${username} not found.`);
+    userData.personas = { ...(userData.personas || {}), [persona.slug]: persona };
+    await this.saveUserData(username, userData);
+  }
+
+  /**
+   * Deletes a custom persona, and clears it as the default persona if it was one.
+   * @param {string} username - The username.
+   * @param {string} slug - Persona slug.
+   * @returns {Promise<boolean>} False if the user had no such persona.
+   */
+  async deletePersona(username, slug) {
+    if (!username || username === 'public') {
+        throw new Error('Cannot delete personas for public or unspecified user');
+    }
+    const userData = await this.getUserData(username);
+    if (!userData) throw new Error(`User ${username} not found.`);
+    if (!userData.personas?.[slug]) return false;
+    delete userData.personas[slug];
+    if (Object.keys(userData.personas).length === 0) delete userData.personas;
+    if (userData.defaultPersona === slug) delete userData.defaultPersona;
+    await this.saveUserData(username, userData);
+    return true;
+  }
+
+  /**
+   * Gets the persona /chat uses when no --c flag is given (chosen with /persona use).
+   * @param {string} username - The username.
+   * @returns {Promise<string|null>} Persona slug, or null for the built-in default.
+   */
+  async getDefaultPersona(username) {
+    if (!username || username === 'public') return null;
+    const userData = await this.getUserData(username);
+    return userData?.defaultPersona || null;
+  }
+
+  /**
+   * Sets the user's default persona.
+   * @param {string} username - The username.
+   * @param {string|null} slug - Persona slug (built-in or custom), or null for the built-in default.
+   * @returns {Promise<void>}
+   */
+  async setDefaultPersona(username, slug) {
+    if (!username || username === 'public') {
+        throw new Error('Cannot set the default persona for public or unspecified user');
+    }
+    const userData = await this.getUserData(username);
+    if (!userData) throw new Error(`User ${username} not found.`);
+    if (slug) {
+        userData.defaultPersona = slug;
+    } else {
+        delete userData.defaultPersona;
+    }
+    await this.saveUserData(username, userData);
+  }
+
   /**
    * Checks if the core GitHub configuration (owner, repo, branch) is set for a user.
    * Does not check for the token.
@@ -996,7 +1149,7 @@ export class UserManager {
 
   /**
    * Checks if an API key exists for the specified service and user.
-   * @param {string} service - The service name ('brave', 'venice').
+   * @param {string} service - The service name (one of API_KEY_SERVICES).
    * @param {string} username - The username.
    * @returns {Promise<boolean>} True if an encrypted key exists for the service.
    */
@@ -1006,8 +1159,8 @@ export class UserManager {
       console.warn(`[Auth][hasApiKey] 'github' is not a valid service for hasApiKey. Use hasGitHubConfig/hasGitHubToken instead.`);
       return false;
     }
-    if (service !== 'brave' && service !== 'venice') {
-      console.warn(`[Auth][hasApiKey] Invalid service '${service}' requested. Only 'brave' or 'venice' supported.`);
+    if (!API_KEY_SERVICES.includes(service)) {
+      console.warn(`[Auth][hasApiKey] Invalid service '${service}' requested. Supported: ${API_KEY_SERVICES.join(', ')}.`);
       return false;
     }
     const userData = await this.getUserData(username);
@@ -1019,7 +1172,7 @@ export class UserManager {
    * @param {object} options - Options object.
    * @param {string} options.username - The username.
    * @param {string} options.password - The user's password for decryption.
-   * @param {string} options.service - The service name ('brave', 'venice', 'github').
+   * @param {string} options.service - The service name (one of API_KEY_SERVICES, or 'github').
    * @returns {Promise<string|null>} The decrypted API key or null if not found/decryption fails.
    * @throws {Error} If user not found, password verification fails, decryption fails, or service is invalid.
    */
@@ -1052,7 +1205,7 @@ export class UserManager {
 
     // --- ADD SERVICE VALIDATION LOGGING ---
     outputManager.debug(`[Auth][getApiKey] Validating service parameter: "${service}"`);
-    const validServices = ['brave', 'venice', 'github']; // Define valid services internally
+    const validServices = [...API_KEY_SERVICES, 'github']; // Define valid services internally
     if (!validServices.includes(service)) {
         outputManager.error(`[Auth][getApiKey] Invalid service type received: "${service}". Valid types: ${validServices.join(', ')}`);
         // Refine the error message for clarity
@@ -1145,14 +1298,14 @@ export class UserManager {
   /**
    * Checks the configuration status of API keys and GitHub for a user.
    * @param {string} username - The username to check.
-   * @returns {Promise<{brave: boolean, venice: boolean, github: boolean}>} Status object.
+   * @returns {Promise<{brave: boolean, venice: boolean, searxng: boolean, 'json-http': boolean, openai: boolean, llmProvider: string|null, github: boolean}>} Status object.
    */
   async checkApiKeys(username) {
     outputManager.debug(`[Auth] Checking API key status for user: ${username}`);
     const userData = await this.getUserData(username);
     if (!userData) {
       outputManager.warn(`[Auth] User ${username} not found during checkApiKeys.`);
-      return { brave: false, venice: false, github: false };
+      return { brave: false, venice: false, searxng: false, 'json-http': false, openai: false, llmProvider: null, github: false };
     }
 
     const braveConfigured = !!userData.encryptedApiKeys?.brave;
@@ -1164,6 +1317,10 @@ export class UserManager {
     return {
       brave: braveConfigured,
       venice: veniceConfigured,
+      searxng: !!userData.encryptedApiKeys?.searxng,
+      'json-http': !!userData.encryptedApiKeys?.['json-http'],
+      openai: !!userData.encryptedApiKeys?.openai,
+      llmProvider: userData.llmProvider || null,
       github: githubConfigured,
     };
   }
@@ -1339,6 +1496,19 @@ export class UserManager {
     return userForLimits.limits || {}; // Return user limits or empty object
   }
 
+  /**
+   * Gets limits for a user object, e.g. the requestingUser of a WebSocket session.
+   * Public (or missing) users get the public limits; others get their own limits, which may be empty.
+   * @param {object|null} user - User data with `username` and optional `limits`.
+   * @returns {object} Limits object (see UsageMeter#checkQuota for the quota keys).
+   */
+  getUserLimits(user) {
+    if (!user || user.username === 'public' || user.role === 'public') {
+      return { maxQueriesPerHour: 3, maxDepth: 2, maxBreadth: 3 };
+    }
+    return user.limits || {};
+  }
+
   /**
    * Checks if the CLI session file is valid and not expired.
    * @returns {Promise<boolean>} True if session is valid, false otherwise.
@@ -8,14 +8,20 @@ import { output } from '../../utils/research.output-manager.mjs';
 import { userManager } from '../auth/user-manager.mjs';
 import { MemoryManager } from '../../infrastructure/memory/memory.manager.mjs';
 // --- FIX: Import executeExitResearch (already imported via commandFunctions) ---
-import { startResearchFromChat, exitMemory, executeExitResearch } from '../../commands/chat.cli.mjs';
+import { startResearchFromChat, exitMemory, executeExitResearch, executeChatModel, executeChatCharacter, getChatContext, formatMemoryUpdate } from '../../commands/chat.cli.mjs';
 import { WebSocketServer, WebSocket } from 'ws';
-import { LLMClient } from '../../infrastructure/ai/venice.llm-client.mjs';
+import { createLLMClient, getLLMProviderDefinition, getDefaultLLMProviderName } from '../../infrastructure/ai/llm.providers.mjs';
+import { getModelCatalog } from '../../infrastructure/ai/llm.model-catalog.mjs';
+import { packChatMessages } from '../../infrastructure/ai/llm.token-budget.mjs';
+import { runChatWithTools, modelSupportsTools, formatToolStep } from '../ai/chat.tools.mjs';
+import { resolvePersona, buildPersonaSystemPrompt, getPersonaVeniceParameters } from '../../infrastructure/ai/llm.personas.mjs';
 import { callVeniceWithTokenClassifier } from '../../utils/token-classifier.mjs';
 import os from 'os';
 import { safeSend } from '../../utils/websocket.utils.mjs'; // Use utils - Removed safePing
-import { cleanChatResponse } from '../../infrastructure/ai/venice.response-processor.mjs';
+import { cleanChatResponse, createStreamingChatCleaner } from '../../infrastructure/ai/venice.response-processor.mjs';
 import { executeResearch } from '../../commands/research.cli.mjs';
+import { executeCancel, cancelResearchRun } from '../../commands/cancel.cli.mjs';
+import { executeMemory } from '../../commands/memory.cli.mjs';
 // --- FIX: Removed incorrect import ---
 // import { wsPrompt } from './ws-prompt.util.mjs'; // wsPrompt is defined in this file
 import { uploadToGitHub } from '../../utils/github.utils.mjs'; // Import the new utility
@@ -106,9 +112,13 @@ export function handleWebSocketConnection(ws, req) {
       currentUser: null, // Cached user data (including potentially decrypted keys)
       currentResearchResult: null, // Store last research result content
       currentResearchFilename: null, // Store last research result suggested filename
+      currentResearchJson: null, // JSON export (research tree) of the last result: { filename, content }
+      researchAbortController: null, // Set while a research run is in flight (see /cancel)
       // --- ADDED FOR MODEL/CHARACTER ---
       sessionModel: null,      // To store the model for the session (chat/research)
       sessionCharacter: null,  // To store the character for the session (chat/research)
+      sessionPersona: null,    // Resolved persona for sessionCharacter (llm.personas.mjs), set by /chat and /persona use
+      chatTools: 'auto',       // Chat tool use: 'auto' (function-calling models), 'on' or 'off' (/chat --tools)
       // Classifier model/character are handled by the classifier utility itself or ResearchEngine
       // --- END ADDED ---
     };
@@ -301,6 +311,10 @@ export function handleWebSocketConnection(ws, req) {
         // Reject the promise to unblock any waiting async function
         rejectFn(new Error("WebSocket connection closed during prompt."));
       }
+      // Stop any research still running for this socket so it doesn't keep spending API credits
+      if (cancelResearchRun(session)) {
+        console.log(`[WebSocket] Cancelled in-flight research for closed session ${closedSessionId}.`);
+      }
       if (session.memoryManager) {
         console.log(`[WebSocket] Nullifying memory manager for closed session ${closedSessionId}`);
         session.memoryManager = null; // Release memory manager resources if any
@@ -309,6 +323,7 @@ export function handleWebSocketConnection(ws, req) {
       session.currentUser = null;
       session.currentResearchResult = null;
       session.currentResearchFilename = null;
+      session.currentResearchJson = null;
       activeChatSessions.delete(closedSessionId);
       wsSessionMap.delete(ws);
       console.log(`[WebSocket] Cleaned up session: ${closedSessionId}`);
@@ -350,6 +365,9 @@ export function handleWebSocketConnection(ws, req) {
             rejectFn(new Error("WebSocket connection error during prompt."));
         }
 
+        if (cancelResearchRun(session)) {
+            console.log(`[WebSocket] Cancelled in-flight research for errored session ${errorSessionId}.`);
+        }
         if (session.memoryManager) {
             console.log(`[WebSocket] Releasing memory manager for session ${errorSessionId}.`);
             session.memoryManager = null; // Release memory manager resources
@@ -358,6 +376,7 @@ export function handleWebSocketConnection(ws, req) {
         session.currentUser = null;
         session.currentResearchResult = null;
         session.currentResearchFilename = null;
+        session.currentResearchJson = null;
 
         activeChatSessions.delete(errorSessionId);
         wsSessionMap.delete(ws);
@@ -461,23 +480,19 @@ async function handleCommandMessage(ws, message, session) {
     const newCharacterFlag = flags.c;
 
     if (commandName === 'chat' || commandName === 'research') {
-        if (newModelFlag) {
-            if (session.sessionModel === null) {
-                session.sessionModel = newModelFlag;
-                outputManager.debug(`[WebSocket] Session ${session.sessionId} model set by flag to: ${session.sessionModel}`);
-                wsOutputHelper(ws, `Session model set to: ${session.sessionModel}`);
-            } else if (session.sessionModel !== newModelFlag) {
-                wsOutputHelper(ws, `Info: Model for this session is already set to '${session.sessionModel}'. Flag '--m ${newModelFlag}' ignored.`);
-            }
+        // Flags replace the session's model/character; /chat and /research validate them
+        if (typeof newModelFlag === 'string' && session.sessionModel !== newModelFlag) {
+            session.sessionModel = newModelFlag;
+            outputManager.debug(`[WebSocket] Session ${session.sessionId} model set by flag to: ${session.sessionModel}`);
+            wsOutputHelper(ws, `Session model set to: ${session.sessionModel}`);
         }
-        if (newCharacterFlag) {
+        if (typeof newCharacterFlag === 'string') {
             const newCharValue = newCharacterFlag.toLowerCase() === 'none' ? 'None' : newCharacterFlag;
-            if (session.sessionCharacter === null) {
+            if (session.sessionCharacter !== newCharValue) {
                 session.sessionCharacter = newCharValue;
+                session.sessionPersona = null; // Resolved again by /chat
                 outputManager.debug(`[WebSocket] Session ${session.sessionId} character set by flag to: ${session.sessionCharacter}`);
                 wsOutputHelper(ws, `Session character set to: ${session.sessionCharacter === 'None' ? 'None (no character)' : session.sessionCharacter}`);
-            } else if (session.sessionCharacter !== newCharValue) {
-                wsOutputHelper(ws, `Info: Character for this session is already set to '${session.sessionCharacter}'. Flag '--c ${newCharacterFlag}' ignored.`);
             }
         }
     }
@@ -502,7 +517,7 @@ async function handleCommandMessage(ws, message, session) {
             wsOutputHelper(ws, `Using default model for chat: ${effectiveModel}`);
         }
         if (effectiveCharacter === null) { 
-            effectiveCharacter = defaultCharacters.chat;
+            effectiveCharacter = (await userManager.getDefaultPersona(session.username)) || defaultCharacters.chat;
             session.sessionCharacter = effectiveCharacter; // Persist default for the session
             wsOutputHelper(ws, `Using default character for chat: ${effectiveCharacter}`);
         }
@@ -536,6 +551,11 @@ async function handleCommandMessage(ws, message, session) {
         // Add other default flags if necessary
         depth: flags.depth || 2, // Default research depth from flags or default
         breadth: flags.breadth || 3, // Default research breadth from flags or default
+        concurrency: flags.concurrency || 3, // Parallel research paths
+        fetchContent: flags['fetch-content'] || false, // Read full result pages, not just snippets
+        provider: typeof flags.provider === 'string' ? flags.provider : undefined, // Search provider for /research, LLM provider for /chat
+        llmProvider: typeof flags['llm-provider'] === 'string' ? flags['llm-provider'] : undefined, // LLM provider for /research
+        source: typeof flags.source === 'string' ? flags.source : undefined, // 'web' or 'local:<path>'
         classify: flags.classify || false, // Default research classification
         verbose: flags.verbose || false, // Default verbosity
         memory: flags.memory || false, // Default chat memory
@@ -769,7 +789,8 @@ async function handleCommandMessage(ws, message, session) {
             // --- FIX: Public users should not be able to run /chat or /research that require keys ---
             // The checks within executeChat/executeResearch handle public users now.
             // Block other sensitive commands for public users here.
-            if (commandName !== 'chat' && commandName !== 'research') {
+            // /models works without credentials (environment keys or the built-in table).
+            if (commandName !== 'chat' && commandName !== 'research' && commandName !== 'models') {
                 commandError(`You must be logged in to use the /${commandName} command.`);
                 return false; // commandError handles input state
             }
@@ -783,20 +804,29 @@ async function handleCommandMessage(ws, message, session) {
             } else if (commandName === 'chat') {
                 // Chat needs password if API key isn't already decrypted/available
                 // Check if key exists first, prompt only if needed for retrieval
-                const hasKey = await userManager.hasApiKey('venice', session.username);
+                const llmService = (options.provider || await userManager.getLLMProvider(session.username) || getDefaultLLMProviderName()).toLowerCase();
+                const hasKey = await userManager.hasApiKey(llmService, session.username);
                 if (hasKey) needsPasswordPrompt = true; // Prompt if key exists but we don't have password
             } else if (commandName === 'research') {
                 // ** Always prompt for research if password isn't available, as keys are required **
-                const hasBraveKey = await userManager.hasApiKey('brave', session.username);
+                // A local corpus needs no search credentials, only the Venice key
+                const searchService = options.source?.toLowerCase().startsWith('local:') ? null : (options.provider || 'brave').toLowerCase();
+                const hasSearchKey = searchService ? await userManager.hasApiKey(searchService, session.username) : false;
                 const hasVeniceKey = await userManager.hasApiKey('venice', session.username);
-                // Prompt if *either* key exists and we don't have a password
-                if (hasBraveKey || hasVeniceKey) {
+                const llmService = (options.llmProvider || await userManager.getLLMProvider(session.username) || getDefaultLLMProviderName()).toLowerCase();
+                const hasLLMKey = llmService !== 'venice' && await userManager.hasApiKey(llmService, session.username);
+                // Prompt if *any* key exists and we don't have a password
+                if (hasSearchKey || hasVeniceKey || hasLLMKey) {
                     needsPasswordPrompt = true;
-                    console.log(`[WebSocket] Research needs password prompt: BraveKey=${hasBraveKey}, VeniceKey=${hasVeniceKey}, PasswordAvailable=${!!finalPassword}`);
+                    console.log(`[WebSocket] Research needs password prompt: SearchKey(${searchService})=${hasSearchKey}, VeniceKey=${hasVeniceKey}, PasswordAvailable=${!!finalPassword}`);
                 } else {
                     // If no keys are set at all, research will fail later, but no need to prompt now.
                     console.log(`[WebSocket] Research command: No API keys found for user ${session.username}. No password prompt needed.`);
                 }
+            } else if (commandName === 'models') {
+                // Stored provider credentials give the live model list; without them the catalog falls back to env keys / the built-in table
+                const llmService = ((typeof options.flags.provider === 'string' && options.flags.provider) || await userManager.getLLMProvider(session.username) || getDefaultLLMProviderName()).toLowerCase();
+                if (await userManager.hasApiKey(llmService, session.username)) needsPasswordPrompt = true;
             } else if (commandName === 'diagnose') {
                 // Diagnose might need keys depending on checks performed
                 needsPasswordPrompt = true; // Assume needs password for key checks
@@ -811,7 +841,7 @@ async function handleCommandMessage(ws, message, session) {
     // If a prompt is needed server-side
     if (needsPasswordPrompt) {
         let passwordPromptText = "Enter password: ";
-        if (commandName === 'keys' || commandName === 'chat' || commandName === 'research' || commandName === 'diagnose') {
+        if (commandName === 'keys' || commandName === 'chat' || commandName === 'research' || commandName === 'diagnose' || commandName === 'models') {
             passwordPromptText = "Enter password to decrypt API keys: ";
         } else if (commandName === 'password-change') {
             passwordPromptText = "Enter current password: ";
@@ -910,6 +940,7 @@ async function handleCommandMessage(ws, message, session) {
             session.currentUser = null; // Clear cached user data
             session.currentResearchResult = null; // Clear last research result
             session.currentResearchFilename = null;
+            session.currentResearchJson = null;
             console.log(`[WebSocket] Session ${session.sessionId} logged out. User: ${session.username}`);
             safeSend(ws, { type: 'logout_success', message: 'Logged out successfully.' });
             safeSend(ws, { type: 'mode_change', mode: 'command', prompt: '> ' });
@@ -954,7 +985,7 @@ async function handleCommandMessage(ws, message, session) {
 // Helper function to check if a command needs a password (add commands as needed)
 // Use commandName here
 function commandRequiresPassword(commandName) {
-    const commandsList = ['keys', 'password-change', 'research', 'chat', 'exitmemory', 'exitresearch', 'diagnose', 'users']; // Added users
+    const commandsList = ['keys', 'password-change', 'research', 'chat', 'exitmemory', 'exitresearch', 'diagnose', 'users', 'models']; // Added users
     return commandsList.includes(commandName);
 }
 
@@ -983,13 +1014,30 @@ async function handleChatMessage(ws, message, session) {
 
         // Handle /exit and other in-chat commands
         if (command === 'exit') {
+            // Finalize memory mode first; exitMemory() also drops the memory manager
+            if (session.memoryManager) {
+                await exitMemory({
+                    session,
+                    isWebSocket: true,
+                    output: (msg) => wsOutputHelper(ws, msg),
+                    error: (msg) => wsErrorHelper(ws, msg, false)
+                });
+            }
             session.isChatActive = false;
             session.chatHistory = [];
-            if (session.memoryManager) session.memoryManager = null;
             safeSend(ws, { type: 'chat-exit' });
             safeSend(ws, { type: 'mode_change', mode: 'command', prompt: '> ' });
             return true;
         }
+        // /cancel (or Esc) while /exitresearch is running
+        if (command === 'cancel') {
+            const result = await executeCancel({
+                session,
+                isWebSocket: true,
+                output: (msg) => wsOutputHelper(ws, msg)
+            });
+            return !(result?.keepDisabled === true);
+        }
         // --- ADD: Handle /exitresearch ---
         if (command === 'exitresearch') {
             // Call the new exitResearch logic from chat.cli.mjs
@@ -1011,68 +1059,170 @@ async function handleChatMessage(ws, message, session) {
             // Return input state as indicated by the result
             return !(result?.keepDisabled === true);
         }
+        // /model <id> and /character <name> switch the chat immediately; the terminal shows the new context
+        if (command === 'model' || command === 'character') {
+            const execute = command === 'model' ? executeChatModel : executeChatCharacter;
+            const result = await execute({
+                session,
+                positionalArgs: args,
+                currentUser: session.currentUser,
+                password: session.password,
+                output: (msg) => wsOutputHelper(ws, msg),
+                error: (msg) => wsErrorHelper(ws, msg, false)
+            });
+            if (result.changed) safeSend(ws, { type: 'chat-context', ...getChatContext(session) });
+            return true;
+        }
+        // /memory works the same as outside chat, on this chat's memory when memory mode is on
+        if (command === 'memory') {
+            const { positionalArgs, flags } = parseCommandArgs(userMsg);
+            await executeMemory({
+                session,
+                positionalArgs,
+                flags,
+                currentUser: session.currentUser,
+                password: session.password,
+                isWebSocket: true,
+                output: (msg) => wsOutputHelper(ws, msg),
+                error: (msg) => wsErrorHelper(ws, msg, false)
+            });
+            return true;
+        }
         // Optionally handle other in-chat commands here (e.g., /exitmemory, /help, etc.)
         // For unknown commands, show error
         safeSend(ws, { type: 'output', data: `Unknown in-chat command: /${command}` });
         return true;
     }
 
+    // The quota was charged once when /chat started (see executeChat)
+    const chatUser = session.currentUser || { username: session.username || 'public', role: 'public' };
+
     // store user line
     session.chatHistory ??= [];
     session.chatHistory.push({ role: 'user', content: userMsg });
 
     try {
-        let veniceApiKey = null;
-        // Attempt to get user-specific API key if user is logged in and password is known
+        // Provider chosen by /chat --provider or /keys provider (see executeChat); Venice if unknown
+        const providerDefinition = getLLMProviderDefinition(session.llmProvider || getDefaultLLMProviderName()) || getLLMProviderDefinition('venice');
+        const service = providerDefinition.name;
+        let credential = null;
+        // Attempt to get user-specific credentials if user is logged in and password is known
         if (session.currentUser && session.currentUser.username !== 'public' && session.password) {
             try {
-                outputManager.debug(`[WebSocket][Chat] Attempting to retrieve Venice API key for user: ${session.currentUser.username}`);
-                veniceApiKey = await userManager.getApiKey({
+                outputManager.debug(`[WebSocket][Chat] Attempting to retrieve ${service} credentials for user: ${session.currentUser.username}`);
+                credential = await userManager.getApiKey({
                     username: session.currentUser.username,
                     password: session.password,
-                    service: 'venice'
+                    service
                 });
-                if (veniceApiKey) {
-                    outputManager.debug(`[WebSocket][Chat] Successfully retrieved Venice API key for user: ${session.currentUser.username}.`);
+                if (credential) {
+                    outputManager.debug(`[WebSocket][Chat] Successfully retrieved ${service} credentials for user: ${session.currentUser.username}.`);
                 } else {
-                    outputManager.warn(`[WebSocket][Chat] Could not retrieve user-specific Venice API key for ${session.currentUser.username}. It might not be set.`);
+                    outputManager.warn(`[WebSocket][Chat] Could not retrieve user-specific ${service} credentials for ${session.currentUser.username}. They might not be set.`);
                 }
             } catch (keyError) {
-                outputManager.error(`[WebSocket][Chat] Error retrieving Venice API key for ${session.currentUser.username}: ${keyError.message}. Chat will use fallback.`);
+                outputManager.error(`[WebSocket][Chat] Error retrieving ${service} credentials for ${session.currentUser.username}: ${keyError.message}. Chat will use fallback.`);
                 if (keyError.message.toLowerCase().includes('password is incorrect')) {
                     wsErrorHelper(ws, `Chat Error: Password for API key decryption was incorrect. Chat may be degraded.`, true);
                 }
             }
         } else if (session.currentUser && session.currentUser.username !== 'public' && !session.password) {
-            outputManager.warn(`[WebSocket][Chat] Session password not available for ${session.currentUser.username}. Cannot retrieve user-specific Venice API key. Chat will use fallback.`);
+            outputManager.warn(`[WebSocket][Chat] Session password not available for ${session.currentUser.username}. Cannot retrieve user-specific ${service} credentials. Chat will use fallback.`);
         }
 
-        const llmConfig = {};
-        if (veniceApiKey) {
-            llmConfig.apiKey = veniceApiKey;
-            outputManager.debug(`[WebSocket][Chat] LLMClient will use user-specific Venice API key for ${session.currentUser.username}.`);
+        const llmConfig = { provider: service, usage: { username: chatUser.username, command: 'chat' } };
+        try {
+            Object.assign(llmConfig, providerDefinition.fromCredential(credential));
+        } catch (configError) {
+            wsErrorHelper(ws, `Chat failed: stored configuration for '${service}' is invalid (${configError.message}). Re-run /keys set ${service}.`, true);
+            return true;
+        }
+        if (credential) {
+            outputManager.debug(`[WebSocket][Chat] LLM client (${service}) will use user-specific settings for ${session.currentUser.username}.`);
         } else {
-            outputManager.debug('[WebSocket][Chat] LLMClient will use default (environment) Venice API key.');
+            outputManager.debug(`[WebSocket][Chat] LLM client (${service}) will use default (environment) settings.`);
         }
 
-        const llm = new LLMClient(llmConfig);
+        const llm = createLLMClient(llmConfig);
         const model = session.sessionModel || 'qwen-2.5-qwq-32b'; // Ensure fallback
-        const character = session.sessionCharacter === 'None' ? null : (session.sessionCharacter || 'bitcore'); // Handle 'None' and fallback
-
-        const systemMessageContent = character
-            ? `You are ${character}. You are a helpful assistant.`
-            : 'You are a helpful assistant.';
-        const system = { role: 'system', content: systemMessageContent };
-
-        const shortHistory = session.chatHistory.slice(-9);
-        const messages = [system, ...shortHistory];
-
-        const res = await llm.completeChat({ messages, model, temperature: 0.7, maxTokens: 2048 });
-        const clean = cleanChatResponse(res.content);
-
-        session.chatHistory.push({ role: 'assistant', content: clean });
+        // Persona chosen by /chat (or /persona use); 'None' means no persona
+        const persona = session.sessionCharacter === 'None'
+            ? null
+            : (session.sessionPersona || resolvePersona(session.sessionCharacter || 'bitcore', await userManager.getPersonas(chatUser.username)));
+
+        const systemMessageContent = buildPersonaSystemPrompt(persona, 'chat.persona', await userManager.getPromptTemplates(chatUser.username));
+        // Memory mode: recall memories related to the message for the prompt, then remember the message
+        const memoryManager = session.memoryManager;
+        let memoryContext = '';
+        if (memoryManager) {
+            const relevantMemories = await memoryManager.recallAndStore(userMsg, 'user');
+            if (relevantMemories.length > 0) {
+                memoryContext = 'Relevant information from memory:\n' + relevantMemories.map(mem => `- ${mem.content}`).join('\n');
+            }
+        }
+        // Send as much history as the model's context window holds; older turns are condensed or dropped first
+        const maxTokens = 2048;
+        const packed = packChatMessages({
+            system: systemMessageContent,
+            memory: memoryContext,
+            history: session.chatHistory,
+            contextTokens: getModelCatalog().getContextWindow(llmConfig, model),
+            reservedOutputTokens: maxTokens
+        });
+        if (packed.droppedMessages > 0) {
+            outputManager.debug(`[WebSocket][Chat] ${packed.droppedMessages} older messages ${packed.summarized ? 'condensed' : 'dropped'} to fit the context window (~${packed.usedTokens}/${packed.budget} tokens).`);
+        }
+        const messages = packed.messages;
 
-        safeSend(ws, { type: 'chat-response', message: clean });
+        // Stream the reply: chat-chunk messages as tokens arrive, then chat-done with the cleaned full text
+        const cleaner = createStreamingChatCleaner();
+        const sendSegments = (segments) => {
+            for (const segment of segments) {
+                safeSend(ws, { type: 'chat-chunk', kind: segment.kind, content: segment.content });
+            }
+        };
+        const completion = {
+            temperature: persona?.temperature ?? 0.7,
+            maxTokens,
+            venice_parameters: getPersonaVeniceParameters(persona),
+            stream: true,
+            onChunk: (delta) => sendSegments(cleaner.push(delta))
+        };
+        // Tools (web search, research, memory recall, last research) for logged-in users on function-calling models;
+        // /chat --tools=on|off overrides the model check
+        const useTools = chatUser.username !== 'public'
+            && (session.chatTools === 'on' || (session.chatTools !== 'off' && modelSupportsTools(llmConfig, model)));
+        const res = useTools
+            ? await runChatWithTools({
+                llm,
+                messages,
+                model,
+                context: {
+                    session,
+                    username: chatUser.username,
+                    password: session.password,
+                    llmConfig,
+                    usage: llmConfig.usage,
+                    debug: (msg) => outputManager.debug(`[WebSocket][Chat][Tools] ${msg}`)
+                },
+                onStep: (step) => safeSend(ws, { type: 'output', data: formatToolStep(step) }),
+                completion
+            })
+            : await llm.completeChat({ messages, model, ...completion });
+        const { segments, message: streamedMessage } = cleaner.finish();
+        sendSegments(segments);
+        const clean = streamedMessage || cleanChatResponse(res.content);
+
+        // `meta` stays server-side (packChatMessages sends only role and content)
+        session.chatHistory.push({ role: 'assistant', content: clean, meta: { model: res.model || model, persona: persona?.slug || null } });
+
+        safeSend(ws, { type: 'chat-done', message: clean, model: res.model, cached: res.cached === true });
+
+        if (memoryManager) {
+            await memoryManager.storeMemory(clean, 'assistant');
+            // Every few exchanges memories are validated and summarized in the background; the terminal hears about it
+            memoryManager.recordExchange(result => safeSend(ws, { type: 'memory_update', message: formatMemoryUpdate(result), ...result }));
+        }
     } catch (err) {
         console.error('[WebSocket][Chat] LLM error:', err.message, err.stack);
         if (err instanceof Error && err.message.toLowerCase().includes('api key is required')) {
@@ -1150,6 +1300,18 @@ async function handleInputMessage(ws, message, session) {
                     // Input enabled by default
                     break;
 
+                case 'export':
+                    if (!session.currentResearchJson) {
+                        throw new Error("No JSON export available for this result.");
+                    }
+                    wsOutputHelper(ws, "Preparing JSON export of the research tree...");
+                    safeSend(ws, {
+                        type: 'download_file',
+                        filename: session.currentResearchJson.filename,
+                        content: session.currentResearchJson.content
+                    });
+                    break;
+
                 case 'upload':
                     if (!session.currentUser || session.currentUser.role === 'public') {
                         throw new Error("Login required to upload results.");
@@ -1169,6 +1331,7 @@ async function handleInputMessage(ws, message, session) {
                             wsErrorHelper(ws, `Password prompt failed: ${promptError.message}`, true);
                             session.currentResearchResult = null;
                             session.currentResearchFilename = null;
+                            session.currentResearchJson = null;
                             return false;
                         }
                     }
@@ -1211,7 +1374,7 @@ async function handleInputMessage(ws, message, session) {
                     break;
 
                 default:
-                    wsOutputHelper(ws, `Invalid action: '${action}'. Please choose Download, Upload, Keep, or Discard.`);
+                    wsOutputHelper(ws, `Invalid action: '${action}'. Please choose Download, Export, Upload, Keep, or Discard.`);
                     break;
             }
         } catch (actionError) {
@@ -1222,9 +1385,10 @@ async function handleInputMessage(ws, message, session) {
                 session.password = null;
             }
         } finally {
-            if (action === 'download' || action === 'upload' || action === 'discard') {
+            if (action === 'download' || action === 'export' || action === 'upload' || action === 'discard') {
                 session.currentResearchResult = null;
                 session.currentResearchFilename = null;
+                session.currentResearchJson = null;
                 delete session.currentResearchQuery;
             }
         }
@@ -1371,6 +1535,7 @@ export function cleanupInactiveSessions() { // --- FIX: Added export ---
       session.currentUser = null;
       session.currentResearchResult = null;
       session.currentResearchFilename = null;
+      session.currentResearchJson = null;
       activeChatSessions.delete(sessionId);
       if (ws) {
         wsSessionMap.delete(ws);
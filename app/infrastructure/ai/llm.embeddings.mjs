@@ -0,0 +1,170 @@
+import { createLLMClient } from './llm.providers.mjs';
+
+// --- Text embeddings ---
+// Remote embeddings come from the LLM provider's /embeddings endpoint (LLMClient.embed). When that is unavailable
+// (no key, offline, server without an embedding model) texts are embedded locally with a hashing vectorizer:
+// deterministic and dependency-free, but lexical, so it only finds shared words and word fragments, not paraphrases.
+// Vectors from different models are not comparable; every vector is stored with the id of the model that made it.
+// Fallback vectors are a stopgap for the call that needed them: callers should not store them over provider vectors.
+
+export const LOCAL_EMBEDDING_DIMENSIONS = 512;
+export const LOCAL_EMBEDDING_MODEL = `local:hash-${LOCAL_EMBEDDING_DIMENSIONS}`;
+
+const WORD_WEIGHT = 1;
+const TRIGRAM_WEIGHT = 0.5; // Trigrams give partial credit for inflections ("learn" / "learning")
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'about',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'as', 'me', 'my', 'i', 'you', 'your',
+  'we', 'our', 'what', 'when', 'where', 'who', 'how', 'why', 'which', 'do', 'does', 'did', 'can', 'could', 'would', 'should']);
+
+/**
+ * 32-bit FNV-1a hash.
+ * @param {string} str
+ * @returns {number} Unsigned 32-bit hash.
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Adds `weight` for `feature` to the bucket its hash selects, with a hash-derived sign so collisions tend to cancel out.
+ */
+function addFeature(vector, feature, weight) {
+  const hash = fnv1a(feature);
+  vector[hash % vector.length] += (hash & 0x80000000) ? -weight : weight;
+}
+
+/**
+ * @param {number[]} vector
+ * @returns {number[]} The vector scaled to unit length (unchanged if all zeros).
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Local embedding: hashes the words of `text` (minus stop words) and their character trigrams into a fixed-size,
+ * L2-normalised vector. The same text always gives the same vector.
+ * @param {string} text
+ * @param {number} [dimensions=LOCAL_EMBEDDING_DIMENSIONS]
+ * @returns {number[]}
+ */
+export function hashEmbedding(text, dimensions = LOCAL_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  for (const word of words) {
+    if (STOP_WORDS.has(word)) continue;
+    addFeature(vector, `w:${word}`, WORD_WEIGHT);
+    const padded = `<${word}>`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+  }
+  return normalize(vector);
+}
+
+/**
+ * Cosine similarity of two vectors.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Between -1 and 1; 0 when either vector is missing, empty, all zeros, or the lengths differ.
+ */
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Packs a vector as base64 float32, for text formats such as the GitHub memory registry.
+ * @param {number[]} vector
+ * @returns {string}
+ */
+export function encodeEmbedding(vector) {
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+/**
+ * Inverse of encodeEmbedding().
+ * @param {string} encoded
+ * @returns {number[]|null} Null when `encoded` is empty or not a whole number of float32 values.
+ */
+export function decodeEmbedding(encoded) {
+  const bytes = Buffer.from(String(encoded || '').trim(), 'base64');
+  if (bytes.length === 0 || bytes.length % 4 !== 0) return null;
+  return Array.from(new Float32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4));
+}
+
+/**
+ * Embeds texts with the provider's embeddings endpoint, falling back to hashEmbedding() for a call the provider
+ * fails. The provider is tried again on the next call.
+ */
+export class TextEmbedder {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.llmConfig] - createLLMClient() config (provider, apiKey, baseUrl, embeddingModel, usage...).
+   *   Without one the default provider is tried with its environment credentials.
+   * @param {boolean} [options.remote=true] - false to always embed locally.
+   * @param {Function} [options.errorFn=console.error] - Told when the provider starts failing (once until it works again).
+   */
+  constructor(options = {}) {
+    const { llmConfig = {}, remote = true, errorFn = console.error } = options;
+    this.llmConfig = llmConfig;
+    this.errorFn = errorFn;
+    this.client = null;
+    this.remoteModel = null; // Model the provider reported, once it has answered
+    this.useRemote = remote;
+    this.failing = false; // The last provider call failed; its error was reported
+  }
+
+  /**
+   * Id of the model embed() normally uses, e.g. 'venice:text-embedding-bge-m3', or LOCAL_EMBEDDING_MODEL when
+   * remote embeddings are off. Stored vectors from this model are current.
+   * @returns {string}
+   */
+  get model() {
+    if (!this.useRemote) return LOCAL_EMBEDDING_MODEL;
+    return this.remoteModel || `${this.llmConfig.provider || 'default'}:${this.llmConfig.embeddingModel || 'default'}`;
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<{vectors: number[][], model: string, fallback: boolean}>} One vector per text, the id of the
+   *   model that made them, and whether they are local vectors standing in for a failed provider call.
+   */
+  async embed(texts) {
+    const inputs = texts.map(text => String(text ?? ''));
+    if (inputs.length === 0) return { vectors: [], model: this.model, fallback: false };
+    if (this.useRemote) {
+      try {
+        this.client = this.client || createLLMClient({ ...this.llmConfig, errorFn: () => {} });
+        const result = await this.client.embed({ input: inputs });
+        if (!Array.isArray(result?.vectors) || result.vectors.length !== inputs.length) {
+          throw new Error('the provider returned no embeddings');
+        }
+        this.remoteModel = `${this.client.providerName}:${result.model || 'default'}`;
+        this.failing = false;
+        return { vectors: result.vectors, model: this.remoteModel, fallback: false };
+      } catch (error) {
+        this.client = null; // Rebuilt on the next call, in case the failure was in creating it
+        if (!this.failing) {
+          this.errorFn(`[Embeddings] Provider embeddings unavailable (${error.message}); using the local hashing vectorizer until it works again.`);
+        }
+        this.failing = true;
+      }
+    }
+    return { vectors: inputs.map(text => hashEmbedding(text)), model: LOCAL_EMBEDDING_MODEL, fallback: this.useRemote };
+  }
+}
@@ -0,0 +1,163 @@
+import { LLMError } from './venice.llm-client.mjs';
+import { createLLMClient, getLLMProviderDefinition, getDefaultLLMProviderName } from './llm.providers.mjs';
+
+// Assumed when a model's window is unknown (e.g. a local server that was never listed); small enough for most local setups
+export const DEFAULT_CONTEXT_TOKENS = 8192;
+
+const DEFAULTS = {
+  ttlMs: 60 * 60 * 1000, // Providers add and retire models rarely; an hour keeps /models and -m checks cheap
+  failureTtlMs: 60 * 1000, // Retry an unreachable provider soon instead of serving the static table for an hour
+  timeout: 10000
+};
+
+/**
+ * Models available from each LLM provider.
+ *
+ * The list comes from the provider's GET /models endpoint (LLMClient#listModels) and is kept in memory
+ * for `ttlMs` per provider and base URL. Entries the provider leaves incomplete are filled in from the
+ * provider's built-in table (`fallbackModels` in llm.providers.mjs), and that table is served on its own
+ * when the provider can't be reached or no API key is available.
+ */
+export class ModelCatalog {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] - How long a fetched list is reused.
+   * @param {number} [options.failureTtlMs] - How long the static fallback is reused after a failed fetch.
+   * @param {number} [options.timeout] - Request timeout for GET /models in milliseconds.
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULTS.ttlMs;
+    this.failureTtlMs = options.failureTtlMs ?? DEFAULTS.failureTtlMs;
+    this.timeout = options.timeout ?? DEFAULTS.timeout;
+    this.entries = new Map(); // provider|baseUrl -> catalog
+    this.pending = new Map(); // provider|baseUrl -> in-flight fetch, so concurrent lookups share one request
+  }
+
+  /**
+   * @param {object} [llmConfig] - createLLMClient() config: provider, apiKey, baseUrl, apiKeyHeader.
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Ignore the cached list and fetch again.
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{provider: string, models: Array<{id: string, availableContextTokens: number|null, traits: string[], source: string}>, source: 'live'|'static', fetchedAt: number, error: string|null}>}
+   * @throws {LLMError} UnsupportedProvider if the provider is not registered.
+   */
+  async getModels(llmConfig = {}, { refresh = false, signal } = {}) {
+    const provider = String(llmConfig.provider || getDefaultLLMProviderName()).toLowerCase();
+    const definition = getLLMProviderDefinition(provider);
+    if (!definition) {
+      throw new LLMError('UnsupportedProvider', `Unknown LLM provider '${provider}'.`);
+    }
+
+    const key = `${provider}|${llmConfig.baseUrl || ''}`;
+    const cached = this.entries.get(key);
+    if (!refresh && cached && Date.now() - cached.fetchedAt <= (cached.source === 'live' ? this.ttlMs : this.failureTtlMs)) {
+      return cached;
+    }
+    if (!refresh && this.pending.has(key)) return this.pending.get(key);
+
+    const request = this.fetchCatalog(provider, definition, llmConfig, signal)
+      .then(catalog => {
+        this.entries.set(key, catalog);
+        return catalog;
+      })
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, request);
+    return request;
+  }
+
+  async fetchCatalog(provider, definition, llmConfig, signal) {
+    const fallback = definition.fallbackModels().map(model => ({ ...model, source: 'static' }));
+    try {
+      const client = createLLMClient({
+        ...llmConfig,
+        provider,
+        cache: 'off',
+        timeout: this.timeout,
+        retry: { maxAttempts: 1 },
+        outputFn: () => {},
+        errorFn: () => {}
+      });
+      const live = await client.listModels({ signal });
+      if (!live.length) throw new Error('The provider returned no models.');
+
+      const known = new Map(fallback.map(model => [model.id, model]));
+      const models = live.map(model => ({
+        id: model.id,
+        availableContextTokens: model.availableContextTokens ?? known.get(model.id)?.availableContextTokens ?? null,
+        traits: model.traits?.length ? model.traits : (known.get(model.id)?.traits || []),
+        source: 'live'
+      }));
+      return { provider, models, source: 'live', fetchedAt: Date.now(), error: null };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return { provider, models: fallback, source: 'static', fetchedAt: Date.now(), error: error.message };
+    }
+  }
+
+  /**
+   * Checks a model id (e.g. from -m) against the catalog. Ids match case-insensitively.
+   * When the catalog is empty (a local server that is down and has no built-in table) every id is accepted
+   * and the server decides.
+   * @param {object} llmConfig - See getModels().
+   * @param {string} modelId
+   * @param {object} [options] - See getModels().
+   * @returns {Promise<{valid: boolean, model: object|null, suggestions: string[], catalog: object}>}
+   */
+  async validateModel(llmConfig, modelId, options = {}) {
+    const catalog = await this.getModels(llmConfig, options);
+    const wanted = String(modelId || '').toLowerCase();
+    const model = catalog.models.find(m => m.id.toLowerCase() === wanted) || null;
+    if (model || catalog.models.length === 0) {
+      return { valid: true, model, suggestions: [], catalog };
+    }
+    const family = wanted.split(/[-_.:/]/)[0];
+    const suggestions = catalog.models
+      .filter(m => family && m.id.toLowerCase().includes(family))
+      .slice(0, 5)
+      .map(m => m.id);
+    return { valid: false, model: null, suggestions, catalog };
+  }
+
+  /**
+   * Catalog entry for a model, without any network request: the last fetched list for the provider (even if
+   * past its TTL), then the provider's built-in table.
+   * @param {object} llmConfig - See getModels(); `llmConfig.model` is used when `modelId` is omitted.
+   * @param {string} [modelId] - Defaults to the configured model, then the provider's default model.
+   * @returns {{id: string, availableContextTokens: number|null, traits: string[]}|null}
+   */
+  findModel(llmConfig = {}, modelId) {
+    const provider = String(llmConfig.provider || getDefaultLLMProviderName()).toLowerCase();
+    const definition = getLLMProviderDefinition(provider);
+    const id = String(modelId || llmConfig.model || definition?.defaultModel() || '').toLowerCase();
+    if (!definition || !id) return null;
+    const cached = this.entries.get(`${provider}|${llmConfig.baseUrl || ''}`);
+    return cached?.models.find(m => m.id.toLowerCase() === id)
+      || definition.fallbackModels().find(m => m.id.toLowerCase() === id)
+      || null;
+  }
+
+  /**
+   * Context window of a model (see findModel()), or DEFAULT_CONTEXT_TOKENS when unknown.
+   * @param {object} llmConfig - See findModel().
+   * @param {string} [modelId]
+   * @returns {number}
+   */
+  getContextWindow(llmConfig = {}, modelId) {
+    return this.findModel(llmConfig, modelId)?.availableContextTokens || DEFAULT_CONTEXT_TOKENS;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+let sharedCatalog = null;
+
+/**
+ * Process-wide catalog shared by /models, /chat and /research.
+ * @returns {ModelCatalog}
+ */
+export function getModelCatalog() {
+  if (!sharedCatalog) sharedCatalog = new ModelCatalog();
+  return sharedCatalog;
+}
@@ -0,0 +1,119 @@
+// --- Chat/research personas ---
+// A persona is who the model speaks as: the built-in Venice characters (archon, bitcore, metacore), which Venice
+// applies server-side via venice_parameters.character_slug, and user-defined personas created with /persona create,
+// which carry their own system prompt, default model and temperature. Custom personas are stored with the user
+// profile (userData.personas, see UserManager#savePersona) keyed by slug.
+
+import { VENICE_CHARACTERS } from './venice.characters.mjs';
+import { renderPromptTemplate } from '../prompts/prompt.templates.mjs';
+
+const MAX_NAME_LENGTH = 32;
+const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+
+const BUILT_IN_PERSONAS = Object.freeze(Object.fromEntries(
+    Object.entries(VENICE_CHARACTERS).map(([name, { character_slug, description }]) => [
+        character_slug,
+        Object.freeze({ name, slug: character_slug, description, characterSlug: character_slug, builtIn: true })
+    ])
+));
+
+/**
+ * Slug used to store and look up a persona: lowercase letters, digits, '-' and '_'.
+ * @param {string} name
+ * @returns {string} '' when nothing usable is left.
+ */
+export function personaSlug(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9_-]/g, '');
+}
+
+/**
+ * Checks and normalizes /persona create input.
+ * @param {object} input
+ * @param {string} input.name
+ * @param {string} input.systemPrompt
+ * @param {string} [input.model] - Default chat/research model; still subject to the provider's catalog.
+ * @param {number|string} [input.temperature] - 0 to 2.
+ * @param {string} [input.description]
+ * @returns {{valid: true, persona: object}|{valid: false, error: string}}
+ */
+export function validatePersona({ name, systemPrompt, model, temperature, description } = {}) {
+    const slug = personaSlug(name);
+    if (!slug || slug.length > MAX_NAME_LENGTH) {
+        return { valid: false, error: `Persona name must have 1-${MAX_NAME_LENGTH} letters, digits, '-' or '_'.` };
+    }
+    if (BUILT_IN_PERSONAS[slug] || slug === 'none') {
+        return { valid: false, error: `'${slug}' is reserved for a built-in character. Choose another name.` };
+    }
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+        return { valid: false, error: 'A persona needs a system prompt (--prompt="...").' };
+    }
+    if (systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+        return { valid: false, error: `System prompt is too long (${systemPrompt.length} characters, max ${MAX_SYSTEM_PROMPT_LENGTH}).` };
+    }
+    let parsedTemperature = null;
+    if (temperature !== undefined && temperature !== null && temperature !== '') {
+        parsedTemperature = Number(temperature);
+        if (!Number.isFinite(parsedTemperature) || parsedTemperature < 0 || parsedTemperature > 2) {
+            return { valid: false, error: `Invalid temperature '${temperature}'. Use a number from 0 to 2.` };
+        }
+    }
+    return {
+        valid: true,
+        persona: {
+            name: String(name).trim(),
+            slug,
+            description: description ? String(description) : '',
+            systemPrompt: systemPrompt.trim(),
+            model: model ? String(model) : null,
+            temperature: parsedTemperature,
+            builtIn: false
+        }
+    };
+}
+
+/**
+ * Built-in characters followed by the user's personas.
+ * @param {Object<string, object>} [userPersonas] - From UserManager#getPersonas.
+ * @returns {object[]}
+ */
+export function listPersonas(userPersonas = {}) {
+    return [...Object.values(BUILT_IN_PERSONAS), ...Object.values(userPersonas || {})];
+}
+
+/**
+ * Looks a persona up by name or slug, case-insensitively. User personas cannot shadow built-ins (see validatePersona).
+ * @param {string} name
+ * @param {Object<string, object>} [userPersonas]
+ * @returns {object|null} null for unknown names and for 'None'.
+ */
+export function resolvePersona(name, userPersonas = {}) {
+    const slug = personaSlug(name);
+    if (!slug || slug === 'none') return null;
+    return BUILT_IN_PERSONAS[slug] || userPersonas?.[slug] || null;
+}
+
+/**
+ * System prompt for a persona: the prompt template `templateId` rendered with the persona's name, preceded by the
+ * persona's own system prompt for custom personas.
+ * @param {object|null} persona - From resolvePersona(); null gives the plain assistant prompt.
+ * @param {string} templateId - 'chat.persona' (Web-CLI chat) or 'chat.system' (terminal chat).
+ * @param {object} [promptOverrides] - The user's prompt templates.
+ * @returns {string}
+ */
+export function buildPersonaSystemPrompt(persona, templateId, promptOverrides = {}) {
+    if (!persona) return 'You are a helpful assistant.';
+    const rendered = renderPromptTemplate(templateId, { persona: persona.name }, promptOverrides);
+    if (!persona.systemPrompt) return rendered;
+    // The Web-CLI template only introduces the persona, which the custom prompt already does
+    return templateId === 'chat.persona' ? persona.systemPrompt : `${persona.systemPrompt}\n\n${rendered}`;
+}
+
+/**
+ * Venice parameters for a persona. Custom personas and 'None' send character_slug: null so the LLM client
+ * doesn't add its default character on top of their system prompt.
+ * @param {object|null} persona
+ * @returns {{character_slug: string|null}}
+ */
+export function getPersonaVeniceParameters(persona) {
+    return { character_slug: persona?.characterSlug || null };
+}
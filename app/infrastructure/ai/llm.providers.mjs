@@ -0,0 +1,105 @@
+import { LLMClient, LLMError } from './venice.llm-client.mjs';
+import { OpenAICompatibleClient } from './openai.llm-client.mjs';
+import { VENICE_MODELS, getDefaultModelId } from './venice.models.mjs';
+
+// --- LLM provider registry ---
+// Each entry knows how to build its client and how to read the credential saved with /keys.
+
+const llmProviderRegistry = new Map();
+
+/**
+ * Registers an LLM provider so it can be selected with `/keys provider <name>` or `--provider=<name>`.
+ * @param {string} name - Provider name (also the /keys service name for its credentials).
+ * @param {object} definition
+ * @param {string} definition.description - One-line description for help text.
+ * @param {boolean} definition.requiresCredentials - Whether an API key must be stored with /keys first.
+ * @param {Function} definition.create - (config) => client exposing complete(), completeChat(), embed() and listModels().
+ * @param {Function} [definition.fromCredential] - Turns the decrypted /keys value into `create` config.
+ * @param {Function} [definition.fallbackModels] - () => built-in model list, used by the model catalog when the provider can't be reached.
+ * @param {Function} [definition.defaultModel] - () => model id a client uses when none is configured, or null if the server decides.
+ * @param {Function} [definition.supportsResponseSchema] - (config) => whether the server honours a JSON-schema `response_format`.
+ *   Callers still validate the reply and fall back to text parsing, so a wrong `true` costs one extra request.
+ */
+export function registerLLMProvider(name, definition) {
+  llmProviderRegistry.set(name.toLowerCase(), {
+    fromCredential: (credential) => (credential ? JSON.parse(credential) : {}),
+    fallbackModels: () => [],
+    defaultModel: () => null,
+    supportsResponseSchema: () => false,
+    ...definition,
+    name: name.toLowerCase()
+  });
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null} The registered definition, or null if unknown.
+ */
+export function getLLMProviderDefinition(name) {
+  return llmProviderRegistry.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * @returns {Array<{name: string, description: string, requiresCredentials: boolean}>}
+ */
+export function listLLMProviders() {
+  return [...llmProviderRegistry.values()].map(({ name, description, requiresCredentials }) => ({ name, description, requiresCredentials }));
+}
+
+/**
+ * Provider used when neither the command nor the user picked one: LLM_PROVIDER, else Venice.
+ * @returns {string}
+ */
+export function getDefaultLLMProviderName() {
+  return String(process.env.LLM_PROVIDER || 'venice').toLowerCase();
+}
+
+/**
+ * Whether research/chat must refuse to run without an API key for this provider.
+ * @param {string} [name] - Defaults to getDefaultLLMProviderName().
+ * @returns {boolean}
+ */
+export function llmProviderRequiresKey(name) {
+  const definition = getLLMProviderDefinition(name || getDefaultLLMProviderName());
+  return definition ? definition.requiresCredentials : true;
+}
+
+/**
+ * Instantiates the client for `config.provider` (default: getDefaultLLMProviderName()).
+ * @param {object} [config] - Client config: provider, apiKey, model, baseUrl, apiKeyHeader, cache, outputFn, errorFn.
+ * @returns {LLMClient}
+ * @throws {LLMError} UnsupportedProvider if the name is not registered.
+ */
+export function createLLMClient(config = {}) {
+  const { provider, ...clientConfig } = config;
+  const name = provider || getDefaultLLMProviderName();
+  const definition = getLLMProviderDefinition(name);
+  if (!definition) {
+    const available = listLLMProviders().map(p => p.name).join(', ');
+    throw new LLMError('UnsupportedProvider', `Unknown LLM provider '${name}'. Available: ${available}`);
+  }
+  return definition.create(clientConfig);
+}
+
+registerLLMProvider('venice', {
+  description: 'Venice AI API (requires /keys set venice <key>)',
+  requiresCredentials: true,
+  create: (config) => new LLMClient(config),
+  fromCredential: (credential) => (credential ? { apiKey: credential } : {}),
+  defaultModel: () => process.env.VENICE_MODEL || getDefaultModelId(),
+  supportsResponseSchema: () => true,
+  fallbackModels: () => Object.entries(VENICE_MODELS).map(([id, info]) => ({
+    id,
+    availableContextTokens: info.availableContextTokens ?? null,
+    traits: info.traits || []
+  }))
+});
+
+registerLLMProvider('openai', {
+  description: 'OpenAI-compatible server such as llama.cpp, vLLM or Ollama (configure with /keys set openai --openai-url=...)',
+  requiresCredentials: false,
+  create: (config) => new OpenAICompatibleClient(config),
+  defaultModel: () => process.env.OPENAI_MODEL || null,
+  // OpenAI, vLLM, llama.cpp, Ollama and LM Studio accept json_schema response formats; older servers answer 400
+  supportsResponseSchema: () => true
+});
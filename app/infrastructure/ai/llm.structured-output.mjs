@@ -0,0 +1,132 @@
+// --- Structured (JSON-schema) LLM output ---
+// Models asked for JSON still wrap it in code fences, prepend <think> blocks or leave trailing commas, and
+// providers that ignore response_format answer in free text. These helpers get a value out of such replies and
+// check it against the schema that was requested; the subset of JSON Schema supported is what the research
+// prompts use (type, properties, required, items, minItems, maxItems, minLength, enum).
+
+/**
+ * Builds the OpenAI/Venice `response_format` for a schema.
+ * @param {string} name - Schema name reported to the provider (letters, digits, '_' and '-').
+ * @param {object} schema - JSON schema.
+ * @returns {object}
+ */
+export function jsonSchemaResponseFormat(name, schema) {
+  return { type: 'json_schema', json_schema: { name, strict: true, schema } };
+}
+
+/**
+ * Cuts the first complete top-level JSON object or array out of `text`, respecting strings.
+ * @returns {string|null}
+ */
+function extractJsonBlock(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses JSON from an LLM reply: the bare reply, else the reply without <think> blocks and code fences, else the
+ * first JSON object/array in it with trailing commas and typographic quotes repaired.
+ * @param {string} text
+ * @returns {{ok: true, value: any, repaired: boolean}|{ok: false, error: string}}
+ */
+export function parseJsonReply(text) {
+  const raw = String(text || '').trim();
+  try {
+    return { ok: true, value: JSON.parse(raw), repaired: false };
+  } catch { /* try the repairs below */ }
+
+  const stripped = raw
+    .replace(/<think>[\s\S]*?<\/think>/gi, '')
+    .replace(/```(?:json)?/gi, '')
+    .trim();
+  const block = extractJsonBlock(stripped);
+  if (!block) return { ok: false, error: 'No JSON object found in the reply.' };
+  const repaired = block
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1');
+  try {
+    return { ok: true, value: JSON.parse(repaired), repaired: true };
+  } catch (error) {
+    return { ok: false, error: `Invalid JSON: ${error.message}` };
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validates `value` against `schema`.
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} [path='$'] - Prefix for error locations.
+ * @returns {{valid: boolean, errors: string[]}} Errors as '<path>: <problem>'.
+ */
+export function validateJsonSchema(value, schema, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${path}: expected ${allowed.join(' or ')}, got ${actual}`);
+      return { valid: false, errors };
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (actual === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must be at least ${schema.minLength} characters`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`).errors));
+    }
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property '${key}'`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateJsonSchema(value[key], propertySchema, `${path}.${key}`).errors);
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parses and validates an LLM reply in one step.
+ * @param {string} text
+ * @param {object} schema
+ * @returns {{ok: true, value: any, repaired: boolean}|{ok: false, error: string}}
+ */
+export function parseStructuredReply(text, schema) {
+  const parsed = parseJsonReply(text);
+  if (!parsed.ok) return parsed;
+  const { valid, errors } = validateJsonSchema(parsed.value, schema);
+  if (!valid) return { ok: false, error: `Reply does not match the schema: ${errors.slice(0, 5).join('; ')}` };
+  return parsed;
+}
@@ -0,0 +1,169 @@
+// --- Token estimation and context-window packing ---
+// Providers don't expose their tokenizers, so token counts are estimated from text length. The estimate is
+// deliberately a little pessimistic and every budget keeps a safety margin on top.
+
+const CHARS_PER_TOKEN = 4; // BPE tokenizers average about four characters per token on English text and code
+const WIDE_CHARS = /[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g; // CJK: roughly one token per character
+const MESSAGE_OVERHEAD_TOKENS = 4; // Role and separator tokens the chat template adds around each message
+const SAFETY_MARGIN = 0.1;
+const MIN_USEFUL_TOKENS = 32; // Don't bother sending a recap or content fragment smaller than this
+const RECAP_CHARS_PER_MESSAGE = 160;
+
+/**
+ * Estimates how many tokens `text` costs.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const str = String(text);
+  const wide = (str.match(WIDE_CHARS) || []).length;
+  return Math.ceil((str.length - wide) / CHARS_PER_TOKEN) + wide;
+}
+
+/**
+ * Estimated cost of chat messages, including per-message overhead.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {number}
+ */
+export function estimateMessagesTokens(messages = []) {
+  return messages.reduce((total, message) => total + estimateTokens(message?.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Tokens available for the prompt once the reply's share of the context window is set aside.
+ * @param {number} contextTokens - Model context window.
+ * @param {number} [reservedOutputTokens=1024] - Tokens kept free for the reply (usually the request's maxTokens).
+ * @returns {number}
+ */
+export function getInputBudget(contextTokens, reservedOutputTokens = 1024) {
+  return Math.max(0, Math.floor((contextTokens - reservedOutputTokens) * (1 - SAFETY_MARGIN)));
+}
+
+/**
+ * Cuts `text` to the longest prefix that fits in `maxTokens`, marker included.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {string} [marker='\n[...truncated]'] - Appended when text is cut.
+ * @returns {string} The original text if it fits, '' if not even the marker fits.
+ */
+export function truncateToTokens(text, maxTokens, marker = '\n[...truncated]') {
+  const str = String(text || '');
+  if (estimateTokens(str) <= maxTokens) return str;
+  const budget = maxTokens - estimateTokens(marker);
+  if (budget <= 0) return '';
+  // Wide characters make the char/token ratio uneven, so search for the cut point
+  let low = 0;
+  let high = Math.min(str.length, budget * CHARS_PER_TOKEN);
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (estimateTokens(str.slice(0, mid)) <= budget) low = mid;
+    else high = mid - 1;
+  }
+  return str.slice(0, low) + marker;
+}
+
+/**
+ * One line per dropped message, e.g. "user: How does BM25 handle ...". Used instead of an extra LLM call.
+ */
+function recapMessages(messages) {
+  return messages
+    .map(({ role, content }) => {
+      const flat = String(content).replace(/\s+/g, ' ').trim();
+      return `- ${role}: ${flat.length > RECAP_CHARS_PER_MESSAGE ? `${flat.slice(0, RECAP_CHARS_PER_MESSAGE)}...` : flat}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Fits a chat request into the model's context window.
+ *
+ * Priority: system prompt, then the latest turn, then memory context (at most `maxMemoryShare` of the budget),
+ * then earlier turns newest first. Turns that no longer fit are dropped oldest first and replaced by a short
+ * recap message when there is room for one.
+ *
+ * @param {object} params
+ * @param {string} [params.system] - System prompt.
+ * @param {string} [params.memory] - Retrieved memory context, sent as a system message just before the latest turn.
+ * @param {Array<{role: string, content: string}>} [params.history] - Conversation, oldest first; the last entry is the turn being answered.
+ *   Other properties of the entries (e.g. chat `meta`) are not copied into the messages.
+ * @param {number} params.contextTokens - Model context window.
+ * @param {number} [params.reservedOutputTokens=1024] - Tokens kept free for the reply.
+ * @param {number} [params.maxMemoryShare=0.25]
+ * @returns {{messages: Array<{role: string, content: string}>, budget: number, usedTokens: number, droppedMessages: number, summarized: boolean}}
+ */
+export function packChatMessages({ system, memory, history = [], contextTokens, reservedOutputTokens = 1024, maxMemoryShare = 0.25 }) {
+  const budget = getInputBudget(contextTokens, reservedOutputTokens);
+  let remaining = budget;
+  const take = (message) => {
+    remaining -= estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+    return message;
+  };
+  const fit = (role, content, maxTokens) => {
+    const fitted = truncateToTokens(content, maxTokens - MESSAGE_OVERHEAD_TOKENS);
+    return fitted ? take({ role, content: fitted }) : null;
+  };
+
+  // A system prompt larger than the whole window is cut to half of it so the conversation still fits
+  const systemMessage = system ? fit('system', system, Math.floor(budget / 2)) : null;
+
+  const turns = history.filter(message => message && message.content);
+  const latest = turns.length > 0 ? fit(turns[turns.length - 1].role, turns[turns.length - 1].content, remaining) : null;
+  const older = turns.slice(0, -1);
+
+  const memoryMessage = memory ? fit('system', memory, Math.min(remaining, Math.floor(budget * maxMemoryShare))) : null;
+
+  const kept = [];
+  let index = older.length - 1;
+  for (; index >= 0; index--) {
+    const cost = estimateTokens(older[index].content) + MESSAGE_OVERHEAD_TOKENS;
+    if (cost > remaining) break;
+    kept.unshift({ role: older[index].role, content: older[index].content });
+    remaining -= cost;
+  }
+  const dropped = older.slice(0, index + 1);
+
+  let recap = null;
+  if (dropped.length > 0 && remaining >= MIN_USEFUL_TOKENS) {
+    recap = fit('system', `Earlier conversation (${dropped.length} message${dropped.length === 1 ? '' : 's'} condensed to fit the context window):\n${recapMessages(dropped)}`, remaining);
+  }
+
+  return {
+    messages: [systemMessage, recap, ...kept, memoryMessage, latest].filter(Boolean),
+    budget,
+    usedTokens: budget - remaining,
+    droppedMessages: dropped.length,
+    summarized: recap !== null
+  };
+}
+
+/**
+ * Fits ranked content blocks (e.g. numbered search results) into `maxTokens`, keeping them in order.
+ * The first block that doesn't fit is truncated if a useful part of it fits; the rest are dropped.
+ * @param {string[]} blocks - Most important first.
+ * @param {number} maxTokens
+ * @param {string} [separator='\n'] - Joiner the caller will use, counted against the budget.
+ * @returns {{blocks: string[], dropped: number, truncated: number, usedTokens: number}}
+ */
+export function packContentBlocks(blocks, maxTokens, separator = '\n') {
+  const separatorTokens = estimateTokens(separator);
+  const packed = [];
+  let remaining = maxTokens;
+  let truncated = 0;
+  for (const block of blocks) {
+    const cost = estimateTokens(block) + separatorTokens;
+    if (cost <= remaining) {
+      packed.push(block);
+      remaining -= cost;
+      continue;
+    }
+    if (remaining >= MIN_USEFUL_TOKENS) {
+      const partial = truncateToTokens(block, remaining - separatorTokens);
+      packed.push(partial);
+      remaining -= estimateTokens(partial) + separatorTokens;
+      truncated++;
+    }
+    break;
+  }
+  return { blocks: packed, dropped: blocks.length - packed.length, truncated, usedTokens: maxTokens - remaining };
+}
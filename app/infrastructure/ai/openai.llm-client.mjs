@@ -0,0 +1,91 @@
+import { LLMClient } from './venice.llm-client.mjs';
+import { VENICE_MODELS } from './venice.models.mjs';
+
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1'; // llama.cpp server default
+
+/**
+ * Client for OpenAI-compatible chat completion servers: llama.cpp, vLLM, Ollama, LM Studio or OpenAI itself.
+ * Same interface as LLMClient; differs in base URL, auth header and model catalog (read from GET /models).
+ *
+ * Environment fallbacks: OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL, OPENAI_EMBEDDING_MODEL.
+ */
+export class OpenAICompatibleClient extends LLMClient {
+  static providerName = 'openai';
+
+  /**
+   * @param {object} [config] - LLMClient config, plus:
+   * @param {string} [config.apiKeyHeader='Authorization'] - Header carrying the key. 'Authorization' sends `Bearer <key>`,
+   *   any other header (e.g. 'X-API-Key') sends the bare key.
+   */
+  constructor(config = {}) {
+    super(config);
+    this.discoveredModel = undefined; // First model reported by the server, looked up once when no model is configured
+  }
+
+  _defaultBaseUrl() {
+    return (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  _defaultApiKey() {
+    return process.env.OPENAI_API_KEY || null;
+  }
+
+  _requiresApiKey() {
+    return false; // Local servers usually run without authentication
+  }
+
+  _resolveModel(configModel) {
+    return configModel || process.env.OPENAI_MODEL || null;
+  }
+
+  async _resolveRequestModel(model) {
+    // The terminal's built-in defaults are Venice model ids, which a local server would not know
+    if (model && !Object.prototype.hasOwnProperty.call(VENICE_MODELS, model)) return model;
+    if (this.config.model) return this.config.model;
+    if (this.discoveredModel === undefined) {
+      try {
+        const models = await this.listModels();
+        this.discoveredModel = models[0]?.id || null;
+      } catch (error) {
+        this.errorFn(`[LLMClient] Could not list models from ${this.config.baseUrl}: ${error.message}. Sending the request without a model.`);
+        this.discoveredModel = null;
+      }
+    }
+    return this.discoveredModel || undefined;
+  }
+
+  _defaultEmbeddingModel() {
+    return this.config.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || null; // llama.cpp serves whatever it loaded
+  }
+
+  _requestHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey && this.config.apiKey !== 'replay-only') {
+      const header = this.config.apiKeyHeader || 'Authorization';
+      headers[header] = header.toLowerCase() === 'authorization' ? `Bearer ${this.config.apiKey}` : this.config.apiKey;
+    }
+    return headers;
+  }
+
+  _preparePayload({ venice_parameters, ...payload }) {
+    return payload; // venice_parameters is a Venice extension; strict servers reject unknown fields
+  }
+
+  async listModels({ signal } = {}) {
+    const response = await this._fetchWithRetry(`${this.config.baseUrl}/models`, {
+      method: 'GET',
+      headers: this._requestHeaders(),
+      signal,
+    });
+    const data = await response.json();
+    // OpenAI/vLLM/llama.cpp answer { data: [...] }; Ollama's native listing uses { models: [...] }
+    const entries = Array.isArray(data?.data) ? data.data : (Array.isArray(data?.models) ? data.models : []);
+    return entries
+      .filter(entry => entry && (entry.id || entry.name))
+      .map(entry => ({
+        id: entry.id || entry.name,
+        availableContextTokens: entry.context_length ?? entry.max_model_len ?? entry.meta?.n_ctx_train ?? null,
+        traits: [],
+      }));
+  }
+}
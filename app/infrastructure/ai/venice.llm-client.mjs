@@ -1,6 +1,10 @@
 import fetch from 'node-fetch';
-import { VENICE_MODELS, isValidModel } from './venice.models.mjs';
+import { abortableDelay } from '../../utils/research.rate-limiter.mjs';
+import { getDefaultModelId } from './venice.models.mjs';
 import { VENICE_CHARACTERS, getDefaultChatCharacterSlug, getDefaultResearchCharacterSlug, getDefaultTokenClassifierCharacterSlug } from './venice.characters.mjs';
+import { LLM_CACHE_MODES, LLMResponseCache, computeLLMCacheKey, getDefaultLLMCacheMode } from './venice.response-cache.mjs';
+import { estimateMessagesTokens, estimateTokens } from './llm.token-budget.mjs';
+import { recordUsage } from '../usage/usage.meter.mjs';
 
 export class LLMError extends Error {
   constructor(code, message, originalError) {
@@ -27,6 +31,10 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+function createAbortError() {
+  return new LLMError('AbortError', 'API request was cancelled.');
+}
+
 const defaultRetryConfig = {
   maxAttempts: 3,
   initialDelay: 1000, // milliseconds
@@ -37,14 +45,52 @@ const defaultRetryConfig = {
 const defaultConfig = {
   baseUrl: 'https://api.venice.ai/api/v1',
   timeout: 30000, // Default request timeout: 30 seconds
+  streamIdleTimeout: 60000, // A streamed reply that sends nothing for this long is abandoned
   retry: defaultRetryConfig,
 };
 
+/**
+ * Resolves the `cache` config option: a mode string, { mode, dir }, or undefined for VENICE_LLM_CACHE.
+ * @returns {{mode: string, dir?: string}}
+ */
+function resolveCacheConfig(cache) {
+  const resolved = typeof cache === 'string' ? { mode: cache } : { ...(cache || {}) };
+  resolved.mode = String(resolved.mode || getDefaultLLMCacheMode()).toLowerCase();
+  if (!LLM_CACHE_MODES.includes(resolved.mode)) {
+    throw new LLMError('ConfigError', `Invalid LLM cache mode '${resolved.mode}'. Valid modes: ${LLM_CACHE_MODES.join(', ')}.`);
+  }
+  return resolved;
+}
+
+/**
+ * Venice chat completion client, and the base class of the other LLM providers (see llm.providers.mjs).
+ * Subclasses override the `_`-prefixed provider hooks: default base URL, API key, model, request headers and payload,
+ * plus listModels().
+ */
 export class LLMClient {
+  static providerName = 'venice';
+
+  /**
+   * @param {object} [config]
+   * @param {string} [config.apiKey] - Venice API key (falls back to VENICE_API_KEY; not needed in replay mode).
+   * @param {string} [config.model] - Default model.
+   * @param {string} [config.embeddingModel] - Default model for embed() (falls back to VENICE_EMBEDDING_MODEL).
+   * @param {string} [config.baseUrl] - API base URL (defaults to the provider's).
+   * @param {string|object} [config.cache] - Response cache mode ('off', 'cache', 'record', 'replay') or { mode, dir }.
+   *   Defaults to VENICE_LLM_CACHE. See venice.response-cache.mjs.
+   * @param {{username: string, command: string}} [config.usage] - Who the calls are made for; each completion is
+   *   recorded by the usage meter (usage.meter.mjs). Cached responses are not recorded.
+   * @param {number} [config.streamIdleTimeout=60000] - Milliseconds a streamed reply may go without data before it fails.
+   */
   constructor(config = {}) {
+    const cacheConfig = resolveCacheConfig(config.cache);
+    this.cacheMode = cacheConfig.mode;
+    this.responseCache = this.cacheMode === 'off' ? null : new LLMResponseCache({ dir: cacheConfig.dir });
+
     // Use API key from config first, then environment variable
-    const apiKey = config.apiKey || process.env.VENICE_API_KEY;
-    if (!apiKey) {
+    // Replays are served from disk only, so they work offline without a key
+    const apiKey = config.apiKey || this._defaultApiKey() || (this.cacheMode === 'replay' ? 'replay-only' : null);
+    if (!apiKey && this._requiresApiKey()) {
       // Throw specific error if key is missing
       throw new LLMError(
         'ConfigError',
@@ -52,20 +98,7 @@ export class LLMClient {
       );
     }
 
-    // Use model from config first, then environment variable, then default
-    // UPDATED DEFAULT MODEL
-    const model = config.model || process.env.VENICE_MODEL || 'llama-3.3-70b'; // Changed default from 'mistral-large'
-    if (!isValidModel(model)) {
-      // Throw specific error for invalid model
-      // console.warn(`Invalid model specified: ${model}. Falling back to default 'llama-3.3-70b'. Check available models.`);
-      // Allow fallback for now, but log warning. Could throw error instead.
-      // throw new LLMError('ConfigError', `Invalid model specified: ${model}. Valid models are: ${Object.keys(VENICE_MODELS).join(', ')}`);
-      // Ensure the fallback is also a potentially valid model
-      console.warn(`Invalid or unsupported model specified: ${model}. Falling back to default 'llama-3.3-70b'. Check available models via Venice API or documentation.`);
-      this.model = 'llama-3.3-70b'; // Fallback model
-    } else {
-        this.model = model;
-    }
+    this.model = this._resolveModel(config.model);
 
     this.outputFn = config.outputFn || console.log; // Add outputFn
     this.errorFn = config.errorFn || console.error; // Add errorFn
@@ -73,6 +106,7 @@ export class LLMClient {
     this.config = {
       ...defaultConfig,
       ...config,
+      baseUrl: config.baseUrl || this._defaultBaseUrl(),
       apiKey, // Store the resolved API key
       model: this.model, // Store the resolved model
       retry: { ...defaultRetryConfig, ...config.retry },
@@ -82,28 +116,107 @@ export class LLMClient {
      if (this.config.retry.initialDelay < 100) this.config.retry.initialDelay = 100;
   }
 
+  /** Name this client is registered under in llm.providers.mjs. */
+  get providerName() {
+    return this.constructor.providerName;
+  }
+
+  // --- Provider hooks (Venice) ---
+
+  _defaultBaseUrl() {
+    return defaultConfig.baseUrl;
+  }
+
+  _defaultApiKey() {
+    return process.env.VENICE_API_KEY || null;
+  }
+
+  _requiresApiKey() {
+    return true;
+  }
+
+  _resolveModel(configModel) {
+    // Use model from config first, then environment variable, then default.
+    // Ids are not checked against the static table: user choices are validated with the live catalog (llm.model-catalog.mjs).
+    return configModel || process.env.VENICE_MODEL || getDefaultModelId();
+  }
+
+  /** Model sent with a request: the caller's choice, else the client default. */
+  async _resolveRequestModel(model) {
+    return model || this.config.model;
+  }
+
+  /** Embedding model used when embed() is called without one (null lets the server decide). */
+  _defaultEmbeddingModel() {
+    return this.config.embeddingModel || process.env.VENICE_EMBEDDING_MODEL || 'text-embedding-bge-m3';
+  }
+
+  _requestHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${this.config.apiKey}`,
+    };
+  }
+
+  /** Provider-specific request body adjustments (Venice takes the payload as is). */
+  _preparePayload(payload) {
+    return payload;
+  }
+
+  /**
+   * Models this provider offers, read from GET /models. Use the model catalog (llm.model-catalog.mjs)
+   * rather than calling this directly: it caches the list and falls back to venice.models.mjs.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array<{id: string, availableContextTokens: number|null, traits: string[]}>>}
+   */
+  async listModels({ signal } = {}) {
+    const response = await this._fetchWithRetry(`${this.config.baseUrl}/models?type=text`, {
+      method: 'GET',
+      headers: this._requestHeaders(),
+      signal,
+    });
+    const data = await response.json();
+    const entries = Array.isArray(data?.data) ? data.data : [];
+    return entries
+      .filter(entry => entry?.id && (!entry.type || entry.type === 'text'))
+      .map(entry => ({
+        id: entry.id,
+        availableContextTokens: entry.model_spec?.availableContextTokens ?? null,
+        traits: Array.isArray(entry.model_spec?.traits) ? entry.model_spec.traits : [],
+      }));
+  }
+
   /**
    * Internal fetch method with timeout and retry logic.
    * @param {string} url - The URL to fetch.
    * @param {object} options - Fetch options (method, headers, body).
+   * @param {AbortSignal} [options.signal] - Caller's signal; aborting it cancels the in-flight request and any pending retries.
    * @returns {Promise<Response>} - The fetch Response object.
+   * @throws {LLMError} With code 'AbortError' if the caller's signal fires.
    */
-  async _fetchWithRetry(url, options) {
+  async _fetchWithRetry(url, options = {}) {
+    const { signal: externalSignal, ...fetchOptions } = options;
     const retryConfig = this.config.retry;
     let attempt = 0;
     let lastError = null;
 
     while (attempt < retryConfig.maxAttempts) {
+      if (externalSignal?.aborted) throw createAbortError();
       attempt++;
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+      // Forward the caller's abort to this attempt's controller (which also enforces the timeout)
+      const onExternalAbort = () => controller.abort();
+      externalSignal?.addEventListener('abort', onExternalAbort, { once: true });
 
       try {
         const response = await fetch(url, {
-          ...options,
+          ...fetchOptions,
           signal: controller.signal,
         });
         clearTimeout(timeoutId); // Clear timeout if fetch completes
+        externalSignal?.removeEventListener('abort', onExternalAbort);
 
         // If response is OK, return it
         if (response.ok) {
@@ -129,8 +242,14 @@ export class LLMClient {
 
       } catch (error) {
         clearTimeout(timeoutId); // Clear timeout on any fetch error
+        externalSignal?.removeEventListener('abort', onExternalAbort);
         lastError = error; // Store the error
 
+        // Cancelled by the caller: never retry, and don't report it as a timeout
+        if (externalSignal?.aborted) {
+            throw createAbortError();
+        }
+
         // Check if the error is retryable (network error, timeout, specific HTTP status)
         if (!isRetryableError(error) || attempt >= retryConfig.maxAttempts) {
             // If AbortError (timeout), wrap it
@@ -154,7 +273,11 @@ export class LLMClient {
       }
       // Add jitter (e.g., +/- 10%)
       delay *= (0.9 + Math.random() * 0.2);
-      await sleep(delay);
+      if (externalSignal) {
+        await abortableDelay(delay, externalSignal).catch(() => { throw createAbortError(); });
+      } else {
+        await sleep(delay);
+      }
     }
 
     // Should not be reached if loop condition is correct, but throw last error if it does
@@ -170,9 +293,11 @@ export class LLMClient {
    * @param {number} [params.temperature=0.7] - Sampling temperature.
    * @param {number} [params.maxTokens=1000] - Maximum tokens to generate.
    * @param {string} [params.model] - Model to use for completion.
+   * @param {AbortSignal} [params.signal] - Optional signal to cancel the request.
+   * @param {Object} [params.responseFormat] - Passed to completeChat().
    * @returns {Promise<Object>} - Response object with content, model, timestamp.
    */
-  async complete({ system, prompt, temperature = 0.7, maxTokens = 1000, model, venice_parameters = {}, type }) {
+  async complete({ system, prompt, temperature = 0.7, maxTokens = 1000, model, venice_parameters = {}, type, signal, responseFormat }) {
     const messages = [];
     if (system) messages.push({ role: 'system', content: system });
     if (prompt) messages.push({ role: 'user', content: prompt });
@@ -181,9 +306,9 @@ export class LLMClient {
         throw new LLMError('InputError', 'At least one of system or prompt message is required.');
     }
 
-    // --- Set default character_slug based on type ---
+    // --- Set default character_slug based on type (null keeps it unset, see completeChat) ---
     let character_slug = venice_parameters.character_slug;
-    if (!character_slug) {
+    if (character_slug === undefined) {
       if (type === 'chat') character_slug = getDefaultChatCharacterSlug();
       else if (type === 'research') character_slug = getDefaultResearchCharacterSlug();
       else if (type === 'token_classifier') character_slug = getDefaultTokenClassifierCharacterSlug();
@@ -201,7 +326,7 @@ export class LLMClient {
     };
 
     // Use completeChat internally
-    return this.completeChat(payload);
+    return this.completeChat({ ...payload, signal, responseFormat });
   }
 
   /**
@@ -212,54 +337,111 @@ export class LLMClient {
    * @param {number} [options.temperature=0.7] - Temperature parameter (0-1).
    * @param {number} [options.maxTokens=1000] - Maximum tokens to generate.
    * @param {string} [options.model] - Model to use for completion.
-   * @returns {Promise<Object>} Response with content, model, timestamp, and usage info.
+   * @param {AbortSignal} [options.signal] - Optional signal to cancel the request.
+   * @param {boolean} [options.stream=false] - Request an SSE stream; `onChunk` receives content deltas as they arrive.
+   * @param {Function} [options.onChunk] - Called with each content delta (string) when streaming.
+   *   A cached response is delivered as a single chunk.
+   * @param {Array<Object>} [options.tools] - OpenAI-style function tools ({ type: 'function', function: { name, description, parameters } }).
+   *   Messages may then include assistant turns with `tool_calls` and `{ role: 'tool', tool_call_id, content }` results.
+   * @param {string|Object} [options.toolChoice] - 'auto' (default when tools are given), 'none', or a specific function.
+   * @param {Object} [options.responseFormat] - OpenAI-style `response_format`, e.g. from jsonSchemaResponseFormat()
+   *   in llm.structured-output.mjs. Servers without support usually answer 400 (LLMError code 'APIError_400').
+   * @returns {Promise<Object>} Response with content, model, timestamp, and usage info (the full text when streaming),
+   *   plus `toolCalls: [{ id, name, arguments }]` (arguments as the raw JSON string) when the model called tools.
    */
-  async completeChat({ messages, temperature = 0.7, maxTokens = 1000, model, venice_parameters = {} }) {
+  async completeChat({ messages, temperature = 0.7, maxTokens = 1000, model, venice_parameters = {}, signal, stream = false, onChunk, tools, toolChoice, responseFormat }) {
      if (!messages || !Array.isArray(messages) || messages.length === 0) {
         throw new LLMError('InputError', 'Messages array cannot be empty.');
      }
-     // Basic validation of message structure
-     if (!messages.every(m => m && typeof m.role === 'string' && typeof m.content === 'string')) {
+     // Basic validation of message structure; an assistant turn that only calls tools has no content
+     if (!messages.every(m => m && typeof m.role === 'string' && (typeof m.content === 'string' || (m.role === 'assistant' && Array.isArray(m.tool_calls))))) {
          throw new LLMError('InputError', 'Each message must be an object with string properties "role" and "content".');
      }
 
-    // --- Ensure default character_slug for chat ---
-    const character_slug = venice_parameters.character_slug || getDefaultChatCharacterSlug();
-    const veniceParams = { ...venice_parameters, character_slug };
+    // --- Ensure default character_slug for chat; an explicit null sends none (custom personas, 'None') ---
+    const { character_slug: requestedSlug, ...otherVeniceParams } = venice_parameters;
+    const character_slug = requestedSlug === null ? null : (requestedSlug || getDefaultChatCharacterSlug());
+    const veniceParams = character_slug ? { ...otherVeniceParams, character_slug } : otherVeniceParams;
 
-    const payload = {
-      model: model || this.config.model, // Pass the resolved model
+    const payload = this._preparePayload({
+      model: await this._resolveRequestModel(model), // Pass the resolved model
       messages: messages, // Pass the full message history
       temperature,
       max_tokens: maxTokens,
-      venice_parameters: veniceParams
-    };
+      venice_parameters: veniceParams,
+      ...(tools?.length ? { tools, tool_choice: toolChoice || 'auto' } : {}),
+      ...(responseFormat ? { response_format: responseFormat } : {})
+    });
+
+    // --- Response cache (opt-in) ---
+    // Venice keys stay provider-less so recordings made before other providers existed still replay
+    const cacheProvider = this.providerName === 'venice' ? undefined : `${this.providerName}:${this.config.baseUrl}`;
+    const cacheKey = this.responseCache ? computeLLMCacheKey({ ...payload, provider: cacheProvider }) : null;
+    if (cacheKey && (this.cacheMode === 'cache' || this.cacheMode === 'replay')) {
+      const cached = await this.responseCache.get(cacheKey);
+      if (cached) {
+        if (stream && onChunk && cached.content) onChunk(cached.content);
+        return { ...cached, timestamp: new Date().toISOString(), cached: true };
+      }
+      if (this.cacheMode === 'replay') {
+        throw new LLMError('CacheMiss', `No recorded response for this request (key ${cacheKey.substring(0, 12)}…) in ${this.responseCache.dir}. Record it first with cache mode 'record' or 'cache'.`);
+      }
+    }
 
     try {
       const response = await this._fetchWithRetry(`${this.config.baseUrl}/chat/completions`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${this.config.apiKey}`,
-        },
-        body: JSON.stringify(payload),
+        headers: this._requestHeaders(),
+        body: JSON.stringify(stream ? { ...payload, stream: true } : payload),
+        signal,
       });
 
-      // _fetchWithRetry ensures response.ok is true here
-      const data = await response.json();
+      let result;
+      if (stream) {
+        const streamed = await this._readChatStream(response, { signal, onChunk });
+        if (!streamed.content && streamed.toolCalls.length === 0) {
+          throw new LLMError('InvalidResponse', 'Empty streamed response from Venice API.');
+        }
+        result = {
+          content: streamed.content,
+          model: streamed.model || this.config.model,
+          timestamp: new Date().toISOString(),
+          usage: streamed.usage || {},
+          ...(streamed.toolCalls.length ? { toolCalls: streamed.toolCalls } : {}),
+        };
+      } else {
+        // _fetchWithRetry ensures response.ok is true here
+        const data = await response.json();
+
+        // Validate response structure
+        const message = data.choices?.[0]?.message;
+        const toolCalls = normalizeToolCalls(message?.tool_calls);
+        if (!message?.content && toolCalls.length === 0) {
+          this.errorFn("[LLMClient] Invalid response format from Venice API:", data);
+          throw new LLMError('InvalidResponse', 'Invalid or empty response format from Venice API.', data);
+        }
 
-      // Validate response structure
-      if (!data.choices?.[0]?.message?.content) {
-        this.errorFn("[LLMClient] Invalid response format from Venice API:", data);
-        throw new LLMError('InvalidResponse', 'Invalid or empty response format from Venice API.', data);
+        result = {
+          content: message.content || '',
+          model: data.model || this.config.model, // Use model from response if available
+          timestamp: new Date().toISOString(),
+          usage: data.usage || {}, // Include usage data if provided
+          ...(toolCalls.length ? { toolCalls } : {}),
+        };
       }
-
-      return {
-        content: data.choices[0].message.content,
-        model: data.model || this.config.model, // Use model from response if available
-        timestamp: new Date().toISOString(),
-        usage: data.usage || {}, // Include usage data if provided
-      };
+      // Providers that omit usage (some local servers, interrupted streams) are metered with estimates
+      await recordUsage(this.config.usage, {
+        service: this.providerName,
+        tokensIn: result.usage.prompt_tokens ?? estimateMessagesTokens(messages),
+        tokensOut: result.usage.completion_tokens ?? estimateTokens(result.content),
+      });
+      if (cacheKey) {
+        // A failed cache write must not fail the completion itself
+        const { max_tokens, ...request } = payload;
+        await this.responseCache.set(cacheKey, request, { content: result.content, model: result.model, usage: result.usage, ...(result.toolCalls ? { toolCalls: result.toolCalls } : {}) })
+          .catch(cacheError => this.errorFn(`[LLMClient] Could not store response in cache: ${cacheError.message}`));
+      }
+      return result;
     } catch (error) {
         // Log the error before re-throwing or wrapping
         this.errorFn(`[LLMClient] Error during chat completion: ${error.message}`, error instanceof LLMError ? error.originalError || error : error);
@@ -271,4 +453,149 @@ export class LLMClient {
         throw error;
     }
   }
+
+  /**
+   * Embeds texts with the provider's OpenAI-style POST /embeddings endpoint. Not cached; metered as input tokens.
+   * @param {Object} options
+   * @param {string|string[]} options.input - Text(s) to embed.
+   * @param {string} [options.model] - Embedding model; defaults to config.embeddingModel, then the provider default.
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{vectors: number[][], model: string|null}>} One vector per input, in input order.
+   * @throws {LLMError} 'InputError' for empty input, 'InvalidResponse' when the reply has no usable vectors.
+   */
+  async embed({ input, model, signal }) {
+    const inputs = (Array.isArray(input) ? input : [input]).map(text => String(text ?? ''));
+    if (inputs.length === 0) {
+      throw new LLMError('InputError', 'At least one text is required for embeddings.');
+    }
+    const embeddingModel = model || this._defaultEmbeddingModel();
+    const payload = this._preparePayload({
+      ...(embeddingModel ? { model: embeddingModel } : {}),
+      input: inputs,
+      encoding_format: 'float'
+    });
+
+    const response = await this._fetchWithRetry(`${this.config.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: this._requestHeaders(),
+      body: JSON.stringify(payload),
+      signal,
+    });
+    const data = await response.json();
+    const entries = Array.isArray(data?.data) ? [...data.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)) : [];
+    const vectors = entries.map(entry => entry?.embedding);
+    if (vectors.length !== inputs.length || !vectors.every(v => Array.isArray(v) && v.length > 0)) {
+      throw new LLMError('InvalidResponse', `Expected ${inputs.length} embedding(s) from ${this.config.baseUrl}/embeddings, got ${vectors.length}.`, data);
+    }
+    await recordUsage(this.config.usage, {
+      service: this.providerName,
+      tokensIn: data.usage?.prompt_tokens ?? inputs.reduce((total, text) => total + estimateTokens(text), 0),
+      tokensOut: 0,
+    });
+    return { vectors, model: data.model || embeddingModel || null };
+  }
+
+  /**
+   * Reads an OpenAI-style SSE body (`data: {choices:[{delta:{content}}]}` events, ending with `data: [DONE]`).
+   * The request timeout only covers the response headers; the body is read until the stream ends, `signal` fires
+   * or no data arrives for `streamIdleTimeout`.
+   * @param {Response} response - A successful streaming response.
+   * @param {object} options
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onChunk] - Called with each content delta.
+   * @returns {Promise<{content: string, model: string|null, usage: object|null, toolCalls: Array<{id: string, name: string, arguments: string}>}>}
+   * @throws {LLMError} 'AbortError' when cancelled, 'StreamError' when the API reports an error mid-stream,
+   *   'TimeoutError' when the stream stalls.
+   */
+  async _readChatStream(response, { signal, onChunk } = {}) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let model = null;
+    let usage = null;
+    let done = false;
+    const toolCallParts = []; // Tool calls arrive in fragments keyed by index: id and name first, then argument text
+
+    const handleEvent = (data) => {
+      if (data === '[DONE]') {
+        done = true;
+        return;
+      }
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        return; // Keep-alives and partial garbage are not worth failing the whole reply
+      }
+      if (event.error) {
+        throw new LLMError('StreamError', `Stream error from Venice API: ${event.error.message || JSON.stringify(event.error)}`, event.error);
+      }
+      if (event.model) model = event.model;
+      if (event.usage) usage = event.usage;
+      const delta = event.choices?.[0]?.delta?.content ?? event.choices?.[0]?.message?.content;
+      if (delta) {
+        content += delta;
+        if (onChunk) onChunk(delta);
+      }
+      for (const fragment of event.choices?.[0]?.delta?.tool_calls || []) {
+        const part = (toolCallParts[fragment.index ?? toolCallParts.length] ??= { id: '', function: { name: '', arguments: '' } });
+        if (fragment.id) part.id = fragment.id;
+        if (fragment.function?.name) part.function.name += fragment.function.name;
+        if (fragment.function?.arguments) part.function.arguments += fragment.function.arguments;
+      }
+    };
+
+    // _fetchWithRetry detaches the caller's signal once headers arrive, so stop the body here
+    const onAbort = () => response.body?.destroy?.();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    // A server that stops sending mid-reply would otherwise leave the caller waiting forever
+    const idleTimeout = this.config.streamIdleTimeout;
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        response.body?.destroy?.(new LLMError('TimeoutError', `Stream stalled: no data from the API for ${idleTimeout / 1000}s.`));
+      }, idleTimeout);
+    };
+    resetIdleTimer();
+    try {
+      for await (const part of response.body) {
+        if (signal?.aborted) throw createAbortError();
+        resetIdleTimer();
+        buffer += typeof part === 'string' ? part : decoder.decode(part, { stream: true });
+        let newline;
+        while (!done && (newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).replace(/\r$/, '');
+          buffer = buffer.slice(newline + 1);
+          if (line.startsWith('data:')) handleEvent(line.slice(5).trim());
+        }
+        if (done) break;
+      }
+      if (!done && buffer.startsWith('data:')) handleEvent(buffer.slice(5).trim());
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError();
+      if (error instanceof LLMError) throw error;
+      throw new LLMError('NetworkError', `Stream interrupted: ${error.message}`, error);
+    } finally {
+      clearTimeout(idleTimer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+    return { content, model, usage, toolCalls: normalizeToolCalls(toolCallParts.filter(Boolean)) };
+  }
+}
+
+/**
+ * Flattens OpenAI-style `tool_calls` entries to `{ id, name, arguments }`, dropping entries without a function name.
+ * @param {Array<Object>} [toolCalls]
+ * @returns {Array<{id: string, name: string, arguments: string}>}
+ */
+function normalizeToolCalls(toolCalls) {
+  if (!Array.isArray(toolCalls)) return [];
+  return toolCalls
+    .filter(call => call?.function?.name)
+    .map((call, index) => ({
+      id: call.id || `call_${index}`,
+      name: call.function.name,
+      arguments: typeof call.function.arguments === 'string' ? call.function.arguments : JSON.stringify(call.function.arguments || {})
+    }));
 }
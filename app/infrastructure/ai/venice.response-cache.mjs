@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { ensureDir } from '../../utils/research.ensure-dir.mjs';
+
+/**
+ * LLM response cache modes:
+ *   off    - Always call the API (default).
+ *   cache  - Serve identical requests from disk, call the API and store on a miss.
+ *   record - Always call the API and store (overwrite) every response.
+ *   replay - Serve only from disk; a miss is an error and the API is never called.
+ */
+export const LLM_CACHE_MODES = ['off', 'cache', 'record', 'replay'];
+
+/**
+ * Directory holding cached LLM responses.
+ * Defaults to ~/.mcp/llm-cache; MCP_LLM_CACHE_DIR overrides it (tests, shared fixtures).
+ * @returns {string}
+ */
+export function getLLMCacheDir() {
+  return process.env.MCP_LLM_CACHE_DIR || path.join(os.homedir(), '.mcp', 'llm-cache');
+}
+
+/**
+ * Process-wide default mode from VENICE_LLM_CACHE, so every LLMClient (including the ones created
+ * per call in research.providers) can be switched to record/replay without code changes.
+ * @returns {string} One of LLM_CACHE_MODES.
+ */
+export function getDefaultLLMCacheMode() {
+  const mode = String(process.env.VENICE_LLM_CACHE || 'off').toLowerCase();
+  return LLM_CACHE_MODES.includes(mode) ? mode : 'off';
+}
+
+// JSON with object keys sorted, so logically identical requests hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Content address of a chat completion request: model, messages (with their tool calls and results), temperature,
+ * venice_parameters, the offered tools and the response_format, plus the provider identity for non-Venice providers.
+ * Fields a request doesn't use are left out, so keys of plain requests are unchanged.
+ * @param {object} request
+ * @returns {string} Hex SHA-256.
+ */
+export function computeLLMCacheKey({ model, messages, temperature, venice_parameters = {}, tools, tool_choice, response_format, provider }) {
+  const material = canonicalJson({
+    provider,
+    model,
+    messages: (messages || []).map(({ role, content, tool_calls, tool_call_id }) => ({ role, content, tool_calls, tool_call_id })),
+    temperature,
+    venice_parameters,
+    tools,
+    tool_choice,
+    response_format
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * On-disk store of LLM responses, one JSON file per request key (<dir>/<key>.json).
+ * Entries keep the request next to the response so recorded fixtures are readable.
+ */
+export class LLMResponseCache {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Overrides getLLMCacheDir().
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || getLLMCacheDir();
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * @param {string} key - From computeLLMCacheKey().
+   * @returns {Promise<object|null>} The stored response ({ content, model, usage }), or null.
+   */
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      return entry?.response?.content !== undefined ? entry.response : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} request - The request that produced the response (stored for readability).
+   * @param {object} response - { content, model, usage }.
+   */
+  async set(key, request, response) {
+    await ensureDir(this.dir);
+    const target = this.filePath(key);
+    const body = JSON.stringify({ key, recordedAt: new Date().toISOString(), request, response }, null, 2);
+    // Unique temp name: parallel research paths can record the same request at once
+    const tmpPath = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmpPath, body, 'utf8');
+    await fs.rename(tmpPath, target);
+  }
+}
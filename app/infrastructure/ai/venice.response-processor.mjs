@@ -194,6 +194,69 @@ export function cleanChatResponse(response) {
   return response;
 }
 
+const THINKING_OPEN = /<\s*(thinking|think)\s*>/i;
+const THINKING_CLOSE = /<\/\s*(thinking|think)\s*>/i;
+// A trailing fragment that may still become a (closing) thinking tag once the next chunk arrives
+const PARTIAL_TAG = /<\/?\s*[a-z]{0,8}\s*$/i;
+
+function isPossibleTagStart(fragment) {
+  const compact = fragment.replace(/\s+/g, '').toLowerCase();
+  return ['<thinking>', '<think>', '</thinking>', '</think>'].some(tag => tag.startsWith(compact));
+}
+
+/**
+ * Streaming counterpart of cleanChatResponse for SSE chat replies.
+ * Splits the incoming deltas into 'thinking' and 'reply' segments, so a <thinking>/<think> block is never
+ * shown as part of the reply even when its tags are split across chunks.
+ *
+ * @returns {{push: function(string): Array<{kind: 'thinking'|'reply', content: string}>,
+ *   finish: function(): {segments: Array<{kind: string, content: string}>, raw: string, message: string}}}
+ *   push() returns the segments that are safe to display; finish() flushes the rest and returns the full raw
+ *   text plus `message`, the same text cleanChatResponse() would produce for the complete reply.
+ */
+export function createStreamingChatCleaner() {
+  let raw = '';
+  let pending = '';
+  let inThinking = false;
+
+  const drain = (final) => {
+    const segments = [];
+    const emit = (kind, content) => {
+      if (!content) return;
+      const last = segments[segments.length - 1];
+      if (last && last.kind === kind) last.content += content;
+      else segments.push({ kind, content });
+    };
+
+    while (pending) {
+      const tag = (inThinking ? THINKING_CLOSE : THINKING_OPEN).exec(pending);
+      if (tag) {
+        emit(inThinking ? 'thinking' : 'reply', pending.slice(0, tag.index));
+        pending = pending.slice(tag.index + tag[0].length);
+        inThinking = !inThinking;
+        continue;
+      }
+      const partial = final ? null : PARTIAL_TAG.exec(pending);
+      const holdFrom = partial && isPossibleTagStart(partial[0]) ? partial.index : pending.length;
+      emit(inThinking ? 'thinking' : 'reply', pending.slice(0, holdFrom));
+      pending = pending.slice(holdFrom);
+      break;
+    }
+    return segments;
+  };
+
+  return {
+    push(delta) {
+      raw += delta;
+      pending += delta;
+      return drain(false);
+    },
+    finish() {
+      return { segments: drain(true), raw, message: raw ? cleanChatResponse(raw) : '' };
+    }
+  };
+}
+
 export function processAIResponse(response) {
   if (!response || typeof response !== 'object') {
     throw new Error('Invalid response');
@@ -10,6 +10,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { execSync } from 'child_process';
 import crypto from 'crypto';
+import { encodeEmbedding, decodeEmbedding } from '../ai/llm.embeddings.mjs';
 
 // Default memory repository settings
 const DEFAULT_SETTINGS = {
@@ -95,6 +96,11 @@ export class GitHubMemoryIntegration {
         tags: tags,
         score: metadata.score || memory.score || 0.5
       };
+      const embedding = metadata.embedding || memory.embedding;
+      if (Array.isArray(embedding) && embedding.length > 0) {
+        memoryData.embedding = embedding;
+        memoryData.embeddingModel = metadata.embeddingModel || memory.embeddingModel || null;
+      }
       
       // Format memory entry
       const formattedMemory = this.formatMemoryEntry(memoryData);
@@ -159,12 +165,16 @@ export class GitHubMemoryIntegration {
     const timestamp = memory.timestamp || new Date().toISOString();
     const tags = Array.isArray(memory.tags) ? memory.tags.join(', ') : '';
     const score = typeof memory.score === 'number' ? memory.score.toFixed(2) : '0.50';
+    // Content runs to the end of the entry, so the vector (base64 float32) goes before it
+    const embedding = Array.isArray(memory.embedding) && memory.embedding.length > 0
+      ? `Embedding: ${memory.embeddingModel || 'unknown'} ${encodeEmbedding(memory.embedding)}\n`
+      : '';
     
     return `## Entry: ${timestamp}
 Memory ID: ${memory.id}
 Tags: ${tags}
 Score: ${score}
-Content: ${memory.content}`;
+${embedding}Content: ${memory.content}`;
   }
   
   /**
@@ -361,6 +371,7 @@ Content: ${memory.content}`;
         const idMatch = entryContent.match(/Memory ID: (.*)/);
         const tagsMatch = entryContent.match(/Tags: (.*)/);
         const scoreMatch = entryContent.match(/Score: (.*)/);
+        const embeddingMatch = entryContent.split('\nContent: ')[0].match(/^Embedding: (\S+) (\S+)$/m);
         const contentMatch = entryContent.match(/Content: ([\s\S]*)/);
         
         const memory = {
@@ -370,6 +381,11 @@ Content: ${memory.content}`;
           score: scoreMatch ? parseFloat(scoreMatch[1]) : 0.5,
           content: contentMatch ? contentMatch[1].trim() : ""
         };
+        const embedding = embeddingMatch ? decodeEmbedding(embeddingMatch[2]) : null;
+        if (embedding) {
+          memory.embedding = embedding;
+          memory.embeddingModel = embeddingMatch[1];
+        }
         
         memories.push(memory);
       }
@@ -3,12 +3,18 @@
  * 
  * Manages ephemeral and persistent memories, including storage, retrieval,
  * validation, summarization, and integration with GitHub.
+ * Memories are kept in a per-user local store (memory.store.mjs); GitHub, when
+ * enabled, receives copies of long-term and meta memories.
  */
 
 import crypto from 'crypto';
 import { LLMClient } from '../ai/venice.llm-client.mjs';
+import { createLLMClient } from '../ai/llm.providers.mjs';
 import { GitHubMemoryIntegration } from './github-memory.integration.mjs';
+import { MemoryStore } from './memory.store.mjs';
 import { cleanChatResponse } from '../ai/venice.response-processor.mjs';
+import { TextEmbedder, cosineSimilarity, hashEmbedding } from '../ai/llm.embeddings.mjs';
+import { DEFAULT_MEMORY_SCORE, REINFORCEMENT_RATE, baseScore, effectiveScore, memoryAgeHours, reinforceMemory } from './memory.scoring.mjs';
 
 // Memory depth options
 const MEMORY_DEPTHS = {
@@ -18,24 +24,32 @@ const MEMORY_DEPTHS = {
 };
 
 // Memory depth settings
+const DECISIONS_IN_MEMORY = 100; // Recent policy decisions kept on the manager (the store keeps more)
+
 const MEMORY_SETTINGS = {
   [MEMORY_DEPTHS.SHORT]: {
     maxMemories: 10,    // Max memories to retain
     retrievalLimit: 2,  // Max memories to retrieve
     threshold: 0.7,     // Relevance threshold (0-1)
-    summarizeEvery: 10  // Summarize after N exchanges
+    summarizeEvery: 10, // Summarize after N exchanges
+    halfLifeHours: 24,  // Effective score halves after this long unused (see memory.scoring.mjs)
+    promoteScore: 0.8   // Short-term memories at or above this effective score move to long-term
   },
   [MEMORY_DEPTHS.MEDIUM]: {
     maxMemories: 50,
     retrievalLimit: 5,
     threshold: 0.5,
-    summarizeEvery: 20
+    summarizeEvery: 20,
+    halfLifeHours: 7 * 24,
+    promoteScore: 0.7
   },
   [MEMORY_DEPTHS.LONG]: {
     maxMemories: 100,
     retrievalLimit: 8,
     threshold: 0.3,
-    summarizeEvery: 30
+    summarizeEvery: 30,
+    halfLifeHours: 30 * 24,
+    promoteScore: 0.6
   }
 };
 
@@ -53,12 +67,18 @@ export class MemoryManager {
    * @param {string} options.depth - Memory depth ('short', 'medium', 'long')
    * @param {Object} options.user - User object
    * @param {boolean} options.githubEnabled - Enable GitHub integration
+   * @param {Object} [options.llmConfig] - Provider config (createLLMClient) for memory embeddings, validation and summaries
+   * @param {TextEmbedder} [options.embedder] - Embedder to use instead of one built from llmConfig
+   * @param {MemoryStore|false} [options.store] - Local store to load from and write through to; false keeps memories in RAM only
    */
   constructor(options = {}) {
     const { 
       depth = MEMORY_DEPTHS.MEDIUM,
       user,
-      githubEnabled = false
+      githubEnabled = false,
+      llmConfig,
+      embedder,
+      store
     } = options;
     
     // Validate depth option
@@ -75,42 +95,84 @@ export class MemoryManager {
     this.user = user;
     this.depth = depth;
     this.settings = MEMORY_SETTINGS[depth];
+    this.llmConfig = llmConfig || null;
     this.llmClient = null;
+    this.embedder = embedder || new TextEmbedder({ llmConfig });
+    this.store = store === false ? null : (store || new MemoryStore({ username: user.username }));
     this.initialized = false;
+    this.initializing = null;
     this.stats = {
       memoriesStored: 0,
       memoriesRetrieved: 0,
       memoriesValidated: 0,
       memoriesSummarized: 0
     };
+    this.exchanges = 0; // Chat exchanges recorded with recordExchange()
+    this.consolidation = null; // Background validation/summarization in progress
+    this.decisions = []; // Recent promotions, evictions and reinforcements, oldest first
     
     // Initialize memory stores
     this.ephemeralMemories = []; // Short-term/working memory
     this.validatedMemories = []; // Validated memories
     
-    // Initialize GitHub integration if enabled
+    // Replicate long-term and meta memories to GitHub if enabled
     this.githubIntegration = githubEnabled ? 
       new GitHubMemoryIntegration({
         username: user.username,
         enabled: true
       }) : null;
       
-    // Initialize when API key is set
+    // Load stored memories; every operation waits for this
     this.initialize();
   }
   
   /**
-   * Initialize the memory manager
+   * Initialize the memory manager: load the user's stored memories (once)
    * 
+   * @returns {Promise<void>}
    * @private
    */
-  async initialize() {
+  initialize() {
+    if (!this.initializing) {
+      // The LLM client is created when first needed (lazy initialization)
+      this.initializing = this.loadFromStore().finally(() => {
+        this.initialized = true;
+      });
+    }
+    return this.initializing;
+  }
+  
+  /**
+   * Load memories from the local store. A store that can't be read is logged and the session starts empty.
+   * Everything stored is loaded, even past this depth's capacity (a deeper session may have written it); only
+   * _organizeMemoryLayers() evicts, with a decision for each memory it drops.
+   * 
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadFromStore() {
+    if (!this.store) return;
     try {
-      // Initialize LLM client when needed (lazy initialization)
-      this.initialized = true;
+      const { ephemeral, validated } = await this.store.load();
+      this.ephemeralMemories = ephemeral;
+      this.validatedMemories = validated;
     } catch (error) {
-      console.error(`Failed to initialize memory manager: ${error.message}`);
-      throw error;
+      console.error(`Failed to load stored memories for ${this.user.username}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Write the current memories through to the local store (only changes are appended)
+   * 
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveToStore() {
+    if (!this.store) return;
+    try {
+      await this.store.sync({ ephemeral: this.ephemeralMemories, validated: this.validatedMemories });
+    } catch (error) {
+      console.error(`Failed to save memories for ${this.user.username}: ${error.message}`);
     }
   }
   
@@ -133,7 +195,15 @@ export class MemoryManager {
       ...this.stats,
       depthLevel: this.depth,
       ephemeralCount: this.ephemeralMemories.length,
-      validatedCount: this.validatedMemories.length
+      validatedCount: this.validatedMemories.length,
+      shortTermCount: this.ephemeralMemories.length,
+      shortTermCapacity: this.settings.maxMemories,
+      longTermCount: this.validatedMemories.filter(m => !m.isMeta).length,
+      metaCount: this.validatedMemories.filter(m => m.isMeta).length,
+      pinnedCount: this.getAllMemories().filter(m => m.pinned).length,
+      embeddingModel: this.embedder.model,
+      storePath: this.store ? this.store.dir : null,
+      githubStatus: this.githubIntegration ? 'enabled' : 'disabled'
     };
   }
   
@@ -165,53 +235,59 @@ export class MemoryManager {
       role,
       timestamp: new Date().toISOString(),
       tags: [],
-      score: 0.5 // Default score, will be updated during validation
+      score: DEFAULT_MEMORY_SCORE // Updated by validation and retrieval hits
     };
+    await this.embedMemories([memory]);
     
-    // Add to ephemeral memories
+    // Add to ephemeral memories; the lowest-scoring one goes when they are over capacity
     this.ephemeralMemories.push(memory);
-    
-    // Limit the size of ephemeral memories
-    if (this.ephemeralMemories.length > this.settings.maxMemories) {
-      this.ephemeralMemories = this.ephemeralMemories.slice(-this.settings.maxMemories);
-    }
+    await this._organizeMemoryLayers();
     
     this.stats.memoriesStored++;
+    await this.saveToStore();
     
     return memory;
   }
   
   /**
-   * Calculate semantic similarity between two text strings
+   * Attach embeddings to memories that have none, or one from a different model than the embedder's.
+   * Vectors are stored on the memory (`embedding`, `embeddingModel`) and persisted with it. Local vectors made
+   * because the provider failed are not stored; those memories are embedded again on a later call.
    * 
-   * @param {string} text1 - First text string
-   * @param {string} text2 - Second text string
-   * @returns {number} Similarity score between 0 and 1
-   * @private
+   * @param {Array<Object>} memories - Memories to embed (updated in place)
+   * @param {string} [model] - Model the vectors must come from (defaults to the embedder's current model)
+   * @returns {Promise<void>}
    */
-  calculateSimilarity(text1, text2) {
-    if (!text1 || !text2) return 0;
-    
+  async embedMemories(memories, model = this.embedder.model) {
+    const stale = memories.filter(memory => memory.embeddingModel !== model || !Array.isArray(memory.embedding));
+    if (stale.length === 0) return;
     try {
-      // Normalize texts
-      const norm1 = text1.toLowerCase().replace(/[^\w\s]/g, '');
-      const norm2 = text2.toLowerCase().replace(/[^\w\s]/g, '');
-      
-      // Split into words
-      const words1 = new Set(norm1.split(/\s+/).filter(Boolean));
-      const words2 = new Set(norm2.split(/\s+/).filter(Boolean));
-      
-      // Calculate Jaccard similarity
-      const intersection = new Set([...words1].filter(word => words2.has(word)));
-      const union = new Set([...words1, ...words2]);
-      
-      return intersection.size / union.size;
+      const result = await this.embedder.embed(stale.map(memory => memory.content || ''));
+      if (result.fallback) return;
+      stale.forEach((memory, i) => {
+        memory.embedding = result.vectors[i];
+        memory.embeddingModel = result.model;
+      });
     } catch (error) {
-      console.error(`Error calculating similarity: ${error.message}`);
-      return 0;
+      console.error(`Error embedding memories: ${error.message}`);
     }
   }
   
+  /**
+   * Calculate semantic similarity between two embeddings (or two texts, embedded locally)
+   * 
+   * @param {number[]|string} a - First embedding or text
+   * @param {number[]|string} b - Second embedding or text
+   * @returns {number} Cosine similarity, 0 for unrelated or incomparable inputs
+   * @private
+   */
+  calculateSimilarity(a, b) {
+    if (!a || !b) return 0;
+    const vectorA = typeof a === 'string' ? hashEmbedding(a) : a;
+    const vectorB = typeof b === 'string' ? hashEmbedding(b) : b;
+    return Math.max(0, cosineSimilarity(vectorA, vectorB));
+  }
+  
   /**
    * Extract key concepts from text
    * 
@@ -248,7 +324,21 @@ export class MemoryManager {
   }
   
   /**
-   * Retrieve relevant memories based on a query using improved semantic matching
+   * Recall the memories related to a chat message, then remember the message. Retrieving first keeps the
+   * message from matching (and reinforcing) itself.
+   * 
+   * @param {string} content - Message content
+   * @param {string} [role='user'] - Message role
+   * @returns {Promise<Array>} Memories relevant to the message, from before it was stored
+   */
+  async recallAndStore(content, role = 'user') {
+    const relevantMemories = await this.retrieveRelevantMemories(content);
+    await this.storeMemory(content, role);
+    return relevantMemories;
+  }
+  
+  /**
+   * Retrieve the memories most similar to a query by embedding cosine similarity
    * 
    * @param {string} query - Query to retrieve memories for
    * @param {boolean} includeShortTerm - Whether to include short-term memories
@@ -262,7 +352,7 @@ export class MemoryManager {
     }
     
     // Get candidate memories based on inclusion flags
-    const candidateMemories = [];
+    let candidateMemories = [];
     
     if (includeShortTerm) {
       candidateMemories.push(...this.ephemeralMemories);
@@ -272,11 +362,12 @@ export class MemoryManager {
       // Add validated memories
       candidateMemories.push(...this.validatedMemories.filter(m => !m.isMeta));
       
-      // Fetch long-term memories from GitHub if enabled
+      // Fetch long-term memories from GitHub if enabled; copies of memories stored locally are skipped
       if (this.githubIntegration && includeLongTerm) {
         try {
+          const localIds = new Set(this.getAllMemories().map(m => m.id));
           const longTermMemories = await this.retrieveLongTermMemories();
-          candidateMemories.push(...longTermMemories);
+          candidateMemories.push(...longTermMemories.filter(m => !localIds.has(m.id)));
         } catch (error) {
           console.error(`Error retrieving long-term memories: ${error.message}`);
         }
@@ -288,127 +379,81 @@ export class MemoryManager {
       candidateMemories.push(...this.validatedMemories.filter(m => m.isMeta));
     }
     
+    // A validated memory may still be in the ephemeral list
+    candidateMemories = [...new Map(candidateMemories.map(m => [m.id, m])).values()];
+    
     if (candidateMemories.length === 0) {
       return [];
     }
     
-    // First attempt: Use LLM-based scoring if available
+    // Cosine top-k above the depth's relevance threshold
+    const relevantMemories = (await this.scoreMemories(query, candidateMemories))
+      .filter(memory => memory.similarity >= this.settings.threshold)
+      .slice(0, this.settings.retrievalLimit);
+    
+    // Hits reinforce the local memories they came from, which may promote them
+    const hitIds = new Set(relevantMemories.map(memory => memory.id));
+    const hits = this.getAllMemories().filter(memory => hitIds.has(memory.id));
+    if (hits.length > 0) {
+      const now = Date.now();
+      await this.recordDecisions(hits.map(memory => {
+        const { before, after } = reinforceMemory(memory, now);
+        return this.decision('reinforce', memory, now, `retrieved (hit ${memory.hits}), score ${before.toFixed(2)} -> ${after.toFixed(2)}`);
+      }));
+      await this._organizeMemoryLayers(now);
+      await this.saveToStore();
+    }
+    
+    this.stats.memoriesRetrieved += relevantMemories.length;
+    return relevantMemories;
+  }
+  
+  /**
+   * Score memories by cosine similarity to a query, embedding the query and any memory without a current vector.
+   * When the provider fails, the query and all memories are compared with local vectors made for this call only;
+   * the memories keep (and the store keeps) the vectors they had.
+   * 
+   * @param {string} query - Query text
+   * @param {Array<Object>} memories - Candidate memories (new provider vectors are stored on them)
+   * @returns {Promise<Array>} Copies of the memories without their vectors, with `similarity`, most similar first
+   * @private
+   */
+  async scoreMemories(query, memories) {
+    // Embed the query and any memory without a current vector in one request
+    const stale = memories.filter(memory => memory.embeddingModel !== this.embedder.model || !Array.isArray(memory.embedding));
+    let result;
     try {
-      if (this.llmClient) {
-        // Extract key concepts from query to improve matching
-        const queryConcepts = this.extractKeyConcepts(query);
-        
-        // Create system prompt for scoring memories
-        const systemPrompt = `You are a memory retrieval system. Your task is to score how relevant each memory is to the current query.
-Score each memory from 0-1 where 1 means highly relevant and 0 means completely irrelevant.
-Consider:
-1. Direct relevance to the query topic
-2. Semantic similarity of concepts
-3. Contextual importance
-4. Recency (newer memories may be more relevant)
-5. Tags and metadata that match the query
-
-Format your response as a JSON array of objects with memory IDs and scores:
-[{"id": "mem-123", "score": 0.9, "reason": "directly addresses the topic"}, {"id": "mem-456", "score": 0.2, "reason": "only tangentially related"}]`;
-      
-        // Create user prompt with query and memories
-        const userPrompt = `Query: ${query}
-Key concepts: ${queryConcepts.join(', ')}
-
-Memories to score (ID, role, content, tags):
-${candidateMemories.map(mem => 
-          `[ID: ${mem.id}] [${mem.role}] ${mem.content.substring(0, 200)}${mem.content.length > 200 ? '...' : ''} 
-Tags: ${mem.tags?.join(', ') || 'none'}`
-        ).join('\n\n')}`;
-        
-        // Get scores from LLM
-        const response = await this.llmClient.complete({
-          system: systemPrompt,
-          prompt: userPrompt,
-          temperature: 0.2, // Lower temperature for more consistent scoring
-          maxTokens: 1500
-        });
-        
-        // Parse response to get scored memories
-        const responseContent = cleanChatResponse(response.content);
-        let jsonMatch = responseContent.match(/\[\s*\{.*\}\s*\]/s);
-        
-        if (jsonMatch) {
-          const jsonArray = JSON.parse(jsonMatch[0]);
-          
-          // Map scores to memory objects
-          const scoredMemories = jsonArray.map(item => {
-            const memory = candidateMemories.find(m => m.id === item.id);
-            if (memory) {
-              return {
-                ...memory,
-                similarity: parseFloat(item.score) || 0,
-                matchReason: item.reason || ''
-              };
-            }
-            return null;
-          }).filter(Boolean);
-          
-          // Sort by score and filter by threshold
-          const relevantMemories = scoredMemories
-            .filter(memory => memory.similarity >= this.settings.threshold)
-            .sort((a, b) => b.similarity - a.similarity)
-            .slice(0, this.settings.retrievalLimit);
-          
-          this.stats.memoriesRetrieved += relevantMemories.length;
-          return relevantMemories;
-        }
-      }
+      result = await this.embedder.embed([query, ...stale.map(memory => memory.content || '')]);
     } catch (error) {
-      console.error(`Error in LLM-based memory scoring: ${error.message}`);
-      // Continue to fallback approach
+      console.error(`Error embedding memory query: ${error.message}`);
+      return [];
     }
+    const [queryVector, ...staleVectors] = result.vectors;
     
-    // Fallback approach: Local semantic matching
-    console.log('Using fallback local semantic matching for memory retrieval');
-    
-    // Calculate semantic similarity for each memory
-    const scoredMemories = candidateMemories.map(memory => {
-      // Calculate base similarity
-      let similarity = this.calculateSimilarity(query, memory.content);
-      
-      // Boost score based on tags matching
-      const queryConcepts = this.extractKeyConcepts(query);
-      if (memory.tags && queryConcepts.length > 0) {
-        const tagMatch = memory.tags.some(tag => 
-          queryConcepts.some(concept => tag.toLowerCase().includes(concept))
-        );
-        if (tagMatch) {
-          similarity += 0.2; // Boost for tag matching
-        }
-      }
-      
-      // Apply recency bias for short-term memories
-      if (memory.timestamp) {
-        const ageInHours = (Date.now() - new Date(memory.timestamp).getTime()) / (1000 * 60 * 60);
-        const recencyBoost = Math.max(0, 0.1 - (ageInHours / 240) * 0.1); // Small boost for recent memories
-        similarity += recencyBoost;
-      }
-      
-      // Apply existing score if available
-      if (memory.score) {
-        similarity += memory.score * 0.2; // Weight the pre-validated score
+    // Fallback vectors only live for this comparison: memories with provider vectors are compared by their text
+    const fallbackVectors = new Map();
+    if (result.fallback) {
+      stale.forEach((memory, i) => fallbackVectors.set(memory, staleVectors[i]));
+    } else {
+      stale.forEach((memory, i) => {
+        memory.embedding = staleVectors[i];
+        memory.embeddingModel = result.model;
+      });
+      // The provider may report a model other than the one the embedder expected; older vectors must match it
+      await this.embedMemories(memories, result.model);
+      if (stale.length > 0) {
+        await this.saveToStore();
       }
-      
-      // Cap at 1.0
-      similarity = Math.min(1, similarity);
-      
-      return { ...memory, similarity };
-    });
-    
-    // Sort by similarity score and apply threshold and limit
-    const relevantMemories = scoredMemories
-      .filter(memory => memory.similarity >= this.settings.threshold)
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, this.settings.retrievalLimit);
+    }
     
-    this.stats.memoriesRetrieved += relevantMemories.length;
-    return relevantMemories;
+    const vectorFor = memory => fallbackVectors.get(memory)
+      || (memory.embeddingModel === result.model ? memory.embedding : memory.content || '');
+    return memories
+      .map(memory => {
+        const { embedding, ...rest } = memory;
+        return { ...rest, similarity: this.calculateSimilarity(queryVector, vectorFor(memory)) };
+      })
+      .sort((a, b) => b.similarity - a.similarity);
   }
   
   /**
@@ -448,10 +493,11 @@ Tags: ${mem.tags?.join(', ') || 'none'}`
   }
   
   /**
-   * Finalize a memory to long-term storage
+   * Finalize a memory to long-term storage: keep it as a validated memory in the local store
+   * and, if GitHub integration is enabled, replicate it there
    * 
    * @param {Object} memory - Memory to finalize
-   * @returns {Promise<Object>} Result of the operation
+   * @returns {Promise<Object>} Result of the operation (`replicated` tells whether GitHub got a copy)
    */
   async finalizeToLongTerm(memory) {
     if (!memory) {
@@ -459,26 +505,37 @@ Tags: ${mem.tags?.join(', ') || 'none'}`
     }
     
     try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      memory.id = memory.id || this.generateMemoryId();
+      memory.longTerm = true;
+      await this.embedMemories([memory]);
+      if (!this.validatedMemories.some(m => m.id === memory.id)) {
+        this.validatedMemories.push(memory);
+      }
+      await this.saveToStore();
+      
       if (!this.githubIntegration) {
-        return { 
-          success: false, 
-          error: 'GitHub integration not enabled' 
-        };
+        return { success: true, replicated: false };
       }
       
-      // Store in GitHub
+      // Replicate to GitHub, with the vector so it needn't be recomputed on retrieval
       const result = await this.githubIntegration.storeMemory(
         memory.content,
         'long_term',
         {
+          id: memory.id,
           tags: memory.tags || [],
           score: memory.score || 0.5,
           timestamp: memory.timestamp || new Date().toISOString(),
-          role: memory.role || 'system'
+          role: memory.role || 'system',
+          embedding: memory.embedding,
+          embeddingModel: memory.embeddingModel
         }
       );
       
-      return { success: true, result };
+      return { success: true, replicated: true, result };
     } catch (error) {
       console.error(`Error finalizing memory to long-term storage: ${error.message}`);
       return { success: false, error: error.message };
@@ -502,11 +559,14 @@ Tags: ${mem.tags?.join(', ') || 'none'}`
     try {
       // Initialize LLM client if needed
       if (!this.llmClient) {
-        this.llmClient = new LLMClient();
+        this.llmClient = this.llmConfig ? createLLMClient(this.llmConfig) : new LLMClient();
       }
       
-      // Prepare memories for validation
-      const memoriesToValidate = this.ephemeralMemories.slice(-10); // Validate last 10 memories
+      // Prepare memories for validation: the last 10 not validated yet
+      const memoriesToValidate = this.ephemeralMemories.filter(m => !m.validated).slice(-10);
+      if (memoriesToValidate.length === 0) {
+        return { validated: 0 };
+      }
       
       // Create system prompt for validation
       const systemPrompt = `You are a memory validation system. Your task is to analyze the provided memories and determine their importance, accuracy, and relevance.
@@ -547,7 +607,7 @@ Respond with a JSON array. Format:
             for (const validatedMem of validationResult.memories) {
               const memoryIndex = this.ephemeralMemories.findIndex(m => m.id === validatedMem.id);
               
-              if (memoryIndex !== -1) {
+              if (memoryIndex !== -1 && memoriesToValidate.includes(this.ephemeralMemories[memoryIndex])) {
                 const memory = this.ephemeralMemories[memoryIndex];
                 
                 // Update memory with validation results
@@ -555,14 +615,12 @@ Respond with a JSON array. Format:
                 memory.tags = Array.isArray(validatedMem.tags) ? validatedMem.tags : [];
                 memory.validated = true;
                 
-                // Handle actions
-                if (validatedMem.action === 'retain' && memory.score >= this.settings.threshold) {
-                  this.validatedMemories.push(memory);
-                } else if (validatedMem.action === 'summarize') {
+                // Handle actions; retained memories move to long-term once their score is high enough
+                if (validatedMem.action === 'summarize') {
                   // Mark for summarization but keep for now
                   memory.needsSummarization = true;
                   this.validatedMemories.push(memory);
-                } else if (validatedMem.action === 'discard') {
+                } else if (validatedMem.action === 'discard' && !memory.pinned) {
                   // Remove from ephemeral memories
                   this.ephemeralMemories.splice(memoryIndex, 1);
                 }
@@ -571,17 +629,18 @@ Respond with a JSON array. Format:
             
             // If any memories need summarization and we have enough, summarize them
             const memoriesToSummarize = this.validatedMemories.filter(m => m.needsSummarization);
-            if (memoriesToSummarize.length >= 3) {
-              await this.summarizeMemories(memoriesToSummarize);
-            }
+            const summaryResult = memoriesToSummarize.length >= 3 ? await this.summarizeMemories(memoriesToSummarize) : null;
+            await this._organizeMemoryLayers();
             
             this.stats.memoriesValidated += validationResult.memories.length;
+            await this.saveToStore();
             
             return { 
               validated: validationResult.memories.length,
               retained: validationResult.memories.filter(m => m.action === 'retain').length,
               summarized: validationResult.memories.filter(m => m.action === 'summarize').length,
-              discarded: validationResult.memories.filter(m => m.action === 'discard').length
+              discarded: validationResult.memories.filter(m => m.action === 'discard').length,
+              summaries: (summaryResult?.summaries || []).map(({ id, content, tags }) => ({ id, content, tags }))
             };
           }
         }
@@ -599,6 +658,47 @@ Respond with a JSON array. Format:
     }
   }
   
+  /**
+   * Count a finished chat exchange (user message and reply). Every `summarizeEvery` exchanges of the depth setting,
+   * new short-term memories are validated and summarized in the background, so a crash loses at most that many.
+   * A checkpoint reached while the previous run is still going is skipped.
+   * 
+   * @param {Function} [onUpdate] - Called with the consolidateMemories() result when it validated anything
+   * @returns {Promise<Object|null>|null} The background run (resolves to null on failure), or null if none was started
+   */
+  recordExchange(onUpdate) {
+    this.exchanges++;
+    if (this.exchanges % this.settings.summarizeEvery !== 0 || this.consolidation) {
+      return null;
+    }
+    this.consolidation = this.consolidateMemories()
+      .then(result => {
+        if (result.validated > 0 && onUpdate) onUpdate(result);
+        return result;
+      })
+      .catch(error => {
+        console.error(`Error consolidating memories: ${error.message}`);
+        return null;
+      })
+      .finally(() => {
+        this.consolidation = null;
+      });
+    return this.consolidation;
+  }
+  
+  /**
+   * Validate new short-term memories and summarize the ones marked for it, writing the result to the store
+   * 
+   * @returns {Promise<Object>} validateMemories() counts and summaries, plus `exchanges`
+   */
+  async consolidateMemories() {
+    const result = await this.validateMemories();
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return { exchanges: this.exchanges, summaries: [], ...result };
+  }
+  
   /**
    * Summarize a group of memories
    * 
@@ -614,7 +714,7 @@ Respond with a JSON array. Format:
     try {
       // Initialize LLM client if needed
       if (!this.llmClient) {
-        this.llmClient = new LLMClient();
+        this.llmClient = this.llmConfig ? createLLMClient(this.llmConfig) : new LLMClient();
       }
       
       // Create system prompt for summarization
@@ -653,6 +753,7 @@ Respond with a JSON object. Format:
           
           if (summaryResult.summaries && Array.isArray(summaryResult.summaries)) {
             // Create new memory entries for summaries
+            const summaryMemories = [];
             for (const summary of summaryResult.summaries) {
               const summaryMemory = {
                 id: this.generateMemoryId(),
@@ -666,7 +767,9 @@ Respond with a JSON object. Format:
               };
               
               // Add to validated memories
+              await this.embedMemories([summaryMemory]);
               this.validatedMemories.push(summaryMemory);
+              summaryMemories.push(summaryMemory);
               
               // Store in GitHub if enabled
               if (this.githubIntegration) {
@@ -676,19 +779,17 @@ Respond with a JSON object. Format:
               }
             }
             
-            // Remove original memories that were summarized
-            memories.forEach(memory => {
-              const index = this.validatedMemories.findIndex(m => m.id === memory.id);
-              if (index !== -1) {
-                this.validatedMemories.splice(index, 1);
-              }
-            });
+            // Remove original memories that were summarized (pinned ones stay)
+            const summarizedIds = new Set(memories.filter(memory => !memory.pinned).map(memory => memory.id));
+            this.validatedMemories = this.validatedMemories.filter(m => !summarizedIds.has(m.id));
+            this.ephemeralMemories = this.ephemeralMemories.filter(m => !summarizedIds.has(m.id));
             
             this.stats.memoriesSummarized += summaryResult.summaries.length;
             
             return { 
               summarized: summaryResult.summaries.length,
-              originalCount: memories.length
+              originalCount: memories.length,
+              summaries: summaryMemories
             };
           }
         }
@@ -716,11 +817,15 @@ Respond with a JSON object. Format:
     if (!this.initialized) {
       await this.initialize();
     }
+    // Let a background consolidation finish so both don't rewrite the same memories
+    if (this.consolidation) {
+      await this.consolidation;
+    }
     
     try {
       // Initialize LLM client if needed
       if (!this.llmClient) {
-        this.llmClient = new LLMClient();
+        this.llmClient = this.llmConfig ? createLLMClient(this.llmConfig) : new LLMClient();
       }
       
       // Create system prompt for summarization
@@ -768,6 +873,7 @@ Format your response as a JSON object:
           };
           
           // Add to validated memories
+          await this.embedMemories([metaMemory]);
           this.validatedMemories.push(metaMemory);
           
           // Move important ephemeral memories to validated based on key points
@@ -795,8 +901,9 @@ Format your response as a JSON object:
           
           // Update stats
           this.stats.memoriesSummarized++;
+          await this.saveToStore();
           
-          // Integrate with GitHub if enabled
+          // Replicate to GitHub if enabled
           if (this.githubIntegration) {
             try {
               await this.githubIntegration.storeMemory(metaMemory);
@@ -823,9 +930,11 @@ Format your response as a JSON object:
         source: this.ephemeralMemories.map(m => m.id)
       };
       
+      await this.embedMemories([fallbackSummary]);
       this.validatedMemories.push(fallbackSummary);
       this.ephemeralMemories = [];
       this.stats.memoriesSummarized++;
+      await this.saveToStore();
       
       return {
         success: true,
@@ -843,48 +952,284 @@ Format your response as a JSON object:
   /**
    * Get all memories (both ephemeral and validated)
    * 
-   * @returns {Array} Combined array of all memories
+   * @returns {Array} Combined array of all memories, each once
    */
   getAllMemories() {
-    return [...this.ephemeralMemories, ...this.validatedMemories];
+    return [...new Map([...this.ephemeralMemories, ...this.validatedMemories].map(m => [m.id, m])).values()];
+  }
+  
+  /**
+   * Layer a memory belongs to
+   * 
+   * @param {Object} memory - Memory object
+   * @returns {string} 'meta', 'long' (validated) or 'short' (ephemeral)
+   */
+  getMemoryLayer(memory) {
+    if (memory.isMeta) return 'meta';
+    return this.validatedMemories.some(m => m.id === memory.id) ? 'long' : 'short';
+  }
+  
+  /**
+   * List stored memories, oldest first
+   * 
+   * @param {string} [layer] - Only 'short', 'long', 'meta' or 'pinned' memories
+   * @returns {Promise<Array>} Copies of the memories without their vectors, with `layer`
+   */
+  async listMemories(layer) {
+    await this.initialize();
+    return this.getAllMemories()
+      .map(({ embedding, ...memory }) => ({ ...memory, layer: this.getMemoryLayer(memory) }))
+      .filter(memory => !layer || (layer === 'pinned' ? memory.pinned : memory.layer === layer))
+      .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+  }
+  
+  /**
+   * Search all local memories by similarity, without the depth's threshold
+   * 
+   * @param {string} query - Text to search for
+   * @param {number} [limit=10] - Maximum number of results
+   * @returns {Promise<Array>} Matching memories with `similarity` and `layer`, most similar first
+   */
+  async searchMemories(query, limit = 10) {
+    await this.initialize();
+    const memories = this.getAllMemories();
+    const scored = await this.scoreMemories(query, memories);
+    return scored
+      .filter(memory => memory.similarity > 0)
+      .slice(0, limit)
+      .map(memory => ({ ...memory, layer: this.getMemoryLayer(memory) }));
+  }
+  
+  /**
+   * Find a memory by ID
+   * 
+   * @param {string} id - Memory ID
+   * @returns {Promise<Object|null>} The memory itself (not a copy), or null
+   */
+  async findMemory(id) {
+    await this.initialize();
+    return this.getAllMemories().find(m => m.id === id) || null;
   }
   
   /**
-   * Organize memories into different layers based on validation status and scores
+   * Remember something the user asked for explicitly; it goes straight to the validated layer
    * 
-   * @returns {Promise<Object>} Result of organization
+   * @param {string} content - Memory content
+   * @param {Object} [options]
+   * @param {string[]} [options.tags] - Tags
+   * @returns {Promise<Object>} Stored memory
+   */
+  async addMemory(content, { tags = [] } = {}) {
+    await this.initialize();
+    const memory = {
+      id: this.generateMemoryId(),
+      content,
+      role: 'user',
+      timestamp: new Date().toISOString(),
+      tags: [...new Set(tags)],
+      score: 1, // Explicitly added by the user
+      validated: true,
+      source: 'manual'
+    };
+    await this.embedMemories([memory]);
+    this.validatedMemories.push(memory);
+    this.stats.memoriesStored++;
+    await this.saveToStore();
+    return memory;
+  }
+  
+  /**
+   * Forget a memory (copies already replicated to GitHub are kept there)
+   * 
+   * @param {string} id - Memory ID
+   * @returns {Promise<boolean>} Whether the memory existed
+   */
+  async deleteMemory(id) {
+    await this.initialize();
+    const before = this.ephemeralMemories.length + this.validatedMemories.length;
+    this.ephemeralMemories = this.ephemeralMemories.filter(m => m.id !== id);
+    this.validatedMemories = this.validatedMemories.filter(m => m.id !== id);
+    if (this.ephemeralMemories.length + this.validatedMemories.length === before) {
+      return false;
+    }
+    await this.saveToStore();
+    return true;
+  }
+  
+  /**
+   * Pin or unpin a memory. Pinned memories are moved to the validated layer and never discarded or summarized away.
+   * 
+   * @param {string} id - Memory ID
+   * @param {boolean} [pinned=true] - false to unpin
+   * @returns {Promise<Object|null>} The memory, or null if there is none with that ID
+   */
+  async pinMemory(id, pinned = true) {
+    const memory = await this.findMemory(id);
+    if (!memory) return null;
+    if (pinned) {
+      memory.pinned = true;
+      this.ephemeralMemories = this.ephemeralMemories.filter(m => m.id !== id);
+      if (!this.validatedMemories.some(m => m.id === id)) {
+        this.validatedMemories.push(memory);
+      }
+    } else {
+      delete memory.pinned;
+    }
+    await this.saveToStore();
+    return memory;
+  }
+  
+  /**
+   * Add tags to a memory
+   * 
+   * @param {string} id - Memory ID
+   * @param {string[]} tags - Tags to add
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Replace the memory's tags instead of adding to them
+   * @returns {Promise<Object|null>} The memory, or null if there is none with that ID
+   */
+  async tagMemory(id, tags, { replace = false } = {}) {
+    const memory = await this.findMemory(id);
+    if (!memory) return null;
+    memory.tags = [...new Set([...(replace ? [] : memory.tags || []), ...tags])];
+    await this.saveToStore();
+    return memory;
+  }
+  
+  /**
+   * Apply the scoring policy to short-term memories: promote those whose effective score reached the depth's
+   * `promoteScore` (and pinned ones) to long-term, then evict the lowest-scoring ones while over `maxMemories`.
+   * Decisions are recorded in the decision trail. Callers save the layers.
+   * 
+   * @param {number} [now=Date.now()] - Time to decay scores to
+   * @returns {Promise<Object>} Layer counts plus the IDs promoted and evicted
    * @private
    */
-  async _organizeMemoryLayers() {
-    // Create memory layer buckets if they don't exist
-    this.shortTermMemories = this.shortTermMemories || [];
-    this.longTermMemories = this.longTermMemories || [];
-    this.metaMemories = this.metaMemories || [];
-    
-    // Clear existing categorized memories
-    this.shortTermMemories = [];
-    this.longTermMemories = [];
-    this.metaMemories = [];
-    
-    // Categorize ephemeral memories as short-term
-    this.shortTermMemories = [...this.ephemeralMemories];
-    
-    // Categorize validated memories by their properties
-    for (const memory of this.validatedMemories) {
-      if (memory.isMeta) {
-        this.metaMemories.push(memory);
-      } else if (memory.score >= 0.7) { // High score memories go to long-term
-        this.longTermMemories.push(memory);
+  async _organizeMemoryLayers(now = Date.now()) {
+    const { halfLifeHours, promoteScore, maxMemories } = this.settings;
+    const decisions = [];
+    const promoted = [];
+    const evicted = [];
+    const validatedIds = new Set(this.validatedMemories.map(m => m.id));
+    
+    let shortTerm = [];
+    for (const memory of this.ephemeralMemories) {
+      const score = effectiveScore(memory, halfLifeHours, now);
+      if (validatedIds.has(memory.id)) {
+        continue; // Already long-term (validated for summarization)
+      }
+      if (memory.pinned || score >= promoteScore) {
+        this.validatedMemories.push(memory);
+        promoted.push(memory.id);
+        decisions.push(this.decision('promote', memory, now, memory.pinned ? 'pinned' : `score ${score.toFixed(2)} >= ${promoteScore} (${this.depth})`));
       } else {
-        this.shortTermMemories.push(memory);
+        shortTerm.push(memory);
       }
     }
     
+    while (shortTerm.length > maxMemories) {
+      // Lowest effective score goes first; the oldest of equals
+      const victim = shortTerm.reduce((lowest, memory) => (effectiveScore(memory, halfLifeHours, now) < effectiveScore(lowest, halfLifeHours, now) ? memory : lowest));
+      shortTerm = shortTerm.filter(memory => memory !== victim);
+      evicted.push(victim.id);
+      decisions.push(this.decision('evict', victim, now, `lowest score ${effectiveScore(victim, halfLifeHours, now).toFixed(2)} with ${shortTerm.length + 1}/${maxMemories} short-term memories`));
+    }
+    
+    this.ephemeralMemories = shortTerm;
+    await this.recordDecisions(decisions);
+    
+    return {
+      shortTerm: this.ephemeralMemories.length,
+      longTerm: this.validatedMemories.filter(m => !m.isMeta).length,
+      meta: this.validatedMemories.filter(m => m.isMeta).length,
+      total: this.getAllMemories().length,
+      promoted,
+      evicted
+    };
+  }
+  
+  /**
+   * Decision trail entry
+   * 
+   * @param {string} action - 'promote', 'evict' or 'reinforce'
+   * @param {Object} memory - Memory the decision is about
+   * @param {number} now - Time of the decision
+   * @param {string} reason - Why, for /memory stats --verbose
+   * @returns {Object} Decision entry
+   * @private
+   */
+  decision(action, memory, now, reason) {
+    const content = String(memory.content || '').replace(/\s+/g, ' ');
+    return {
+      at: new Date(now).toISOString(),
+      action,
+      id: memory.id,
+      score: Number(effectiveScore(memory, this.settings.halfLifeHours, now).toFixed(3)),
+      reason,
+      content: content.length > 60 ? `${content.slice(0, 57)}...` : content
+    };
+  }
+  
+  /**
+   * Add decisions to the trail, in memory and in the store
+   * 
+   * @param {Array<Object>} decisions - Entries from decision()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async recordDecisions(decisions) {
+    if (decisions.length === 0) return;
+    this.decisions = [...this.decisions, ...decisions].slice(-DECISIONS_IN_MEMORY);
+    if (this.store) {
+      try {
+        await this.store.appendDecisions(decisions);
+      } catch (error) {
+        console.error(`Error writing memory decisions: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Latest scoring decisions, including those of earlier sessions when memories are stored
+   * 
+   * @param {number} [limit=20] - Maximum number of decisions
+   * @returns {Promise<Array<Object>>} Oldest first
+   */
+  async getDecisionTrail(limit = 20) {
+    if (this.store) {
+      try {
+        return await this.store.readDecisions(limit);
+      } catch (error) {
+        console.error(`Error reading memory decisions: ${error.message}`);
+      }
+    }
+    return this.decisions.slice(-limit);
+  }
+  
+  /**
+   * Current scores of all local memories, for /memory stats --verbose
+   * 
+   * @param {number} [now=Date.now()] - Time to decay scores to
+   * @returns {Object} Scoring settings and `memories` ({id, layer, score, baseScore, hits, ageHours, pinned}), highest score first
+   */
+  getScoreReport(now = Date.now()) {
+    const { halfLifeHours, promoteScore, maxMemories } = this.settings;
     return {
-      shortTerm: this.shortTermMemories.length,
-      longTerm: this.longTermMemories.length,
-      meta: this.metaMemories.length,
-      total: this.getAllMemories().length
+      halfLifeHours,
+      promoteScore,
+      maxMemories,
+      reinforcementRate: REINFORCEMENT_RATE,
+      memories: this.getAllMemories()
+        .map(memory => ({
+          id: memory.id,
+          layer: this.getMemoryLayer(memory),
+          score: effectiveScore(memory, halfLifeHours, now),
+          baseScore: baseScore(memory),
+          hits: memory.hits || 0,
+          ageHours: memoryAgeHours(memory, now),
+          pinned: !!memory.pinned
+        }))
+        .sort((a, b) => b.score - a.score)
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,55 @@
+// --- Memory scoring ---
+// A memory's stored `score` is its importance: 0.5 when stored, set by LLM validation, raised a little by every
+// retrieval hit. Its effective score decays from there with a half-life (per memory depth) counted from when it was
+// stored or last retrieved, so memories that keep coming up stay strong and forgotten ones fade. Pinned memories
+// always score 1. MemoryManager promotes and evicts short-term memories by effective score.
+
+export const DEFAULT_MEMORY_SCORE = 0.5;
+export const REINFORCEMENT_RATE = 0.1; // Each retrieval moves the score this share of the way to 1
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @param {object} memory
+ * @returns {number} The memory's stored importance, DEFAULT_MEMORY_SCORE if it has none.
+ */
+export function baseScore(memory) {
+  return typeof memory.score === 'number' && Number.isFinite(memory.score) ? memory.score : DEFAULT_MEMORY_SCORE;
+}
+
+/**
+ * Hours since the memory was last retrieved, or stored if it never was.
+ * @param {object} memory
+ * @param {number} [now=Date.now()]
+ * @returns {number} 0 when the memory has no readable timestamp.
+ */
+export function memoryAgeHours(memory, now = Date.now()) {
+  const since = Date.parse(memory.lastAccessed || memory.timestamp || '');
+  return Number.isNaN(since) ? 0 : Math.max(0, (now - since) / HOUR_MS);
+}
+
+/**
+ * Score used for promotion and eviction: the stored score halved every `halfLifeHours` since last use.
+ * @param {object} memory
+ * @param {number} halfLifeHours
+ * @param {number} [now=Date.now()]
+ * @returns {number} Between 0 and 1; 1 for pinned memories.
+ */
+export function effectiveScore(memory, halfLifeHours, now = Date.now()) {
+  if (memory.pinned) return 1;
+  return baseScore(memory) * Math.pow(0.5, memoryAgeHours(memory, now) / halfLifeHours);
+}
+
+/**
+ * Records a retrieval hit: raises the stored score, counts the hit and restarts the decay clock.
+ * @param {object} memory - Updated in place.
+ * @param {number} [now=Date.now()]
+ * @returns {{before: number, after: number}} Stored score before and after.
+ */
+export function reinforceMemory(memory, now = Date.now()) {
+  const before = baseScore(memory);
+  memory.score = Math.min(1, before + (1 - before) * REINFORCEMENT_RATE);
+  memory.hits = (memory.hits || 0) + 1;
+  memory.lastAccessed = new Date(now).toISOString();
+  return { before, after: memory.score };
+}
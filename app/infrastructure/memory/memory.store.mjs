@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ensureDir } from '../../utils/research.ensure-dir.mjs';
+
+const LOG_FILE = 'memories.log';
+const INDEX_FILE = 'index.json';
+const DECISIONS_FILE = 'decisions.log';
+const DECISIONS_KEPT = 500; // Decisions kept when the trail is trimmed
+const DECISIONS_MAX_BYTES = 256 * 1024; // Trim the trail once it grows past this
+const INDEX_VERSION = 1;
+const COMPACT_MIN_BYTES = 256 * 1024; // Don't bother compacting small logs
+const COMPACT_RATIO = 2; // Compact once the log is this many times larger than its live records
+
+export const MEMORY_LAYERS = ['ephemeral', 'validated'];
+
+// Write queues by store directory, shared by every MemoryStore in the process (a chat session's and /memory's)
+const writeChains = new Map();
+
+/**
+ * Directory holding a user's memory store.
+ * Defaults to ~/.mcp/users/<name>/memory, next to the user's profile; MCP_MEMORY_DIR replaces ~/.mcp/users
+ * (tests, custom deployments).
+ * @param {string} username
+ * @returns {string}
+ */
+export function getMemoryDir(username) {
+  const base = process.env.MCP_MEMORY_DIR || path.join(os.homedir(), '.mcp', 'users');
+  return path.join(base, encodeURIComponent(username), 'memory');
+}
+
+function hashRecord(json) {
+  return crypto.createHash('sha1').update(json).digest('hex');
+}
+
+/**
+ * Durable per-user memory store: an append-only log plus an index.
+ *
+ *   memories.log - one JSON line per change: { op: 'put', layer, memory, at } or { op: 'delete', id, at }.
+ *   index.json   - { version, logBytes, entries: { [id]: { layer, offset, length, hash } } }, where offset/length
+ *                  locate the memory's latest 'put' line in the log.
+ *
+ *   decisions.log - one JSON line per promotion, eviction or reinforcement (MemoryManager), trimmed to the
+ *                   latest DECISIONS_KEPT once it grows past DECISIONS_MAX_BYTES.
+ *
+ * The index is rewritten after every append. If the process dies in between, load() replays the log past
+ * `logBytes`; without a usable index it replays the whole log. A torn last line is skipped. The log is
+ * rewritten with only the live records once it grows to COMPACT_RATIO times their size.
+ *
+ * Several stores may be open on one directory. Their writes are serialized per directory, and sync() rereads
+ * the index when another store has written since, so it appends at the real end of the log and only deletes
+ * memories this store has loaded or written.
+ */
+export class MemoryStore {
+  /**
+   * @param {object} options
+   * @param {string} options.username
+   * @param {string} [options.dir] - Overrides getMemoryDir(username).
+   */
+  constructor(options = {}) {
+    if (!options.username) {
+      throw new Error('Username is required for the memory store');
+    }
+    this.username = options.username;
+    this.dir = options.dir || getMemoryDir(options.username);
+    this.logFile = path.join(this.dir, LOG_FILE);
+    this.indexFile = path.join(this.dir, INDEX_FILE);
+    this.decisionsFile = path.join(this.dir, DECISIONS_FILE);
+    this.entries = new Map(); // id -> { layer, offset, length, hash }
+    this.logBytes = 0;
+    this.known = new Set(); // Ids handed out by load() or last passed to sync(); sync() only deletes these
+    this.loaded = false;
+  }
+
+  /** Runs `task` after every earlier write to this directory has finished. */
+  serialize(task) {
+    const key = path.resolve(this.dir);
+    const run = (writeChains.get(key) || Promise.resolve()).then(task);
+    const chain = run.catch(() => {});
+    writeChains.set(key, chain);
+    chain.then(() => {
+      if (writeChains.get(key) === chain) writeChains.delete(key);
+    });
+    return run;
+  }
+
+  async readLog() {
+    try {
+      return await fs.readFile(this.logFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') return Buffer.alloc(0);
+      throw error;
+    }
+  }
+
+  async readIndex() {
+    try {
+      const index = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+      return index?.version === INDEX_VERSION && index.entries && typeof index.logBytes === 'number' ? index : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`[MemoryStore] Rebuilding unreadable index for ${this.username}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async writeIndex() {
+    const index = { version: INDEX_VERSION, logBytes: this.logBytes, entries: Object.fromEntries(this.entries) };
+    await fs.writeFile(`${this.indexFile}.tmp`, JSON.stringify(index), 'utf8');
+    await fs.rename(`${this.indexFile}.tmp`, this.indexFile);
+  }
+
+  /**
+   * Applies the log lines in `log` from byte `start` to the in-memory index.
+   * @returns {number} Number of lines applied.
+   */
+  replay(log, start) {
+    let applied = 0;
+    let offset = start;
+    while (offset < log.length) {
+      let end = log.indexOf(0x0a, offset);
+      if (end === -1) end = log.length;
+      const length = end - offset;
+      try {
+        const record = JSON.parse(log.subarray(offset, end).toString('utf8'));
+        if (record.op === 'put' && record.memory?.id) {
+          this.entries.set(record.memory.id, { layer: record.layer, offset, length, hash: hashRecord(JSON.stringify(record.memory)) });
+          applied++;
+        } else if (record.op === 'delete' && record.id) {
+          this.entries.delete(record.id);
+          applied++;
+        }
+      } catch {
+        if (length > 0) console.error(`[MemoryStore] Skipping unreadable log line at byte ${offset} for ${this.username}`);
+      }
+      offset = end + 1;
+    }
+    return applied;
+  }
+
+  /**
+   * Rebuilds the in-memory index from the index file and the log records written after it, and rewrites the
+   * index file if it was behind. Not serialized itself.
+   * @returns {Promise<Buffer>} The log.
+   */
+  async readEntries() {
+    const log = await this.readLog();
+    const index = await this.readIndex();
+    this.entries = new Map();
+    let replayFrom = 0;
+    if (index && index.logBytes <= log.length) {
+      this.entries = new Map(Object.entries(index.entries));
+      replayFrom = index.logBytes;
+    }
+    const applied = this.replay(log, replayFrom);
+    this.logBytes = log.length;
+    if (applied > 0 || (index && index.logBytes !== log.length)) {
+      await ensureDir(this.dir);
+      await this.writeIndex();
+    }
+    return log;
+  }
+
+  /**
+   * Reads every live memory, grouped by layer.
+   * @returns {Promise<{ephemeral: Array<object>, validated: Array<object>}>} Memories in the order they were last written.
+   */
+  load() {
+    return this.serialize(async () => {
+      const log = await this.readEntries();
+      this.known = new Set(this.entries.keys());
+      this.loaded = true;
+
+      const layers = { ephemeral: [], validated: [] };
+      const live = [...this.entries.values()].sort((a, b) => a.offset - b.offset);
+      for (const entry of live) {
+        try {
+          const { memory } = JSON.parse(log.subarray(entry.offset, entry.offset + entry.length).toString('utf8'));
+          (layers[entry.layer] || layers.validated).push(memory);
+        } catch (error) {
+          console.error(`[MemoryStore] Index points at an unreadable record for ${this.username}: ${error.message}`);
+        }
+      }
+      return layers;
+    });
+  }
+
+  /**
+   * Makes the store match the given layers: appends a 'put' for every new or changed memory and a 'delete'
+   * for every memory this store loaded or was given before that is gone. Memories other stores added are kept.
+   * A memory present in both layers is stored as validated.
+   * @param {{ephemeral?: Array<object>, validated?: Array<object>}} layers
+   * @returns {Promise<{written: number, deleted: number}>}
+   */
+  sync(layers = {}) {
+    return this.serialize(async () => {
+      if (!this.loaded) {
+        throw new Error('Memory store must be loaded before it is written');
+      }
+      const wanted = new Map();
+      for (const layer of MEMORY_LAYERS) {
+        for (const memory of layers[layer] || []) {
+          if (memory?.id) wanted.set(memory.id, { layer, memory });
+        }
+      }
+
+      // Another store on this directory may have appended or compacted since this one last read the log
+      const logBytes = await fs.stat(this.logFile).then(stats => stats.size, error => {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+      });
+      if (logBytes !== this.logBytes) {
+        await this.readEntries();
+      }
+
+      const at = new Date().toISOString();
+      const lines = [];
+      const puts = [];
+      for (const [id, { layer, memory }] of wanted) {
+        const json = JSON.stringify(memory);
+        const hash = hashRecord(json);
+        const stored = this.entries.get(id);
+        if (stored && stored.hash === hash && stored.layer === layer) continue;
+        lines.push(`{"op":"put","layer":${JSON.stringify(layer)},"memory":${json},"at":"${at}"}`);
+        puts.push({ id, layer, hash });
+      }
+      const deletes = [...this.entries.keys()].filter(id => this.known.has(id) && !wanted.has(id));
+      for (const id of deletes) {
+        lines.push(JSON.stringify({ op: 'delete', id, at }));
+      }
+      if (lines.length === 0) {
+        this.known = new Set(wanted.keys());
+        return { written: 0, deleted: 0 };
+      }
+
+      await ensureDir(this.dir);
+      const chunk = `${lines.join('\n')}\n`;
+      await fs.appendFile(this.logFile, chunk, 'utf8');
+      this.known = new Set(wanted.keys());
+      let offset = this.logBytes;
+      lines.forEach((line, i) => {
+        const length = Buffer.byteLength(line, 'utf8');
+        if (i < puts.length) this.entries.set(puts[i].id, { layer: puts[i].layer, offset, length, hash: puts[i].hash });
+        offset += length + 1;
+      });
+      for (const id of deletes) this.entries.delete(id);
+      this.logBytes += Buffer.byteLength(chunk, 'utf8');
+
+      const liveBytes = [...this.entries.values()].reduce((total, entry) => total + entry.length + 1, 0);
+      if (this.logBytes >= COMPACT_MIN_BYTES && this.logBytes > liveBytes * COMPACT_RATIO) {
+        await this.compact();
+      } else {
+        await this.writeIndex();
+      }
+      return { written: puts.length, deleted: deletes.length };
+    });
+  }
+
+  /**
+   * Rewrites the log with only the live records and rebuilds the index. Called by sync(); not serialized itself.
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    const log = await this.readLog();
+    const live = [...this.entries.entries()].sort(([, a], [, b]) => a.offset - b.offset);
+    const entries = new Map();
+    const lines = [];
+    let offset = 0;
+    for (const [id, entry] of live) {
+      const line = log.subarray(entry.offset, entry.offset + entry.length).toString('utf8');
+      entries.set(id, { ...entry, offset });
+      lines.push(line);
+      offset += entry.length + 1;
+    }
+    const content = lines.length ? `${lines.join('\n')}\n` : '';
+    await fs.writeFile(`${this.logFile}.tmp`, content, 'utf8');
+    await fs.rename(`${this.logFile}.tmp`, this.logFile);
+    this.entries = entries;
+    this.logBytes = Buffer.byteLength(content, 'utf8');
+    await this.writeIndex();
+  }
+
+  /**
+   * Appends entries to the decision trail.
+   * @param {Array<object>} decisions
+   * @returns {Promise<void>}
+   */
+  appendDecisions(decisions) {
+    if (decisions.length === 0) return Promise.resolve();
+    return this.serialize(async () => {
+      await ensureDir(this.dir);
+      await fs.appendFile(this.decisionsFile, decisions.map(decision => `${JSON.stringify(decision)}\n`).join(''), 'utf8');
+      const { size } = await fs.stat(this.decisionsFile);
+      if (size > DECISIONS_MAX_BYTES) {
+        const lines = (await fs.readFile(this.decisionsFile, 'utf8')).split('\n').filter(Boolean);
+        await fs.writeFile(`${this.decisionsFile}.tmp`, `${lines.slice(-DECISIONS_KEPT).join('\n')}\n`, 'utf8');
+        await fs.rename(`${this.decisionsFile}.tmp`, this.decisionsFile);
+      }
+    });
+  }
+
+  /**
+   * Reads the latest entries of the decision trail.
+   * @param {number} [limit=20]
+   * @returns {Promise<Array<object>>} Oldest first; unreadable lines are skipped.
+   */
+  readDecisions(limit = 20) {
+    return this.serialize(async () => {
+      let content;
+      try {
+        content = await fs.readFile(this.decisionsFile, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      return content.split('\n').filter(Boolean).slice(-limit).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,174 @@
+// --- Prompt template store ---
+// Built-in prompts for research and chat, addressed by id. Users can override any of them with /prompts edit;
+// overrides are saved with the user profile (userData.promptTemplates, see UserManager#setPromptTemplate) and
+// passed to the research engine and chat as a plain { id: template } object.
+// Templates use the {{var}} syntax of generatePrompt(); unknown or empty variables render as ''.
+
+/**
+ * Replaces {{name}} placeholders with `variables[name]` ('' when missing).
+ * @param {string} template
+ * @param {object} variables
+ * @returns {string}
+ */
+export function generatePrompt(template, variables) {
+    return template.replace(/\{\{(\w+)\}\}/g, (_, key) => variables[key] || '');
+}
+
+const RESEARCH_SYSTEM = `You are an adaptive research engine assistant helping to explore topics in depth and designed for cross-domain analysis. Your responses must be:
+
+1. Structured and organized
+2. Focused on the specific task
+3. Factual and precise
+4. Easy to parse programmatically in minimal markdown format
+5. Avoid any unnecessary information
+
+When generating queries:
+- Start each query with "What" "How" "Why" "When" "Where" or "Which"
+- Make each query specific and focused and easily searchable
+- Use clear and concise language
+- Avoid vague or ambiguous terms
+- Use active voice
+- Avoid jargon unless necessary
+- Use simple sentence structures
+- Avoid unnecessary words
+- End each query with a question mark
+- Focus on different aspects of the topic
+- Avoid repetition
+- Ensure each query is unique
+
+When analyzing content, if applicable:
+- Focus on the main ideas and concepts
+- Extract concrete facts and data
+- Include specific metrics and numbers
+- Note relationships between concepts
+- Identify key entities and their attributes
+- Highlight trends and patterns
+
+IMPORTANT: Format your responses as lists without any introductory text or explanations.`;
+
+const RESEARCH_QUERY_EXPANSION = `Generate specific research questions about: "{{query}}"
+
+{{previousFindings}}
+
+Requirements:
+1. Each question must start with What How Why When Where or Which
+2. Each question must end with a question mark
+3. Each question must focus on a different aspect
+4. Questions must be specific and detailed
+
+Example format:
+"What are the fundamental principles of quantum entanglement?"
+"How does quantum superposition enable parallel computation?"
+"Why are quantum computers particularly effective for cryptography?"
+"What {system/process} enables {function} in {domain}?"
+"How does {variableA} compare to {variableB} regarding {metric}?"
+"Why has {phenomenon} evolved differently across {geographic/cultural contexts}?"
+
+
+DO NOT include any introductory text. Just list the questions directly.`;
+
+const CHAT_SYSTEM = `You are {{persona}}, an AI assistant powering the /chat command.
+
+✦ Formatting rules ✦
+1. Your answer MUST consist of **two distinct parts** in a single message:
+   a) Your private reasoning, wrapped in a <thinking> … </thinking> tag.
+   b) Your final user-visible reply, which comes immediately after the closing </thinking> tag with **no tag** around it.
+2. Do **not** write “[AI] ...thinking...” or any other extra markers—the tags alone are sufficient.
+3. If you have no private reasoning to share, simply omit the <thinking> block; everything you send will then be treated as the reply.
+4. Keep the language of both sections consistent with the user’s language, unless the user explicitly requests otherwise.
+
+Example
+-------
+User: hi
+
+Assistant (one message):
+<thinking>
+Okay, the user just said “hi”. I should greet them warmly and invite a follow-up question.
+</thinking>
+Hello! How can I assist you today?`;
+
+const PROMPT_TEMPLATES = Object.freeze({
+    'research.system': {
+        description: 'System prompt for every research LLM call (query generation, learning extraction, summary).',
+        variables: [],
+        template: RESEARCH_SYSTEM
+    },
+    'research.query-expansion': {
+        description: 'Asks for search queries about a topic; used at every research depth.',
+        variables: ['query', 'previousFindings'],
+        template: RESEARCH_QUERY_EXPANSION
+    },
+    'chat.system': {
+        description: 'System prompt of the terminal (CLI) chat, with the <thinking> formatting rules.',
+        variables: ['persona'],
+        template: CHAT_SYSTEM
+    },
+    'chat.persona': {
+        description: 'System prompt of the Web-CLI chat.',
+        variables: ['persona'],
+        template: 'You are {{persona}}. You are a helpful assistant.'
+    }
+});
+
+/**
+ * @returns {Array<{id: string, description: string, variables: string[]}>}
+ */
+export function listPromptTemplates() {
+    return Object.entries(PROMPT_TEMPLATES).map(([id, { description, variables }]) => ({ id, description, variables }));
+}
+
+/**
+ * @param {string} id
+ * @returns {{description: string, variables: string[], template: string}|null} The built-in definition.
+ */
+export function getPromptTemplateDefinition(id) {
+    return PROMPT_TEMPLATES[id] || null;
+}
+
+/**
+ * Template text for `id`: the override if there is one, else the built-in default.
+ * @param {string} id
+ * @param {object} [overrides] - { id: template }, e.g. from UserManager#getPromptTemplates.
+ * @returns {string}
+ * @throws {Error} If `id` is not a known template.
+ */
+export function resolvePromptTemplate(id, overrides = {}) {
+    const definition = getPromptTemplateDefinition(id);
+    if (!definition) throw new Error(`Unknown prompt template '${id}'.`);
+    const override = overrides?.[id];
+    return typeof override === 'string' && override.trim() ? override : definition.template;
+}
+
+/**
+ * Renders template `id` with `variables`.
+ * @param {string} id
+ * @param {object} [variables]
+ * @param {object} [overrides] - See resolvePromptTemplate().
+ * @returns {string}
+ */
+export function renderPromptTemplate(id, variables = {}, overrides = {}) {
+    return generatePrompt(resolvePromptTemplate(id, overrides), variables);
+}
+
+/**
+ * Checks an edited template before it is saved.
+ * @param {string} id
+ * @param {string} template
+ * @returns {{valid: boolean, error?: string, unknownVariables: string[], unusedVariables: string[]}}
+ *   Unknown variables render as '' and unused ones are dropped; both are reported but allowed.
+ */
+export function validatePromptTemplate(id, template) {
+    const definition = getPromptTemplateDefinition(id);
+    if (!definition) {
+        return { valid: false, error: `Unknown prompt template '${id}'. Run /prompts list to see the available ids.`, unknownVariables: [], unusedVariables: [] };
+    }
+    if (typeof template !== 'string' || !template.trim()) {
+        return { valid: false, error: 'Template text cannot be empty. Use /prompts reset to go back to the default.', unknownVariables: [], unusedVariables: [] };
+    }
+    const used = new Set([...template.matchAll(/\{\{(\w+)\}\}/g)].map(match => match[1]));
+    return {
+        valid: true,
+        unknownVariables: [...used].filter(name => !definition.variables.includes(name)),
+        unusedVariables: definition.variables.filter(name => !used.has(name))
+    };
+}
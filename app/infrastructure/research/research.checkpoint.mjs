@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { ensureDir } from '../../utils/research.ensure-dir.mjs';
+
+const CHECKPOINT_FILE = 'checkpoint.json';
+const RUN_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+export class CheckpointError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+    this.name = 'CheckpointError';
+  }
+}
+
+/**
+ * Root directory holding every user's research runs.
+ * Defaults to ~/.mcp/research-runs; MCP_RESEARCH_RUNS_DIR overrides it (tests, custom deployments).
+ * @returns {string}
+ */
+export function getResearchRunsDir() {
+  return process.env.MCP_RESEARCH_RUNS_DIR || path.join(os.homedir(), '.mcp', 'research-runs');
+}
+
+function getUserRunsDir(username, rootDir) {
+  // Usernames are validated on creation, but never let one escape the runs directory
+  return path.join(rootDir || getResearchRunsDir(), path.basename(String(username || 'unknown')));
+}
+
+function generateRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:T]/g, '').substring(0, 14);
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * On-disk checkpoint of one research run, stored at <runsDir>/<username>/<runId>/checkpoint.json.
+ *
+ * Nodes of the research tree are keyed by their position ("0", "0.1", "0.1.2", ...), so a resumed
+ * run can walk the same tree: completed nodes are replayed from disk (including the follow-up
+ * queries they generated) and only unfinished nodes hit the search provider and LLM again. The run's
+ * backend settings are saved too, so a resumed run searches and writes with the same providers.
+ */
+export class ResearchCheckpoint {
+  constructor(data, filePath) {
+    this.data = data;
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Creates a new run directory and writes the initial checkpoint.
+   * @param {object} params
+   * @param {string} params.username - Owner of the run.
+   * @param {object} params.query - Context query object { original, metadata? }.
+   * @param {number} params.depth - Research depth.
+   * @param {number} params.breadth - Research breadth.
+   * @param {Array<object>|null} [params.overrideQueries] - Starting queries, when the run uses them.
+   * @param {{searchProvider: string, source: string, fetchContent: boolean, llmProvider: string|null, model: string|null, persona: string|null}|null} [params.settings]
+   *   Search provider, --source ('web' or 'local:<path>'), --fetch-content, LLM provider, model and persona slug the run uses.
+   * @param {string} [params.rootDir] - Overrides getResearchRunsDir().
+   * @returns {Promise<ResearchCheckpoint>}
+   */
+  static async create({ username, query, depth, breadth, overrideQueries = null, settings = null, rootDir }) {
+    const runId = generateRunId();
+    const runDir = path.join(getUserRunsDir(username, rootDir), runId);
+    await ensureDir(runDir);
+
+    const now = new Date().toISOString();
+    const checkpoint = new ResearchCheckpoint({
+      runId,
+      username,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      query,
+      depth,
+      breadth,
+      overrideQueries,
+      settings,
+      nodes: {},
+      visitedUrls: []
+    }, path.join(runDir, CHECKPOINT_FILE));
+    await checkpoint.save();
+    return checkpoint;
+  }
+
+  /**
+   * Loads an existing run for a user.
+   * @param {string} username - Owner of the run.
+   * @param {string} runId - Run identifier printed when the run started.
+   * @param {object} [options]
+   * @param {string} [options.rootDir] - Overrides getResearchRunsDir().
+   * @returns {Promise<ResearchCheckpoint>}
+   * @throws {CheckpointError} INVALID_RUN_ID, NOT_FOUND or CORRUPT.
+   */
+  static async load(username, runId, { rootDir } = {}) {
+    if (!runId || !RUN_ID_PATTERN.test(runId)) {
+      throw new CheckpointError('INVALID_RUN_ID', `Invalid run ID: ${runId || '(empty)'}`);
+    }
+    const filePath = path.join(getUserRunsDir(username, rootDir), runId, CHECKPOINT_FILE);
+
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new CheckpointError('NOT_FOUND', `No research run found with ID ${runId}.`);
+      }
+      throw error;
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      return new ResearchCheckpoint({ nodes: {}, visitedUrls: [], ...data }, filePath);
+    } catch (parseError) {
+      throw new CheckpointError('CORRUPT', `Checkpoint for run ${runId} is unreadable: ${parseError.message}`);
+    }
+  }
+
+  get runId() { return this.data.runId; }
+  get status() { return this.data.status; }
+  get query() { return this.data.query; }
+  get depth() { return this.data.depth; }
+  get breadth() { return this.data.breadth; }
+  get overrideQueries() { return this.data.overrideQueries; }
+  /** Backend settings of the run; null for checkpoints written before they were saved. */
+  get settings() { return this.data.settings || null; }
+  get completedNodeCount() { return Object.keys(this.data.nodes).length; }
+
+  /**
+   * URLs claimed by completed nodes. Nodes that were still in flight when the run stopped
+   * are not included, so they can claim their results again on resume.
+   * @returns {Set<string>}
+   */
+  get visitedUrls() { return new Set(this.data.visitedUrls); }
+
+  /**
+   * @param {string} nodeId - Tree position of the node.
+   * @returns {{query: object, depth: number, learnings: string[], sources: string[], sourceDetails?: object[], citations?: object, followUpQueries: object[]}|null}
+   */
+  getNode(nodeId) {
+    return this.data.nodes[nodeId] || null;
+  }
+
+  /**
+   * Records a completed node and persists the checkpoint.
+   * @param {string} nodeId - Tree position of the node.
+   * @param {object} node - { query, depth, learnings, sources, sourceDetails, citations, followUpQueries }.
+   * @returns {Promise<void>}
+   */
+  recordNode(nodeId, { query, depth, learnings = [], sources = [], sourceDetails = [], citations = {}, followUpQueries = [] }) {
+    // Copy the arrays: callers keep appending sub-path results to the same objects
+    this.data.nodes[nodeId] = {
+      query,
+      depth,
+      learnings: [...learnings],
+      sources: [...sources],
+      sourceDetails: [...sourceDetails],
+      citations: { ...citations },
+      followUpQueries: [...followUpQueries],
+      completedAt: new Date().toISOString()
+    };
+    const visited = new Set(this.data.visitedUrls);
+    sources.forEach(url => visited.add(url));
+    this.data.visitedUrls = [...visited];
+    return this.save();
+  }
+
+  /**
+   * @param {'running'|'complete'|'cancelled'|'failed'} status
+   * @returns {Promise<void>}
+   */
+  setStatus(status) {
+    this.data.status = status;
+    return this.save();
+  }
+
+  /**
+   * Writes the checkpoint. Writes are chained so parallel nodes never interleave, and each one
+   * goes through a temp file + rename so a crash mid-write leaves the previous checkpoint intact.
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(this.data, null, 2);
+    const tmpPath = `${this.filePath}.tmp`;
+    this.writeChain = this.writeChain
+      .catch(() => {}) // A failed write shouldn't block later ones
+      .then(async () => {
+        await fs.writeFile(tmpPath, snapshot, 'utf8');
+        await fs.rename(tmpPath, this.filePath);
+      });
+    return this.writeChain;
+  }
+}
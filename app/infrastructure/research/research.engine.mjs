@@ -4,16 +4,20 @@ import fs from 'fs/promises';
 import path from 'path';
 import { generateSummary } from '../../features/ai/research.providers.mjs';
 import { ensureDir } from '../../utils/research.ensure-dir.mjs';
-import { LLMClient } from '../ai/venice.llm-client.mjs';
+import { createLLMClient, llmProviderRequiresKey } from '../ai/llm.providers.mjs';
 import { generateQueries } from '../../features/ai/research.providers.mjs';
 // Import safeSend for progress updates
 import { safeSend } from '../../utils/websocket.utils.mjs';
 // --- Import suggestSearchProvider ---
 import { suggestSearchProvider } from '../search/search.providers.mjs';
-import { BraveSearchProvider } from '../search/search.providers.mjs';
 import { RateLimiter } from '../../utils/research.rate-limiter.mjs';
+import { ConcurrencyPool } from '../../utils/research.concurrency-pool.mjs';
+import { ResearchCheckpoint } from './research.checkpoint.mjs';
+import { ContentFetcher } from '../search/search.content-fetcher.mjs';
+import { createTreeNode, collectTreeResults, renderTreeMarkdown, buildResearchExport, numberReferences, formatCitations } from './research.tree.mjs';
 import { generateQueriesLLM, generateSummaryLLM, processResults } from '../../features/ai/research.providers.mjs';
 import { getDefaultResearchCharacterSlug } from '../ai/venice.characters.mjs'; // Import character slug getter
+import { resolvePromptTemplate } from '../prompts/prompt.templates.mjs';
 
 /**
  * Main research engine that coordinates research paths
@@ -23,6 +27,8 @@ export class ResearchEngine {
     const {
       braveApiKey,
       veniceApiKey,
+      searchProviderName = 'brave', // Registered search provider (see search.providers.mjs)
+      searchProviderOptions = {},   // Provider-specific settings, e.g. { url } for searxng
       verbose = false,
       user = {},
       outputHandler = console.log,   // <= NEW default
@@ -31,11 +37,22 @@ export class ResearchEngine {
       progressHandler = () => {},    // <= NEW: Add progressHandler destructuring with default
       isWebSocket = false,
       webSocketClient = null,
-      overrideQueries = null // --- NEW: Accept overrideQueries in config ---
+      overrideQueries = null, // --- NEW: Accept overrideQueries in config ---
+      concurrency = 3, // Max query nodes processed at once across the whole research tree
+      checkpoints = true, // Write an on-disk checkpoint after every node so the run can be resumed
+      fetchContent = false, // Download full result pages instead of relying on search snippets
+      searchCache = true, // Answer repeated queries from the persistent search cache (~/.mcp/search-cache)
+      llmCache, // LLM response cache mode: 'cache', 'record' or 'replay' (default: VENICE_LLM_CACHE / off)
+      llmProvider,            // Registered LLM provider (see llm.providers.mjs); defaults to LLM_PROVIDER / venice
+      llmProviderOptions = {}, // Provider-specific settings, e.g. { baseUrl, apiKey, model } for openai
+      usage,                  // { username, command } attributed by the usage meter for every Venice/Brave call
+      promptTemplates = {},   // Per-user prompt template overrides ({ id: template }), see prompt.templates.mjs
+      persona = null          // Resolved persona (llm.personas.mjs); its system prompt, model, temperature and Venice character apply to every research LLM call
     } = config;
 
     // --- store config ---
     this.braveApiKey   = braveApiKey;
+    this.searchProviderName = (searchProviderName || 'brave').toLowerCase();
     this.veniceApiKey  = veniceApiKey;
     this.verbose       = verbose;
     this.user          = user;
@@ -51,6 +68,23 @@ export class ResearchEngine {
     this.isWebSocket   = isWebSocket;
     this.webSocketClient = webSocketClient;
     this.overrideQueries = overrideQueries; // --- Store overrideQueries ---
+    const parsedConcurrency = parseInt(concurrency, 10);
+    this.concurrency = Number.isFinite(parsedConcurrency) && parsedConcurrency > 0 ? parsedConcurrency : 3;
+    this.checkpointsEnabled = checkpoints !== false;
+    this.contentFetcher = fetchContent ? new ContentFetcher({ debug: debugHandler }) : null;
+    this.llmCache = llmCache;
+    this.usage = usage;
+    this.persona = persona;
+    this.promptTemplates = persona?.systemPrompt
+      ? { ...promptTemplates, 'research.system': `${persona.systemPrompt}\n\n${resolvePromptTemplate('research.system', promptTemplates)}` }
+      : (promptTemplates || {});
+    // Persona settings come first so an explicit -m (llmProviderOptions.model) still wins
+    const personaLLMConfig = persona ? {
+      characterSlug: persona.characterSlug || null,
+      ...(persona.model ? { model: persona.model } : {}),
+      ...(persona.temperature != null ? { temperature: persona.temperature } : {})
+    } : {};
+    this.llmConfig = { ...(llmProvider ? { provider: llmProvider.toLowerCase() } : {}), ...personaLLMConfig, ...llmProviderOptions, ...(usage ? { usage } : {}) };
 
     // --- NEW: Add convenience aliases using the correctly assigned handlers ---
     this.output = this.outputHandler;
@@ -62,10 +96,12 @@ export class ResearchEngine {
     this.config = config; // Store the passed config
 
     // Validate essential config
-    if (!this.braveApiKey || !this.veniceApiKey) {
+    // Search credentials are validated by the chosen provider itself (Brave throws without an API key)
+    // Local OpenAI-compatible servers can run without a key
+    if (!this.veniceApiKey && !this.llmConfig.apiKey && llmProviderRequiresKey(this.llmConfig.provider)) {
         // Log the error using the provided handler before throwing
-        this.error("[ResearchEngine] CRITICAL: ResearchEngine requires braveApiKey and veniceApiKey in config.");
-        throw new Error("ResearchEngine requires braveApiKey and veniceApiKey in config.");
+        this.error("[ResearchEngine] CRITICAL: ResearchEngine requires veniceApiKey in config.");
+        throw new Error("ResearchEngine requires veniceApiKey in config.");
     }
      if (!this.user || !this.user.username) {
         this.debug("[ResearchEngine] Warning: User information not provided in config.");
@@ -77,11 +113,15 @@ export class ResearchEngine {
     try {
         this.searchProvider = suggestSearchProvider({
             type: 'web',
-            apiKey: this.braveApiKey,
+            provider: this.searchProviderName,
+            ...(this.searchProviderName === 'brave' ? { apiKey: this.braveApiKey } : {}),
+            ...searchProviderOptions,
+            cache: searchCache ? undefined : false,
+            usage: this.usage,
             outputFn: this.debug, // Use debug for provider logs
             errorFn: this.error
         });
-        this.debug(`[ResearchEngine] Search provider initialized successfully.`);
+        this.debug(`[ResearchEngine] Search provider '${this.searchProviderName}' initialized successfully.`);
     } catch (providerError) {
         this.error(`[ResearchEngine] CRITICAL: Failed to initialize search provider: ${providerError.message}`);
         throw providerError; // Re-throw critical error
@@ -100,21 +140,23 @@ export class ResearchEngine {
     if (config.model) { // Pass model from engine options to LLMClient
         llmConfig.model = config.model;
     }
+    if (this.llmCache) {
+        llmConfig.cache = this.llmCache;
+    }
     // Character is passed to specific AI provider functions, not set globally on LLMClient here.
     // ResearchEngine might have a default research character.
-    this.researchCharacterSlug = config.character === 'None' ? null : (config.character || getDefaultResearchCharacterSlug());
+    this.researchCharacterSlug = persona ? (persona.characterSlug || null) : (config.character === 'None' ? null : (config.character || getDefaultResearchCharacterSlug()));
 
 
-    this.llmClient = new LLMClient(llmConfig);
-    this.debugHandler(`ResearchEngine LLMClient initialized. API Key Set: ${!!this.veniceApiKey}, Model: ${this.llmClient.config.model}, Character for Research: ${this.researchCharacterSlug || 'Default (from provider)'}`);
+    this.llmClient = createLLMClient({ ...this.llmConfig, ...llmConfig });
+    this.debugHandler(`ResearchEngine LLMClient initialized. Provider: ${this.llmClient.providerName}, API Key Set: ${!!this.veniceApiKey}, Model: ${this.llmClient.config.model}, Character for Research: ${this.researchCharacterSlug || 'Default (from provider)'}`);
 
-    this.searchProvider = new BraveSearchProvider({ apiKey: this.braveApiKey, debugHandler: this.debugHandler });
     this.rateLimiter = new RateLimiter(5, 1000);
 
-    if (!this.braveApiKey) {
+    if (this.searchProviderName === 'brave' && !this.braveApiKey) {
       this.outputHandler('[ResearchEngine] Warning: Brave API key not provided or not decrypted. Search functionality will fail if global BRAVE_API_KEY is also missing.');
     }
-    if (!this.veniceApiKey) {
+    if (!this.veniceApiKey && this.llmClient.providerName === 'venice') {
       this.outputHandler('[ResearchEngine] Warning: Venice API key not provided or not decrypted. AI functionalities may fail or use environment fallbacks if global VENICE_API_KEY is also missing.');
     }
   }
@@ -125,9 +167,11 @@ export class ResearchEngine {
    * @param {object} params.query - The query object { original: string, tokenClassification?: string, metadata?: any }. Used for context/summary, NOT necessarily for initial search if overrides exist.
    * @param {number} params.depth - Research depth.
    * @param {number} params.breadth - Research breadth.
-   * @returns {Promise<object>} Research results including learnings, sources, summary, markdownContent, and suggestedFilename.
+   * @param {AbortSignal} [params.signal] - Cancels the run. Partial learnings gathered so far are still returned, with `cancelled: true`.
+   * @param {ResearchCheckpoint} [params.resume] - Checkpoint of an earlier attempt; its completed nodes are replayed instead of re-researched.
+   * @returns {Promise<object>} Research results including learnings, sources, summary, markdownContent, suggestedFilename and runId.
    */
-  async research({ query, depth = 2, breadth = 3 }) {
+  async research({ query, depth = 2, breadth = 3, signal = null, resume = null }) {
     // Use parameters passed to this method
     const contextQuery = query; // Renamed for clarity - this provides context
     const currentDepth = depth;
@@ -155,6 +199,7 @@ export class ResearchEngine {
     // --- Use the engine's progress handler ---
     const progressFn = this.progress;
     let progressData; // Define progressData in outer scope
+    let checkpoint = null; // Also needed by the catch block to mark the run as failed
 
     try {
       // Initialize progress tracking using current parameters
@@ -165,6 +210,7 @@ export class ResearchEngine {
         totalBreadth: currentBreadth,
         totalQueries: 0, // Will be calculated later
         completedQueries: 0,
+        activeQueries: 0, // Nodes currently in flight (parallel paths)
         status: 'Initializing',
         currentAction: 'Initializing research engine...'
       };
@@ -172,11 +218,27 @@ export class ResearchEngine {
       progressFn(progressData);
 
 
+      checkpoint = resume || await this.createCheckpoint(contextQuery, currentDepth, currentBreadth);
+      if (resume) {
+        this.output(`[ResearchEngine] Resuming run ${resume.runId} (${resume.completedNodeCount} nodes already completed).`);
+        await this.updateCheckpointStatus(resume, 'running');
+      } else if (checkpoint) {
+        this.output(`[ResearchEngine] Run ID: ${checkpoint.runId}. If interrupted, continue with /research resume ${checkpoint.runId}`);
+      }
+
       // Create ResearchPath with the engine's config (API keys, user, handlers, progress)
       // Pass the engine's config object, the progressData object, AND the shared searchProvider instance
+      // One pool and one visitedUrls set per run, shared by every path in the tree
       const pathConfig = {
           ...this.config, // Pass original config (keys, user, handlers)
-          searchProvider: this.searchProvider // Pass the shared provider instance
+          searchProvider: this.searchProvider, // Pass the shared provider instance
+          visitedUrls: checkpoint ? checkpoint.visitedUrls : new Set(),
+          concurrencyPool: new ConcurrencyPool(this.concurrency),
+          signal,
+          checkpoint,
+          contentFetcher: this.contentFetcher,
+          llmConfig: this.llmConfig,
+          promptTemplates: this.promptTemplates
       };
       const pathInstance = new ResearchPath(pathConfig, progressData); // Pass combined config and progressData object
 
@@ -199,7 +261,7 @@ export class ResearchEngine {
         this.path.updateProgress({ totalQueries: estimatedTotal > 0 ? estimatedTotal : this.overrideQueries.length }); // Use estimate or fallback
 
         // Pass runtime depth/breadth to the override execution logic
-        result = await this.executeWithOverrideQueries(pathInstance, currentDepth, currentBreadth, this.overrideQueries); // Pass overrideQueries
+        result = await this.executeWithOverrideQueries(pathInstance, currentDepth, currentBreadth, this.overrideQueries, contextQuery); // Pass overrideQueries
       } else {
         // Execute standard research flow using the path instance
         this.output(`[ResearchEngine] Starting standard research flow for query: "${contextQuery.original}" (Depth: ${currentDepth}, Breadth: ${currentBreadth})`);
@@ -216,30 +278,45 @@ export class ResearchEngine {
         result = await pathInstance.research({ query: contextQuery, depth: currentDepth, breadth: currentBreadth });
       }
 
-      // --- ADD: Deduplicate learnings and sources after main research completes ---
-      const uniqueLearnings = [...new Set(result.learnings || [])];
-      const uniqueSources = [...new Set(result.sources || [])];
+      // Flat learnings/sources are derived from the tree (deduplicated, in tree order)
+      const tree = result.tree;
+      const { learnings: uniqueLearnings, sources: uniqueSources, citations } = collectTreeResults(tree);
       this.debug(`[ResearchEngine] Deduplicated results: ${uniqueLearnings.length} learnings, ${uniqueSources.length} sources.`);
-      // --- END ADD ---
 
+      const cancelled = !!signal?.aborted;
+      if (cancelled) {
+        this.output(`[ResearchEngine] Research cancelled. Returning ${uniqueLearnings.length} partial learnings.`);
+        progressData.status = 'Cancelled';
+        progressData.currentAction = 'Research cancelled. Preparing partial results...';
+        progressFn(progressData);
+      }
 
-      // Generate summary using the results
-      this.output('[ResearchEngine] Generating summary...');
-      progressData.status = 'Generating Summary';
-      progressData.currentAction = 'Generating final summary...';
-      progressFn(progressData);
 
-      const summary = await generateSummary({
-        query: contextQuery.original, // Use original context query text
-        // --- FIX: Use uniqueLearnings ---
-        learnings: uniqueLearnings,
-        // --- END FIX ---
-        metadata: contextQuery.metadata || null, // Pass metadata if available
-        apiKey: this.veniceApiKey, // Use engine's key
-        outputFn: this.debug,
-        errorFn: this.error
-      });
-      this.output('[ResearchEngine] Summary generated.');
+      // Generate summary using the results (skipped on cancel: no further API spend)
+      let summary;
+      if (cancelled) {
+        summary = `## Summary\n\nResearch was cancelled after ${progressData.completedQueries || 0} of ${progressData.totalQueries || 0} queries. The learnings below are partial and no summary was generated.`;
+      } else {
+        this.output('[ResearchEngine] Generating summary...');
+        progressData.status = 'Generating Summary';
+        progressData.currentAction = 'Generating final summary...';
+        progressFn(progressData);
+
+        summary = await generateSummary({
+          query: contextQuery.original, // Use original context query text
+          // --- FIX: Use uniqueLearnings ---
+          learnings: uniqueLearnings,
+          // --- END FIX ---
+          metadata: contextQuery.metadata || null, // Pass metadata if available
+          apiKey: this.veniceApiKey, // Use engine's key
+          outputFn: this.debug,
+          errorFn: this.error,
+          llmCache: this.llmCache,
+          llmConfig: this.llmConfig,
+          prompts: this.promptTemplates
+        });
+        this.output('[ResearchEngine] Summary generated.');
+      }
 
       // Generate markdown content (no longer saves file)
       this.output('[ResearchEngine] Generating result markdown...');
@@ -253,23 +330,43 @@ export class ResearchEngine {
         uniqueLearnings,
         uniqueSources,
         // --- END FIX ---
-        summary
+        summary,
+        tree,
+        citations
       );
       if (!resultData) throw new Error('Failed to generate markdown result content.');
 
-      progressData.status = 'Complete';
-      progressData.currentAction = 'Research complete.';
+      const jsonContent = JSON.stringify(buildResearchExport({
+        query: contextQuery.original,
+        summary,
+        tree,
+        runId: checkpoint?.runId || null,
+        cancelled
+      }), null, 2);
+
+      progressData.status = cancelled ? 'Cancelled' : 'Complete';
+      progressData.currentAction = cancelled ? 'Research cancelled.' : 'Research complete.';
       progressFn(progressData);
+      await this.updateCheckpointStatus(checkpoint, cancelled ? 'cancelled' : 'complete');
+      if (this.searchProvider.hits > 0) {
+        this.output(`[ResearchEngine] Search cache: ${this.searchProvider.hits} of ${this.searchProvider.hits + this.searchProvider.misses} queries answered from cache.`);
+      }
 
       // --- FIX: Include unique learnings/sources in the final result ---
       this.output(`[ResearchEngine] Research complete. Suggested Filename: ${resultData.suggestedFilename}`);
       return {
           learnings: uniqueLearnings, // Return unique
           sources: uniqueSources,     // Return unique
+          citations, // learning -> supporting source URLs
           followUpQueries: result.followUpQueries, // Follow-ups are usually not deduplicated across levels
           summary,
+          tree,
           markdownContent: resultData.markdownContent,
-          suggestedFilename: resultData.suggestedFilename };
+          suggestedFilename: resultData.suggestedFilename,
+          jsonContent,
+          suggestedJsonFilename: resultData.suggestedFilename.replace(/\.md$/, '.json'),
+          runId: checkpoint?.runId || null,
+          cancelled };
       // --- END FIX ---
 
     } catch (error) {
@@ -285,6 +382,7 @@ export class ResearchEngine {
            currentAction: `Error: ${error.message}`
        };
        progressFn(errorProgress);
+      await this.updateCheckpointStatus(checkpoint, 'failed');
       // Return a minimal error structure
       return {
         learnings: [`Research failed for query: ${contextQuery?.original || 'N/A'}`],
@@ -292,53 +390,109 @@ export class ResearchEngine {
         summary: `Error during research: ${error.message}`,
         markdownContent: null,
         suggestedFilename: null,
+        runId: checkpoint?.runId || null, // Completed nodes are still on disk; the run can be resumed
         error: error.message // Include error message in result
       };
     }
   }
 
+  /**
+   * Backend settings saved with a run's checkpoint, so /research resume uses the same ones.
+   * @returns {{searchProvider: string, source: string, fetchContent: boolean, llmProvider: string|null, model: string|null, persona: string|null}}
+   */
+  getRunSettings() {
+    const corpusPath = this.searchProviderName === 'local' ? this.config.searchProviderOptions?.path : null;
+    return {
+      searchProvider: this.searchProviderName,
+      source: corpusPath ? `local:${corpusPath}` : 'web',
+      fetchContent: !!this.contentFetcher,
+      llmProvider: this.llmConfig.provider || null,
+      model: this.llmConfig.model || null,
+      persona: this.persona?.slug || null
+    };
+  }
+
+  /**
+   * Starts a checkpoint for a new run. Checkpointing is best-effort: if the run directory
+   * can't be written, research continues without it.
+   * @returns {Promise<ResearchCheckpoint|null>}
+   */
+  async createCheckpoint(query, depth, breadth) {
+    if (!this.checkpointsEnabled || !this.user?.username || this.user.username === 'unknown') {
+      return null;
+    }
+    try {
+      return await ResearchCheckpoint.create({
+        username: this.user.username,
+        query,
+        depth,
+        breadth,
+        overrideQueries: this.overrideQueries || null,
+        settings: this.getRunSettings()
+      });
+    } catch (checkpointError) {
+      this.error(`[ResearchEngine] Could not create research checkpoint, continuing without resume support: ${checkpointError.message}`);
+      return null;
+    }
+  }
+
+  async updateCheckpointStatus(checkpoint, status) {
+    if (!checkpoint) return;
+    try {
+      await checkpoint.setStatus(status);
+    } catch (checkpointError) {
+      this.error(`[ResearchEngine] Failed to update checkpoint status: ${checkpointError.message}`);
+    }
+  }
+
   /**
    * Execute research using override queries.
    * @param {ResearchPath} pathInstance - The research path instance (already configured with shared provider).
    * @param {number} depth - Runtime depth for each override query path.
    * @param {number} breadth - Runtime breadth for each override query path.
    * @param {Array<Object>} overrideQueries - The list of override query objects { original: string, metadata?: any }.
-   * @returns {Promise<Object>} Research results.
+   * @param {Object} contextQuery - The context query; becomes the tree root with the override queries as its follow-ups.
+   * @returns {Promise<Object>} Research results, including the combined `tree`.
    */
-  async executeWithOverrideQueries(pathInstance, depth, breadth, overrideQueries) {
+  async executeWithOverrideQueries(pathInstance, depth, breadth, overrideQueries, contextQuery) {
     const learnings = [];
     const sources = new Set(); // Use Set for unique sources
 
-    // Process each override query sequentially for now to manage progress updates better
-    for (let i = 0; i < overrideQueries.length; i++) {
-      const queryObj = overrideQueries[i]; // Already in { original: string, metadata?: any } format
-
+    // Override queries run in parallel; the path's shared pool bounds how many nodes are in flight.
+    const pathResults = await Promise.all(overrideQueries.map((queryObj, i) => {
       // Add detailed check for queryObj structure
       if (!queryObj || typeof queryObj.original !== 'string') {
           this.error(`[executeWithOverrideQueries] Skipping invalid override query object at index ${i}: ${JSON.stringify(queryObj)}`);
-          continue; // Skip this invalid query
+          return null; // Skip this invalid query
       }
 
       this.output(`[ResearchEngine] Processing override query ${i+1}/${overrideQueries.length}: "${queryObj.original}"`);
 
       // Use the path instance's research method for each override query
       // This will handle the recursive search for each starting query.
-      const pathResult = await pathInstance.research({
+      return pathInstance.research({
         query: queryObj,
         depth: depth, // Use runtime depth for this path
-        breadth: breadth // Use runtime breadth for this path
+        breadth: breadth, // Use runtime breadth for this path
+        nodeId: `0.${i}`, // Override queries sit under the context query in the tree and checkpoint
+        parentId: '0'
       });
+    }));
 
-      // Accumulate results
+    // The context query did no searching itself; it is the root the override queries hang from
+    const tree = createTreeNode({ id: '0', query: contextQuery, followUpQueries: overrideQueries });
+
+    // Accumulate results in override order
+    for (const pathResult of pathResults) {
+      if (!pathResult) continue;
       learnings.push(...pathResult.learnings);
       pathResult.sources.forEach(source => sources.add(source));
-
-      // Results are accumulated directly in learnings/sources by processQuery
+      if (pathResult.tree) tree.children.push(pathResult.tree);
     }
 
     this.output(`[ResearchEngine] Completed processing ${overrideQueries.length} override queries.`);
     // Deduplicate learnings before returning
-    return { learnings: Array.from(new Set(learnings)), sources: Array.from(sources) };
+    return { learnings: Array.from(new Set(learnings)), sources: Array.from(sources), tree };
   }
 
   /**
@@ -357,7 +511,10 @@ export class ResearchEngine {
         query: context,
         numQueries: numQueries,
         outputFn: this.debug,
-        errorFn: this.error
+        errorFn: this.error,
+        llmCache: this.llmCache,
+        llmConfig: this.llmConfig,
+        prompts: this.promptTemplates
     });
   }
 
@@ -367,9 +524,11 @@ export class ResearchEngine {
    * @param {Array<string>} learnings - Array of key learnings.
    * @param {Array<string>} sources - Array of source URLs.
    * @param {string} [summary='No summary available.'] - The research summary.
+   * @param {Object} [tree] - Research tree; when given, a per-query breakdown is added so each learning can be traced to its query and sources.
+   * @param {Object<string, string[]>} [citations={}] - Learning -> supporting URLs; rendered as numbered inline citations into References.
    * @returns {Promise<{suggestedFilename: string, markdownContent: string}|null>} Object containing suggested filename and markdown content, or null on error.
    */
-  async generateMarkdownResult(query, learnings, sources, summary = 'No summary available.') {
+  async generateMarkdownResult(query, learnings, sources, summary = 'No summary available.', tree = null, citations = {}) {
     try {
       // Ensure 'research' directory exists for potential temporary use if needed, but not for saving final result
       // await ensureDir('research'); // Can be removed if no temp files are ever created
@@ -384,6 +543,13 @@ export class ResearchEngine {
       // Suggest a filename based on the 'research' directory structure, even if not saved there
       const suggestedFilename = path.join('research', `research-${subject}-${timestamp}.md`).replace(/\\/g, '/'); // Use forward slashes
 
+      // Number references so learnings can cite them inline ([1], [2], ...)
+      const referenceNumbers = numberReferences(learnings || [], sources || [], citations);
+      const withCitations = (learning) => {
+        const cited = formatCitations(citations[learning], referenceNumbers);
+        return cited ? `${learning} ${cited}` : learning;
+      };
+
       // Generate markdown
       const markdownContent = [
         '# Research Results',
@@ -394,10 +560,12 @@ export class ResearchEngine {
         '',
         `## Key Learnings\n`,
         // Use bullet points for learnings
-        ...(learnings || []).map(l => `- ${l}`), // Handle potentially undefined learnings
+        ...(learnings || []).map(l => `- ${withCitations(l)}`), // Handle potentially undefined learnings
         '',
+        ...(tree ? [renderTreeMarkdown(tree, referenceNumbers), ''] : []),
         `## References\n`,
-        ...(sources || []).map(s => `- ${s}`), // Handle potentially undefined sources
+        // Anchors are the targets of the inline citation links
+        ...[...referenceNumbers].map(([url, n]) => `${n}. <a id="ref-${n}"></a>${url}`),
       ].join('\n');
 
       // await fs.writeFile(filename, markdownContent); // REMOVED: Do not save file locally
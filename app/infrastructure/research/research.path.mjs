@@ -1,6 +1,14 @@
 import { suggestSearchProvider } from '../search/search.providers.mjs'; // Keep for type checking if needed, but not for instantiation here
 import { generateQueries, processResults } from '../../features/ai/research.providers.mjs';
 import { LLMClient } from '../ai/venice.llm-client.mjs'; // Assuming LLMClient is used
+import { llmProviderRequiresKey } from '../ai/llm.providers.mjs';
+import { ConcurrencyPool } from '../../utils/research.concurrency-pool.mjs';
+import { createTreeNode } from './research.tree.mjs';
+
+const DEFAULT_CONCURRENCY = 3;
+// Characters of fetched page text per node, split across its results. Stays under the
+// 50k-character content limit in processResults once snippets and separators are added.
+const PAGE_CONTENT_BUDGET = 40000;
 
 // Helper function to safely get query string
 function getQueryString(query) {
@@ -29,13 +37,21 @@ export class ResearchPath {
             error = console.error,
             debug = () => {},
             progressHandler = () => {},
-            searchProvider // <-- ADD: Accept searchProvider instance
+            searchProvider, // <-- ADD: Accept searchProvider instance
+            concurrency = DEFAULT_CONCURRENCY,
+            concurrencyPool, // Shared pool; created here for the root path if not provided
+            signal, // Optional AbortSignal; once aborted, no new nodes start and in-flight calls are cancelled
+            checkpoint = null, // Optional ResearchCheckpoint; completed nodes are recorded to / replayed from it
+            contentFetcher = null, // Optional ContentFetcher; when set, full pages replace bare search snippets
+            llmCache, // Optional LLM response cache mode ('cache', 'record', 'replay') for deterministic replays
+            llmConfig = {}, // LLM provider settings ({ provider, baseUrl, apiKey, model }); Venice when empty
+            promptTemplates = {} // Per-user prompt template overrides, see prompt.templates.mjs
         } = engineConfig; // Destructure from engineConfig
 
         // if (!query) throw new Error('Query is required for ResearchPath'); // Query passed later
         if (!user) throw new Error('User context is required for ResearchPath');
         // if (!braveApiKey) throw new Error('Brave API key is required for ResearchPath'); // No longer needed if provider passed
-        if (!veniceApiKey) throw new Error('Venice API key is required for ResearchPath');
+        if (!veniceApiKey && !llmConfig.apiKey && llmProviderRequiresKey(llmConfig.provider)) throw new Error('Venice API key is required for ResearchPath');
         if (!searchProvider) throw new Error('Search provider instance is required for ResearchPath'); // Add check
 
         // this.query = query; // Store original query object/string - Stored per research call
@@ -48,8 +64,16 @@ export class ResearchPath {
         this.debug = debug;   // Store handler
         this.progressHandler = progressHandler; // Store handler
         this.progressData = progressData; // Store reference to progress data object
-        this.config = engineConfig; // Store original config which NOW includes the provider
         this.searchProvider = searchProvider; // <-- STORE the passed provider instance
+        this.pool = concurrencyPool || new ConcurrencyPool(concurrency);
+        this.signal = signal || null;
+        this.checkpoint = checkpoint;
+        this.contentFetcher = contentFetcher;
+        this.llmCache = llmCache;
+        this.llmConfig = llmConfig;
+        this.promptTemplates = promptTemplates || {};
+        // Sub-paths receive this config, so the pool and visitedUrls set are shared by the whole tree
+        this.config = { ...engineConfig, visitedUrls: this.visitedUrls, concurrencyPool: this.pool };
 
         // Pass handlers if LLMClient is used here (or create instance as needed)
         // this.llmClient = new LLMClient({ apiKey: this.veniceApiKey /*, other options */ });
@@ -71,89 +95,231 @@ export class ResearchPath {
     }
 
     /**
-     * Processes a single query node in the research graph.
+     * Marks one query node as finished. The increment reads the shared counter at
+     * call time, so sibling paths finishing out of order never overwrite each other.
+     * @param {object} [update] - Extra progress fields to merge.
+     */
+    completeQuery(update = {}) {
+        if (!this.progressData) return;
+        this.updateProgress({
+            ...update,
+            completedQueries: (this.progressData.completedQueries || 0) + 1
+        });
+    }
+
+    /**
+     * Filters out already-visited URLs and claims the remainder in the same synchronous
+     * pass, so two parallel paths can't both pick up the same result.
+     * @param {Array<object>} searchResults - Raw results from the search provider.
+     * @param {number} limit - Max results to claim.
+     * @returns {Array<object>} Newly claimed results.
+     */
+    claimNewResults(searchResults, limit) {
+        const claimed = [];
+        for (const result of searchResults || []) {
+            if (claimed.length >= limit) break;
+            if (!result || !result.url || this.visitedUrls.has(result.url)) continue;
+            this.visitedUrls.add(result.url);
+            claimed.push(result);
+        }
+        return claimed;
+    }
+
+    /**
+     * Processes a query node and, recursively, its follow-up sub-paths.
+     * The node's own search/LLM work runs inside the shared concurrency pool; the slot is
+     * released before waiting on children so nested paths can't starve the pool.
      * @param {object} params - Research parameters for this node.
      * @param {object} params.query - The query object { original: string, metadata?: any }.
      * @param {number} params.depth - Remaining depth for recursion.
      * @param {number} params.breadth - Breadth for generating sub-queries.
-     * @returns {Promise<{learnings: string[], sources: string[], followUpQueries: object[]}>} Aggregated results from this path.
+     * @param {string} [params.nodeId='0'] - Position in the research tree ("0", "0.2", "0.2.1", ...), used as the checkpoint key.
+     * @param {string|null} [params.parentId=null] - Id of the node whose follow-ups produced this query.
+     * @returns {Promise<{learnings: string[], sources: string[], followUpQueries: object[], tree: object, aborted?: boolean}>} Aggregated results from this path.
+     *   `tree` is this node with its sub-paths as children (see research.tree.mjs).
+     *   When the signal fires, whatever was learned before cancellation is returned with `aborted: true`.
+     */
+    async research({ query, depth, breadth, nodeId = '0', parentId = null }) {
+        const queryString = getQueryString(query);
+        if (this.signal?.aborted) {
+            return {
+                learnings: [], sources: [], followUpQueries: [], aborted: true,
+                tree: createTreeNode({ id: nodeId, parentId, query, status: 'cancelled' })
+            };
+        }
+
+        // Nodes finished by an earlier attempt of this run are replayed instead of re-researched
+        const savedNode = this.checkpoint?.getNode(nodeId);
+        let pathResult;
+        if (savedNode) {
+            pathResult = this.restoreNode(savedNode, depth);
+        } else {
+            pathResult = await this.pool.run(() => this.processNode({ query, depth, breadth }));
+            if (pathResult.error || pathResult.aborted) {
+                pathResult.tree = createTreeNode({
+                    id: nodeId,
+                    parentId,
+                    query,
+                    sources: pathResult.sourceDetails,
+                    learnings: pathResult.learnings,
+                    citations: pathResult.citations,
+                    status: pathResult.error ? 'error' : 'cancelled',
+                    error: pathResult.error
+                });
+                return pathResult; // Not checkpointed, so a resume retries this node
+            }
+            await this.recordCheckpoint(nodeId, query, depth, pathResult);
+        }
+
+        // Snapshot this node's own results before sub-path results are merged into pathResult
+        const tree = createTreeNode({
+            id: nodeId,
+            parentId,
+            query,
+            sources: pathResult.sourceDetails,
+            learnings: pathResult.learnings,
+            citations: pathResult.citations,
+            followUpQueries: pathResult.followUpQueries,
+            status: savedNode ? 'restored' : 'complete'
+        });
+        pathResult.tree = tree;
+
+        const followUpQueries = pathResult.followUpQueries;
+        if (depth > 0 && followUpQueries.length > 0) {
+            this.updateProgress({ currentAction: `Processing ${followUpQueries.length} sub-paths in parallel (Depth ${depth - 1})...` });
+
+            // Sub-paths share this.config (pool, visitedUrls, provider) and the same progressData object.
+            const subResults = await Promise.all(followUpQueries.map(async (followUpQueryObj, index) => {
+                const subQueryString = getQueryString(followUpQueryObj);
+                const subNodeId = `${nodeId}.${index}`;
+                this.debug(`[ResearchPath D:${depth}] Starting sub-path for: "${subQueryString}"`);
+                try {
+                    const subPath = new ResearchPath(this.config, this.progressData);
+                    return await subPath.research({ query: followUpQueryObj, depth: depth - 1, breadth: breadth, nodeId: subNodeId, parentId: nodeId });
+                } catch (subError) {
+                    this.error(`[ResearchPath D:${depth}] Sub-path failed for query "${subQueryString}": ${subError?.message || subError}`);
+                    const learnings = [`Error processing sub-query: ${subQueryString}`];
+                    return {
+                        learnings,
+                        sources: [],
+                        tree: createTreeNode({ id: subNodeId, parentId: nodeId, query: followUpQueryObj, learnings, status: 'error', error: subError?.message || String(subError) })
+                    };
+                } finally {
+                    this.debug(`[ResearchPath D:${depth}] Finished sub-path for: "${subQueryString}"`);
+                }
+            }));
+
+            // Aggregate in follow-up order (not completion order) so output stays deterministic
+            for (const subResult of subResults) {
+                if (subResult.tree) tree.children.push(subResult.tree);
+                pathResult.learnings.push(...(subResult.learnings || []));
+                pathResult.sources.push(...(subResult.sources || []));
+                if (subResult.aborted) pathResult.aborted = true;
+                // Note: We don't typically aggregate follow-up queries from sub-paths
+            }
+
+            // Deduplicate learnings and sources after aggregation
+            pathResult.learnings = [...new Set(pathResult.learnings)];
+            pathResult.sources = [...new Set(pathResult.sources)];
+        }
+
+        this.debug(`[ResearchPath D:${depth}] Path finished for "${queryString}".`);
+        return pathResult; // { learnings, sources, followUpQueries (only from this level) }
+    }
+
+    /**
+     * Processes a single query node in the research graph: search, extract learnings,
+     * and generate follow-up queries. Does not recurse.
+     * @param {object} params - Same as research().
+     * @returns {Promise<{learnings: string[], sources: string[], sourceDetails: object[], citations: object, followUpQueries: object[], error?: string}>} Results for this node only.
      */
-    async research({ query, depth, breadth }) {
+    async processNode({ query, depth, breadth }) {
         const queryString = getQueryString(query); // Get the string part for searching/logging
-        this.updateProgress({ status: 'Processing Query', currentAction: `Processing: ${queryString.substring(0, 50)}...` });
+        // May have been cancelled while queued for a pool slot
+        if (this.signal?.aborted) {
+            return { learnings: [], sources: [], followUpQueries: [], aborted: true };
+        }
+        this.updateProgress({
+            status: 'Processing Query',
+            activeQueries: (this.progressData?.activeQueries || 0) + 1,
+            currentAction: `Processing: ${queryString.substring(0, 50)}...`
+        });
+        let nodeCompleted = false;
+        let currentLearnings = [];
+        let currentSources = [];
+        let currentSourceDetails = []; // { url, title } of the results the learnings come from
+        let currentCitations = {}; // learning -> URLs it was attributed to by processResults
 
         try {
             this.output(`[ResearchPath D:${depth}] Processing query: "${queryString}"`);
 
-            // 1. Generate Search Queries (if needed, or use provided query)
-            // For the first level (or if no sub-queries generated yet), use the main query.
-            // In subsequent levels, this method is called with generated follow-up queries.
             this.updateProgress({ currentAction: `Searching web for: ${queryString.substring(0, 50)}...` });
             const searchProvider = this.searchProvider; // Use the instance passed in constructor
 
-            // 2. Execute Search
+            // 1. Execute Search
             this.debug(`[ResearchPath D:${depth}] Executing search for: "${queryString}"`);
             // Truncate query before sending to search provider
             const truncatedQuery = queryString.length > 1000 ? queryString.substring(0, 1000) : queryString;
             if (truncatedQuery !== queryString) {
                 this.debug(`[ResearchPath D:${depth}] Query truncated to ${truncatedQuery.length} chars for search provider.`);
             }
-            const searchResults = await searchProvider.search(truncatedQuery);
+            const searchResults = await searchProvider.search(truncatedQuery, { signal: this.signal });
+            this.throwIfAborted();
 
-            // --- ADD DEBUG LOGGING BEFORE FILTERING ---
             this.debug(`[ResearchPath D:${depth}] Raw search results received (${searchResults?.length || 0}):`, searchResults);
-            // --- END ADD DEBUG LOGGING ---
 
             this.updateProgress({ currentAction: `Found ${searchResults?.length || 0} web results for: ${queryString.substring(0, 50)}...` });
 
             // Filter out visited URLs and limit results processed per query
             const MAX_RESULTS_PER_QUERY = 5; // Limit processing to avoid excessive cost/time
-            // --- FIX: Ensure result.url exists before checking visitedUrls ---
-            const newResults = (searchResults || []) // Handle null/undefined searchResults
-                                .filter(result => result && result.url && !this.visitedUrls.has(result.url))
-                                .slice(0, MAX_RESULTS_PER_QUERY);
-            // --- END FIX ---
-            const newContent = newResults.map(r => r.content || ''); // Extract content
-            newResults.forEach(result => this.visitedUrls.add(result.url)); // Add new URLs to visited set
+            const newResults = this.claimNewResults(searchResults, MAX_RESULTS_PER_QUERY);
+            let newContent = newResults.map(r => r.content || ''); // Extract content (search snippets)
+            if (this.contentFetcher && newResults.length > 0) {
+                newContent = await this.fetchPageContent(newResults, newContent, depth);
+                this.throwIfAborted();
+            }
             this.debug(`[ResearchPath D:${depth}] Processing ${newResults.length} new results after filtering visited URLs.`);
 
-            let currentLearnings = [];
-            // --- FIX: Ensure result.url exists before adding to sources ---
-            let currentSources = newResults.map(r => r.url).filter(Boolean); // Get sources from the new results, filter out null/empty URLs
-            // --- END FIX ---
+            currentSources = newResults.map(r => r.url); // claimNewResults guarantees a url
+            currentSourceDetails = newResults.map(r => ({ url: r.url, title: r.title || null }));
 
             if (newResults.length === 0) {
-                // --- ADD REASON TO LOG ---
                 const reason = (searchResults?.length || 0) > 0 ? "All results were already visited or invalid." : "Search provider returned no results.";
                 this.output(`[ResearchPath D:${depth}] No new relevant search results found for "${queryString}". Reason: ${reason}`);
-                // --- END ADD REASON ---
-                this.updateProgress({ completedQueries: (this.progressData.completedQueries || 0) + 1 }); // Increment completed count
+                this.completeQuery();
+                nodeCompleted = true;
             } else {
-                // 3. Process Results (Extract Learnings)
+                // 2. Process Results (Extract Learnings)
                 this.updateProgress({ currentAction: `Extracting learnings from ${newResults.length} results...` });
                 try {
                     const processed = await processResults({
                         apiKey: this.veniceApiKey, // Pass API key
                         query: queryString,        // Pass query string for context
                         content: newContent,       // Pass search results content array
+                        sources: currentSourceDetails, // Same order as content, for citations
                         outputFn: this.debug,      // Pass handlers
-                        errorFn: this.error
+                        errorFn: this.error,
+                        signal: this.signal,
+                        llmCache: this.llmCache,
+                        llmConfig: this.llmConfig,
+                        prompts: this.promptTemplates
                     });
                     currentLearnings = processed.learnings || [];
+                    currentCitations = processed.citations || {};
                     // Note: processResults doesn't return sources, we got them above
                     this.debug(`[ResearchPath D:${depth}] Extracted ${currentLearnings.length} learnings.`);
-                    this.updateProgress({
-                        completedQueries: (this.progressData.completedQueries || 0) + 1, // Increment completed count
-                        currentAction: `Extracted ${currentLearnings.length} learnings for: ${queryString.substring(0, 50)}...`
-                    });
+                    this.completeQuery({ currentAction: `Extracted ${currentLearnings.length} learnings for: ${queryString.substring(0, 50)}...` });
                 } catch (procError) {
+                    this.throwIfAborted();
                     this.error(`[ResearchPath D:${depth}] Error processing results for "${queryString}": ${procError.message}`);
                     currentLearnings.push(`Error processing search results for: ${queryString}`);
-                    this.updateProgress({ completedQueries: (this.progressData.completedQueries || 0) + 1 }); // Still increment count on error
+                    this.completeQuery(); // Still increment count on error
                 }
+                nodeCompleted = true;
             }
 
-            // 4. Generate Follow-up Queries (if depth > 0)
+            // 3. Generate Follow-up Queries (if depth > 0)
+            this.throwIfAborted();
             let followUpQueries = [];
             if (depth > 0) {
                 this.updateProgress({ currentAction: `Generating follow-up queries (Depth ${depth - 1})...` });
@@ -165,11 +331,17 @@ export class ResearchPath {
                         numQueries: breadth,       // Pass breadth
                         metadata: query.metadata,  // Pass metadata from original query object
                         outputFn: this.debug,      // Pass handlers
-                        errorFn: this.error
+                        errorFn: this.error,
+                        signal: this.signal,
+                        llmCache: this.llmCache,
+                        llmConfig: this.llmConfig,
+                        prompts: this.promptTemplates
                     });
+                    this.throwIfAborted();
                     this.debug(`[ResearchPath D:${depth}] Generated ${followUpQueries.length} follow-up queries.`);
                     this.updateProgress({ currentAction: `Generated ${followUpQueries.length} follow-up queries...` });
                 } catch (genError) {
+                    this.throwIfAborted();
                     this.error(`[ResearchPath D:${depth}] Error generating follow-up queries for "${queryString}": ${genError.message}`);
                     currentLearnings.push(`Error generating follow-up queries for: ${queryString}`);
                 }
@@ -178,60 +350,34 @@ export class ResearchPath {
                  this.updateProgress({ currentAction: 'Reached maximum research depth.' });
             }
 
-            // --- FIX: Combine results from this path ---
-            const pathResult = {
-                learnings: [...currentLearnings], // Copy learnings from this level
-                sources: [...currentSources],     // Copy sources from this level
-                followUpQueries: followUpQueries  // Follow-up queries generated at this level
+            return {
+                learnings: [...currentLearnings],
+                sources: [...currentSources],
+                sourceDetails: currentSourceDetails,
+                citations: currentCitations,
+                followUpQueries: followUpQueries || []
             };
 
-
-            // --- FIX: Recursive calls for follow-up queries ---
-            if (depth > 0 && followUpQueries.length > 0) {
-                this.updateProgress({ currentAction: `Sequentially processing ${followUpQueries.length} sub-paths (Depth ${depth - 1})...` });
-
-                // --- CHANGE: Process follow-up queries sequentially ---
-                for (const followUpQueryObj of followUpQueries) {
-                    const subQueryString = getQueryString(followUpQueryObj);
-                    this.debug(`[ResearchPath D:${depth}] Starting sub-path for: "${subQueryString}"`);
-                    try {
-                        // Create a new path instance for the sub-query
-                        // Pass the *current* config (this.config), which includes the shared searchProvider
-                        // Pass the *same* progressData object for shared updates
-                        const subPath = new ResearchPath(this.config, this.progressData);
-                        // Recursively call research with decremented depth
-                        const subResult = await subPath.research({ query: followUpQueryObj, depth: depth - 1, breadth: breadth });
-
-                        // Aggregate learnings and sources
-                        pathResult.learnings.push(...subResult.learnings);
-                        pathResult.sources.push(...subResult.sources);
-                        // Note: We don't typically aggregate follow-up queries from sub-paths
-
-                    } catch (subError) { // Catch errors from the awaited subPath.research call
-                        this.error(`[ResearchPath D:${depth}] Sub-path failed for query "${subQueryString}": ${subError?.message || subError}`);
-                        // Optionally add an error learning
-                        pathResult.learnings.push(`Error processing sub-query: ${subQueryString}`);
-                    }
-                    this.debug(`[ResearchPath D:${depth}] Finished sub-path for: "${subQueryString}"`);
-                }
-                // --- END CHANGE ---
-
-                 // Deduplicate learnings and sources after aggregation
-                pathResult.learnings = [...new Set(pathResult.learnings)];
-                pathResult.sources = [...new Set(pathResult.sources)];
-            }
-            // --- End FIX ---
-
-
-            this.debug(`[ResearchPath D:${depth}] Path finished for "${queryString}".`);
-            // Return aggregated results from this path and its children
-            return pathResult; // { learnings, sources, followUpQueries (only from this level) }
-
         } catch (err) {
+            if (this.signal?.aborted) {
+                // Keep whatever this node learned before the cancel; don't record it as a failure
+                this.debug(`[ResearchPath D:${depth}] Cancelled while processing "${queryString}".`);
+                return {
+                    learnings: currentLearnings,
+                    sources: nodeCompleted ? currentSources : [],
+                    sourceDetails: nodeCompleted ? currentSourceDetails : [],
+                    citations: nodeCompleted ? currentCitations : {},
+                    followUpQueries: [],
+                    aborted: true
+                };
+            }
             this.error(`[ResearchPath D:${depth}] Error processing path for query "${queryString}": ${err.message}`);
             this.debug(err.stack); // Log stack trace for debugging
-            this.updateProgress({ currentAction: `Path failed: ${err.message}` });
-            // Re-throw or return error structure
+            if (!nodeCompleted) {
+                this.completeQuery({ currentAction: `Path failed: ${err.message}` });
+            } else {
+                this.updateProgress({ currentAction: `Path failed: ${err.message}` });
+            }
             // Return a structure indicating failure but allowing summary generation
             return {
                 learnings: [`Error during research path for "${queryString}": ${err.message}`],
@@ -240,6 +386,72 @@ export class ResearchPath {
                 error: err.message // Include error message
             };
             // throw err; // Don't throw, let the engine handle aggregation and summary
+        } finally {
+            this.updateProgress({ activeQueries: Math.max((this.progressData?.activeQueries || 0) - 1, 0) });
+        }
+    }
+
+    /**
+     * Downloads the full pages behind the claimed results. Pages that can't be fetched
+     * (robots.txt, timeout, non-HTML, ...) keep their search snippet.
+     * @param {Array<object>} results - Claimed search results.
+     * @param {string[]} snippets - Snippet content for each result.
+     * @param {number} depth - Remaining depth (for logging).
+     * @returns {Promise<string[]>} Content for processResults, same order as `results`.
+     */
+    async fetchPageContent(results, snippets, depth) {
+        this.updateProgress({ currentAction: `Fetching ${results.length} pages...` });
+        const pages = await this.contentFetcher.fetchAll(results.map(r => r.url), {
+            signal: this.signal,
+            maxCharsPerPage: Math.floor(PAGE_CONTENT_BUDGET / results.length)
+        });
+        const fetched = pages.filter(page => page.text).length;
+        this.debug(`[ResearchPath D:${depth}] Fetched full content for ${fetched}/${results.length} results.`);
+        return pages.map((page, i) => (page.text ? `${snippets[i]}\n\n${page.text}` : snippets[i]));
+    }
+
+    /**
+     * Rebuilds a node's result from the checkpoint and counts it as completed.
+     * @param {object} savedNode - Node as stored by ResearchCheckpoint.recordNode.
+     * @param {number} depth - Remaining depth (for logging).
+     * @returns {{learnings: string[], sources: string[], sourceDetails: object[], citations: object, followUpQueries: object[]}}
+     */
+    restoreNode(savedNode, depth) {
+        const queryString = getQueryString(savedNode.query);
+        this.output(`[ResearchPath D:${depth}] Restored from checkpoint: "${queryString}"`);
+        this.completeQuery({ currentAction: `Restored from checkpoint: ${queryString.substring(0, 50)}...` });
+        return {
+            learnings: [...(savedNode.learnings || [])],
+            sources: [...(savedNode.sources || [])],
+            sourceDetails: savedNode.sourceDetails || (savedNode.sources || []).map(url => ({ url, title: null })),
+            citations: { ...(savedNode.citations || {}) },
+            followUpQueries: [...(savedNode.followUpQueries || [])]
+        };
+    }
+
+    /**
+     * Persists a completed node. A failed write is logged but never fails the research itself.
+     */
+    async recordCheckpoint(nodeId, query, depth, nodeResult) {
+        if (!this.checkpoint) return;
+        try {
+            await this.checkpoint.recordNode(nodeId, {
+                query,
+                depth,
+                learnings: nodeResult.learnings,
+                sources: nodeResult.sources,
+                sourceDetails: nodeResult.sourceDetails,
+                citations: nodeResult.citations,
+                followUpQueries: nodeResult.followUpQueries
+            });
+        } catch (checkpointError) {
+            this.error(`[ResearchPath D:${depth}] Failed to write checkpoint for node ${nodeId}: ${checkpointError.message}`);
         }
     }
-}
\ No newline at end of file
+
+    throwIfAborted() {
+        if (this.signal?.aborted) {
+            throw Object.assign(new Error('Research cancelled'), { name: 'AbortError' });
+        }
+    }
+}
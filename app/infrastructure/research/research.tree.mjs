@@ -0,0 +1,161 @@
+/**
+ * Research tree helpers.
+ *
+ * A research run is a tree with one node per query. Each node records where it sits
+ * (id, parentId, depth), what it searched for, which search results it actually used,
+ * the learnings extracted from them and the follow-up queries it spawned. The flat
+ * learnings/sources lists, the markdown report and the JSON export are all derived from it.
+ */
+
+export const RESEARCH_TREE_FORMAT_VERSION = 1;
+
+/**
+ * Creates a tree node. Every field is always present so consumers of the JSON export
+ * never have to guess.
+ * @param {object} params
+ * @param {string} params.id - Position in the tree ("0", "0.2", "0.2.1", ...).
+ * @param {string|null} [params.parentId] - Id of the node that generated this query.
+ * @param {object|string} params.query - Query object { original, metadata? } or query string.
+ * @param {Array<{url: string, title?: string}>} [params.sources] - Search results the learnings were extracted from.
+ * @param {string[]} [params.learnings] - Learnings extracted by this node only.
+ * @param {Object<string, string[]>} [params.citations] - Learning -> URLs (from `sources`) it was attributed to.
+ * @param {Array<object|string>} [params.followUpQueries] - Queries generated from this node's learnings.
+ * @param {'complete'|'restored'|'error'|'cancelled'} [params.status='complete']
+ * @param {string} [params.error] - Failure reason when status is 'error'.
+ * @returns {object} Tree node with an empty `children` array.
+ */
+export function createTreeNode({ id, parentId = null, query, sources = [], learnings = [], citations = {}, followUpQueries = [], status = 'complete', error = null }) {
+  return {
+    id,
+    parentId,
+    depth: getNodeDepth(id),
+    query: typeof query === 'string' ? query : (query?.original || ''),
+    status,
+    error,
+    sources: sources.map(source => ({ url: source.url, title: source.title || null })),
+    learnings: [...learnings],
+    citations: { ...citations },
+    followUpQueries: followUpQueries.map(q => (typeof q === 'string' ? q : q?.original || '')),
+    children: []
+  };
+}
+
+/**
+ * Level of a node below the root, derived from its id ("0" -> 0, "0.2.1" -> 2).
+ * @param {string} id
+ * @returns {number}
+ */
+export function getNodeDepth(id) {
+  return String(id).split('.').length - 1;
+}
+
+/**
+ * Visits every node depth-first, parents before children, children in follow-up order.
+ * @param {object} tree - Root node.
+ * @param {Function} visit - Called with each node.
+ */
+export function walkTree(tree, visit) {
+  if (!tree) return;
+  visit(tree);
+  for (const child of tree.children || []) {
+    walkTree(child, visit);
+  }
+}
+
+/**
+ * Flattens the tree into deduplicated learnings and source URLs (first occurrence wins).
+ * Citations of a learning found by several nodes are merged.
+ * @param {object} tree - Root node.
+ * @returns {{learnings: string[], sources: string[], citations: Object<string, string[]>}}
+ */
+export function collectTreeResults(tree) {
+  const learnings = new Set();
+  const sources = new Set();
+  const citations = {};
+  walkTree(tree, node => {
+    node.learnings.forEach(learning => learnings.add(learning));
+    node.sources.forEach(source => sources.add(source.url));
+    for (const [learning, urls] of Object.entries(node.citations || {})) {
+      citations[learning] = [...new Set([...(citations[learning] || []), ...urls])];
+    }
+  });
+  return { learnings: [...learnings], sources: [...sources], citations };
+}
+
+/**
+ * Assigns reference numbers to sources: cited sources first, in the order learnings cite them,
+ * then any remaining sources.
+ * @param {string[]} learnings
+ * @param {string[]} sources - Source URLs.
+ * @param {Object<string, string[]>} [citations={}] - Learning -> cited URLs.
+ * @returns {Map<string, number>} URL -> reference number (1-based).
+ */
+export function numberReferences(learnings, sources, citations = {}) {
+  const numbers = new Map();
+  const assign = url => { if (!numbers.has(url)) numbers.set(url, numbers.size + 1); };
+  learnings.forEach(learning => (citations[learning] || []).forEach(assign));
+  sources.forEach(assign);
+  return numbers;
+}
+
+/**
+ * Renders inline citations linking into the References section, e.g. "[[1]](#ref-1)[[3]](#ref-3)".
+ * @param {string[]} urls - Cited URLs.
+ * @param {Map<string, number>} referenceNumbers - From numberReferences().
+ * @returns {string} Empty string when nothing is cited.
+ */
+export function formatCitations(urls = [], referenceNumbers) {
+  const numbers = [...new Set(urls.map(url => referenceNumbers.get(url)).filter(Boolean))].sort((a, b) => a - b);
+  return numbers.map(n => `[[${n}]](#ref-${n})`).join('');
+}
+
+/**
+ * Renders the tree as a markdown section: one nested entry per query, with the learnings it
+ * produced and the sources they came from, so each claim can be traced back.
+ * @param {object} tree - Root node.
+ * @param {Map<string, number>} [referenceNumbers] - When given, learnings get the same inline citations as the report.
+ * @returns {string}
+ */
+export function renderTreeMarkdown(tree, referenceNumbers = null) {
+  const lines = ['## Research Tree', ''];
+  walkTree(tree, node => {
+    const indent = '  '.repeat(node.depth);
+    const statusNote = node.status === 'error' ? ` _(failed: ${node.error || 'unknown error'})_`
+      : node.status === 'cancelled' ? ' _(cancelled)_' : '';
+    lines.push(`${indent}- **[${node.id}] ${node.query}**${statusNote}`);
+    for (const learning of node.learnings) {
+      const cited = referenceNumbers ? formatCitations(node.citations?.[learning], referenceNumbers) : '';
+      lines.push(`${indent}  - ${learning}${cited ? ` ${cited}` : ''}`);
+    }
+    if (node.sources.length > 0) {
+      lines.push(`${indent}  - Sources: ${node.sources.map(s => s.url).join(', ')}`);
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Builds the JSON export of a research run.
+ * @param {object} params
+ * @param {string} params.query - Original context query.
+ * @param {string} params.summary - Final summary.
+ * @param {object} params.tree - Root node.
+ * @param {string|null} [params.runId] - Checkpoint run id, if the run was checkpointed.
+ * @param {boolean} [params.cancelled=false]
+ * @returns {object} Serializable export; learnings and sources are derived from the tree.
+ */
+export function buildResearchExport({ query, summary, tree, runId = null, cancelled = false }) {
+  const { learnings, sources, citations } = collectTreeResults(tree);
+  return {
+    formatVersion: RESEARCH_TREE_FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    runId,
+    query,
+    cancelled,
+    summary,
+    learnings,
+    sources,
+    citations,
+    tree
+  };
+}
@@ -0,0 +1,309 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { ensureDir } from '../../utils/research.ensure-dir.mjs';
+
+const STATS_FILE = 'stats.json';
+const ENTRY_SUFFIX = '.json';
+const STATS_FLUSH_MS = 30 * 1000; // Counters changed only by lookups are written at most this often
+
+const DEFAULTS = {
+  ttlMs: 24 * 60 * 60 * 1000, // Search results go stale; a day keeps re-runs cheap without serving old news for long
+  maxEntries: 2000,
+  maxBytes: 50 * 1024 * 1024
+};
+
+/**
+ * Directory holding cached search results.
+ * Defaults to ~/.mcp/search-cache; MCP_SEARCH_CACHE_DIR overrides it (tests, custom deployments).
+ * @returns {string}
+ */
+export function getSearchCacheDir() {
+  return process.env.MCP_SEARCH_CACHE_DIR || path.join(os.homedir(), '.mcp', 'search-cache');
+}
+
+/**
+ * Normalizes a query so trivially different spellings share a cache entry:
+ * Unicode-normalized, lowercased, whitespace collapsed, surrounding quotes and trailing punctuation dropped.
+ * @param {string} query
+ * @returns {string}
+ */
+export function normalizeSearchQuery(query) {
+  return String(query || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["'“”]+|["'“”]+$/g, '')
+    .replace(/[\s?!.,;:]+$/, '')
+    .trim();
+}
+
+/**
+ * Persistent search result cache: one JSON file per (scope, normalized query), plus stats.json
+ * with lifetime hit/miss counters.
+ *
+ * Entries expire after `ttlMs`. After every write the oldest entries are evicted until the cache
+ * is within `maxEntries` and `maxBytes`. The index of entry sizes/ages is read from disk once and
+ * then kept in memory. So are the counters: they are written with every set() and purge(), and
+ * otherwise STATS_FLUSH_MS after a lookup changed them, so lookups cost no disk writes.
+ */
+export class SearchCache {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Overrides getSearchCacheDir().
+   * @param {number} [options.ttlMs] - Entry lifetime in milliseconds.
+   * @param {number} [options.maxEntries] - Max number of cached queries.
+   * @param {number} [options.maxBytes] - Max total size of cached entries.
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || getSearchCacheDir();
+    this.ttlMs = options.ttlMs ?? DEFAULTS.ttlMs;
+    this.maxEntries = options.maxEntries ?? DEFAULTS.maxEntries;
+    this.maxBytes = options.maxBytes ?? DEFAULTS.maxBytes;
+    this.index = null; // fileName -> { createdAt, bytes }
+    this.indexPromise = null;
+    this.stats = null; // { hits, misses, writes, evictions }
+    this.statsChain = Promise.resolve();
+    this.statsTimer = null;
+  }
+
+  entryFile(scope, query) {
+    const key = `${scope}\n${normalizeSearchQuery(query)}`;
+    return `${crypto.createHash('sha256').update(key).digest('hex')}${ENTRY_SUFFIX}`;
+  }
+
+  loadIndex() {
+    if (!this.indexPromise) {
+      this.indexPromise = (async () => {
+        await ensureDir(this.dir);
+        const index = new Map();
+        for (const name of await fs.readdir(this.dir)) {
+          if (!name.endsWith(ENTRY_SUFFIX) || name === STATS_FILE) continue;
+          try {
+            const stats = await fs.stat(path.join(this.dir, name));
+            index.set(name, { createdAt: stats.mtimeMs, bytes: stats.size });
+          } catch {
+            // Removed by another process in the meantime
+          }
+        }
+        try {
+          this.stats = JSON.parse(await fs.readFile(path.join(this.dir, STATS_FILE), 'utf8'));
+        } catch {
+          this.stats = null;
+        }
+        this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, ...(this.stats || {}) };
+        this.index = index;
+        return index;
+      })().catch(error => {
+        this.indexPromise = null;
+        throw error;
+      });
+    }
+    return this.indexPromise;
+  }
+
+  recordStat(field, amount = 1) {
+    this.stats[field] += amount;
+    if (!this.statsTimer) {
+      this.statsTimer = setTimeout(() => this.flushStats().catch(() => {}), STATS_FLUSH_MS);
+      this.statsTimer.unref?.(); // Never keeps the process alive
+    }
+  }
+
+  /**
+   * Writes the counters to stats.json now.
+   * @returns {Promise<void>}
+   */
+  flushStats() {
+    clearTimeout(this.statsTimer);
+    this.statsTimer = null;
+    if (!this.stats) return this.statsChain;
+    return this.saveStats();
+  }
+
+  saveStats() {
+    const snapshot = JSON.stringify(this.stats);
+    const statsPath = path.join(this.dir, STATS_FILE);
+    this.statsChain = this.statsChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.writeFile(`${statsPath}.tmp`, snapshot, 'utf8');
+        await fs.rename(`${statsPath}.tmp`, statsPath);
+      });
+    return this.statsChain;
+  }
+
+  async removeEntry(name) {
+    this.index.delete(name);
+    await fs.rm(path.join(this.dir, name), { force: true });
+  }
+
+  /**
+   * @param {string} scope - Provider identity, e.g. 'brave' or 'searxng:https://searx.example.org'.
+   * @param {string} query
+   * @returns {Promise<Array<object>|null>} Cached results, or null on a miss/expired entry.
+   */
+  async get(scope, query) {
+    await this.loadIndex();
+    const name = this.entryFile(scope, query);
+    let entry = null;
+    if (this.index.has(name)) {
+      try {
+        entry = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+      } catch {
+        entry = null;
+      }
+      if (!entry || !Array.isArray(entry.results) || Date.now() - entry.createdAt > this.ttlMs) {
+        await this.removeEntry(name);
+        entry = null;
+      }
+    }
+    this.recordStat(entry ? 'hits' : 'misses');
+    return entry ? entry.results : null;
+  }
+
+  /**
+   * Stores results and evicts the oldest entries beyond the size limits.
+   * @param {string} scope
+   * @param {string} query
+   * @param {Array<object>} results
+   */
+  async set(scope, query, results) {
+    await this.loadIndex();
+    const name = this.entryFile(scope, query);
+    const createdAt = Date.now();
+    const body = JSON.stringify({ scope, query: normalizeSearchQuery(query), createdAt, results });
+    const filePath = path.join(this.dir, name);
+    await fs.writeFile(`${filePath}.tmp`, body, 'utf8');
+    await fs.rename(`${filePath}.tmp`, filePath);
+    this.index.set(name, { createdAt, bytes: Buffer.byteLength(body) });
+    this.recordStat('writes');
+    await this.enforceLimits();
+    await this.flushStats();
+  }
+
+  async enforceLimits() {
+    const now = Date.now();
+    const byAge = [...this.index.entries()].sort((a, b) => a[1].createdAt - b[1].createdAt);
+    let totalBytes = byAge.reduce((sum, [, info]) => sum + info.bytes, 0);
+    let count = byAge.length;
+    let evicted = 0;
+    for (const [name, info] of byAge) {
+      const expired = now - info.createdAt > this.ttlMs;
+      if (!expired && count <= this.maxEntries && totalBytes <= this.maxBytes) break;
+      await this.removeEntry(name);
+      count--;
+      totalBytes -= info.bytes;
+      evicted++;
+    }
+    if (evicted > 0) this.recordStat('evictions', evicted);
+  }
+
+  /**
+   * @returns {Promise<{dir: string, entries: number, bytes: number, ttlMs: number, maxEntries: number, maxBytes: number, hits: number, misses: number, hitRate: number, writes: number, evictions: number, oldest: number|null, newest: number|null}>}
+   */
+  async getStats() {
+    await this.loadIndex();
+    const infos = [...this.index.values()];
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      dir: this.dir,
+      entries: infos.length,
+      bytes: infos.reduce((sum, info) => sum + info.bytes, 0),
+      ttlMs: this.ttlMs,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      oldest: infos.length > 0 ? Math.min(...infos.map(info => info.createdAt)) : null,
+      newest: infos.length > 0 ? Math.max(...infos.map(info => info.createdAt)) : null
+    };
+  }
+
+  /**
+   * Deletes cached entries.
+   * @param {object} [options]
+   * @param {boolean} [options.expiredOnly=false] - Only remove entries past their TTL.
+   * @param {boolean} [options.resetStats] - Also zero the hit/miss counters (defaults to !expiredOnly).
+   * @returns {Promise<number>} Number of entries removed.
+   */
+  async purge({ expiredOnly = false, resetStats = !expiredOnly } = {}) {
+    await this.loadIndex();
+    const now = Date.now();
+    let removed = 0;
+    for (const [name, info] of [...this.index.entries()]) {
+      if (expiredOnly && now - info.createdAt <= this.ttlMs) continue;
+      await this.removeEntry(name);
+      removed++;
+    }
+    if (resetStats) {
+      this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    }
+    await this.flushStats();
+    return removed;
+  }
+}
+
+/**
+ * Wraps any search provider so repeated queries are answered from the cache.
+ * Only non-empty results are cached; errors are never cached.
+ */
+export class CachedSearchProvider {
+  /**
+   * @param {object} provider - Provider exposing search(query, { signal }).
+   * @param {object} options
+   * @param {SearchCache} options.cache
+   * @param {string} options.scope - Cache namespace identifying the provider and its configuration.
+   * @param {Function} [options.outputFn]
+   */
+  constructor(provider, { cache, scope, outputFn } = {}) {
+    this.provider = provider;
+    this.type = provider.type;
+    this.cache = cache;
+    this.scope = scope;
+    this.output = outputFn || (() => {});
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  async search(query, options = {}) {
+    let cached = null;
+    try {
+      cached = await this.cache.get(this.scope, query);
+    } catch (error) {
+      this.output(`[SearchCache] Lookup failed, searching live: ${error.message}`);
+    }
+    if (cached) {
+      this.hits++;
+      this.output(`[SearchCache] Hit for "${query}" (${cached.length} results).`);
+      return cached;
+    }
+
+    this.misses++;
+    const results = await this.provider.search(query, options);
+    if (Array.isArray(results) && results.length > 0) {
+      try {
+        await this.cache.set(this.scope, query, results);
+      } catch (error) {
+        this.output(`[SearchCache] Could not store results: ${error.message}`);
+      }
+    }
+    return results;
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * Process-wide cache instance used by suggestSearchProvider() and /diagnose.
+ * Re-created if MCP_SEARCH_CACHE_DIR changes (tests).
+ * @returns {SearchCache}
+ */
+export function getSearchCache() {
+  if (!sharedCache || sharedCache.dir !== getSearchCacheDir()) {
+    sharedCache = new SearchCache();
+  }
+  return sharedCache;
+}
@@ -0,0 +1,291 @@
+import fetch from 'node-fetch';
+import dns from 'dns';
+import net from 'net';
+import { RobotsPolicy } from './search.robots.mjs';
+import { ConcurrencyPool } from '../../utils/research.concurrency-pool.mjs';
+
+export const CONTENT_FETCHER_USER_AGENT = 'BITcoreResearchBot/1.0 (+https://github.com/iamcapote/BITcore_Terminal)';
+
+const DEFAULTS = {
+  timeoutMs: 10000,        // Per page, including robots.txt
+  maxBytes: 2 * 1024 * 1024, // Stop reading a response after 2 MB
+  maxCharsPerPage: 8000,   // Readable text kept per page (after chunking)
+  chunkSize: 2000,         // Target chunk size in characters
+  concurrency: 4,
+  maxRedirects: 5
+};
+
+// Addresses a search result must not make the server fetch: loopback, private, link-local, CGNAT, multicast and
+// reserved ranges (cloud metadata endpoints live in link-local)
+const NON_PUBLIC_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Elements that never hold article text
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'select'];
+const BLOCK_TAGS = 'p|div|section|article|main|li|ul|ol|h[1-6]|tr|table|blockquote|pre|br|hr|dd|dt|figcaption';
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Whether an IP address is on the public internet (not loopback, private, link-local, multicast or reserved).
+ * @param {string} address - IPv4 or IPv6 address; IPv4-mapped IPv6 addresses are checked as IPv4.
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return !NON_PUBLIC_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Converts an HTML page to readable plain text: drops scripts, navigation and other
+ * boilerplate, prefers the <article>/<main> element when there is one, and keeps paragraph breaks.
+ * @param {string} html
+ * @returns {string}
+ */
+export function extractReadableText(html) {
+  let body = String(html || '');
+  body = body.replace(/<!--[\s\S]*?-->/g, ' ');
+  for (const tag of BOILERPLATE_TAGS) {
+    body = body.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  }
+
+  const main = body.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i) || body.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i);
+  if (main) {
+    body = main[1];
+  } else {
+    const bodyMatch = body.match(/<body\b[^>]*>([\s\S]*?)(<\/body>|$)/i);
+    if (bodyMatch) body = bodyMatch[1];
+  }
+
+  const text = body
+    .replace(new RegExp(`<\\/?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Splits text into chunks of at most `chunkSize` characters, breaking at paragraph and then
+ * sentence boundaries so no chunk ends mid-sentence unless a single sentence is too long.
+ * @param {string} text
+ * @param {number} [chunkSize=2000]
+ * @returns {string[]}
+ */
+export function chunkText(text, chunkSize = DEFAULTS.chunkSize) {
+  const pieces = [];
+  for (const paragraph of String(text || '').split(/\n{2,}/)) {
+    if (paragraph.length <= chunkSize) {
+      pieces.push(paragraph);
+      continue;
+    }
+    for (const sentence of paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]) {
+      for (let i = 0; i < sentence.length; i += chunkSize) {
+        pieces.push(sentence.slice(i, i + chunkSize).trim());
+      }
+    }
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces.filter(Boolean)) {
+    if (current && current.length + piece.length + 2 > chunkSize) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Downloads search result pages and turns them into readable text for learning extraction.
+ *
+ * Every fetch is bounded: robots.txt is honoured, each request has a timeout, responses are
+ * cut off after `maxBytes`, non-HTML/text responses are skipped and at most `maxCharsPerPage`
+ * characters (whole chunks) are kept. Failures never throw; the page is reported as skipped
+ * and the caller falls back to the search snippet.
+ *
+ * Result URLs come from outside, so hosts that resolve to non-public addresses (the server's own network,
+ * cloud metadata) are refused, for robots.txt, the page and every redirect hop, unless `allowPrivateHosts` is set.
+ */
+export class ContentFetcher {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || DEFAULTS.timeoutMs;
+    this.maxBytes = options.maxBytes || DEFAULTS.maxBytes;
+    this.maxCharsPerPage = options.maxCharsPerPage || DEFAULTS.maxCharsPerPage;
+    this.chunkSize = options.chunkSize || DEFAULTS.chunkSize;
+    this.userAgent = options.userAgent || CONTENT_FETCHER_USER_AGENT;
+    this.fetchFn = options.fetchFn || fetch;
+    this.lookup = options.lookup || dns.promises.lookup; // Injected in tests
+    this.allowPrivateHosts = options.allowPrivateHosts === true;
+    this.pool = new ConcurrencyPool(options.concurrency || DEFAULTS.concurrency);
+    this.robots = options.robotsPolicy || new RobotsPolicy({ userAgent: this.userAgent, timeoutMs: this.timeoutMs, fetchFn: (url, init) => this.guardedFetch(url, init) });
+    this.debug = options.debug || (() => {});
+  }
+
+  /**
+   * Fetches several pages in parallel (bounded by the fetcher's own pool).
+   * @param {string[]} urls
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {number} [options.maxCharsPerPage] - Overrides the instance limit, e.g. to split a context budget across results.
+   * @returns {Promise<Array<{url: string, text: string|null, chunks: string[], skipped?: string}>>} Same order as `urls`.
+   */
+  fetchAll(urls, options = {}) {
+    return Promise.all(urls.map(url => this.pool.run(() => this.fetchPage(url, options))));
+  }
+
+  /**
+   * @param {string} url
+   * @param {object} [options] - See fetchAll().
+   * @returns {Promise<{url: string, text: string|null, chunks: string[], skipped?: string}>}
+   */
+  async fetchPage(url, { signal, maxCharsPerPage = this.maxCharsPerPage } = {}) {
+    const skipped = (reason) => {
+      this.debug(`[ContentFetcher] Skipped ${url}: ${reason}`);
+      return { url, text: null, chunks: [], skipped: reason };
+    };
+
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return skipped('invalid URL');
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') return skipped('unsupported protocol');
+    if (signal?.aborted) return skipped('cancelled');
+
+    try {
+      await this.assertPublicHost(target);
+    } catch (error) {
+      return skipped(error.message);
+    }
+    if (!(await this.robots.isAllowed(url, signal))) return skipped('disallowed by robots.txt');
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await this.guardedFetch(url, {
+        headers: { 'User-Agent': this.userAgent, Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9' },
+        signal: controller.signal
+      });
+      if (!response.ok) return skipped(`HTTP ${response.status}`);
+
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType && !/text\/html|application\/xhtml|text\/plain/i.test(contentType)) {
+        return skipped(`unsupported content type ${contentType}`);
+      }
+
+      const raw = await this.readCapped(response, controller);
+      const text = /text\/plain/i.test(contentType) ? raw.trim() : extractReadableText(raw);
+      if (!text) return skipped('no readable text');
+
+      // Keep whole chunks until the page budget is used up
+      const chunks = [];
+      let used = 0;
+      for (const chunk of chunkText(text, Math.min(this.chunkSize, maxCharsPerPage))) {
+        if (used + chunk.length > maxCharsPerPage) break;
+        chunks.push(chunk);
+        used += chunk.length;
+      }
+      return { url, text: chunks.join('\n\n'), chunks };
+    } catch (error) {
+      if (signal?.aborted) return skipped('cancelled');
+      return skipped(controller.signal.aborted ? `timed out after ${this.timeoutMs}ms` : error.message);
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Throws unless every address the URL's host resolves to is public (see isPublicAddress()).
+   * @param {URL} target
+   * @returns {Promise<void>}
+   */
+  async assertPublicHost(target) {
+    if (this.allowPrivateHosts) return;
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [host];
+    } else {
+      try {
+        addresses = (await this.lookup(host, { all: true })).map(entry => entry.address);
+      } catch (error) {
+        throw new Error(`cannot resolve ${host} (${error.code || error.message})`);
+      }
+    }
+    const blocked = addresses.find(address => !isPublicAddress(address));
+    if (blocked) throw new Error(`non-public address ${blocked}`);
+  }
+
+  /**
+   * fetchFn with redirects followed by hand, so each hop's host is checked before it is requested.
+   * @param {string} url
+   * @param {object} [init] - fetch options; `redirect` is managed here.
+   * @returns {Promise<Response>} The final response.
+   */
+  async guardedFetch(url, init = {}) {
+    let current = new URL(url);
+    for (let hop = 0; ; hop++) {
+      await this.assertPublicHost(current);
+      const response = await this.fetchFn(current.href, { ...init, redirect: 'manual' });
+      const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+      if (!location) return response;
+      response.body?.resume?.(); // Discard the redirect body so its connection is freed
+      if (hop >= DEFAULTS.maxRedirects) throw new Error(`more than ${DEFAULTS.maxRedirects} redirects`);
+      current = new URL(location, current);
+      if (current.protocol !== 'http:' && current.protocol !== 'https:') throw new Error('redirect to an unsupported protocol');
+    }
+  }
+
+  /**
+   * Reads the body up to maxBytes, then aborts the rest of the download.
+   */
+  async readCapped(response, controller) {
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body) {
+      const buffer = Buffer.from(chunk);
+      const remaining = this.maxBytes - received;
+      chunks.push(remaining < buffer.length ? buffer.subarray(0, remaining) : buffer);
+      received += buffer.length;
+      if (received >= this.maxBytes) {
+        this.debug(`[ContentFetcher] Size cap of ${this.maxBytes} bytes reached for ${response.url}; truncating.`);
+        controller.abort();
+        break;
+      }
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+}
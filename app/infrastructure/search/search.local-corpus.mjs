@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+import { SearchError } from './search.providers.mjs';
+import { chunkText } from './search.content-fetcher.mjs';
+
+const DEFAULTS = {
+  extensions: ['.md', '.markdown', '.txt', '.text'],
+  maxFiles: 5000,
+  maxFileBytes: 2 * 1024 * 1024, // Larger files are skipped, not truncated
+  passageSize: 1500,             // Files are indexed as passages so results stay focused
+  resultCount: 10,
+  k1: 1.2,                       // BM25 term-frequency saturation
+  b: 0.75                        // BM25 length normalisation
+};
+
+// Very common English words carry no ranking signal
+const STOPWORDS = new Set('a an and are as at be but by for from has have how in is it its of on or that the this to was were what when where which who why will with'.split(' '));
+
+/**
+ * Lowercases and splits text into index terms (letters/digits, stopwords removed).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Expands `~` and resolves a corpus directory. When `root` is given the directory must be inside it,
+ * so web users can't point research at arbitrary server paths.
+ * @param {string} rawPath
+ * @param {object} [options]
+ * @param {string} [options.root] - Directory the corpus must live under.
+ * @returns {string} Absolute path.
+ * @throws {SearchError} ConfigError if the path is empty or outside `root`.
+ */
+export function resolveCorpusPath(rawPath, { root } = {}) {
+  const trimmed = String(rawPath || '').trim();
+  if (!trimmed) throw new SearchError('ConfigError', 'Local corpus requires a directory path (--source=local:<path>)', 'LocalCorpus');
+  const expanded = trimmed === '~' || trimmed.startsWith('~/') ? path.join(os.homedir(), trimmed.slice(1)) : trimmed;
+  const resolvedRoot = root ? path.resolve(root) : null;
+  const resolved = resolvedRoot ? path.resolve(resolvedRoot, expanded) : path.resolve(expanded);
+  if (resolvedRoot && resolved !== resolvedRoot && !resolved.startsWith(resolvedRoot + path.sep)) {
+    throw new SearchError('ConfigError', `Local corpus path must be inside ${resolvedRoot}`, 'LocalCorpus');
+  }
+  return resolved;
+}
+
+function titleFor(text, filePath) {
+  const heading = text.match(/^#{1,6}\s+(.+)$/m);
+  return heading ? heading[1].trim() : path.basename(filePath);
+}
+
+/**
+ * Searches a local directory of markdown/text notes (e.g. text extracted from PDFs) with BM25.
+ *
+ * Files are split into passages and each passage is a document in an in-memory inverted index,
+ * built on the first search and reused for the rest of the run. Results have the same shape as
+ * BraveSearchProvider's, with file:// URLs (plus a #part-n fragment for multi-passage files).
+ */
+export class LocalCorpusSearchProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.path - Corpus directory.
+   * @param {string[]} [options.extensions] - File extensions to index.
+   * @param {number} [options.resultCount=10] - Max results per query.
+   */
+  constructor(options = {}) {
+    this.type = 'local';
+    this.rootDir = resolveCorpusPath(options.path);
+    this.extensions = (options.extensions || DEFAULTS.extensions).map(ext => ext.toLowerCase());
+    this.maxFiles = options.maxFiles || DEFAULTS.maxFiles;
+    this.maxFileBytes = options.maxFileBytes || DEFAULTS.maxFileBytes;
+    this.passageSize = options.passageSize || DEFAULTS.passageSize;
+    this.resultCount = options.resultCount || DEFAULTS.resultCount;
+    this.output = options.outputFn || console.log;
+    this.error = options.errorFn || console.error;
+    this.indexPromise = null;
+  }
+
+  /**
+   * Builds the index once; concurrent searches share the same build.
+   * @returns {Promise<object>} { documents, postings, avgLength }
+   */
+  loadIndex() {
+    if (!this.indexPromise) {
+      this.indexPromise = this.buildIndex().catch(error => {
+        this.indexPromise = null; // Allow a retry after e.g. a permissions fix
+        throw error;
+      });
+    }
+    return this.indexPromise;
+  }
+
+  async listFiles() {
+    const files = [];
+    const pending = [this.rootDir];
+    while (pending.length > 0 && files.length < this.maxFiles) {
+      const dir = pending.shift();
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (dir === this.rootDir) {
+          throw new SearchError('ConfigError', `Cannot read local corpus directory ${this.rootDir}: ${error.message}`, 'LocalCorpus');
+        }
+        this.error(`[LocalCorpus] Skipping unreadable directory ${dir}: ${error.message}`);
+        continue;
+      }
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) pending.push(fullPath);
+        else if (entry.isFile() && this.extensions.includes(path.extname(entry.name).toLowerCase())) files.push(fullPath);
+        if (files.length >= this.maxFiles) break;
+      }
+    }
+    return files;
+  }
+
+  async buildIndex() {
+    const files = await this.listFiles();
+    const documents = []; // { title, content, url, length, termFrequencies }
+    const postings = new Map(); // term -> [docIndex]
+
+    for (const filePath of files) {
+      let text;
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.size > this.maxFileBytes) {
+          this.output(`[LocalCorpus] Skipping ${filePath}: larger than ${this.maxFileBytes} bytes.`);
+          continue;
+        }
+        text = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        this.error(`[LocalCorpus] Skipping ${filePath}: ${error.message}`);
+        continue;
+      }
+
+      const title = titleFor(text, filePath);
+      const fileUrl = pathToFileURL(filePath).href;
+      const passages = chunkText(text.replace(/\r\n/g, '\n'), this.passageSize);
+      passages.forEach((passage, index) => {
+        // The title counts towards every passage so headings still match later passages
+        const terms = tokenize(`${title} ${passage}`);
+        if (terms.length === 0) return;
+        const termFrequencies = new Map();
+        for (const term of terms) termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1);
+        const docIndex = documents.length;
+        documents.push({
+          title: passages.length > 1 ? `${title} (part ${index + 1})` : title,
+          content: passage,
+          url: passages.length > 1 ? `${fileUrl}#part-${index + 1}` : fileUrl,
+          length: terms.length,
+          termFrequencies
+        });
+        for (const term of termFrequencies.keys()) {
+          if (!postings.has(term)) postings.set(term, []);
+          postings.get(term).push(docIndex);
+        }
+      });
+    }
+
+    const avgLength = documents.length > 0 ? documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length : 0;
+    this.output(`[LocalCorpus] Indexed ${documents.length} passages from ${files.length} files in ${this.rootDir}.`);
+    return { documents, postings, avgLength };
+  }
+
+  /**
+   * Ranks indexed passages against the query with BM25.
+   * @param {string} query
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array<{title: string, content: string, source: string, type: string, url: string, score: number}>>}
+   */
+  async search(query, { signal } = {}) {
+    if (signal?.aborted) throw new SearchError('ABORTED', 'Search cancelled', 'LocalCorpus');
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      this.output('[LocalCorpus] Query has no searchable terms, skipping search.');
+      return [];
+    }
+
+    const { documents, postings, avgLength } = await this.loadIndex();
+    if (signal?.aborted) throw new SearchError('ABORTED', 'Search cancelled', 'LocalCorpus');
+    this.output(`[LocalCorpus] Searching for: "${query}"`);
+
+    const scores = new Map();
+    for (const term of queryTerms) {
+      const docIndexes = postings.get(term);
+      if (!docIndexes) continue;
+      const idf = Math.log(1 + (documents.length - docIndexes.length + 0.5) / (docIndexes.length + 0.5));
+      for (const docIndex of docIndexes) {
+        const doc = documents[docIndex];
+        const tf = doc.termFrequencies.get(term);
+        const norm = tf + DEFAULTS.k1 * (1 - DEFAULTS.b + DEFAULTS.b * (doc.length / avgLength));
+        scores.set(docIndex, (scores.get(docIndex) || 0) + idf * (tf * (DEFAULTS.k1 + 1)) / norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.resultCount)
+      .map(([docIndex, score]) => {
+        const doc = documents[docIndex];
+        return { title: doc.title, content: doc.content, source: doc.url, type: this.type, url: doc.url, score };
+      });
+  }
+}
@@ -1,6 +1,9 @@
 import axios from 'axios';
-import { RateLimiter } from '../../utils/research.rate-limiter.mjs';
+import { RateLimiter, abortableDelay } from '../../utils/research.rate-limiter.mjs';
 import { cleanQuery } from '../../utils/research.clean-query.mjs';
+import { LocalCorpusSearchProvider } from './search.local-corpus.mjs';
+import { CachedSearchProvider, getSearchCache } from './search.cache.mjs';
+import { recordUsage } from '../usage/usage.meter.mjs';
 
 export class SearchError extends Error {
   constructor(code, message, provider) {
@@ -30,16 +33,17 @@ export class BraveSearchProvider {
     this.maxRetries = 3;
     this.output = options.outputFn || console.log; // Add outputFn
     this.error = options.errorFn || console.error; // Add errorFn
+    this.usage = options.usage; // { username, command } for the usage meter
   }
 
-  async makeRequest(query) {
+  async makeRequest(query, signal) {
     if (!this.apiKey) {
       console.error('[BraveSearchProvider] makeRequest called without a valid API key.');
       this.error('[BraveSearchProvider] makeRequest called without a valid API key.');
       throw new SearchError('ConfigError', 'Missing BRAVE_API_KEY during request', 'Brave');
     }
     try {
-      await this.rateLimiter.waitForNextSlot();
+      await this.rateLimiter.waitForNextSlot(signal);
       this.output(`[BraveSearchProvider] Searching for: "${query}"`);
       const response = await axios.get(`${this.baseUrl}/web/search`, {
         headers: {
@@ -55,8 +59,11 @@ export class BraveSearchProvider {
           safesearch: 'moderate',
           format: 'json',
         },
+        signal,
       });
 
+      await recordUsage(this.usage, { service: 'brave' });
+
       if (!response.data?.web?.results) {
         console.error('[BraveSearchProvider] Unexpected response shape:', response.data);
         this.error('[BraveSearchProvider] Unexpected response shape:', response.data);
@@ -71,6 +78,9 @@ export class BraveSearchProvider {
         url: r.url || ''
       }));
     } catch (error) {
+      if (signal?.aborted || axios.isCancel(error)) {
+        throw new SearchError('ABORTED', 'Search cancelled', 'Brave');
+      }
       if (error.response?.status === 429) {
         console.error('[BraveSearchProvider] Rate-limited by Brave.');
         this.output('[BraveSearchProvider] Rate-limited by Brave.');
@@ -90,7 +100,15 @@ export class BraveSearchProvider {
     }
   }
 
-  async search(originalQuery) {
+  /**
+   * Runs a web search with rate limiting and retry on 429.
+   * @param {string} originalQuery - The query text.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending backoff.
+   * @returns {Promise<Array<object>>} Normalized results.
+   * @throws {SearchError} With code 'ABORTED' when cancelled.
+   */
+  async search(originalQuery, { signal } = {}) {
     this.output(`[BraveSearchProvider] Original query: "${originalQuery}"`);
     const sanitizedQuery = originalQuery.trim();
     if (!sanitizedQuery || sanitizedQuery.length < 3) {
@@ -106,13 +124,17 @@ export class BraveSearchProvider {
     let retryCount = 0;
     while (retryCount <= this.maxRetries) {
       try {
-        const results = await this.makeRequest(truncatedQuery);
+        const results = await this.makeRequest(truncatedQuery, signal);
         if (results.length === 0) {
           console.error(`[BraveSearchProvider] API returned 0 results for "${truncatedQuery}".`);
           this.error(`[BraveSearchProvider] API returned 0 results for "${truncatedQuery}".`);
         }
         return results;
       } catch (error) {
+        if (error instanceof SearchError && error.code === 'ABORTED') {
+          this.output('[BraveSearchProvider] Search cancelled.');
+          throw error;
+        }
         if (error instanceof SearchError && error.code === 'AUTH_ERROR') {
           console.error(`[BraveSearchProvider] Authentication error (${error.message}). Aborting search.`);
           this.error(`[BraveSearchProvider] Authentication error (${error.message}). Aborting search.`);
@@ -121,7 +143,11 @@ export class BraveSearchProvider {
         if (error instanceof SearchError && error.code === 'RATE_LIMIT') {
           const delay = this.retryDelay * Math.pow(2, retryCount);
           this.output(`[BraveSearchProvider] Rate-limited, waiting ${delay / 1000}s before retry (attempt ${retryCount + 1}).`);
-          await new Promise((resolve) => setTimeout(resolve, delay));
+          try {
+            await abortableDelay(delay, signal);
+          } catch {
+            throw new SearchError('ABORTED', 'Search cancelled', 'Brave');
+          }
           retryCount++;
         } else {
           console.error(`[BraveSearchProvider] Unexpected error during search retry loop: ${error.message}`, error.stack);
@@ -137,13 +163,280 @@ export class BraveSearchProvider {
   }
 }
 
+/**
+ * Shared request/retry logic for simple HTTP search APIs. Subclasses implement
+ * buildRequest(query) -> { url, headers } and parseResults(data) -> normalized results.
+ */
+class HttpSearchProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'web';
+    this.rateLimiter = new RateLimiter(options.minIntervalMs ?? 1000);
+    this.retryDelay = options.retryDelay ?? 2000;
+    this.maxRetries = 3;
+    this.timeoutMs = options.timeoutMs ?? 15000;
+    this.output = options.outputFn || console.log;
+    this.error = options.errorFn || console.error;
+  }
+
+  async makeRequest(query, signal) {
+    const { url, headers } = this.buildRequest(query);
+    try {
+      await this.rateLimiter.waitForNextSlot(signal);
+      this.output(`[${this.name}] Searching for: "${query}"`);
+      const response = await axios.get(url, {
+        headers: { Accept: 'application/json', ...headers },
+        timeout: this.timeoutMs,
+        signal
+      });
+      return this.parseResults(response.data).filter(r => r.url);
+    } catch (error) {
+      if (error instanceof SearchError) throw error;
+      if (signal?.aborted || axios.isCancel(error)) {
+        throw new SearchError('ABORTED', 'Search cancelled', this.name);
+      }
+      const status = error.response?.status;
+      if (status === 429) throw new SearchError('RATE_LIMIT', `Rate-limited by ${this.name}`, this.name);
+      if (status === 401 || status === 403) throw new SearchError('AUTH_ERROR', `${this.name} rejected the credentials (HTTP ${status})`, this.name);
+      this.error(`[${this.name}] Request failed: ${error.message}`);
+      throw new SearchError('API_ERROR', error.message || `${this.name} request failed`, this.name);
+    }
+  }
+
+  /**
+   * Runs a web search with rate limiting and retry on 429.
+   * @param {string} originalQuery - The query text.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending backoff.
+   * @returns {Promise<Array<object>>} Normalized results { title, content, source, type, url }.
+   */
+  async search(originalQuery, { signal } = {}) {
+    const sanitizedQuery = String(originalQuery || '').trim();
+    if (sanitizedQuery.length < 3) {
+      this.output(`[${this.name}] Query too short, skipping search.`);
+      return [];
+    }
+    const truncatedQuery = sanitizedQuery.substring(0, 1000);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.makeRequest(truncatedQuery, signal);
+      } catch (error) {
+        if (error.code !== 'RATE_LIMIT' || attempt >= this.maxRetries) throw error;
+        const delay = this.retryDelay * Math.pow(2, attempt);
+        this.output(`[${this.name}] Rate-limited, waiting ${delay / 1000}s before retry (attempt ${attempt + 1}).`);
+        try {
+          await abortableDelay(delay, signal);
+        } catch {
+          throw new SearchError('ABORTED', 'Search cancelled', this.name);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * SearXNG (or any SearXNG-compatible metasearch instance) via its JSON API.
+ * The instance must have the `json` output format enabled.
+ */
+export class SearxngSearchProvider extends HttpSearchProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Instance base URL, e.g. https://searx.example.org
+   * @param {string} [options.apiKey] - Sent as a Bearer token for instances behind an auth proxy.
+   */
+  constructor(options = {}) {
+    super('SearXNG', options);
+    if (!options.url) {
+      throw new SearchError('ConfigError', 'SearXNG requires an instance URL (/keys set searxng --searxng-url=...)', 'SearXNG');
+    }
+    this.baseUrl = options.url.replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+  }
+
+  buildRequest(query) {
+    const params = new URLSearchParams({ q: query, format: 'json', categories: 'general', language: 'en' });
+    return {
+      url: `${this.baseUrl}/search?${params}`,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    };
+  }
+
+  parseResults(data) {
+    return (data?.results || []).map(r => ({
+      title: r.title || 'Untitled',
+      content: r.content || 'No description available',
+      source: r.url || '',
+      type: this.type,
+      url: r.url || ''
+    }));
+  }
+}
+
+function getByPath(object, path) {
+  if (!path) return object;
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Generic JSON-over-HTTP search API configured by a URL template.
+ *
+ * Example: urlTemplate "https://api.example.com/search?q={query}&key={apiKey}",
+ * resultsPath "data.items", fields { title: 'name', url: 'link', content: 'snippet' }.
+ */
+export class JsonHttpSearchProvider extends HttpSearchProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.urlTemplate - Must contain {query}; may contain {apiKey}. Both are URL-encoded.
+   * @param {string} [options.apiKey] - Substituted into {apiKey} and/or sent in `apiKeyHeader`.
+   * @param {string} [options.apiKeyHeader] - Header to carry the key, e.g. 'X-API-Key'.
+   * @param {string} [options.resultsPath='results'] - Dot path to the results array in the response.
+   * @param {object} [options.fields] - Field names for title/url/content in each result.
+   */
+  constructor(options = {}) {
+    super('JSON-HTTP', options);
+    if (!options.urlTemplate || !options.urlTemplate.includes('{query}')) {
+      throw new SearchError('ConfigError', 'JSON-HTTP provider requires a URL template containing {query} (/keys set json-http --json-http-url=...)', 'JSON-HTTP');
+    }
+    this.urlTemplate = options.urlTemplate;
+    this.apiKey = options.apiKey || '';
+    this.apiKeyHeader = options.apiKeyHeader || null;
+    this.resultsPath = options.resultsPath || 'results';
+    this.fields = { title: 'title', url: 'url', content: 'content', ...(options.fields || {}) };
+  }
+
+  buildRequest(query) {
+    const url = this.urlTemplate
+      .replace(/\{query\}/g, encodeURIComponent(query))
+      .replace(/\{apiKey\}/g, encodeURIComponent(this.apiKey));
+    return {
+      url,
+      headers: this.apiKeyHeader && this.apiKey ? { [this.apiKeyHeader]: this.apiKey } : {}
+    };
+  }
+
+  parseResults(data) {
+    const results = getByPath(data, this.resultsPath);
+    if (!Array.isArray(results)) {
+      this.error(`[${this.name}] No results array at "${this.resultsPath}" in response.`);
+      return [];
+    }
+    return results.map(r => {
+      const url = getByPath(r, this.fields.url) || '';
+      return {
+        title: getByPath(r, this.fields.title) || 'Untitled',
+        content: getByPath(r, this.fields.content) || r.description || r.snippet || 'No description available',
+        source: url,
+        type: this.type,
+        url
+      };
+    });
+  }
+}
+
+// --- Provider registry ---
+// Each entry knows how to build its provider and how to read the credential saved with /keys.
+
+const searchProviderRegistry = new Map();
+
+/**
+ * Registers a search provider so it can be selected with `--provider=<name>`.
+ * @param {string} name - Provider name (also the /keys service name for its credentials).
+ * @param {object} definition
+ * @param {string} definition.description - One-line description for help text.
+ * @param {boolean} definition.requiresCredentials - Whether `/keys set <name>` must have been run first.
+ * @param {Function} definition.create - (options) => provider exposing search(query, { signal }).
+ * @param {Function} [definition.fromCredential] - Turns the decrypted /keys value into `create` options.
+ * @param {boolean} [definition.cacheable=true] - Whether results go through the persistent search cache.
+ * @param {Function} [definition.cacheScope] - (options) => string distinguishing configurations (never include secrets).
+ */
+export function registerSearchProvider(name, definition) {
+  searchProviderRegistry.set(name.toLowerCase(), {
+    fromCredential: (credential) => (credential ? JSON.parse(credential) : {}),
+    cacheable: true,
+    cacheScope: () => '',
+    ...definition,
+    name: name.toLowerCase()
+  });
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null} The registered definition, or null if unknown.
+ */
+export function getSearchProviderDefinition(name) {
+  return searchProviderRegistry.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * @returns {Array<{name: string, description: string, requiresCredentials: boolean}>}
+ */
+export function listSearchProviders() {
+  return [...searchProviderRegistry.values()].map(({ name, description, requiresCredentials }) => ({ name, description, requiresCredentials }));
+}
+
+/**
+ * Instantiates a registered provider.
+ * @param {string} name
+ * @param {object} [options] - Provider options plus outputFn/errorFn.
+ * @returns {object} Provider instance.
+ * @throws {SearchError} UnsupportedProvider if the name is not registered.
+ */
+export function createSearchProvider(name, options = {}) {
+  const definition = getSearchProviderDefinition(name);
+  if (!definition) {
+    const available = listSearchProviders().map(p => p.name).join(', ');
+    throw new SearchError('UnsupportedProvider', `Unknown search provider '${name}'. Available: ${available}`, '');
+  }
+  return definition.create(options);
+}
+
+registerSearchProvider('brave', {
+  description: 'Brave Search API (requires /keys set brave <key>)',
+  requiresCredentials: true,
+  create: (options) => new BraveSearchProvider(options),
+  fromCredential: (credential) => (credential ? { apiKey: credential } : {})
+});
+
+registerSearchProvider('searxng', {
+  description: 'SearXNG-compatible instance (requires /keys set searxng --searxng-url=...)',
+  requiresCredentials: true,
+  create: (options) => new SearxngSearchProvider(options),
+  cacheScope: (options) => options.url || ''
+});
+
+registerSearchProvider('json-http', {
+  description: 'Any JSON search API via a URL template (requires /keys set json-http --json-http-url=...)',
+  requiresCredentials: true,
+  create: (options) => new JsonHttpSearchProvider(options),
+  cacheScope: (options) => `${options.urlTemplate || ''}|${options.resultsPath || ''}|${JSON.stringify(options.fields || {})}`
+});
+
+registerSearchProvider('local', {
+  description: 'Local folder of markdown/text notes ranked with BM25 (use /research --source=local:<path>)',
+  requiresCredentials: false,
+  create: (options) => new LocalCorpusSearchProvider(options),
+  fromCredential: () => ({}),
+  cacheable: false // Already local and fast, and files change without the cache knowing
+});
+
+/**
+ * Creates the provider for a search type, wrapped in the persistent search cache unless
+ * `cache: false` is passed or the provider opts out.
+ * @param {object} options - { type, provider='brave', cache?: SearchCache|false, ...provider options }
+ * @returns {object} Provider exposing search(query, { signal }).
+ */
 export function suggestSearchProvider(options = {}) {
-  const { type, apiKey = null, outputFn, errorFn } = options; // Add outputFn, errorFn
+  const { type, provider = 'brave', cache, ...providerOptions } = options; // apiKey, outputFn, errorFn, provider-specific settings
   if (type === 'web') {
     try {
-      return new BraveSearchProvider({ apiKey, outputFn, errorFn }); // Pass outputFn, errorFn
+      const instance = createSearchProvider(provider, providerOptions);
+      const definition = getSearchProviderDefinition(provider);
+      if (cache === false || !definition.cacheable) return instance;
+      const scope = [definition.name, definition.cacheScope(providerOptions)].filter(Boolean).join(':');
+      return new CachedSearchProvider(instance, { cache: cache || getSearchCache(), scope, outputFn: providerOptions.outputFn });
     } catch (error) {
-      console.error(`[suggestSearchProvider] Error creating BraveSearchProvider: ${error.message}`);
+      console.error(`[suggestSearchProvider] Error creating search provider '${provider}': ${error.message}`);
       throw error;
     }
   }
@@ -0,0 +1,125 @@
+import fetch from 'node-fetch';
+
+/**
+ * Parses robots.txt into the rules that apply to `userAgent`.
+ * A group naming the agent wins over the `*` group; within the chosen groups, Allow/Disallow
+ * rules are kept in file order and resolved by isPathAllowed().
+ * @param {string} text - robots.txt content.
+ * @param {string} userAgent - Our product token, e.g. 'BITcoreResearchBot'.
+ * @returns {Array<{allow: boolean, pattern: string}>}
+ */
+export function parseRobotsTxt(text, userAgent) {
+  const agent = userAgent.toLowerCase();
+  const groups = []; // { agents: string[], rules: [] }
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      lastWasAgent = false;
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    } else {
+      lastWasAgent = false;
+    }
+  }
+
+  const specific = groups.filter(g => g.agents.some(a => a !== '*' && agent.includes(a)));
+  const chosen = specific.length > 0 ? specific : groups.filter(g => g.agents.includes('*'));
+  return chosen.flatMap(g => g.rules);
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Longest matching rule wins; Allow wins a tie. No matching rule means allowed.
+ * @param {Array<{allow: boolean, pattern: string}>} rules - From parseRobotsTxt().
+ * @param {string} pathWithQuery - URL path plus query string.
+ * @returns {boolean}
+ */
+export function isPathAllowed(rules, pathWithQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegex(rule.pattern).test(pathWithQuery)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// Rules for a site whose robots.txt can't be read: nothing may be fetched
+const DISALLOW_ALL = [{ allow: false, pattern: '/' }];
+
+/**
+ * Fetches and caches robots.txt per origin.
+ * Following RFC 9309, a robots.txt answering 4xx (e.g. a missing file) means "no restrictions", while a 5xx
+ * answer or an unreachable server means the whole site is off limits.
+ */
+export class RobotsPolicy {
+  constructor({ userAgent, timeoutMs = 5000, fetchFn = fetch } = {}) {
+    this.userAgent = userAgent;
+    this.timeoutMs = timeoutMs;
+    this.fetchFn = fetchFn;
+    this.cache = new Map(); // origin -> Promise<rules>
+  }
+
+  /**
+   * @param {string} url - Page URL to check.
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<boolean>} Whether our user agent may fetch it.
+   */
+  async isAllowed(url, signal) {
+    const target = new URL(url);
+    if (!this.cache.has(target.origin)) {
+      // Cache the promise so parallel fetches to one site share a single robots.txt request
+      this.cache.set(target.origin, this.loadRules(target.origin, signal));
+    }
+    const rules = await this.cache.get(target.origin);
+    return isPathAllowed(rules, `${target.pathname}${target.search}`);
+  }
+
+  async loadRules(origin, signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      const response = await this.fetchFn(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.userAgent },
+        signal: controller.signal
+      });
+      if (response.status >= 500) return DISALLOW_ALL;
+      if (!response.ok) return [];
+      return parseRobotsTxt(await response.text(), this.userAgent);
+    } catch {
+      // Don't cache a failure caused by the caller cancelling
+      if (signal?.aborted) this.cache.delete(origin);
+      return DISALLOW_ALL;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
@@ -0,0 +1,246 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ensureDir } from '../../utils/research.ensure-dir.mjs';
+
+const ENTRY_SUFFIX = '.json';
+const RETENTION_DAYS = 31; // Long enough for a monthly /usage report
+
+/**
+ * Directory holding per-user usage records.
+ * Defaults to ~/.mcp/usage; MCP_USAGE_DIR overrides it (tests, custom deployments).
+ * @returns {string}
+ */
+export function getUsageDir() {
+  return process.env.MCP_USAGE_DIR || path.join(os.homedir(), '.mcp', 'usage');
+}
+
+/** UTC hour bucket, e.g. '2026-10-19T17'. Quotas reset at the top of each UTC hour and at midnight UTC. */
+function hourKey(date) {
+  return date.toISOString().slice(0, 13);
+}
+
+function emptyTotals() {
+  return { runs: 0, requests: 0, tokensIn: 0, tokensOut: 0, services: {}, commands: {} };
+}
+
+function addCounts(target, { requests = 0, tokensIn = 0, tokensOut = 0 }) {
+  target.requests = (target.requests || 0) + requests;
+  target.tokensIn = (target.tokensIn || 0) + tokensIn;
+  target.tokensOut = (target.tokensOut || 0) + tokensOut;
+  return target;
+}
+
+/**
+ * Per-user API usage: one JSON file per user with hourly buckets of
+ *   runs     - research runs and chat sessions started (what quotas count),
+ *   services - requests and tokens in/out per upstream service (venice, brave, openai),
+ *   commands - the same counts per command that made the calls.
+ *
+ * Buckets older than RETENTION_DAYS are pruned on write. Records are read from disk once and then kept in
+ * memory; writes are serialized so concurrent research paths don't lose updates.
+ */
+export class UsageMeter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Overrides getUsageDir().
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || getUsageDir();
+    this.records = new Map(); // username -> { username, hours: { [hourKey]: bucket } }
+    this.chain = Promise.resolve();
+  }
+
+  userFile(username) {
+    return path.join(this.dir, `${encodeURIComponent(username)}${ENTRY_SUFFIX}`);
+  }
+
+  async loadRecord(username) {
+    if (!this.records.has(username)) {
+      let record = { username, hours: {} };
+      try {
+        const parsed = JSON.parse(await fs.readFile(this.userFile(username), 'utf8'));
+        if (parsed && typeof parsed.hours === 'object') record = { username, hours: parsed.hours };
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`[UsageMeter] Ignoring unreadable usage file for ${username}: ${error.message}`);
+      }
+      this.records.set(username, record);
+    }
+    return this.records.get(username);
+  }
+
+  async saveRecord(record, now) {
+    const cutoff = hourKey(new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const key of Object.keys(record.hours)) {
+      if (key < cutoff) delete record.hours[key];
+    }
+    await ensureDir(this.dir);
+    const file = this.userFile(record.username);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record), 'utf8');
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  /** Runs `task` after every earlier update has finished. */
+  serialize(task) {
+    const run = this.chain.then(task);
+    this.chain = run.catch(() => {});
+    return run;
+  }
+
+  async updateBucket(username, now, update) {
+    const record = await this.loadRecord(username);
+    const key = hourKey(now);
+    record.hours[key] ??= { runs: {}, services: {}, commands: {} };
+    update(record.hours[key]);
+    await this.saveRecord(record, now);
+  }
+
+  /**
+   * Records one upstream API call.
+   * @param {object} call
+   * @param {string} call.username
+   * @param {string} [call.command='other'] - Command that made the call, e.g. 'research' or 'chat'.
+   * @param {string} call.service - 'venice', 'brave', 'openai', ...
+   * @param {number} [call.tokensIn=0]
+   * @param {number} [call.tokensOut=0]
+   * @param {Date} [call.now]
+   * @returns {Promise<void>}
+   */
+  recordCall({ username, command = 'other', service, tokensIn = 0, tokensOut = 0, now = new Date() }) {
+    return this.serialize(() => this.updateBucket(username, now, (bucket) => {
+      const counts = { requests: 1, tokensIn, tokensOut };
+      bucket.services[service] = addCounts(bucket.services[service] || {}, counts);
+      bucket.commands[command] = addCounts(bucket.commands[command] || {}, counts);
+    }));
+  }
+
+  /**
+   * Usage totals since `since` (inclusive, hour granularity).
+   * @param {string} username
+   * @param {Date} since
+   * @returns {Promise<{runs: number, requests: number, tokensIn: number, tokensOut: number, services: object, commands: object}>}
+   */
+  async getUsage(username, since) {
+    const record = await this.loadRecord(username);
+    const from = hourKey(since);
+    const totals = emptyTotals();
+    for (const [key, bucket] of Object.entries(record.hours)) {
+      if (key < from) continue;
+      for (const [command, runs] of Object.entries(bucket.runs || {})) {
+        totals.runs += runs;
+        totals.commands[command] = totals.commands[command] || {};
+        totals.commands[command].runs = (totals.commands[command].runs || 0) + runs;
+      }
+      for (const [service, counts] of Object.entries(bucket.services || {})) {
+        addCounts(totals, counts);
+        totals.services[service] = addCounts(totals.services[service] || {}, counts);
+      }
+      for (const [command, counts] of Object.entries(bucket.commands || {})) {
+        totals.commands[command] = addCounts(totals.commands[command] || {}, counts);
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Usage in the current quota windows.
+   * @param {string} username
+   * @param {Date} [now]
+   * @returns {Promise<{hour: object, day: object}>} Totals for the current UTC hour and UTC day.
+   */
+  async getCurrentUsage(username, now = new Date()) {
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return {
+      hour: await this.getUsage(username, now),
+      day: await this.getUsage(username, dayStart)
+    };
+  }
+
+  /**
+   * Checks the user's limits against current usage.
+   * Supported limits: maxQueriesPerHour, maxQueriesPerDay (research runs + chat sessions), maxTokensPerDay.
+   * @param {string} username
+   * @param {object} [limits] - The user's limits (see UserManager#getUserLimits).
+   * @param {Date} [now]
+   * @returns {Promise<{allowed: boolean, message?: string, usage: {hour: object, day: object}}>}
+   */
+  async checkQuota(username, limits = {}, now = new Date()) {
+    const usage = await this.getCurrentUsage(username, now);
+    const exceeded = (limit, used) => Number.isFinite(Number(limit)) && limit !== null && used >= Number(limit);
+    let message;
+    if (exceeded(limits.maxQueriesPerHour, usage.hour.runs)) {
+      message = `Hourly quota reached: ${usage.hour.runs}/${limits.maxQueriesPerHour} queries this hour. It resets at the top of the hour (UTC).`;
+    } else if (exceeded(limits.maxQueriesPerDay, usage.day.runs)) {
+      message = `Daily quota reached: ${usage.day.runs}/${limits.maxQueriesPerDay} queries today. It resets at midnight UTC.`;
+    } else if (exceeded(limits.maxTokensPerDay, usage.day.tokensIn + usage.day.tokensOut)) {
+      message = `Daily token quota reached: ${usage.day.tokensIn + usage.day.tokensOut}/${limits.maxTokensPerDay} tokens today. It resets at midnight UTC.`;
+    }
+    return message ? { allowed: false, message, usage } : { allowed: true, usage };
+  }
+
+  /**
+   * Checks the quota and, if allowed, counts one run of `command` against it. Check and count happen in one
+   * serialized step, so parallel requests can't both take the last slot.
+   * @param {string} username
+   * @param {string} command - 'research' or 'chat'.
+   * @param {object} [limits]
+   * @param {Date} [now]
+   * @returns {Promise<{allowed: boolean, message?: string, usage: {hour: object, day: object}}>}
+   */
+  consumeQuota(username, command, limits = {}, now = new Date()) {
+    return this.serialize(async () => {
+      const result = await this.checkQuota(username, limits, now);
+      if (result.allowed) {
+        await this.updateBucket(username, now, (bucket) => {
+          bucket.runs[command] = (bucket.runs[command] || 0) + 1;
+        });
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Usernames with usage on record.
+   * @returns {Promise<string[]>}
+   */
+  async listUsers() {
+    let names = [];
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const users = new Set(names.filter(name => name.endsWith(ENTRY_SUFFIX)).map(name => decodeURIComponent(name.slice(0, -ENTRY_SUFFIX.length))));
+    for (const username of this.records.keys()) users.add(username);
+    return [...users].sort();
+  }
+}
+
+let sharedMeter = null;
+
+/**
+ * Process-wide meter, re-created if MCP_USAGE_DIR changes.
+ * @returns {UsageMeter}
+ */
+export function getUsageMeter() {
+  if (!sharedMeter || sharedMeter.dir !== getUsageDir()) {
+    sharedMeter = new UsageMeter();
+  }
+  return sharedMeter;
+}
+
+/**
+ * Records an API call for the user/command in `context`, as passed to LLMClient and BraveSearchProvider
+ * via their `usage` option. Does nothing without a username. Never throws: metering must not break a call.
+ * @param {{username?: string, command?: string}} [context]
+ * @param {{service: string, tokensIn?: number, tokensOut?: number}} call
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(context, call) {
+  if (!context?.username) return;
+  try {
+    await getUsageMeter().recordCall({ ...call, username: context.username, command: context.command });
+  } catch (error) {
+    console.error(`[UsageMeter] Could not record ${call.service} usage for ${context.username}: ${error.message}`);
+  }
+}
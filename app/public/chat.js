@@ -14,6 +14,8 @@ class Chat {
     // Register chat-related event handlers
     if (this.webcomm) {
       this.webcomm.registerHandler('chat-response', this.handleChatResponse.bind(this));
+      this.webcomm.registerHandler('chat-chunk', this.handleChatChunk.bind(this));
+      this.webcomm.registerHandler('chat-done', this.handleChatDone.bind(this));
       this.webcomm.registerHandler('chat-error', this.handleChatError.bind(this));
       this.webcomm.registerHandler('chat-ready', this.handleChatReady.bind(this));
       this.webcomm.registerHandler('chat-exit', this.handleChatExit.bind(this));
@@ -135,6 +137,33 @@ class Chat {
     }
   }
   
+  /**
+   * Handle a streamed piece of a chat reply; rendering is left to the terminal
+   * 
+   * @param {Object} data - Chunk data { type: 'chat-chunk', kind: 'thinking'|'reply', content: '...' }
+   */
+  handleChatChunk(data) {
+    if (this.terminal && typeof this.terminal.handleChatChunk === 'function') {
+      this.terminal.handleChatChunk(data);
+    }
+  }
+  
+  /**
+   * Handle the end of a streamed chat reply
+   * 
+   * @param {Object} data - Final data { type: 'chat-done', message: '...' }
+   */
+  handleChatDone(data) {
+    if (data.message) {
+      this.history.push({ role: 'assistant', content: data.message });
+    }
+    if (this.terminal && typeof this.terminal.handleChatDone === 'function') {
+      this.terminal.handleChatDone(data);
+    } else if (this.terminal && data.message) {
+      this.terminal.appendOutput(`[AI] ${data.message}`);
+    }
+  }
+  
   /**
    * Handle chat error from server
    * 
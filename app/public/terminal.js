@@ -24,12 +24,14 @@ class Terminal {
     this.progressBar = null; // Will be found within initialize
     this.statusElement = null; // Will be found within initialize (connection status)
     this.userStatusElement = null; // Will be found within initialize (user status)
+    this.chatStatusElement = null; // Will be found within initialize (chat model/persona, optional)
     this.eventListenersInitialized = false;
     this.mode = 'command'; // Track current mode: 'command', 'chat', 'research', 'prompt'
     this.scrollTimeout = null; // For debouncing scroll
     this.lastInputHandledTime = 0; // To prevent rapid double-enter issues
     this.currentPromptTimeoutId = null; // Store timeout ID for client-side prompts
     this.currentPromptContext = null; // Store context for client-side prompts
+    this.researchRunning = false; // True between research_start and research completion (Esc cancels)
 
     // Initialize terminal UI
     this.initialize();
@@ -58,6 +60,7 @@ class Terminal {
     this.progressBar = document.getElementById('progress-bar');
     this.statusElement = document.getElementById('connection-status'); // Connection status
     this.userStatusElement = document.getElementById('user-status'); // User status
+    this.chatStatusElement = document.getElementById('chat-status'); // Chat model/persona
 
     if (!this.input || !this.prompt || !this.progressBar || !this.statusElement || !this.userStatusElement) {
         console.error("One or more required terminal elements (input, prompt, progress bar, status, user status) not found by ID.");
@@ -102,6 +105,13 @@ class Terminal {
     // Add event listener for keyboard events on the input field
     this.input.addEventListener('keydown', this.handleKeyDown.bind(this));
 
+    // The input is disabled while research runs, so it never sees keydown; listen on the document for Esc
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && e.target !== this.input && this.researchRunning) {
+            this.handleEscapeKey(e);
+        }
+    });
+
     // Focus input when terminal output area (or container) is clicked
     // Use outputArea for more specific clicking
     this.outputArea.addEventListener('click', (event) => {
@@ -132,11 +142,15 @@ class Terminal {
       webcomm.registerHandler('mode_change', this.handleModeChange.bind(this));
       webcomm.registerHandler('chat-ready', this.handleChatReady.bind(this));
       webcomm.registerHandler('chat-exit', this.handleChatExit.bind(this));
+      webcomm.registerHandler('chat-context', this.handleChatContext.bind(this));
       webcomm.registerHandler('research_start', this.handleResearchStart.bind(this));
       webcomm.registerHandler('research_result_ready', this.handleResearchResultReady.bind(this));
       webcomm.registerHandler('research_complete', this.handleResearchComplete.bind(this));
       webcomm.registerHandler('chat-response', this.handleChatResponse.bind(this));
+      webcomm.registerHandler('chat-chunk', this.handleChatChunk.bind(this));
+      webcomm.registerHandler('chat-done', this.handleChatDone.bind(this));
       webcomm.registerHandler('memory_commit', this.handleMemoryCommit.bind(this));
+      webcomm.registerHandler('memory_update', this.handleMemoryUpdate.bind(this));
       webcomm.registerHandler('login_success', this.handleLoginSuccess.bind(this));
       webcomm.registerHandler('logout_success', this.handleLogoutSuccess.bind(this));
       webcomm.registerHandler('enable_input', this.handleEnableInput.bind(this));
@@ -231,6 +245,9 @@ class Terminal {
         webcomm.sendInput("").catch(err => console.error("Error sending cancel input:", err));
         if (reject) reject(new Error("Prompt cancelled by user."));
         e.preventDefault();
+      } else if (this.researchRunning) {
+        this.requestResearchCancel();
+        e.preventDefault();
       } else if (this.inputEnabled) {
         // If no prompt is active and input is enabled, clear the input field
         console.log("No active prompt, clearing input field.");
@@ -241,6 +258,21 @@ class Terminal {
       }
   }
 
+  /**
+   * Asks the server to abort the running research. Partial results arrive through the usual
+   * research completion flow, so input state is left to the server.
+   */
+  requestResearchCancel() {
+      if (!this.researchRunning || this.cancelRequested) return;
+      this.cancelRequested = true;
+      this.appendOutput('Cancelling research...');
+      this.updateProgressBar('Cancelling...');
+      webcomm.sendCommand('/cancel').catch(err => {
+          console.error("Error sending cancel command:", err);
+          this.cancelRequested = false;
+      });
+  }
+
   /**
    * Handle user input based on the current mode.
    *
@@ -447,6 +479,7 @@ class Terminal {
     if (message.error) {
       this.appendOutput(`Error: ${message.error}`, 'error-output'); // Use a specific type for errors
     }
+    this.chatStream = null; // A failed streamed reply must not swallow the next one
     // --- Start: Reset prompt state on error ---
     // Check both password and generic prompts
     const wasPasswordPending = !!this.pendingPasswordResolve;
@@ -487,6 +520,7 @@ class Terminal {
     console.log("Received 'prompt' message:", message);
     // --- FIX: Use message.data for prompt text ---
     const { data: promptText, isPassword, context } = message;
+    if (context === 'post_research_action') this.setResearchRunning(false);
 
     // Clear previous prompt state (important if server sends rapid prompts)
     this.clearPasswordPromptState(false); // Don't enable input yet
@@ -565,6 +599,7 @@ class Terminal {
       console.log("Received 'session-expired' message"); // Add log
       this.appendOutput('Session expired due to inactivity. Please login again.');
       this.setMode('command', '> '); // Reset mode
+      this.updateChatStatus(null);
       this.updateUserStatus('public');
       this.enableInput(); // Ensure input is re-enabled after session expiration
   }
@@ -580,14 +615,22 @@ class Terminal {
       console.log("Received 'chat-ready' message:", message); // Add log
       // Explicitly set mode to 'chat' here
       this.setMode('chat', message.prompt || '[chat] > ');
+      this.updateChatStatus(message);
       this.appendOutput('Chat session ready. Type /exit to leave.');
       // Server should send enable_input
   }
 
+  // Sent after in-chat /model or /character switches
+  handleChatContext(message) {
+      console.log("Received 'chat-context' message:", message); // Add log
+      this.updateChatStatus(message);
+  }
+
   handleChatExit(message) {
       console.log("Received 'chat-exit' message"); // Add log
       this.appendOutput('Exited chat mode.');
       this.setMode('command', '> '); // Revert to command mode AND set prompt
+      this.updateChatStatus(null);
       // Server should send enable_input
   }
 
@@ -597,6 +640,7 @@ class Terminal {
       // Don't change mode here, let server dictate if needed.
       // Research usually happens in 'command' mode context initiated by /research
       // this.setMode('research', '[research] ');
+      this.setResearchRunning(true);
       this.showProgressBar();
       this.updateProgressBar('Initializing research...');
       // Research start should keep input disabled
@@ -605,13 +649,14 @@ class Terminal {
   // --- ADDED: Handler for research result ready ---
   handleResearchResultReady(message) {
       console.log("Received 'research_result_ready' message:", message);
+      this.setResearchRunning(false);
       this.hideProgressBar(); // Ensure progress bar is hidden
       this.appendOutput(`\n--- Research Summary ---`);
       this.appendOutput(message.summary || 'Summary not available.');
       this.appendOutput(`----------------------`);
       // Trigger the client-side prompt for post-research action
       // The server has set the context 'post_research_action'
-      this.promptForInput("Choose action: [Download] | [Upload] | [Keep]", 'post_research_action')
+      this.promptForInput("Choose action: [Download] | [Export] | [Upload] | [Keep]", 'post_research_action')
           .then(value => console.log("Post-research action prompt resolved."))
           .catch(err => console.log("Post-research action prompt failed:", err.message));
       // Input remains disabled until the prompt is resolved/rejected and server sends enable/disable
@@ -621,6 +666,7 @@ class Terminal {
   handleResearchComplete(message) {
       // This might still be sent on error or if no prompt is needed (e.g., CLI mode)
       console.log("Received 'research_complete' message:", message); // Add log
+      this.setResearchRunning(false);
       this.hideProgressBar();
       if (message.error) {
           this.appendOutput(`Research failed: ${message.error}`);
@@ -652,6 +698,66 @@ class Terminal {
       // server will re-enable input
   }
 
+  /**
+   * Handle one streamed piece of a chat reply.
+   * Thinking and reply text are appended to their own lines as they arrive.
+   *
+   * @param {Object} message - { type: 'chat-chunk', kind: 'thinking'|'reply', content }
+   */
+  handleChatChunk(message) {
+      if (!message.content) return;
+      if (!this.chatStream) this.chatStream = { thinking: null, reply: null };
+      const kind = message.kind === 'thinking' ? 'thinking' : 'reply';
+      const part = this.chatStream[kind] || (this.chatStream[kind] = { text: '', body: null });
+      part.text += message.content;
+      if (!part.body) {
+          // Don't open a line for the whitespace between </thinking> and the reply
+          if (!part.text.trim()) return;
+          part.body = this._createChatStreamLine(kind);
+      }
+      part.body.innerHTML = part.text.trimStart().replace(/\n/g, '<br>');
+      this.scrollToBottom();
+  }
+
+  /**
+   * Finish a streamed chat reply. The final message is authoritative: it replaces the streamed
+   * reply text (e.g. when the model wrapped its answer in JSON), or is rendered in full if nothing was streamed.
+   *
+   * @param {Object} message - { type: 'chat-done', message }
+   */
+  handleChatDone(message) {
+      const stream = this.chatStream;
+      this.chatStream = null;
+      if (!stream) {
+          if (message.message) this._displayAiResponse(message.message);
+          return;
+      }
+      const replyText = (message.message || '').replace(/<(thinking|think)\s*>([\s\S]*?)<\/\s*(thinking|think)\s*>/s, '').trim();
+      if (!replyText) return;
+      const body = stream.reply?.body || this._createChatStreamLine('reply', !!stream.thinking?.body);
+      body.innerHTML = replyText.replace(/\n/g, '<br>');
+      this.scrollToBottom();
+  }
+
+  _createChatStreamLine(kind, afterThinking = !!this.chatStream?.thinking?.body) {
+      const outputContainer = this.outputArea;
+      const body = document.createElement('span');
+      if (!outputContainer) return body;
+
+      if (kind === 'reply' && afterThinking) {
+          const spacerLine = document.createElement('div');
+          spacerLine.className = 'terminal-line-spacer';
+          spacerLine.innerHTML = '&nbsp;';
+          outputContainer.appendChild(spacerLine);
+      }
+      const line = document.createElement('div');
+      line.className = `terminal-line ${kind}-line`;
+      line.innerHTML = `<span class="${kind}-header">[${kind}]</span><br>`;
+      line.appendChild(body);
+      outputContainer.appendChild(line);
+      return body;
+  }
+
   handleMemoryCommit(message) {
       console.log("Received 'memory_commit' message:", message); // Add log
       this.appendOutput(`Memory finalized. ${message.commitSha ? `Commit: ${message.commitSha}` : '(Local)'}`);
@@ -659,6 +765,12 @@ class Terminal {
       // Server should send enable_input
   }
 
+  // Background memory consolidation during a /chat --memory=true session; input state is unchanged
+  handleMemoryUpdate(message) {
+      console.log("Received 'memory_update' message:", message);
+      this.appendOutput(message.message || `[memory] Consolidated ${message.validated || 0} memories.`);
+  }
+
   handleLoginSuccess(message) {
       console.log("Received 'login_success' message:", message); // Add log
       this.appendOutput(`Login successful. Welcome, ${message.username}!`);
@@ -674,6 +786,7 @@ class Terminal {
       this.updateUserStatus('public');
       // Logout success implies command mode
       this.setMode('command', '> ');
+      this.updateChatStatus(null);
       // Server should send enable_input
   }
 
@@ -687,7 +800,9 @@ class Terminal {
           return;
       }
       try {
-          const blob = new Blob([content], { type: 'text/markdown;charset=utf-8' });
+          // The research tree export is JSON; everything else is a markdown report
+          const mimeType = filename.endsWith('.json') ? 'application/json' : 'text/markdown';
+          const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
           const link = document.createElement('a');
           link.href = URL.createObjectURL(blob);
           link.download = filename;
@@ -970,6 +1085,11 @@ class Terminal {
       }
   }
 
+  setResearchRunning(running) {
+    this.researchRunning = running;
+    this.cancelRequested = false;
+  }
+
   /**
    * Enable input
    */
@@ -1066,6 +1186,26 @@ class Terminal {
       }
   }
 
+  /**
+   * Show the chat model and persona in the prompt and status bar.
+   * @param {{model?: string, character?: string|null}|null} context - From chat-ready/chat-context; null clears it.
+   */
+  updateChatStatus(context) {
+      if (this.mode === 'chat') {
+          const persona = context?.character ? context.character.toLowerCase() : 'chat';
+          this.currentPrompt = `[${persona}${context?.model ? ` · ${context.model}` : ''}] > `;
+          this.setPrompt(this.currentPrompt);
+      }
+      if (!this.chatStatusElement) return;
+      if (!context) {
+          this.chatStatusElement.hidden = true;
+          this.chatStatusElement.textContent = '';
+          return;
+      }
+      this.chatStatusElement.textContent = `Chat: ${context.model || 'default model'} | ${context.character || 'no persona'}`;
+      this.chatStatusElement.hidden = false;
+  }
+
   /**
    * Set the current interaction mode and prompt display.
    * @param {string} mode - 'command', 'chat', 'research', 'prompt'
@@ -0,0 +1,57 @@
+/**
+ * Bounded concurrency pool shared across a research tree.
+ * Tasks beyond the limit wait in FIFO order until a slot frees up.
+ */
+export class ConcurrencyPool {
+  /**
+   * @param {number} [limit=3] - Maximum number of tasks running at once.
+   */
+  constructor(limit = 3) {
+    const parsed = parseInt(limit, 10);
+    this.limit = Number.isFinite(parsed) && parsed > 0 ? parsed : 1;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Number of tasks waiting for a slot.
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Runs a task once a slot is available.
+   * Callers must not await other pool tasks from inside `task`, otherwise a
+   * full pool can deadlock on itself.
+   * @param {Function} task - Async function to execute.
+   * @returns {Promise<*>} Resolves/rejects with the task's result.
+   */
+  async run(task) {
+    await this.acquire();
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      // Hand the slot directly to the next waiter; active count is unchanged.
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
@@ -1,18 +1,42 @@
+/**
+ * Resolves after `ms`, or rejects with an AbortError as soon as `signal` fires.
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} [signal] - Optional abort signal.
+ * @returns {Promise<void>}
+ */
+export function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => Object.assign(new Error('Operation aborted'), { name: 'AbortError' });
+    if (signal?.aborted) return reject(abortError());
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 export class RateLimiter {
   constructor(interval) {
     this.interval = interval;
     this.lastRequestTime = 0;
   }
 
-  async waitForNextSlot() {
+  async waitForNextSlot(signal) {
+    // Reserve the slot synchronously so concurrent callers (parallel research
+    // paths sharing one provider) queue up behind each other instead of all
+    // reading the same lastRequestTime and firing at once.
     const now = Date.now();
-    const elapsed = now - this.lastRequestTime;
+    const slot = Math.max(now, this.lastRequestTime + this.interval);
+    this.lastRequestTime = slot;
 
-    if (elapsed < this.interval) {
-      const waitTime = this.interval - elapsed;
-      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    const waitTime = slot - now;
+    if (waitTime > 0) {
+      await abortableDelay(waitTime, signal);
     }
-
-    this.lastRequestTime = Date.now();
   }
-}
\ No newline at end of file
+}
@@ -10,10 +10,11 @@ import { getDefaultTokenClassifierCharacterSlug } from '../infrastructure/ai/ven
  * @param {string} query - The user query.
  * @param {string} veniceApiKey - The decrypted Venice API key.
  * @param {function} debugHandler - Optional debug handler for logging.
+ * @param {{username: string, command: string}} [usage] - Attribution for the usage meter.
  * @returns {Promise<string|null>} The AI's response as a string, or null if classification fails non-critically.
  * @throws {Error} If API key is missing or API call fails critically.
  */
-export async function callVeniceWithTokenClassifier(query, veniceApiKey, debugHandler = console.log) {
+export async function callVeniceWithTokenClassifier(query, veniceApiKey, debugHandler = console.log, usage) {
   if (!veniceApiKey) {
     debugHandler('[TokenClassifier] Venice API key not provided. Skipping classification.');
     return null;
@@ -25,6 +26,7 @@ export async function callVeniceWithTokenClassifier(query, veniceApiKey, debugHa
 
   const llmConfig = { 
     apiKey: veniceApiKey,
+    usage,
     // Pass the debugHandler to LLMClient if it supports errorFn/outputFn for its own logging
     // errorFn: debugHandler, // Or a more specific error handler
     // outputFn: debugHandler // For LLMClient's own verbose logs
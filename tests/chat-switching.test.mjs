@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { executeChatModel, executeChatCharacter, getChatContext } from '../app/commands/chat.cli.mjs';
+import { packChatMessages } from '../app/infrastructure/ai/llm.token-budget.mjs';
+import { userManager } from '../app/features/auth/user-manager.mjs';
+
+describe('in-chat /model and /character', () => {
+  let lines;
+  let session;
+  const run = (execute, positionalArgs) =>
+    execute({ session, positionalArgs, output: line => lines.push(line), error: line => lines.push(`ERR ${line}`) });
+
+  beforeEach(() => {
+    lines = [];
+    session = { username: 'alice', isChatActive: true, sessionModel: 'qwen3-235b', sessionCharacter: 'bitcore', sessionPersona: null, llmProvider: 'venice' };
+    fetch.mockReset();
+    fetch.mockRejectedValue(new Error('offline')); // Model catalog falls back to the built-in Venice table
+    vi.spyOn(userManager, 'getPersonas').mockResolvedValue({
+      poet: { name: 'Poet', slug: 'poet', systemPrompt: 'Answer in verse.', model: 'llama-3.3-70b', temperature: 1, builtIn: false }
+    });
+  });
+
+  it('switches to a catalog model and rejects unknown ones', async () => {
+    expect(await run(executeChatModel, ['LLAMA-3.3-70B'])).toEqual({ success: true, changed: true });
+    expect(session.sessionModel).toBe('llama-3.3-70b');
+
+    const result = await run(executeChatModel, ['llama-9']);
+    expect(result.success).toBe(false);
+    expect(lines.at(-1)).toMatch(/^ERR Model 'llama-9' is not offered by venice\. Did you mean: .*llama-3\.3-70b/);
+    expect(session.sessionModel).toBe('llama-3.3-70b');
+
+    await run(executeChatModel, []);
+    expect(lines.at(-1)).toMatch(/^Chat model: llama-3\.3-70b \(venice\)/);
+  });
+
+  it('reports unreadable credentials instead of checking the built-in catalog', async () => {
+    vi.spyOn(userManager, 'hasApiKey').mockResolvedValue(true);
+    vi.spyOn(userManager, 'getApiKey').mockRejectedValue(new Error('Decryption failed'));
+
+    const result = await executeChatModel({ session, positionalArgs: ['llama-3.3-70b'], password: 'wrong', output: line => lines.push(line), error: line => lines.push(`ERR ${line}`) });
+
+    expect(result).toMatchObject({ success: false });
+    expect(lines).toEqual(['ERR Could not read your venice credentials (Decryption failed). Check your password; the chat model was not changed.']);
+    expect(session.sessionModel).toBe('qwen3-235b');
+    vi.restoreAllMocks();
+  });
+
+  it('switches persona, taking its default model', async () => {
+    expect(await run(executeChatCharacter, ['Poet'])).toEqual({ success: true, changed: true });
+    expect(getChatContext(session)).toEqual({ model: 'llama-3.3-70b', character: 'Poet', provider: 'venice' });
+
+    await run(executeChatCharacter, ['none']);
+    expect(session).toMatchObject({ sessionCharacter: 'None', sessionPersona: null });
+
+    expect((await run(executeChatCharacter, ['ghost'])).success).toBe(false);
+    expect(session.sessionCharacter).toBe('None');
+  });
+
+  it('keeps chat history metadata out of the LLM messages', () => {
+    const { messages } = packChatMessages({
+      history: [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: 'hello', meta: { model: 'qwen3-235b', persona: 'bitcore' } },
+        { role: 'user', content: 'bye' }
+      ],
+      contextTokens: 8000
+    });
+    expect(messages).toEqual([
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: 'hello' },
+      { role: 'user', content: 'bye' }
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Readable } from 'stream';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { LLMClient } from '../app/infrastructure/ai/venice.llm-client.mjs';
+import {
+  registerChatTool,
+  getChatToolSchemas,
+  listChatTools,
+  modelSupportsTools,
+  runChatWithTools,
+  formatToolStep
+} from '../app/features/ai/chat.tools.mjs';
+
+const quiet = { outputFn: () => {}, errorFn: () => {} };
+
+function jsonReply(message) {
+  return { ok: true, status: 200, json: async () => ({ model: 'llama-3.3-70b', choices: [{ message }] }) };
+}
+
+function toolCall(id, name, args) {
+  return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+describe('chat tool registry', () => {
+  it('exposes the built-in tools in the function-calling format', () => {
+    expect(listChatTools().map(t => t.name)).toEqual(expect.arrayContaining(['web_search', 'research', 'recall_memories', 'read_last_research']));
+    const [schema] = getChatToolSchemas(['web_search']);
+    expect(schema).toMatchObject({ type: 'function', function: { name: 'web_search', parameters: { required: ['query'] } } });
+    expect(() => registerChatTool('bad name', { execute: () => {} })).toThrow(/letters, digits and underscores/);
+  });
+
+  it('enables tools only for models with a function calling trait', () => {
+    expect(modelSupportsTools({ provider: 'venice' }, 'llama-3.3-70b')).toBe(true);
+    expect(modelSupportsTools({ provider: 'venice' }, 'qwen3-235b')).toBe(false);
+    expect(modelSupportsTools({ provider: 'openai' }, 'my-local-model')).toBe(false);
+  });
+});
+
+describe('runChatWithTools', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('executes tool calls server-side and feeds the results back', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonReply({ content: null, tool_calls: [toolCall('call_1', 'read_last_research', { maxChars: 500 })] }))
+      .mockResolvedValueOnce(jsonReply({ content: 'The report says BM25 saturates term frequency.' }));
+    const session = { currentResearchResult: '# BM25\nBM25 saturates term frequency.' };
+    const steps = [];
+
+    const result = await runChatWithTools({
+      llm: new LLMClient({ apiKey: 'k', cache: 'off', ...quiet }),
+      messages: [{ role: 'user', content: 'What did the research find?' }],
+      model: 'llama-3.3-70b',
+      context: { session },
+      onStep: step => steps.push(formatToolStep(step))
+    });
+
+    expect(result.content).toBe('The report says BM25 saturates term frequency.');
+    expect(steps).toEqual(['[tool] read_last_research {"maxChars":500}', '[tool] read_last_research: 37 characters']);
+
+    const first = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(first.tool_choice).toBe('auto');
+    expect(first.tools.map(t => t.function.name)).toContain('read_last_research');
+
+    const second = JSON.parse(fetch.mock.calls[1][1].body);
+    expect(second.messages[1]).toMatchObject({ role: 'assistant', tool_calls: [{ id: 'call_1', function: { name: 'read_last_research' } }] });
+    expect(second.messages[2]).toMatchObject({ role: 'tool', tool_call_id: 'call_1' });
+    expect(JSON.parse(second.messages[2].content).report).toContain('saturates term frequency');
+  });
+
+  it('reports tool failures to the model and withdraws tools after the round limit', async () => {
+    fetch.mockImplementation(async (url, options) => {
+      const body = JSON.parse(options.body);
+      return body.tools
+        ? jsonReply({ content: '', tool_calls: [toolCall(`call_${fetch.mock.calls.length}`, 'recall_memories', { query: 'bm25' })] })
+        : jsonReply({ content: 'Giving up on memory.' });
+    });
+    const steps = [];
+
+    const result = await runChatWithTools({
+      llm: new LLMClient({ apiKey: 'k', cache: 'off', ...quiet }),
+      messages: [{ role: 'user', content: 'What do you remember?' }],
+      context: { session: {} },
+      maxRounds: 2,
+      onStep: step => steps.push(step)
+    });
+
+    expect(result.content).toBe('Giving up on memory.');
+    expect(result.toolSteps).toHaveLength(2);
+    expect(steps[1]).toMatchObject({ type: 'result', ok: false, summary: expect.stringMatching(/Memory is not enabled/) });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('assembles streamed tool call fragments', async () => {
+    const events = [
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_9', function: { name: 'web_', arguments: '{"que' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'search', arguments: 'ry":"bm25"}' } }] } }] },
+      '[DONE]'
+    ];
+    const text = events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+    fetch.mockResolvedValue({ ok: true, status: 200, body: Readable.from([Buffer.from(text)]) });
+
+    const result = await new LLMClient({ apiKey: 'k', cache: 'off', ...quiet }).completeChat({
+      messages: [{ role: 'user', content: 'Search bm25' }],
+      stream: true,
+      tools: getChatToolSchemas(['web_search'])
+    });
+
+    expect(result.content).toBe('');
+    expect(result.toolCalls).toEqual([{ id: 'call_9', name: 'web_search', arguments: '{"query":"bm25"}' }]);
+  });
+});
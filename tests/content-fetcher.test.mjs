@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { ContentFetcher, extractReadableText, chunkText, isPublicAddress } from '../app/infrastructure/search/search.content-fetcher.mjs';
+import { parseRobotsTxt, isPathAllowed, RobotsPolicy } from '../app/infrastructure/search/search.robots.mjs';
+
+const ARTICLE_HTML = `<!doctype html><html><head><title>t</title><style>body{}</style></head><body>
+<nav><a href="/">Home</a> | <a href="/about">About</a></nav>
+<script>window.tracking = true;</script>
+<article><h1>Solar in 2024</h1><p>Solar capacity doubled &amp; costs fell.</p><p>Storage is next.</p></article>
+<footer>Copyright</footer></body></html>`;
+
+// Local fixture site standing in for search result pages
+function createFixtureServer() {
+  return http.createServer((req, res) => {
+    switch (req.url) {
+      case '/robots.txt':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('User-agent: *\nDisallow: /private\nAllow: /private/ok\n');
+        break;
+      case '/article':
+      case '/private/ok':
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(ARTICLE_HTML);
+        break;
+      case '/private/secret':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<p>should never be fetched</p>');
+        break;
+      case '/slow':
+        setTimeout(() => { res.writeHead(200, { 'Content-Type': 'text/html' }); res.end('<p>late</p>'); }, 1000);
+        break;
+      case '/huge':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('a'.repeat(200000));
+        break;
+      case '/pdf':
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        res.end('%PDF-1.4');
+        break;
+      default:
+        res.writeHead(404);
+        res.end();
+    }
+  });
+}
+
+describe('ContentFetcher', () => {
+  let server;
+  let baseUrl;
+  const requested = [];
+  // The fixture site runs on loopback, which result URLs may not reach by default
+  const localFetcher = (options = {}) => new ContentFetcher({ allowPrivateHosts: true, ...options });
+
+  beforeAll(async () => {
+    server = createFixtureServer();
+    server.on('request', req => requested.push(req.url));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('extracts readable article text without boilerplate', async () => {
+    const fetcher = localFetcher();
+    const page = await fetcher.fetchPage(`${baseUrl}/article`);
+
+    expect(page.text).toBe('Solar in 2024\n\nSolar capacity doubled & costs fell.\n\nStorage is next.');
+    expect(page.text).not.toMatch(/Home|tracking|Copyright/);
+  });
+
+  it('respects robots.txt and fetches it once per origin', async () => {
+    requested.length = 0;
+    const fetcher = localFetcher();
+    const [blocked, allowed] = await fetcher.fetchAll([`${baseUrl}/private/secret`, `${baseUrl}/private/ok`]);
+
+    expect(blocked.skipped).toBe('disallowed by robots.txt');
+    expect(allowed.text).toContain('Solar capacity doubled');
+    expect(requested).not.toContain('/private/secret');
+    expect(requested.filter(url => url === '/robots.txt')).toHaveLength(1);
+  });
+
+  it('gives up on slow pages after the timeout', async () => {
+    const fetcher = localFetcher({ timeoutMs: 100 });
+    const page = await fetcher.fetchPage(`${baseUrl}/slow`);
+
+    expect(page.text).toBeNull();
+    expect(page.skipped).toBe('timed out after 100ms');
+  });
+
+  it('caps the download size and the text kept per page', async () => {
+    const fetcher = localFetcher({ maxBytes: 10000 });
+    const page = await fetcher.fetchPage(`${baseUrl}/huge`, { maxCharsPerPage: 3000 });
+
+    expect(page.text.length).toBeLessThanOrEqual(3000);
+    expect(page.chunks.length).toBeGreaterThan(0);
+  });
+
+  it('skips non-text content and HTTP errors', async () => {
+    const fetcher = localFetcher();
+    const [pdf, missing] = await fetcher.fetchAll([`${baseUrl}/pdf`, `${baseUrl}/missing`]);
+
+    expect(pdf.skipped).toMatch(/unsupported content type/);
+    expect(missing.skipped).toBe('HTTP 404');
+  });
+
+  it('refuses result URLs on loopback and private addresses', async () => {
+    requested.length = 0;
+    const lookup = async host => [{ address: host === 'intranet.example' ? '10.0.0.5' : '93.184.216.34', family: 4 }];
+    const fetcher = new ContentFetcher({ lookup });
+    const [loopback, intranet] = await fetcher.fetchAll([`${baseUrl}/article`, 'http://intranet.example/admin']);
+
+    expect(loopback.skipped).toBe('non-public address 127.0.0.1');
+    expect(intranet.skipped).toBe('non-public address 10.0.0.5');
+    expect(requested).toEqual([]);
+  });
+
+  it('checks every redirect hop before following it', async () => {
+    const fetched = [];
+    const fetchFn = async (url) => {
+      fetched.push(url);
+      if (url.endsWith('/robots.txt')) return new Response('', { status: 404 });
+      return new Response(null, { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } });
+    };
+    const fetcher = new ContentFetcher({ fetchFn, lookup: async () => [{ address: '93.184.216.34', family: 4 }] });
+    const page = await fetcher.fetchPage('https://news.example/story');
+
+    expect(page.skipped).toBe('non-public address 169.254.169.254');
+    expect(fetched).toEqual(['https://news.example/robots.txt', 'https://news.example/story']);
+  });
+});
+
+describe('content helpers', () => {
+  it('chunks at paragraph boundaries within the size limit', () => {
+    const text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+    expect(chunkText(text, 90)).toEqual([`${'a'.repeat(40)}\n\n${'b'.repeat(40)}`, 'c'.repeat(40)]);
+  });
+
+  it('resolves robots.txt rules by longest match', () => {
+    const rules = parseRobotsTxt('User-agent: other\nDisallow: /\n\nUser-agent: *\nDisallow: /docs\nAllow: /docs/public$\n', 'BITcoreResearchBot');
+    expect(isPathAllowed(rules, '/docs/internal')).toBe(false);
+    expect(isPathAllowed(rules, '/docs/public')).toBe(true);
+    expect(isPathAllowed(rules, '/blog')).toBe(true);
+  });
+
+  it('treats an unreachable robots.txt as disallowing everything and a missing one as allowing everything', async () => {
+    const policy = status => new RobotsPolicy({ userAgent: 'BITcoreResearchBot', fetchFn: async () => new Response('', { status }) });
+    expect(await policy(503).isAllowed('https://a.example/page')).toBe(false);
+    expect(await policy(404).isAllowed('https://a.example/page')).toBe(true);
+    const offline = new RobotsPolicy({ userAgent: 'BITcoreResearchBot', fetchFn: async () => { throw new Error('ECONNREFUSED'); } });
+    expect(await offline.isAllowed('https://a.example/page')).toBe(false);
+  });
+
+  it('tells public addresses from loopback, private and link-local ones', () => {
+    expect(['8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8'].map(isPublicAddress)).toEqual([true, true, true]);
+    expect(['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'].some(isPublicAddress)).toBe(false);
+  });
+
+  it('falls back to the body when there is no article element', () => {
+    expect(extractReadableText('<body><div>One</div><div>Two &#8212; three</div></body>')).toBe('One\n\nTwo — three');
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import { LLMClient } from '../app/infrastructure/ai/venice.llm-client.mjs';
+import { OpenAICompatibleClient } from '../app/infrastructure/ai/openai.llm-client.mjs';
+import {
+  createLLMClient,
+  getLLMProviderDefinition,
+  listLLMProviders,
+  llmProviderRequiresKey
+} from '../app/infrastructure/ai/llm.providers.mjs';
+
+const quiet = { outputFn: () => {}, errorFn: () => {}, cache: 'off' };
+
+// Minimal stand-in for llama.cpp / vLLM: GET /v1/models and POST /v1/chat/completions
+function createOpenAIServer(requests) {
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/v1/models') {
+        res.end(JSON.stringify({ object: 'list', data: [{ id: 'local-llama', max_model_len: 8192 }, { id: 'local-qwen' }] }));
+      } else if (req.url === '/v1/chat/completions') {
+        const { model } = JSON.parse(body);
+        res.end(JSON.stringify({ model: model || 'server-default', choices: [{ message: { content: `answer from ${model}` } }], usage: { total_tokens: 5 } }));
+      } else {
+        res.statusCode = 404;
+        res.end('{}');
+      }
+    });
+  });
+}
+
+describe('LLM provider registry', () => {
+  it('registers venice and openai', () => {
+    expect(listLLMProviders().map(p => p.name)).toEqual(expect.arrayContaining(['venice', 'openai']));
+    expect(getLLMProviderDefinition('OpenAI').name).toBe('openai');
+    expect(getLLMProviderDefinition('claude')).toBeNull();
+    expect(llmProviderRequiresKey('venice')).toBe(true);
+    expect(llmProviderRequiresKey('openai')).toBe(false);
+  });
+
+  it('creates the client class of the chosen provider', () => {
+    expect(createLLMClient({ provider: 'venice', apiKey: 'k', ...quiet })).toBeInstanceOf(LLMClient);
+    expect(createLLMClient({ provider: 'openai', baseUrl: 'http://127.0.0.1:1/v1', ...quiet })).toBeInstanceOf(OpenAICompatibleClient);
+    expect(() => createLLMClient({ provider: 'claude' })).toThrow(/Unknown LLM provider 'claude'/);
+  });
+
+  it('turns stored /keys credentials into client config', () => {
+    expect(getLLMProviderDefinition('venice').fromCredential('k')).toEqual({ apiKey: 'k' });
+    expect(getLLMProviderDefinition('openai').fromCredential('{"baseUrl":"http://gpu:8000/v1","model":"m"}')).toEqual({ baseUrl: 'http://gpu:8000/v1', model: 'm' });
+  });
+
+  it('offers the built-in Venice table as a model fallback', () => {
+    expect(getLLMProviderDefinition('venice').fallbackModels()).toEqual(expect.arrayContaining([expect.objectContaining({ id: 'llama-3.3-70b', availableContextTokens: 65536 })]));
+    expect(getLLMProviderDefinition('openai').fallbackModels()).toEqual([]);
+  });
+});
+
+describe('OpenAICompatibleClient', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = createOpenAIServer(requests);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('runs without an API key and lists the server models', async () => {
+    const client = createLLMClient({ provider: 'openai', baseUrl, ...quiet });
+    expect(await client.listModels()).toEqual([
+      { id: 'local-llama', availableContextTokens: 8192, traits: [] },
+      { id: 'local-qwen', availableContextTokens: null, traits: [] }
+    ]);
+  });
+
+  it('sends OpenAI payloads with the configured auth header and no Venice extensions', async () => {
+    requests.length = 0;
+    const client = createLLMClient({ provider: 'openai', baseUrl, apiKey: 'secret', apiKeyHeader: 'X-API-Key', model: 'local-qwen', ...quiet });
+    const result = await client.complete({ system: 'Be brief.', prompt: 'Hi', type: 'research' });
+
+    expect(result.content).toBe('answer from local-qwen');
+    const [request] = requests;
+    expect(request.headers['x-api-key']).toBe('secret');
+    expect(request.headers.authorization).toBeUndefined();
+    expect(request.body.model).toBe('local-qwen');
+    expect(request.body).not.toHaveProperty('venice_parameters');
+  });
+
+  it('uses the first listed model instead of Venice model ids', async () => {
+    requests.length = 0;
+    const client = createLLMClient({ provider: 'openai', baseUrl, apiKey: 'secret', ...quiet });
+    const result = await client.completeChat({ messages: [{ role: 'user', content: 'Hi' }], model: 'qwen3-235b' });
+
+    expect(result.content).toBe('answer from local-llama');
+    expect(requests.map(r => r.url)).toEqual(['/v1/models', '/v1/chat/completions']);
+    expect(requests[1].headers.authorization).toBe('Bearer secret');
+
+    await client.completeChat({ messages: [{ role: 'user', content: 'Again' }], model: 'local-qwen' });
+    expect(requests.map(r => r.url)).toEqual(['/v1/models', '/v1/chat/completions', '/v1/chat/completions']);
+    expect(requests[2].body.model).toBe('local-qwen');
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { LLMClient } from '../app/infrastructure/ai/venice.llm-client.mjs';
+import { computeLLMCacheKey } from '../app/infrastructure/ai/venice.response-cache.mjs';
+import { generateQueries } from '../app/features/ai/research.providers.mjs';
+
+const MESSAGES = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'What is BM25?' }];
+
+function veniceReply(content) {
+  return { ok: true, status: 200, json: async () => ({ model: 'llama-3.3-70b', choices: [{ message: { content } }], usage: { total_tokens: 12 } }) };
+}
+
+describe('LLMClient response cache', () => {
+  let dir;
+  const quiet = { outputFn: () => {}, errorFn: () => {} };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+    fetch.mockReset();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keys requests by model, messages, temperature and venice_parameters', () => {
+    const base = { model: 'm', messages: MESSAGES, temperature: 0.5, venice_parameters: { character_slug: 'a', x: 1 } };
+    expect(computeLLMCacheKey(base)).toBe(computeLLMCacheKey({ ...base, venice_parameters: { x: 1, character_slug: 'a' }, max_tokens: 99 }));
+    expect(computeLLMCacheKey(base)).not.toBe(computeLLMCacheKey({ ...base, temperature: 0.7 }));
+    expect(computeLLMCacheKey(base)).not.toBe(computeLLMCacheKey({ ...base, model: 'other' }));
+  });
+
+  it('keys tool requests by the offered tools and the tool turns', () => {
+    const base = { model: 'm', messages: MESSAGES, temperature: 0.5 };
+    const tools = [{ type: 'function', function: { name: 'web_search', parameters: { type: 'object' } } }];
+    const withTools = { ...base, tools, tool_choice: 'auto' };
+    const call = { role: 'assistant', content: '', tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'web_search', arguments: '{"query":"a"}' } }] };
+    const result = (content) => ({ role: 'tool', tool_call_id: 'call-1', content });
+
+    expect(computeLLMCacheKey(base)).toBe(computeLLMCacheKey({ ...base, tools: undefined, tool_choice: undefined }));
+    expect(computeLLMCacheKey(base)).not.toBe(computeLLMCacheKey(withTools));
+    expect(computeLLMCacheKey(withTools)).not.toBe(computeLLMCacheKey({ ...withTools, tool_choice: 'none' }));
+    expect(computeLLMCacheKey({ ...withTools, messages: [...MESSAGES, call, result('x')] }))
+      .not.toBe(computeLLMCacheKey({ ...withTools, messages: [...MESSAGES, { ...call, tool_calls: [] }, result('x')] }));
+    expect(computeLLMCacheKey({ ...withTools, messages: [...MESSAGES, call, result('x')] }))
+      .not.toBe(computeLLMCacheKey({ ...withTools, messages: [...MESSAGES, call, { ...result('x'), tool_call_id: 'call-2' }] }));
+  });
+
+  it('keys structured requests by their response_format', () => {
+    const base = { model: 'm', messages: MESSAGES, temperature: 0.5 };
+    const schema = { type: 'json_schema', json_schema: { name: 'result', strict: true, schema: { type: 'object' } } };
+
+    // A schema-constrained request and its prompt-only retry must not share a cached reply
+    expect(computeLLMCacheKey(base)).not.toBe(computeLLMCacheKey({ ...base, response_format: schema }));
+    expect(computeLLMCacheKey({ ...base, response_format: schema }))
+      .not.toBe(computeLLMCacheKey({ ...base, response_format: { type: 'json_object' } }));
+  });
+
+  it('calls the API when off', async () => {
+    fetch.mockResolvedValue(veniceReply('live'));
+    const client = new LLMClient({ apiKey: 'k', cache: 'off', ...quiet });
+
+    await client.completeChat({ messages: MESSAGES });
+    await client.completeChat({ messages: MESSAGES });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('records responses and replays them offline without an API key', async () => {
+    fetch.mockResolvedValue(veniceReply('BM25 ranks documents by term frequency.'));
+    const recorder = new LLMClient({ apiKey: 'k', cache: { mode: 'record', dir }, ...quiet });
+    await recorder.completeChat({ messages: MESSAGES, temperature: 0.2 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    const previousKey = process.env.VENICE_API_KEY;
+    delete process.env.VENICE_API_KEY;
+    try {
+      const replayer = new LLMClient({ cache: { mode: 'replay', dir }, ...quiet });
+      const replayed = await replayer.completeChat({ messages: MESSAGES, temperature: 0.2 });
+
+      expect(replayed).toMatchObject({ content: 'BM25 ranks documents by term frequency.', model: 'llama-3.3-70b', cached: true });
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await expect(replayer.completeChat({ messages: MESSAGES, temperature: 0.9 })).rejects.toMatchObject({ code: 'CacheMiss' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    } finally {
+      if (previousKey !== undefined) process.env.VENICE_API_KEY = previousKey;
+    }
+  });
+
+  it('serves identical requests from disk in cache mode', async () => {
+    fetch.mockResolvedValue(veniceReply('first'));
+    const client = new LLMClient({ apiKey: 'k', cache: { mode: 'cache', dir }, ...quiet });
+
+    expect((await client.completeChat({ messages: MESSAGES })).content).toBe('first');
+    fetch.mockResolvedValue(veniceReply('second'));
+    expect((await client.completeChat({ messages: MESSAGES })).content).toBe('first');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => new LLMClient({ apiKey: 'k', cache: 'sometimes' })).toThrow(/Invalid LLM cache mode/);
+  });
+
+  it('lets research providers replay a recorded step', async () => {
+    fetch.mockResolvedValue(veniceReply('What is BM25 saturation?\nHow does BM25 normalize length?'));
+    const args = { apiKey: 'k', query: 'bm25 ranking', numQueries: 2, outputFn: () => {}, errorFn: () => {} };
+    const recorded = await generateQueries({ ...args, llmCache: { mode: 'record', dir } });
+
+    fetch.mockRejectedValue(new Error('network disabled'));
+    const replayed = await generateQueries({ ...args, llmCache: { mode: 'replay', dir } });
+    expect(replayed).toEqual(recorded);
+    expect(replayed.length).toBe(2);
+  });
+});
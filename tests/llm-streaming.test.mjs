@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Readable } from 'stream';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { LLMClient } from '../app/infrastructure/ai/venice.llm-client.mjs';
+import { createStreamingChatCleaner } from '../app/infrastructure/ai/venice.response-processor.mjs';
+
+const MESSAGES = [{ role: 'user', content: 'Explain BM25.' }];
+const quiet = { outputFn: () => {}, errorFn: () => {} };
+
+function sse(...events) {
+  return events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+}
+
+function delta(content) {
+  return { model: 'qwen3-235b', choices: [{ delta: { content } }] };
+}
+
+// Split the SSE text at arbitrary byte offsets, like a real network stream would
+function streamingReply(text, pieceSize = 7) {
+  const pieces = [];
+  for (let i = 0; i < text.length; i += pieceSize) pieces.push(Buffer.from(text.slice(i, i + pieceSize)));
+  return { ok: true, status: 200, body: Readable.from(pieces) };
+}
+
+describe('LLMClient streaming', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('requests an SSE stream and forwards each delta', async () => {
+    fetch.mockResolvedValue(streamingReply(sse(delta('BM25 '), delta('ranks '), delta('documents.'), { choices: [], usage: { total_tokens: 9 } }, '[DONE]')));
+    const client = new LLMClient({ apiKey: 'k', cache: 'off', ...quiet });
+    const chunks = [];
+
+    const result = await client.completeChat({ messages: MESSAGES, stream: true, onChunk: chunk => chunks.push(chunk) });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true);
+    expect(chunks).toEqual(['BM25 ', 'ranks ', 'documents.']);
+    expect(result).toMatchObject({ content: 'BM25 ranks documents.', model: 'qwen3-235b', usage: { total_tokens: 9 } });
+  });
+
+  it('surfaces errors reported inside the stream', async () => {
+    fetch.mockResolvedValue(streamingReply(sse(delta('Partial'), { error: { message: 'model overloaded' } })));
+    const client = new LLMClient({ apiKey: 'k', cache: 'off', ...quiet });
+
+    await expect(client.completeChat({ messages: MESSAGES, stream: true })).rejects.toMatchObject({ code: 'StreamError' });
+  });
+
+  it('stops reading when the signal fires mid-stream', async () => {
+    const controller = new AbortController();
+    const body = new Readable({ read() {} });
+    body.push(sse(delta('Hello')));
+    fetch.mockResolvedValue({ ok: true, status: 200, body });
+    const client = new LLMClient({ apiKey: 'k', cache: 'off', ...quiet });
+
+    const pending = client.completeChat({ messages: MESSAGES, stream: true, signal: controller.signal, onChunk: () => controller.abort() });
+    await expect(pending).rejects.toMatchObject({ code: 'AbortError' });
+  });
+
+  it('fails with a timeout when the stream stalls mid-reply', async () => {
+    const body = new Readable({ read() {} });
+    body.push(sse(delta('Hello')));
+    fetch.mockResolvedValue({ ok: true, status: 200, body });
+    const client = new LLMClient({ apiKey: 'k', cache: 'off', streamIdleTimeout: 50, ...quiet });
+    const chunks = [];
+
+    await expect(client.completeChat({ messages: MESSAGES, stream: true, onChunk: chunk => chunks.push(chunk) }))
+      .rejects.toMatchObject({ code: 'TimeoutError', message: 'Stream stalled: no data from the API for 0.05s.' });
+    expect(chunks).toEqual(['Hello']);
+  });
+
+  describe('with the response cache', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-stream-cache-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('delivers a cached reply as a single chunk', async () => {
+      fetch.mockResolvedValue(streamingReply(sse(delta('Cached '), delta('answer'), '[DONE]')));
+      const client = new LLMClient({ apiKey: 'k', cache: { mode: 'cache', dir }, ...quiet });
+      await client.completeChat({ messages: MESSAGES, stream: true });
+
+      const chunks = [];
+      const result = await client.completeChat({ messages: MESSAGES, stream: true, onChunk: chunk => chunks.push(chunk) });
+      expect(chunks).toEqual(['Cached answer']);
+      expect(result.cached).toBe(true);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('createStreamingChatCleaner', () => {
+  function run(deltas) {
+    const cleaner = createStreamingChatCleaner();
+    const segments = deltas.flatMap(d => cleaner.push(d));
+    const final = cleaner.finish();
+    const joined = {};
+    for (const segment of [...segments, ...final.segments]) joined[segment.kind] = (joined[segment.kind] || '') + segment.content;
+    return { joined, final, segments };
+  }
+
+  it('separates thinking from the reply even when tags are split across chunks', () => {
+    const { joined, segments } = run(['<thi', 'nking>Weigh', ' the options</th', 'inking>\n\nUse BM25', '.']);
+
+    expect(joined).toEqual({ thinking: 'Weigh the options', reply: '\n\nUse BM25.' });
+    expect(segments.some(s => s.content.includes('<'))).toBe(false);
+  });
+
+  it('accepts <think> tags and keeps unrelated angle brackets in the reply', () => {
+    const { joined } = run(['<think>hmm</think>', 'a <', 'b and x</', 'y>']);
+    expect(joined).toEqual({ thinking: 'hmm', reply: 'a <b and x</y>' });
+  });
+
+  it('returns the cleaned full message like cleanChatResponse', () => {
+    const { final } = run(['```json\n{"content": "Hi', ' there"}\n```']);
+    expect(final.message).toBe('Hi there');
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { LocalCorpusSearchProvider, resolveCorpusPath, tokenize } from '../app/infrastructure/search/search.local-corpus.mjs';
+import { suggestSearchProvider } from '../app/infrastructure/search/search.providers.mjs';
+
+const quiet = { outputFn: () => {}, errorFn: () => {} };
+
+describe('LocalCorpusSearchProvider', () => {
+  let corpusDir;
+
+  beforeAll(async () => {
+    corpusDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bitcore-corpus-'));
+    await fs.mkdir(path.join(corpusDir, 'notes'));
+    await fs.mkdir(path.join(corpusDir, '.git'));
+    await fs.writeFile(path.join(corpusDir, 'solar.md'), '# Solar Outlook\n\nSolar capacity doubled in 2024 while panel prices fell.');
+    await fs.writeFile(path.join(corpusDir, 'notes', 'wind.txt'), 'Offshore wind turbines grew larger. Wind farms need grid upgrades.');
+    await fs.writeFile(path.join(corpusDir, 'notes', 'grid.txt'), 'Grid storage smooths solar and wind output.');
+    await fs.writeFile(path.join(corpusDir, 'image.png'), 'solar solar solar');
+    await fs.writeFile(path.join(corpusDir, '.git', 'HEAD.md'), 'solar solar solar');
+  });
+
+  afterAll(async () => {
+    await fs.rm(corpusDir, { recursive: true, force: true });
+  });
+
+  it('returns BM25-ranked results in the search provider shape', async () => {
+    const provider = new LocalCorpusSearchProvider({ path: corpusDir, ...quiet });
+    const results = await provider.search('offshore wind turbines');
+
+    expect(results[0]).toMatchObject({
+      title: 'wind.txt',
+      content: 'Offshore wind turbines grew larger. Wind farms need grid upgrades.',
+      url: pathToFileURL(path.join(corpusDir, 'notes', 'wind.txt')).href,
+      source: pathToFileURL(path.join(corpusDir, 'notes', 'wind.txt')).href,
+      type: 'local'
+    });
+    // grid.txt mentions wind once, so it ranks below the dedicated note
+    expect(results.map(r => r.title)).toEqual(['wind.txt', 'grid.txt']);
+  });
+
+  it('uses markdown headings as titles and ignores hidden folders and other file types', async () => {
+    const provider = new LocalCorpusSearchProvider({ path: corpusDir, ...quiet });
+    const results = await provider.search('solar');
+
+    expect(results.map(r => r.title).sort()).toEqual(['Solar Outlook', 'grid.txt']);
+  });
+
+  it('splits long files into addressable passages', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bitcore-corpus-long-'));
+    try {
+      await fs.writeFile(path.join(dir, 'long.md'), `${'Filler sentence. '.repeat(40)}\n\nThe hydrogen pilot ended in March.`);
+      const provider = new LocalCorpusSearchProvider({ path: dir, passageSize: 300, ...quiet });
+      const [top] = await provider.search('hydrogen pilot');
+
+      expect(top.title).toMatch(/^long\.md \(part \d+\)$/);
+      expect(top.url).toMatch(/#part-\d+$/);
+      expect(top.content).toContain('The hydrogen pilot ended in March.');
+      expect(top.content.length).toBeLessThanOrEqual(300);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('is available from the provider registry as "local"', () => {
+    expect(suggestSearchProvider({ type: 'web', provider: 'local', path: corpusDir, ...quiet })).toBeInstanceOf(LocalCorpusSearchProvider);
+  });
+
+  it('reports an unreadable corpus directory', async () => {
+    const provider = new LocalCorpusSearchProvider({ path: path.join(corpusDir, 'missing'), ...quiet });
+    await expect(provider.search('solar')).rejects.toMatchObject({ code: 'ConfigError' });
+  });
+});
+
+describe('local corpus helpers', () => {
+  it('tokenizes without stopwords or punctuation', () => {
+    expect(tokenize('What is the cost of Solar-PV in 2024?')).toEqual(['cost', 'solar', 'pv', '2024']);
+  });
+
+  it('keeps corpus paths inside the configured root', () => {
+    expect(resolveCorpusPath('team/notes', { root: '/srv/corpus' })).toBe(path.resolve('/srv/corpus/team/notes'));
+    expect(() => resolveCorpusPath('../etc', { root: '/srv/corpus' })).toThrow(/must be inside/);
+    expect(() => resolveCorpusPath('  ')).toThrow(/requires a directory path/);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import os from 'os';
+import path from 'path';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { LLMClient } from '../app/infrastructure/ai/venice.llm-client.mjs';
+import { TextEmbedder, LOCAL_EMBEDDING_MODEL, hashEmbedding, cosineSimilarity } from '../app/infrastructure/ai/llm.embeddings.mjs';
+import { MemoryManager } from '../app/infrastructure/memory/memory.manager.mjs';
+import { GitHubMemoryIntegration } from '../app/infrastructure/memory/github-memory.integration.mjs';
+
+const quiet = { outputFn: () => {}, errorFn: () => {} };
+
+function embeddingsReply(vectors, model = 'text-embedding-bge-m3') {
+  // Servers may list the vectors out of order; `index` says which input each belongs to
+  const data = vectors.map((embedding, index) => ({ object: 'embedding', index, embedding })).reverse();
+  return { ok: true, status: 200, json: async () => ({ model, data, usage: { prompt_tokens: 7 } }) };
+}
+
+/** Embedder with fixed vectors per text, standing in for a provider that understands paraphrases. */
+function fakeEmbedder(vectorsByText) {
+  return {
+    model: 'test:paraphrase',
+    embed: vi.fn(async texts => ({ vectors: texts.map(text => vectorsByText[text] || [0, 0, 1]), model: 'test:paraphrase' }))
+  };
+}
+
+describe('embeddings', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('calls the provider /embeddings endpoint and keeps input order', async () => {
+    fetch.mockResolvedValue(embeddingsReply([[1, 0], [0, 1]]));
+    const llm = new LLMClient({ apiKey: 'k', cache: 'off', ...quiet });
+
+    const result = await llm.embed({ input: ['first', 'second'] });
+
+    expect(result).toEqual({ vectors: [[1, 0], [0, 1]], model: 'text-embedding-bge-m3' });
+    expect(fetch.mock.calls[0][0]).toBe('https://api.venice.ai/api/v1/embeddings');
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ model: 'text-embedding-bge-m3', input: ['first', 'second'], encoding_format: 'float' });
+  });
+
+  it('falls back to the local hashing vectorizer when the provider fails, and retries it on the next call', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found', text: async () => 'no embedding model' });
+    const errors = [];
+    const embedder = new TextEmbedder({ llmConfig: { provider: 'openai', baseUrl: 'http://localhost:8080/v1' }, errorFn: line => errors.push(line) });
+
+    const first = await embedder.embed(['My favourite colour is teal']);
+    const second = await embedder.embed(['What is my favourite colour?']);
+
+    expect(first).toMatchObject({ model: LOCAL_EMBEDDING_MODEL, fallback: true });
+    expect(second).toMatchObject({ model: LOCAL_EMBEDDING_MODEL, fallback: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(errors).toHaveLength(1); // Reported once until the provider works again
+    expect(first.vectors[0]).toEqual(hashEmbedding('My favourite colour is teal'));
+    expect(cosineSimilarity(first.vectors[0], second.vectors[0])).toBeGreaterThan(0.7);
+    expect(cosineSimilarity(first.vectors[0], hashEmbedding('The deployment runs on Kubernetes'))).toBe(0);
+
+    fetch.mockResolvedValue(embeddingsReply([[0.1, 0.2]]));
+    const third = await embedder.embed(['back online']);
+
+    expect(third).toEqual({ vectors: [[0.1, 0.2]], model: 'openai:text-embedding-bge-m3', fallback: false });
+    expect(embedder.model).toBe('openai:text-embedding-bge-m3');
+  });
+});
+
+describe('MemoryManager embedding retrieval', () => {
+  const user = { username: 'alice' };
+
+  it('recalls paraphrased memories by cosine top-k within the depth settings', async () => {
+    const embedder = fakeEmbedder({
+      'My favourite colour is teal': [1, 0, 0],
+      'I prefer blue-green shades': [0.9, 0.1, 0],
+      'The deploy runs on Kubernetes': [0, 1, 0],
+      'Which hue do I like?': [0.95, 0.05, 0]
+    });
+    const memoryManager = new MemoryManager({ depth: 'short', user, embedder, store: false });
+
+    const stored = await memoryManager.storeMemory('My favourite colour is teal', 'user');
+    await memoryManager.storeMemory('I prefer blue-green shades', 'user');
+    await memoryManager.storeMemory('The deploy runs on Kubernetes', 'user');
+    expect(stored).toMatchObject({ embedding: [1, 0, 0], embeddingModel: 'test:paraphrase' });
+
+    const memories = await memoryManager.retrieveRelevantMemories('Which hue do I like?');
+
+    // short depth: threshold 0.7, at most 2 memories
+    expect(memories.map(m => m.content)).toEqual(['My favourite colour is teal', 'I prefer blue-green shades']);
+    expect(memories[0].similarity).toBeGreaterThan(memories[1].similarity);
+    expect(memories[0]).not.toHaveProperty('embedding');
+    // Stored vectors are reused: only the query is embedded at retrieval time
+    expect(embedder.embed).toHaveBeenLastCalledWith(['Which hue do I like?']);
+  });
+
+  it('re-embeds memories whose vectors came from another model', async () => {
+    const embedder = fakeEmbedder({ 'Which hue do I like?': [1, 0, 0], 'Teal is my colour': [1, 0, 0] });
+    const memoryManager = new MemoryManager({ depth: 'medium', user, embedder, store: false });
+    memoryManager.validatedMemories.push({ id: 'mem-old', content: 'Teal is my colour', embedding: [0, 1], embeddingModel: 'local:hash-2' });
+
+    const memories = await memoryManager.retrieveRelevantMemories('Which hue do I like?');
+
+    expect(memories).toHaveLength(1);
+    expect(memoryManager.validatedMemories[0]).toMatchObject({ embedding: [1, 0, 0], embeddingModel: 'test:paraphrase' });
+  });
+
+  it('keeps stored provider vectors when the provider fails during a search', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found', text: async () => 'no embedding model' });
+    const embedder = new TextEmbedder({ llmConfig: { provider: 'openai', baseUrl: 'http://localhost:8080/v1' }, errorFn: () => {} });
+    const memoryManager = new MemoryManager({ depth: 'medium', user, embedder, store: false });
+    const saveToStore = vi.spyOn(memoryManager, 'saveToStore');
+    memoryManager.validatedMemories.push(
+      { id: 'mem-remote', content: 'My favourite colour is teal', embedding: [1, 0, 0], embeddingModel: 'openai:default' },
+      { id: 'mem-new', content: 'The deployment runs on Kubernetes' }
+    );
+
+    const results = await memoryManager.scoreMemories('What is my favourite colour?', memoryManager.validatedMemories);
+
+    // Compared by text with local vectors for this search only
+    expect(results[0]).toMatchObject({ id: 'mem-remote' });
+    expect(results[0].similarity).toBeGreaterThan(0.7);
+    expect(memoryManager.validatedMemories[0]).toMatchObject({ embedding: [1, 0, 0], embeddingModel: 'openai:default' });
+    expect(memoryManager.validatedMemories[1]).not.toHaveProperty('embedding');
+    expect(saveToStore).not.toHaveBeenCalled();
+  });
+
+  it('persists vectors in the GitHub memory registry', () => {
+    const github = new GitHubMemoryIntegration({ username: 'alice', dataDir: path.join(os.tmpdir(), 'bitcore-memory-embeddings-test') });
+    const entry = github.formatMemoryEntry({ id: 'mem-1', content: 'Teal is my colour', tags: ['prefs'], score: 0.8, embedding: [0.5, -0.25, 1], embeddingModel: 'venice:text-embedding-bge-m3' });
+
+    const [memory] = github.parseRegistryContent(`# Registry\n\n${entry}`);
+
+    expect(memory).toMatchObject({ id: 'mem-1', content: 'Teal is my colour', embedding: [0.5, -0.25, 1], embeddingModel: 'venice:text-embedding-bge-m3' });
+  });
+});
@@ -0,0 +1,378 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { MemoryStore, getMemoryDir } from '../app/infrastructure/memory/memory.store.mjs';
+import { MemoryManager } from '../app/infrastructure/memory/memory.manager.mjs';
+import { executeMemory } from '../app/commands/memory.cli.mjs';
+import { formatMemoryUpdate } from '../app/commands/chat.cli.mjs';
+import { effectiveScore, reinforceMemory } from '../app/infrastructure/memory/memory.scoring.mjs';
+import { userManager } from '../app/features/auth/user-manager.mjs';
+
+const fakeEmbedder = {
+  model: 'test:fixed',
+  embed: async texts => ({ vectors: texts.map(text => (/colou?r|teal/i.test(text) ? [1, 0] : [0, 1])), model: 'test:fixed' })
+};
+
+describe('MemoryStore', () => {
+  let dir;
+  const store = () => new MemoryStore({ username: 'alice', dir });
+  const logPath = () => path.join(dir, 'memories.log');
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('lives next to the user profile by default', () => {
+    const previous = process.env.MCP_MEMORY_DIR;
+    delete process.env.MCP_MEMORY_DIR;
+    try {
+      expect(getMemoryDir('alice')).toBe(path.join(os.homedir(), '.mcp', 'users', 'alice', 'memory'));
+    } finally {
+      if (previous !== undefined) process.env.MCP_MEMORY_DIR = previous;
+    }
+  });
+
+  it('appends only changes and reloads the latest state', async () => {
+    const first = store();
+    await first.load();
+    const note = { id: 'mem-1', content: 'Teal is my colour', score: 0.5 };
+    const scratch = { id: 'mem-2', content: 'scratch' };
+
+    expect(await first.sync({ ephemeral: [note, scratch] })).toEqual({ written: 2, deleted: 0 });
+    expect(await first.sync({ ephemeral: [note, scratch] })).toEqual({ written: 0, deleted: 0 });
+    note.score = 0.9;
+    expect(await first.sync({ ephemeral: [note], validated: [note] })).toEqual({ written: 1, deleted: 1 });
+
+    const log = (await fs.readFile(logPath(), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(log.map(entry => entry.op)).toEqual(['put', 'put', 'put', 'delete']);
+
+    expect(await store().load()).toEqual({ ephemeral: [], validated: [{ id: 'mem-1', content: 'Teal is my colour', score: 0.9 }] });
+  });
+
+  it('recovers records appended after the last index write and skips a torn line', async () => {
+    const first = store();
+    await first.load();
+    await first.sync({ validated: [{ id: 'mem-1', content: 'one' }] });
+    const staleIndex = await fs.readFile(path.join(dir, 'index.json'), 'utf8');
+    await first.sync({ validated: [{ id: 'mem-1', content: 'one' }, { id: 'mem-2', content: 'two' }] });
+
+    // Crash between the log append and the index write, then a half-written line
+    await fs.writeFile(path.join(dir, 'index.json'), staleIndex);
+    await fs.appendFile(logPath(), '{"op":"put","layer":"validated","memory":{"id":"mem-3"');
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { validated } = await store().load();
+
+    expect(validated.map(m => m.id)).toEqual(['mem-1', 'mem-2']);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/Skipping unreadable log line/));
+    errorSpy.mockRestore();
+  });
+
+  it('compacts the log once superseded records dominate it', async () => {
+    const first = store();
+    await first.load();
+    const big = { id: 'mem-big', content: 'x'.repeat(200 * 1024) };
+    for (let version = 0; version < 3; version++) {
+      big.version = version;
+      await first.sync({ validated: [big] });
+    }
+
+    const { size } = await fs.stat(logPath());
+    expect(size).toBeLessThan(2 * 200 * 1024);
+    expect((await store().load()).validated).toEqual([{ id: 'mem-big', content: big.content, version: 2 }]);
+  });
+
+  it('keeps the writes of two stores open on the same directory', async () => {
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const a = store();
+    const b = store();
+    await Promise.all([a.load(), b.load()]);
+    const memA = { id: 'mem-a', content: 'from the chat session' };
+    const memB = { id: 'mem-b', content: 'from /memory add' };
+
+    await b.sync({ validated: [memB] });
+    await a.sync({ validated: [memA] });
+    // Dropping a memory it loaded still deletes it
+    expect(await b.sync({ validated: [] })).toEqual({ written: 0, deleted: 1 });
+
+    expect(await store().load()).toEqual({ ephemeral: [], validated: [memA] });
+    expect(errors).not.toHaveBeenCalled();
+    errors.mockRestore();
+  });
+});
+
+describe('MemoryManager with the local store', () => {
+  let dir;
+  const user = { username: 'alice' };
+  const manager = () => new MemoryManager({ user, embedder: fakeEmbedder, store: new MemoryStore({ username: 'alice', dir }) });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-manager-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps memories across sessions without GitHub', async () => {
+    const first = manager();
+    await first.storeMemory('My favourite colour is teal', 'user');
+    await first.storeMemory('The build uses Node 20', 'assistant');
+
+    const second = manager();
+    const memories = await second.retrieveRelevantMemories('Which colour do I like?');
+
+    expect(second.ephemeralMemories.map(m => m.content)).toEqual(['My favourite colour is teal', 'The build uses Node 20']);
+    expect(memories.map(m => m.content)).toEqual(['My favourite colour is teal']);
+  });
+
+  it('keeps short-term memories past its capacity when opened at a smaller depth than they were written with', async () => {
+    const written = new MemoryStore({ username: 'alice', dir });
+    await written.load();
+    const stored = Array.from({ length: 15 }, (_, i) => ({ id: `mem-${i}`, content: `long chat note ${i}`, role: 'user' }));
+    await written.sync({ ephemeral: stored });
+
+    const command = new MemoryManager({ depth: 'short', user, embedder: fakeEmbedder, store: new MemoryStore({ username: 'alice', dir }) });
+    await command.addMemory('Teal is my colour');
+    await command.tagMemory('mem-3', ['work']);
+
+    const reloaded = await new MemoryStore({ username: 'alice', dir }).load();
+    expect(reloaded.ephemeral.map(m => m.id).sort()).toEqual(stored.map(m => m.id).sort());
+    expect(await command.getDecisionTrail()).toEqual([]);
+  });
+
+  it('keeps memories added by a second manager on the same store directory', async () => {
+    const chat = manager();
+    const command = manager();
+    await Promise.all([chat.initialize(), command.initialize()]);
+
+    const added = await command.addMemory('Teal is my colour');
+    await chat.storeMemory('I deploy on Fridays', 'user');
+
+    const reloaded = await new MemoryStore({ username: 'alice', dir }).load();
+    expect([...reloaded.ephemeral, ...reloaded.validated].map(m => m.content).sort()).toEqual(['I deploy on Fridays', 'Teal is my colour']);
+    expect(reloaded.validated.map(m => m.id)).toContain(added.id);
+  });
+
+  it('writes the finalized summary through and finalizes long-term memories locally', async () => {
+    const first = manager();
+    await first.storeMemory('My favourite colour is teal', 'user');
+    first.llmClient = {
+      complete: vi.fn().mockResolvedValue({
+        content: JSON.stringify({ summary: 'The user likes teal.', keyPoints: ['favourite colour is teal'], tags: ['preferences'] })
+      })
+    };
+
+    await first.summarizeAndFinalize('user: My favourite colour is teal');
+
+    const second = manager();
+    await second.initialize();
+    expect(second.ephemeralMemories).toEqual([]);
+    expect(second.validatedMemories.map(m => m.content)).toEqual(['The user likes teal.', 'My favourite colour is teal']);
+    expect(second.validatedMemories[0]).toMatchObject({ type: 'summary', embeddingModel: 'test:fixed' });
+
+    const result = await second.finalizeToLongTerm({ content: 'Prefers short answers', role: 'system' });
+    expect(result).toEqual({ success: true, replicated: false });
+    expect((await manager().retrieveRelevantMemories('anything', false, true, false)).some(m => m.content === 'Prefers short answers')).toBe(true);
+  });
+});
+
+describe('background memory consolidation', () => {
+  let dir;
+  const user = { username: 'alice' };
+  const manager = () => new MemoryManager({ depth: 'short', user, embedder: fakeEmbedder, store: new MemoryStore({ username: 'alice', dir }) });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-consolidation-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('validates and summarizes every summarizeEvery exchanges and stores the result', async () => {
+    const memoryManager = manager();
+    const ids = [];
+    for (const text of ['Teal is my colour', 'I bought teal mugs', 'The walls are teal too', 'ok']) {
+      ids.push((await memoryManager.storeMemory(text, 'user')).id);
+    }
+    memoryManager.llmClient = {
+      complete: vi.fn()
+        .mockResolvedValueOnce({ content: JSON.stringify({ memories: [...ids.slice(0, 3).map(id => ({ id, score: 0.8, tags: ['colour'], action: 'summarize' })), { id: ids[3], score: 0.1, action: 'discard' }] }) })
+        .mockResolvedValueOnce({ content: JSON.stringify({ summaries: [{ content: 'The user loves teal.', tags: ['colour'], importance: 0.9 }] }) })
+    };
+    const onUpdate = vi.fn();
+
+    // short depth: every 10 exchanges
+    for (let i = 1; i < 10; i++) expect(memoryManager.recordExchange(onUpdate)).toBeNull();
+    const result = await memoryManager.recordExchange(onUpdate);
+
+    expect(result).toMatchObject({ exchanges: 10, validated: 4, summarized: 3, discarded: 1, summaries: [{ content: 'The user loves teal.', tags: ['colour'] }] });
+    expect(onUpdate).toHaveBeenCalledWith(result);
+    expect(formatMemoryUpdate(result)).toBe('[memory] Consolidated 4 memories after 10 exchanges: 0 kept, 1 discarded, 1 summary written.\n  - The user loves teal.');
+
+    const reloaded = manager();
+    await reloaded.initialize();
+    expect(reloaded.getAllMemories().map(m => m.content)).toEqual(['The user loves teal.']);
+
+    // Nothing new to validate: no LLM call, no update
+    expect(await memoryManager.consolidateMemories()).toMatchObject({ validated: 0 });
+    expect(memoryManager.llmClient.complete).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('memory scoring policy', () => {
+  let dir;
+  const user = { username: 'alice' };
+  const manager = () => new MemoryManager({ depth: 'short', user, embedder: fakeEmbedder, store: new MemoryStore({ username: 'alice', dir }) });
+  const HOUR = 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-scoring-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('decays with age since last use, rises with hits and ignores pins', () => {
+    const now = Date.parse('2026-01-10T00:00:00Z');
+    const memory = { score: 0.8, timestamp: new Date(now - 48 * HOUR).toISOString() };
+
+    expect(effectiveScore(memory, 24, now)).toBeCloseTo(0.2);
+    expect(reinforceMemory(memory, now)).toEqual({ before: 0.8, after: expect.closeTo(0.82) });
+    expect(effectiveScore(memory, 24, now)).toBeCloseTo(0.82);
+    expect(memory).toMatchObject({ hits: 1, lastAccessed: '2026-01-10T00:00:00.000Z' });
+    expect(effectiveScore({ score: 0.1, timestamp: '2020-01-01T00:00:00Z', pinned: true }, 24, now)).toBe(1);
+  });
+
+  it('evicts the lowest-scoring short-term memory instead of the oldest', async () => {
+    const memoryManager = manager();
+    const first = await memoryManager.storeMemory('Teal is my colour', 'user');
+    first.score = 0.75;
+    const stale = await memoryManager.storeMemory('note 1', 'user');
+    stale.timestamp = new Date(Date.now() - 72 * HOUR).toISOString();
+    for (let i = 2; i <= 10; i++) await memoryManager.storeMemory(`note ${i}`, 'user');
+
+    // short depth keeps 10 short-term memories
+    expect(memoryManager.ephemeralMemories).toHaveLength(10);
+    expect(memoryManager.ephemeralMemories.map(m => m.id)).toContain(first.id);
+    expect(memoryManager.ephemeralMemories.map(m => m.id)).not.toContain(stale.id);
+    expect(memoryManager.decisions).toEqual([
+      expect.objectContaining({ action: 'evict', id: stale.id, score: expect.closeTo(0.0625, 2), reason: 'lowest score 0.06 with 11/10 short-term memories', content: 'note 1' })
+    ]);
+  });
+
+  it('recalls memories for a chat message before storing it, so the message does not match itself', async () => {
+    const memoryManager = manager();
+    const teal = await memoryManager.storeMemory('Teal is my colour', 'user');
+
+    expect(await memoryManager.recallAndStore('I deploy on Fridays')).toEqual([]);
+    const recalled = await memoryManager.recallAndStore('Which colour do I like?');
+
+    expect(recalled.map(m => m.id)).toEqual([teal.id]);
+    expect(memoryManager.decisions).toEqual([expect.objectContaining({ action: 'reinforce', id: teal.id, reason: 'retrieved (hit 1), score 0.50 -> 0.55' })]);
+    expect(memoryManager.ephemeralMemories.map(m => m.content)).toEqual(['Teal is my colour', 'I deploy on Fridays', 'Which colour do I like?']);
+  });
+
+  it('promotes a memory once retrieval hits raise its score, and shows the trail in /memory stats --verbose', async () => {
+    const memoryManager = manager();
+    const teal = await memoryManager.storeMemory('Teal is my colour', 'user');
+    teal.score = 0.75;
+
+    for (let i = 0; i < 3; i++) await memoryManager.retrieveRelevantMemories('Which colour do I like?');
+
+    expect(memoryManager.ephemeralMemories).toEqual([]);
+    expect(memoryManager.validatedMemories.map(m => m.id)).toEqual([teal.id]);
+    expect(memoryManager.decisions.map(d => d.action)).toEqual(['reinforce', 'reinforce', 'reinforce', 'promote']);
+    expect(memoryManager.decisions[3].reason).toBe('score 0.82 >= 0.8 (short)');
+
+    // A later session reads the stored trail
+    const lines = [];
+    const result = await executeMemory({ positionalArgs: ['stats'], flags: { verbose: true }, memoryManager: manager(), currentUser: user, output: line => lines.push(line) });
+    expect(result.decisions).toHaveLength(4);
+    expect(lines).toContain('Scoring: half-life 24h, promote to long-term at 0.8, evict lowest above 10 short-term, +10% per retrieval hit');
+    expect(lines.some(line => line.startsWith(`  ${teal.id} [long] 0.82 (base 0.82, 3 hits,`))).toBe(true);
+    expect(lines.some(line => line.endsWith(`promote ${teal.id} - score 0.82 >= 0.8 (short) "Teal is my colour"`))).toBe(true);
+  });
+});
+
+describe('/memory command', () => {
+  let dir;
+  let previousDir;
+  let lines;
+  const alice = { username: 'alice', role: 'client' };
+  const run = (positionalArgs, flags = {}, options = {}) =>
+    executeMemory({ positionalArgs, flags, currentUser: alice, output: line => lines.push(line), error: line => lines.push(`ERR ${line}`), ...options });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-command-'));
+    previousDir = process.env.MCP_MEMORY_DIR;
+    process.env.MCP_MEMORY_DIR = dir;
+    lines = [];
+    fetch.mockReset();
+    fetch.mockRejectedValue(new Error('offline'));
+    vi.spyOn(userManager, 'getLLMProvider').mockResolvedValue('venice');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    if (previousDir === undefined) delete process.env.MCP_MEMORY_DIR;
+    else process.env.MCP_MEMORY_DIR = previousDir;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('adds, searches, pins, tags and deletes memories in the user store outside chat', async () => {
+    const teal = await run(['add', 'My', 'favourite', 'colour', 'is', 'teal'], { tags: 'prefs' });
+    const node = await run(['add', 'The build uses Node 20']);
+    expect(teal).toMatchObject({ success: true, id: expect.stringMatching(/^mem-/) });
+
+    const search = await run(['search', 'favourite', 'colour']);
+    expect(search.memories[0]).toMatchObject({ id: teal.id, layer: 'long', tags: ['prefs'] });
+    expect(search.memories.some(m => m.id === node.id)).toBe(false);
+
+    await run(['pin', teal.id]);
+    expect(await run(['tag', teal.id, 'personal,colour'])).toMatchObject({ tags: ['prefs', 'personal', 'colour'] });
+    expect(await run(['delete', node.id])).toMatchObject({ success: true });
+
+    // Every command reads the store afresh
+    lines = [];
+    const listed = await run(['list'], { layer: 'pinned' });
+    expect(listed.memories.map(m => m.id)).toEqual([teal.id]);
+    expect(lines[1]).toMatch(new RegExp(`^${teal.id} \\[long, pinned\\] \\d{4}-\\d{2}-\\d{2} #prefs #personal #colour - My favourite colour is teal$`));
+    expect(await run(['show', teal.id])).toMatchObject({ memory: { content: 'My favourite colour is teal', pinned: true, source: 'manual' } });
+    expect((await new MemoryStore({ username: 'alice' }).load()).validated.map(m => m.id)).toEqual([teal.id]);
+    expect(await run(['show', node.id])).toMatchObject({ success: false, error: 'Memory not found' });
+  });
+
+  it("uses the chat's memory manager and moves pinned memories to the long-term layer", async () => {
+    const memoryManager = new MemoryManager({ user: { username: 'alice' }, embedder: fakeEmbedder, store: false });
+    const stored = await memoryManager.storeMemory('Teal is my colour', 'user');
+    const session = { username: 'alice', memoryManager };
+
+    await run(['pin', stored.id], {}, { session });
+
+    expect(memoryManager.ephemeralMemories).toEqual([]);
+    expect(memoryManager.validatedMemories.map(m => m.id)).toEqual([stored.id]);
+    expect((await run(['stats'], {}, { session })).stats).toMatchObject({ shortTermCount: 0, longTermCount: 1, pinnedCount: 1, githubStatus: 'disabled' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('requires a login and a known action', async () => {
+    expect(await run(['list'], {}, { currentUser: { username: 'public', role: 'public' } })).toMatchObject({ success: false, error: 'Login required' });
+    expect(await run(['forget'])).toMatchObject({ success: false, error: 'Unknown action' });
+    expect(await run(['tag', 'mem-1'])).toMatchObject({ success: false, error: 'Missing argument' });
+  });
+});
@@ -1,4 +1,7 @@
 import { describe, it, beforeEach, afterEach, expect, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { MemoryManager } from '../app/infrastructure/memory/memory.manager.mjs';
 import { LLMClient } from '../app/infrastructure/ai/venice.llm-client.mjs';
 import { userManager } from '../app/features/auth/user-manager.mjs';
@@ -12,11 +15,17 @@ vi.mock('../app/infrastructure/memory/github-memory.integration.mjs');
 describe('Memory Subsystem', () => {
   let memoryManager;
   let mockUser;
+  let memoryDir;
+  const previousMemoryDir = process.env.MCP_MEMORY_DIR;
   
   beforeEach(() => {
     // Reset mocks
     vi.resetAllMocks();
     
+    // Keep each test's local memory store separate
+    memoryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-test-'));
+    process.env.MCP_MEMORY_DIR = memoryDir;
+    
     // Create mock user
     mockUser = {
       username: 'testuser',
@@ -52,6 +61,9 @@ describe('Memory Subsystem', () => {
   
   afterEach(() => {
     vi.resetAllMocks();
+    fs.rmSync(memoryDir, { recursive: true, force: true });
+    if (previousMemoryDir === undefined) delete process.env.MCP_MEMORY_DIR;
+    else process.env.MCP_MEMORY_DIR = previousMemoryDir;
   });
   
   describe('Memory Storage', () => {
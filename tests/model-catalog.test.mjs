@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import { ModelCatalog } from '../app/infrastructure/ai/llm.model-catalog.mjs';
+
+// Stand-in for GET https://api.venice.ai/api/v1/models?type=text
+function createVeniceServer(state) {
+  return http.createServer((req, res) => {
+    state.requests.push({ url: req.url, authorization: req.headers.authorization });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      object: 'list',
+      data: state.models.map(({ id, spec }) => ({ id, type: 'text', object: 'model', model_spec: spec }))
+    }));
+  });
+}
+
+describe('ModelCatalog', () => {
+  let server;
+  let baseUrl;
+  const state = { requests: [], models: [] };
+
+  beforeAll(async () => {
+    server = createVeniceServer(state);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    state.requests.length = 0;
+    state.models = [
+      { id: 'venice-new-1', spec: { availableContextTokens: 200000, traits: ['default'] } },
+      { id: 'llama-3.3-70b', spec: {} }
+    ];
+  });
+
+  it('lists live models and fills missing details from the built-in table', async () => {
+    const catalog = new ModelCatalog();
+    const result = await catalog.getModels({ provider: 'venice', apiKey: 'k', baseUrl });
+
+    expect(state.requests).toEqual([{ url: '/api/v1/models?type=text', authorization: 'Bearer k' }]);
+    expect(result.source).toBe('live');
+    expect(result.models).toEqual([
+      { id: 'venice-new-1', availableContextTokens: 200000, traits: ['default'], source: 'live' },
+      { id: 'llama-3.3-70b', availableContextTokens: 65536, traits: ['function_calling_default', 'default'], source: 'live' }
+    ]);
+  });
+
+  it('reuses the list until the TTL expires or a refresh is requested', async () => {
+    const catalog = new ModelCatalog({ ttlMs: 60000 });
+    const config = { provider: 'venice', apiKey: 'k', baseUrl };
+
+    await Promise.all([catalog.getModels(config), catalog.getModels(config)]);
+    await catalog.getModels(config);
+    expect(state.requests.length).toBe(1);
+
+    state.models.push({ id: 'venice-new-2', spec: {} });
+    const refreshed = await catalog.getModels(config, { refresh: true });
+    expect(state.requests.length).toBe(2);
+    expect(refreshed.models.map(m => m.id)).toContain('venice-new-2');
+
+    const expired = new ModelCatalog({ ttlMs: 0 });
+    await expired.getModels(config);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await expired.getModels(config);
+    expect(state.requests.length).toBe(4);
+  });
+
+  it('falls back to the built-in table when the provider is unreachable', async () => {
+    const result = await new ModelCatalog().getModels({ provider: 'venice', apiKey: 'k', baseUrl: 'http://127.0.0.1:1/api/v1' });
+
+    expect(result.source).toBe('static');
+    expect(result.error).toBeTruthy();
+    expect(result.models).toEqual(expect.arrayContaining([expect.objectContaining({ id: 'qwen3-235b', source: 'static' })]));
+  });
+
+  it('validates model ids case-insensitively and suggests close matches', async () => {
+    const catalog = new ModelCatalog();
+    const config = { provider: 'venice', apiKey: 'k', baseUrl };
+
+    await expect(catalog.validateModel(config, 'Venice-New-1')).resolves.toMatchObject({ valid: true, model: { id: 'venice-new-1' } });
+    await expect(catalog.validateModel(config, 'venice-old')).resolves.toMatchObject({ valid: false, suggestions: ['venice-new-1'] });
+    await expect(catalog.validateModel(config, 'gpt-4o')).resolves.toMatchObject({ valid: false, suggestions: [] });
+  });
+
+  it('accepts any model when a provider has neither a live nor a built-in list', async () => {
+    const result = await new ModelCatalog().validateModel({ provider: 'openai', baseUrl: 'http://127.0.0.1:1/v1' }, 'my-local-model');
+    expect(result).toMatchObject({ valid: true, model: null });
+  });
+
+  it('rejects unknown providers', async () => {
+    await expect(new ModelCatalog().getModels({ provider: 'claude' })).rejects.toMatchObject({ code: 'UnsupportedProvider' });
+  });
+});
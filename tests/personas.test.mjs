@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { validatePersona, resolvePersona, buildPersonaSystemPrompt, getPersonaVeniceParameters } from '../app/infrastructure/ai/llm.personas.mjs';
+import { LLMClient } from '../app/infrastructure/ai/venice.llm-client.mjs';
+import { ResearchEngine } from '../app/infrastructure/research/research.engine.mjs';
+import { generateOutput } from '../app/features/ai/research.providers.mjs';
+import { executePersona } from '../app/commands/persona.cli.mjs';
+import { userManager } from '../app/features/auth/user-manager.mjs';
+
+const quiet = { outputFn: () => {}, errorFn: () => {} };
+const { persona: analyst } = validatePersona({ name: 'Data Analyst', systemPrompt: 'You are a terse data analyst.', temperature: '0.2' });
+
+function reply(content) {
+  return { ok: true, status: 200, json: async () => ({ model: 'llama-3.3-70b', choices: [{ message: { content } }] }) };
+}
+
+describe('personas', () => {
+  it('validates and resolves built-in and custom personas', () => {
+    expect(analyst).toMatchObject({ name: 'Data Analyst', slug: 'data-analyst', temperature: 0.2, model: null, builtIn: false });
+    expect(validatePersona({ name: 'Archon', systemPrompt: 'x' }).error).toMatch(/reserved/);
+    expect(validatePersona({ name: 'x', systemPrompt: 'x', temperature: 3 }).error).toMatch(/Invalid temperature/);
+    expect(validatePersona({ name: 'x' }).error).toMatch(/needs a system prompt/);
+
+    const personas = { 'data-analyst': analyst };
+    expect(resolvePersona('ARCHON')).toMatchObject({ name: 'Archon', characterSlug: 'archon', builtIn: true });
+    expect(resolvePersona('Data Analyst', personas)).toBe(analyst);
+    expect(resolvePersona('None', personas)).toBeNull();
+  });
+
+  it('builds system prompts and Venice parameters', () => {
+    expect(buildPersonaSystemPrompt(resolvePersona('bitcore'), 'chat.persona')).toBe('You are Bitcore. You are a helpful assistant.');
+    expect(buildPersonaSystemPrompt(analyst, 'chat.persona')).toBe('You are a terse data analyst.');
+    expect(buildPersonaSystemPrompt(analyst, 'chat.system')).toMatch(/^You are a terse data analyst\.\n\nYou are Data Analyst, an AI assistant/);
+    expect(buildPersonaSystemPrompt(null, 'chat.persona')).toBe('You are a helpful assistant.');
+    expect(getPersonaVeniceParameters(resolvePersona('metacore'))).toEqual({ character_slug: 'metacore' });
+    expect(getPersonaVeniceParameters(analyst)).toEqual({ character_slug: null });
+  });
+
+  it('sends no Venice character for custom personas', async () => {
+    fetch.mockReset();
+    fetch.mockResolvedValue(reply('ok'));
+    const llm = new LLMClient({ apiKey: 'k', cache: 'off', ...quiet });
+
+    await llm.completeChat({ messages: [{ role: 'user', content: 'hi' }] });
+    await llm.completeChat({ messages: [{ role: 'user', content: 'hi' }], venice_parameters: getPersonaVeniceParameters(analyst) });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).venice_parameters).toEqual({ character_slug: 'bitcore' });
+    expect(JSON.parse(fetch.mock.calls[1][1].body).venice_parameters).toEqual({});
+  });
+
+  it('applies the persona to research LLM calls', async () => {
+    const engine = new ResearchEngine({
+      braveApiKey: 'b',
+      veniceApiKey: 'v',
+      user: { username: 'alice' },
+      persona: { ...analyst, model: 'llama-3.3-70b' },
+      llmProviderOptions: { model: 'qwen3-235b' },
+      outputHandler: () => {},
+      debugHandler: () => {}
+    });
+    expect(engine.llmConfig).toMatchObject({ model: 'qwen3-235b', temperature: 0.2, characterSlug: null });
+    expect(engine.promptTemplates['research.system']).toMatch(/^You are a terse data analyst\.\n\nYou are an adaptive research engine/);
+
+    fetch.mockReset();
+    fetch.mockResolvedValue(reply('# Report'));
+    await generateOutput({ type: 'report', system: 's', prompt: 'p', llmConfig: { ...engine.llmConfig, apiKey: 'v', cache: 'off' }, ...quiet });
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.temperature).toBe(0.2);
+    expect(body.venice_parameters).toEqual({});
+  });
+});
+
+describe('/persona command', () => {
+  let stored;
+  let lines;
+  const session = { username: 'alice', sessionCharacter: null, sessionPersona: null };
+  const run = (positionalArgs, flags = {}) =>
+    executePersona({ positionalArgs, flags, session, currentUser: { username: 'alice', role: 'client' }, output: line => lines.push(line), error: line => lines.push(`ERR ${line}`) });
+
+  beforeEach(() => {
+    stored = { personas: {}, defaultPersona: null };
+    lines = [];
+    vi.spyOn(userManager, 'getPersonas').mockImplementation(async () => ({ ...stored.personas }));
+    vi.spyOn(userManager, 'savePersona').mockImplementation(async (username, persona) => { stored.personas[persona.slug] = persona; });
+    vi.spyOn(userManager, 'deletePersona').mockImplementation(async (username, slug) => {
+      if (!stored.personas[slug]) return false;
+      delete stored.personas[slug];
+      return true;
+    });
+    vi.spyOn(userManager, 'getDefaultPersona').mockImplementation(async () => stored.defaultPersona);
+    vi.spyOn(userManager, 'setDefaultPersona').mockImplementation(async (username, slug) => { stored.defaultPersona = slug; });
+  });
+
+  it('creates, uses, lists and deletes a persona', async () => {
+    await run(['create', 'Pirate'], { prompt: 'Talk like a pirate.\\nBe brief.', temperature: '1.1' });
+    expect(stored.personas.pirate).toMatchObject({ name: 'Pirate', systemPrompt: 'Talk like a pirate.\nBe brief.', temperature: 1.1 });
+
+    await run(['use', 'pirate']);
+    expect(stored.defaultPersona).toBe('pirate');
+    expect(session).toMatchObject({ sessionCharacter: 'pirate', sessionPersona: { slug: 'pirate' } });
+
+    lines = [];
+    await run(['list']);
+    expect(lines).toContain('*> Pirate [custom] (temperature 1.1) - Talk like a pirate.\nBe brief.');
+    expect(lines.some(line => line.includes('Archon [built-in]'))).toBe(true);
+
+    await run(['delete', 'pirate']);
+    expect(stored.personas).toEqual({});
+    expect(session.sessionPersona).toBeNull();
+  });
+
+  it('rejects unknown and built-in personas', async () => {
+    expect(await run(['use', 'ghost'])).toMatchObject({ success: false, error: "Unknown persona 'ghost'" });
+    expect(await run(['delete', 'archon'])).toMatchObject({ success: false, error: 'Built-in persona' });
+    expect(await run(['create', 'bitcore'], { prompt: 'x' })).toMatchObject({ success: false });
+  });
+});
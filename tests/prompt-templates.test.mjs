@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { renderPromptTemplate, validatePromptTemplate, listPromptTemplates } from '../app/infrastructure/prompts/prompt.templates.mjs';
+import { systemPrompt, queryExpansionTemplate } from '../app/utils/research.prompt.mjs';
+import { generateQueries } from '../app/features/ai/research.providers.mjs';
+import { executePrompts } from '../app/commands/prompts.cli.mjs';
+import { userManager } from '../app/features/auth/user-manager.mjs';
+
+const quiet = { outputFn: () => {}, errorFn: () => {} };
+
+describe('prompt templates', () => {
+  it('renders the built-in defaults', () => {
+    expect(listPromptTemplates().map(t => t.id)).toEqual(['research.system', 'research.query-expansion', 'chat.system', 'chat.persona']);
+    expect(systemPrompt()).toMatch(/^You are an adaptive research engine assistant/);
+    const expansion = queryExpansionTemplate('bm25', ['BM25 saturates term frequency']);
+    expect(expansion).toMatch(/^Generate specific research questions about: "bm25"\n\nPrevious Findings:\nBM25 saturates term frequency\n/);
+    expect(expansion).toContain('"What {system/process} enables {function} in {domain}?"');
+    expect(queryExpansionTemplate('bm25')).not.toContain('Previous Findings');
+    expect(renderPromptTemplate('chat.persona', { persona: 'archon' })).toBe('You are archon. You are a helpful assistant.');
+  });
+
+  it('prefers user overrides and falls back for blank ones', () => {
+    const overrides = { 'research.system': 'Answer tersely.', 'research.query-expansion': 'Topic: {{query}} / {{missing}}', 'chat.persona': '  ' };
+    expect(systemPrompt(overrides)).toBe('Answer tersely.');
+    expect(queryExpansionTemplate('bm25', [], overrides)).toBe('Topic: bm25 / ');
+    expect(renderPromptTemplate('chat.persona', { persona: 'archon' }, overrides)).toBe('You are archon. You are a helpful assistant.');
+    expect(() => renderPromptTemplate('nope')).toThrow(/Unknown prompt template 'nope'/);
+  });
+
+  it('reports unknown and unused variables when validating an edit', () => {
+    expect(validatePromptTemplate('research.query-expansion', 'About {{query}} and {{topic}}')).toEqual({
+      valid: true, unknownVariables: ['topic'], unusedVariables: ['previousFindings']
+    });
+    expect(validatePromptTemplate('research.system', '  ').valid).toBe(false);
+    expect(validatePromptTemplate('research.nope', 'x').error).toMatch(/Unknown prompt template/);
+  });
+
+  it('sends the overrides to the research LLM calls', async () => {
+    fetch.mockReset();
+    fetch.mockResolvedValue({ ok: true, status: 200, json: async () => ({ choices: [{ message: { content: '{"queries": ["What is BM25?"]}' } }] }) });
+
+    await generateQueries({
+      query: 'bm25',
+      llmConfig: { provider: 'venice', apiKey: 'k', cache: 'off' },
+      prompts: { 'research.system': 'Custom system.', 'research.query-expansion': 'Custom questions about {{query}}.' },
+      ...quiet
+    });
+
+    const { messages } = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(messages[0]).toEqual({ role: 'system', content: 'Custom system.' });
+    expect(messages.at(-1).content).toMatch(/^Custom questions about bm25\./);
+  });
+});
+
+describe('/prompts command', () => {
+  let stored;
+  let lines;
+  const run = (positionalArgs, flags = {}, user = { username: 'alice', role: 'client' }) =>
+    executePrompts({ positionalArgs, flags, currentUser: user, output: line => lines.push(line), error: line => lines.push(`ERR ${line}`) });
+
+  beforeEach(() => {
+    stored = {};
+    lines = [];
+    vi.spyOn(userManager, 'getPromptTemplates').mockImplementation(async username => ({ ...(stored[username] || {}) }));
+    vi.spyOn(userManager, 'setPromptTemplate').mockImplementation(async (username, id, template) => {
+      stored[username] = { ...(stored[username] || {}) };
+      if (template) stored[username][id] = template; else delete stored[username][id];
+    });
+  });
+
+  it('edits, shows and resets a template', async () => {
+    await run(['edit', 'research.system', 'Line one\\nLine', 'two {{topic}}']);
+    expect(stored.alice['research.system']).toBe('Line one\nLine two {{topic}}');
+    expect(lines.at(-1)).toMatch(/\{\{topic\}\} is not provided/);
+
+    lines = [];
+    await run(['show', 'research.system']);
+    expect(lines[0]).toMatch(/^research\.system \[custom\]/);
+    expect(lines.at(-1)).toBe('Line one\nLine two {{topic}}');
+
+    await run(['reset', 'research.system']);
+    expect(stored.alice).toEqual({});
+  });
+
+  it('lets only admins manage other users and rejects unknown ids', async () => {
+    const denied = await run(['list'], { user: 'bob' });
+    expect(denied).toMatchObject({ success: false, error: 'Permission denied' });
+
+    await run(['edit', 'chat.persona'], { user: 'bob', text: 'You are {{persona}}, terse.' }, { username: 'root', role: 'admin' });
+    expect(stored.bob).toEqual({ 'chat.persona': 'You are {{persona}}, terse.' });
+
+    const unknown = await run(['show', 'research.nope']);
+    expect(unknown.success).toBe(false);
+    expect(lines.at(-1)).toMatch(/Unknown prompt template 'research.nope'/);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ResearchPath } from '../app/infrastructure/research/research.path.mjs';
+import { ResearchCheckpoint, CheckpointError } from '../app/infrastructure/research/research.checkpoint.mjs';
+import { ResearchEngine } from '../app/infrastructure/research/research.engine.mjs';
+import { ConcurrencyPool } from '../app/utils/research.concurrency-pool.mjs';
+import { generateQueries, processResults } from '../app/features/ai/research.providers.mjs';
+
+vi.mock('../app/features/ai/research.providers.mjs', () => ({
+  generateQueries: vi.fn(),
+  processResults: vi.fn()
+}));
+
+describe('Research checkpoints', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    vi.resetAllMocks();
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'research-runs-'));
+    processResults.mockImplementation(async ({ query }) => ({ learnings: [`learning for ${query}`] }));
+    generateQueries.mockImplementation(async ({ query, numQueries }) =>
+      Array.from({ length: numQueries }, (_, i) => ({ original: `${query}.${i}` })));
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  function createPath(searchProvider, checkpoint) {
+    return new ResearchPath({
+      user: { username: 'tester' },
+      veniceApiKey: 'venice-key',
+      searchProvider,
+      concurrencyPool: new ConcurrencyPool(2),
+      visitedUrls: checkpoint.visitedUrls,
+      checkpoint,
+      output: () => {},
+      error: () => {}
+    }, { totalQueries: 7, completedQueries: 0 });
+  }
+
+  it('resumes from the last completed node without re-running finished queries', async () => {
+    const query = { original: 'root' };
+    const checkpoint = await ResearchCheckpoint.create({ username: 'tester', query, depth: 2, breadth: 2, rootDir });
+
+    // First attempt: every search under root.1 fails (e.g. a 429 storm)
+    const failingProvider = {
+      search: vi.fn(async (q) => {
+        if (q.startsWith('root.1')) throw new Error('429 Too Many Requests');
+        return [{ url: `https://example.com/${q}`, content: q }];
+      })
+    };
+    await createPath(failingProvider, checkpoint).research({ query, depth: 2, breadth: 2 });
+
+    const saved = await ResearchCheckpoint.load('tester', checkpoint.runId, { rootDir });
+    expect(Object.keys(saved.data.nodes).sort()).toEqual(['0', '0.0', '0.0.0', '0.0.1']);
+    expect(saved.visitedUrls.has('https://example.com/root.0')).toBe(true);
+
+    // Second attempt only researches the missing subtree
+    const provider = {
+      search: vi.fn(async (q) => [{ url: `https://example.com/${q}`, content: q }])
+    };
+    const result = await createPath(provider, saved).research({ query, depth: 2, breadth: 2 });
+
+    expect(provider.search.mock.calls.map(([q]) => q).sort()).toEqual(['root.1', 'root.1.0', 'root.1.1']);
+    expect(result.learnings).toEqual([
+      'learning for root',
+      'learning for root.0',
+      'learning for root.0.0',
+      'learning for root.0.1',
+      'learning for root.1',
+      'learning for root.1.0',
+      'learning for root.1.1'
+    ]);
+    expect(saved.completedNodeCount).toBe(7);
+  });
+
+  it("saves the run's providers, model and persona for resume", async () => {
+    const previous = process.env.MCP_RESEARCH_RUNS_DIR;
+    process.env.MCP_RESEARCH_RUNS_DIR = rootDir;
+    try {
+      const engine = new ResearchEngine({
+        veniceApiKey: 'v',
+        user: { username: 'tester' },
+        searchProviderName: 'searxng',
+        searchProviderOptions: { url: 'http://localhost:8888' },
+        llmProvider: 'openai',
+        llmProviderOptions: { baseUrl: 'http://localhost:8080/v1', model: 'gpt-4o-mini' },
+        persona: { slug: 'data-analyst', name: 'Data Analyst' },
+        fetchContent: true,
+        outputHandler: () => {},
+        debugHandler: () => {}
+      });
+      const checkpoint = await engine.createCheckpoint({ original: 'root' }, 2, 2);
+
+      const saved = await ResearchCheckpoint.load('tester', checkpoint.runId);
+      expect(saved.settings).toEqual({
+        searchProvider: 'searxng',
+        source: 'web',
+        fetchContent: true,
+        llmProvider: 'openai',
+        model: 'gpt-4o-mini',
+        persona: 'data-analyst'
+      });
+    } finally {
+      if (previous === undefined) delete process.env.MCP_RESEARCH_RUNS_DIR;
+      else process.env.MCP_RESEARCH_RUNS_DIR = previous;
+    }
+  });
+
+  it('rejects unknown or malformed run IDs', async () => {
+    await expect(ResearchCheckpoint.load('tester', '../other', { rootDir })).rejects.toBeInstanceOf(CheckpointError);
+    await expect(ResearchCheckpoint.load('tester', 'missing-run', { rootDir })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
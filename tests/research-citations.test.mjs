@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { extractCitations } from '../app/features/ai/research.providers.mjs';
+import { ResearchEngine } from '../app/infrastructure/research/research.engine.mjs';
+
+describe('extractCitations', () => {
+  it('strips citation markers and returns the cited source numbers', () => {
+    expect(extractCitations('Solar capacity doubled [2]', 3)).toEqual({ text: 'Solar capacity doubled', sourceNumbers: [2] });
+    expect(extractCitations('Costs fell 40% [3, 1] [Source 2]', 3)).toEqual({ text: 'Costs fell 40%', sourceNumbers: [1, 2, 3] });
+  });
+
+  it('leaves bracketed numbers that are not valid source numbers in the text', () => {
+    expect(extractCitations('Adopted in [2023] by most grids [1]', 2)).toEqual({ text: 'Adopted in [2023] by most grids', sourceNumbers: [1] });
+  });
+});
+
+describe('generateMarkdownResult citations', () => {
+  it('renders numbered inline citations that link into References', async () => {
+    const engine = { output: () => {}, error: () => {} };
+    const { markdownContent } = await ResearchEngine.prototype.generateMarkdownResult.call(
+      engine,
+      'solar',
+      ['Capacity doubled', 'Costs fell'],
+      ['https://a.example', 'https://b.example', 'https://c.example'],
+      'Summary',
+      null,
+      { 'Capacity doubled': ['https://b.example'], 'Costs fell': ['https://a.example', 'https://b.example'] }
+    );
+
+    // Cited sources are numbered first, in citation order; uncited ones follow
+    expect(markdownContent).toContain('- Capacity doubled [[1]](#ref-1)');
+    expect(markdownContent).toContain('- Costs fell [[1]](#ref-1)[[2]](#ref-2)');
+    expect(markdownContent).toContain('1. <a id="ref-1"></a>https://b.example\n2. <a id="ref-2"></a>https://a.example\n3. <a id="ref-3"></a>https://c.example');
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ResearchPath } from '../app/infrastructure/research/research.path.mjs';
+import { ConcurrencyPool } from '../app/utils/research.concurrency-pool.mjs';
+import { RateLimiter } from '../app/utils/research.rate-limiter.mjs';
+import { collectTreeResults, renderTreeMarkdown } from '../app/infrastructure/research/research.tree.mjs';
+import { generateQueries, processResults } from '../app/features/ai/research.providers.mjs';
+
+vi.mock('../app/features/ai/research.providers.mjs', () => ({
+  generateQueries: vi.fn(),
+  processResults: vi.fn()
+}));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ResearchPath parallel execution', () => {
+  let inFlight;
+  let maxInFlight;
+  let searchProvider;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    inFlight = 0;
+    maxInFlight = 0;
+
+    // Every query returns the same shared URL plus one unique URL, with jittered latency
+    searchProvider = {
+      search: vi.fn(async (query) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await sleep(5 + (query.length % 7));
+        inFlight--;
+        return [
+          { url: 'https://shared.example', content: 'shared' },
+          { url: `https://example.com/${encodeURIComponent(query)}`, content: query }
+        ];
+      })
+    };
+
+    processResults.mockImplementation(async ({ query }) => ({ learnings: [`learning for ${query}`] }));
+    generateQueries.mockImplementation(async ({ query, numQueries }) =>
+      Array.from({ length: numQueries }, (_, i) => ({ original: `${query}.${i}` })));
+  });
+
+  function createPath(concurrency, progressData) {
+    return new ResearchPath({
+      user: { username: 'tester' },
+      veniceApiKey: 'venice-key',
+      searchProvider,
+      concurrencyPool: new ConcurrencyPool(concurrency),
+      visitedUrls: new Set(),
+      output: () => {},
+      error: () => {},
+      progressHandler: () => {}
+    }, progressData);
+  }
+
+  it('never exceeds the configured concurrency across the tree', async () => {
+    const progressData = { totalQueries: 13, completedQueries: 0 };
+    const path = createPath(2, progressData);
+
+    await path.research({ query: { original: 'root' }, depth: 2, breadth: 3 });
+
+    expect(searchProvider.search).toHaveBeenCalledTimes(13);
+    expect(maxInFlight).toBeLessThanOrEqual(2);
+    expect(maxInFlight).toBeGreaterThan(1);
+  });
+
+  it('claims each URL once and counts every completed node', async () => {
+    const progressData = { totalQueries: 13, completedQueries: 0, activeQueries: 0 };
+    const path = createPath(4, progressData);
+
+    const result = await path.research({ query: { original: 'root' }, depth: 2, breadth: 3 });
+
+    const sharedCount = result.sources.filter(url => url === 'https://shared.example').length;
+    expect(sharedCount).toBe(1);
+    expect(result.sources).toHaveLength(14); // 13 unique + 1 shared
+    expect(progressData.completedQueries).toBe(13);
+    expect(progressData.activeQueries).toBe(0);
+  });
+
+  it('aggregates sub-path learnings in follow-up order regardless of finish order', async () => {
+    const path = createPath(3, { totalQueries: 4, completedQueries: 0 });
+
+    const result = await path.research({ query: { original: 'root' }, depth: 1, breadth: 3 });
+
+    expect(result.learnings).toEqual([
+      'learning for root',
+      'learning for root.0',
+      'learning for root.1',
+      'learning for root.2'
+    ]);
+  });
+
+  it('returns a tree tracing each learning to its query and sources', async () => {
+    const path = createPath(3, { totalQueries: 4, completedQueries: 0 });
+
+    const { tree, learnings } = await path.research({ query: { original: 'root' }, depth: 1, breadth: 2 });
+
+    expect(tree).toMatchObject({ id: '0', parentId: null, depth: 0, query: 'root', followUpQueries: ['root.0', 'root.1'] });
+    expect(tree.learnings).toEqual(['learning for root']);
+    expect(tree.children.map(c => [c.id, c.parentId, c.depth, c.query])).toEqual([
+      ['0.0', '0', 1, 'root.0'],
+      ['0.1', '0', 1, 'root.1']
+    ]);
+    expect(tree.children[1].sources).toEqual([{ url: 'https://example.com/root.1', title: null }]);
+    expect(collectTreeResults(tree).learnings).toEqual(learnings);
+    expect(renderTreeMarkdown(tree)).toContain('  - **[0.1] root.1**\n    - learning for root.1\n    - Sources: https://example.com/root.1');
+  });
+});
+
+describe('ResearchPath cancellation', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    processResults.mockImplementation(async ({ query }) => ({ learnings: [`learning for ${query}`] }));
+    generateQueries.mockImplementation(async ({ query, numQueries }) =>
+      Array.from({ length: numQueries }, (_, i) => ({ original: `${query}.${i}` })));
+  });
+
+  it('stops starting new nodes once aborted and returns partial learnings', async () => {
+    const controller = new AbortController();
+    let searches = 0;
+    const searchProvider = {
+      search: vi.fn(async (query, { signal } = {}) => {
+        searches++;
+        // Abort as soon as the first level of sub-queries starts
+        if (query === 'root.0') controller.abort();
+        if (signal?.aborted) throw new Error('aborted');
+        return [{ url: `https://example.com/${query}`, content: query }];
+      })
+    };
+    const path = new ResearchPath({
+      user: { username: 'tester' },
+      veniceApiKey: 'venice-key',
+      searchProvider,
+      concurrencyPool: new ConcurrencyPool(1),
+      signal: controller.signal,
+      output: () => {},
+      error: () => {}
+    }, { totalQueries: 13, completedQueries: 0 });
+
+    const result = await path.research({ query: { original: 'root' }, depth: 2, breadth: 3 });
+
+    expect(result.aborted).toBe(true);
+    expect(result.learnings).toEqual(['learning for root']);
+    expect(result.learnings.some(l => l.startsWith('Error'))).toBe(false);
+    expect(searches).toBe(2); // root + the node that triggered the abort
+    expect(searchProvider.search.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('spaces out concurrent callers instead of releasing them together', async () => {
+    const limiter = new RateLimiter(20);
+    const times = [];
+    const start = Date.now();
+
+    await Promise.all([0, 1, 2].map(async () => {
+      await limiter.waitForNextSlot();
+      times.push(Date.now() - start);
+    }));
+
+    times.sort((a, b) => a - b);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(15);
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(15);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SearchCache, CachedSearchProvider, normalizeSearchQuery } from '../app/infrastructure/search/search.cache.mjs';
+import { suggestSearchProvider } from '../app/infrastructure/search/search.providers.mjs';
+
+const RESULTS = [{ title: 'Solar', content: 'Capacity doubled', source: 'https://a.example', type: 'web', url: 'https://a.example' }];
+
+describe('SearchCache', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'search-cache-'));
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('normalizes queries so equivalent spellings share an entry', async () => {
+    expect(normalizeSearchQuery('  "Solar   Capacity 2024?" ')).toBe('solar capacity 2024');
+
+    const cache = new SearchCache({ dir });
+    await cache.set('brave', 'Solar capacity 2024', RESULTS);
+    expect(await cache.get('brave', 'solar   CAPACITY 2024?')).toEqual(RESULTS);
+    expect(await cache.get('searxng:https://s.example', 'solar capacity 2024')).toBeNull();
+  });
+
+  it('persists entries and statistics across instances', async () => {
+    await new SearchCache({ dir }).set('brave', 'wind', RESULTS);
+
+    const reopened = new SearchCache({ dir });
+    expect(await reopened.get('brave', 'wind')).toEqual(RESULTS);
+    expect(await reopened.get('brave', 'tidal')).toBeNull();
+    await reopened.flushStats();
+
+    const stats = await new SearchCache({ dir }).getStats();
+    expect(stats).toMatchObject({ entries: 1, hits: 1, misses: 1, writes: 1, hitRate: 0.5 });
+  });
+
+  it('counts lookups in memory and writes the counters with the next entry', async () => {
+    const cache = new SearchCache({ dir });
+    await cache.set('brave', 'wind', RESULTS);
+    const statsPath = path.join(dir, 'stats.json');
+    const written = await fs.readFile(statsPath, 'utf8');
+
+    await cache.get('brave', 'wind');
+    await cache.get('brave', 'tidal');
+
+    expect(await fs.readFile(statsPath, 'utf8')).toBe(written);
+    expect(await cache.getStats()).toMatchObject({ hits: 1, misses: 1, writes: 1 });
+
+    await cache.set('brave', 'tidal', RESULTS);
+    expect(JSON.parse(await fs.readFile(statsPath, 'utf8'))).toMatchObject({ hits: 1, misses: 1, writes: 2 });
+  });
+
+  it('expires entries after the TTL', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const cache = new SearchCache({ dir, ttlMs: 1000 });
+    await cache.set('brave', 'wind', RESULTS);
+
+    vi.setSystemTime(Date.now() + 1500);
+    expect(await cache.get('brave', 'wind')).toBeNull();
+    expect((await cache.getStats()).entries).toBe(0);
+  });
+
+  it('evicts the oldest entries beyond the size limits', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const cache = new SearchCache({ dir, maxEntries: 2 });
+    for (const query of ['first', 'second', 'third']) {
+      await cache.set('brave', query, RESULTS);
+      vi.setSystemTime(Date.now() + 10);
+    }
+
+    expect(await cache.get('brave', 'first')).toBeNull();
+    expect(await cache.get('brave', 'third')).toEqual(RESULTS);
+    expect((await cache.getStats()).evictions).toBe(1);
+  });
+
+  it('purges everything or only expired entries', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const cache = new SearchCache({ dir, ttlMs: 1000 });
+    await cache.set('brave', 'old', RESULTS);
+    vi.setSystemTime(Date.now() + 600);
+    await cache.set('brave', 'fresh', RESULTS);
+    vi.setSystemTime(Date.now() + 600); // 'old' is now past its TTL, 'fresh' is not
+
+    expect(await cache.purge({ expiredOnly: true })).toBe(1);
+    expect(await cache.purge()).toBe(1);
+    expect(await cache.getStats()).toMatchObject({ entries: 0, hits: 0, misses: 0, writes: 0 });
+  });
+});
+
+describe('CachedSearchProvider', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'search-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('only calls the wrapped provider on a miss', async () => {
+    const provider = { type: 'web', search: vi.fn().mockResolvedValue(RESULTS) };
+    const cached = new CachedSearchProvider(provider, { cache: new SearchCache({ dir }), scope: 'brave' });
+
+    expect(await cached.search('solar')).toEqual(RESULTS);
+    expect(await cached.search('Solar')).toEqual(RESULTS);
+    expect(provider.search).toHaveBeenCalledTimes(1);
+    expect({ hits: cached.hits, misses: cached.misses }).toEqual({ hits: 1, misses: 1 });
+  });
+
+  it('does not cache empty results or errors', async () => {
+    const provider = { type: 'web', search: vi.fn().mockResolvedValueOnce([]).mockRejectedValueOnce(new Error('down')).mockResolvedValue(RESULTS) };
+    const cached = new CachedSearchProvider(provider, { cache: new SearchCache({ dir }), scope: 'brave' });
+
+    expect(await cached.search('solar')).toEqual([]);
+    await expect(cached.search('solar')).rejects.toThrow('down');
+    expect(await cached.search('solar')).toEqual(RESULTS);
+    expect(provider.search).toHaveBeenCalledTimes(3);
+  });
+
+  it('wraps providers from suggestSearchProvider with a per-configuration scope', () => {
+    const cache = new SearchCache({ dir });
+    const provider = suggestSearchProvider({ type: 'web', provider: 'searxng', url: 'https://s.example', cache, outputFn: () => {} });
+
+    expect(provider).toBeInstanceOf(CachedSearchProvider);
+    expect(provider.scope).toBe('searxng:https://s.example');
+  });
+});
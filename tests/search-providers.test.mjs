@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import {
+  createSearchProvider,
+  getSearchProviderDefinition,
+  listSearchProviders,
+  suggestSearchProvider,
+  SearxngSearchProvider,
+  JsonHttpSearchProvider,
+  BraveSearchProvider
+} from '../app/infrastructure/search/search.providers.mjs';
+
+const quiet = { outputFn: () => {}, errorFn: () => {}, minIntervalMs: 0 };
+
+// Local stand-ins for a SearXNG instance and a generic JSON search API
+function createFixtureServer(requests) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ url, headers: req.headers });
+    res.setHeader('Content-Type', 'application/json');
+    if (url.pathname === '/search') {
+      res.end(JSON.stringify({ results: [
+        { title: 'Solar report', url: 'https://a.example/solar', content: 'Capacity doubled' },
+        { title: 'No URL', content: 'dropped' }
+      ] }));
+    } else if (url.pathname === '/api') {
+      res.end(JSON.stringify({ data: { items: [{ name: 'Wind', link: 'https://b.example/wind', snippet: 'Turbines grew' }] } }));
+    } else if (url.pathname === '/denied') {
+      res.statusCode = 403;
+      res.end('{}');
+    } else {
+      res.statusCode = 404;
+      res.end('{}');
+    }
+  });
+}
+
+describe('search provider registry', () => {
+  it('registers brave, searxng and json-http', () => {
+    expect(listSearchProviders().map(p => p.name)).toEqual(expect.arrayContaining(['brave', 'searxng', 'json-http']));
+    expect(getSearchProviderDefinition('SearXNG').name).toBe('searxng');
+    expect(getSearchProviderDefinition('bing')).toBeNull();
+  });
+
+  it('rejects unknown providers and non-web types', () => {
+    expect(() => createSearchProvider('bing')).toThrow(/Unknown search provider 'bing'/);
+    expect(() => suggestSearchProvider({ type: 'news' })).toThrow(/No provider for type/);
+  });
+
+  it('turns stored /keys credentials into provider options', () => {
+    expect(getSearchProviderDefinition('brave').fromCredential('k')).toEqual({ apiKey: 'k' });
+    expect(getSearchProviderDefinition('searxng').fromCredential('{"url":"https://s.example"}')).toEqual({ url: 'https://s.example' });
+  });
+
+  it('defaults to Brave and only needs a Brave key when Brave is chosen', () => {
+    expect(suggestSearchProvider({ type: 'web', apiKey: 'k', cache: false, ...quiet })).toBeInstanceOf(BraveSearchProvider);
+    expect(suggestSearchProvider({ type: 'web', provider: 'searxng', url: 'https://s.example', cache: false, ...quiet })).toBeInstanceOf(SearxngSearchProvider);
+  });
+});
+
+describe('HTTP search providers', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = createFixtureServer(requests);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('queries a SearXNG instance and normalizes its results', async () => {
+    requests.length = 0;
+    const provider = new SearxngSearchProvider({ url: `${baseUrl}/`, apiKey: 'secret', ...quiet });
+    const results = await provider.search('solar capacity');
+
+    expect(results).toEqual([{ title: 'Solar report', content: 'Capacity doubled', source: 'https://a.example/solar', type: 'web', url: 'https://a.example/solar' }]);
+    expect(requests[0].url.searchParams.get('q')).toBe('solar capacity');
+    expect(requests[0].url.searchParams.get('format')).toBe('json');
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+  });
+
+  it('fills a JSON-HTTP URL template and maps configured fields', async () => {
+    requests.length = 0;
+    const provider = new JsonHttpSearchProvider({
+      urlTemplate: `${baseUrl}/api?q={query}&key={apiKey}`,
+      apiKey: 'k&1',
+      apiKeyHeader: 'X-API-Key',
+      resultsPath: 'data.items',
+      fields: { title: 'name', url: 'link', content: 'snippet' },
+      ...quiet
+    });
+    const results = await provider.search('wind power');
+
+    expect(results).toEqual([{ title: 'Wind', content: 'Turbines grew', source: 'https://b.example/wind', type: 'web', url: 'https://b.example/wind' }]);
+    expect(requests[0].url.searchParams.get('q')).toBe('wind power');
+    expect(requests[0].url.searchParams.get('key')).toBe('k&1');
+    expect(requests[0].headers['x-api-key']).toBe('k&1');
+  });
+
+  it('requires a URL template with a {query} placeholder', () => {
+    expect(() => new JsonHttpSearchProvider({ urlTemplate: `${baseUrl}/api`, ...quiet })).toThrow(/\{query\}/);
+    expect(() => new SearxngSearchProvider({ ...quiet })).toThrow(/instance URL/);
+  });
+
+  it('maps HTTP failures to SearchError codes', async () => {
+    const provider = new JsonHttpSearchProvider({ urlTemplate: `${baseUrl}/denied?q={query}`, ...quiet });
+    await expect(provider.search('anything')).rejects.toMatchObject({ code: 'AUTH_ERROR' });
+  });
+
+  it('reports cancellation as ABORTED', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const provider = new SearxngSearchProvider({ url: baseUrl, ...quiet });
+    await expect(provider.search('solar capacity', { signal: controller.signal })).rejects.toMatchObject({ code: 'ABORTED' });
+  });
+});
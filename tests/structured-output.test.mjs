@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { parseJsonReply, validateJsonSchema, parseStructuredReply } from '../app/infrastructure/ai/llm.structured-output.mjs';
+import { generateOutput, generateQueries } from '../app/features/ai/research.providers.mjs';
+
+const quiet = { outputFn: () => {}, errorFn: () => {} };
+const llmConfig = { provider: 'venice', apiKey: 'k', cache: 'off' };
+
+function reply(content) {
+  return { ok: true, status: 200, json: async () => ({ model: 'llama-3.3-70b', choices: [{ message: { content } }] }) };
+}
+
+const requestBody = (call) => JSON.parse(fetch.mock.calls[call][1].body);
+
+describe('JSON reply parsing', () => {
+  it('repairs fenced, prefixed and trailing-comma JSON', () => {
+    expect(parseJsonReply('{"a": 1}')).toEqual({ ok: true, value: { a: 1 }, repaired: false });
+    const messy = '<think>plan {x}</think>Sure! ```json\n{"queries": ["What is BM25?", "How is k1 tuned?",],}\n``` Hope that helps.';
+    expect(parseJsonReply(messy)).toEqual({ ok: true, value: { queries: ['What is BM25?', 'How is k1 tuned?'] }, repaired: true });
+    expect(parseJsonReply('Key Learnings:\n- none').ok).toBe(false);
+  });
+
+  it('validates against the schema subset used by the research prompts', () => {
+    const schema = {
+      type: 'object',
+      properties: { learnings: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 } },
+      required: ['learnings', 'followUpQuestions']
+    };
+    expect(validateJsonSchema({ learnings: ['x'], followUpQuestions: [] }, schema).valid).toBe(true);
+    expect(validateJsonSchema({ learnings: [], followUpQuestions: [] }, schema).errors).toEqual(['$.learnings: must have at least 1 items']);
+    expect(validateJsonSchema({ learnings: [' ', 3] }, schema).errors).toEqual([
+      "$: missing required property 'followUpQuestions'",
+      '$.learnings[0]: must be at least 1 characters',
+      '$.learnings[1]: expected string, got integer'
+    ]);
+    expect(parseStructuredReply('[1]', schema)).toMatchObject({ ok: false, error: expect.stringMatching(/expected object/) });
+  });
+});
+
+describe('generateOutput structured mode', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('requests schema-constrained JSON and returns the validated data', async () => {
+    fetch.mockResolvedValue(reply('{"learnings": ["BM25 saturates term frequency [1]"], "followUpQuestions": ["How is k1 tuned?"]}'));
+
+    const result = await generateOutput({ type: 'learning', system: 'sys', prompt: 'Analyze.', llmConfig, ...quiet });
+
+    expect(result).toEqual({
+      success: true,
+      structured: true,
+      data: { success: true, learnings: ['BM25 saturates term frequency [1]'], followUpQuestions: ['How is k1 tuned?'] }
+    });
+    const body = requestBody(0);
+    expect(body.response_format).toMatchObject({ type: 'json_schema', json_schema: { name: 'research_learnings', strict: true } });
+    expect(body.messages.at(-1).content).toContain('Reply with only a JSON object');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks the model to correct an invalid reply', async () => {
+    fetch
+      .mockResolvedValueOnce(reply('{"queries": []}'))
+      .mockResolvedValueOnce(reply('{"queries": ["What is BM25?"]}'));
+
+    const result = await generateOutput({ type: 'query', prompt: 'Generate queries.', llmConfig, ...quiet });
+
+    expect(result.data.queries).toEqual(['What is BM25?']);
+    const retry = requestBody(1).messages;
+    expect(retry.at(-2)).toEqual({ role: 'assistant', content: '{"queries": []}' });
+    expect(retry.at(-1).content).toMatch(/must have at least 1 items/);
+  });
+
+  it('falls back to the text format and parsers when JSON keeps failing', async () => {
+    fetch.mockResolvedValue(reply('What is BM25?\nHow is k1 tuned?'));
+
+    const queries = await generateQueries({ query: 'bm25', numQueries: 2, llmConfig, ...quiet });
+
+    expect(queries.map(q => q.original)).toEqual(['What is BM25?', 'How is k1 tuned?']);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(requestBody(2).response_format).toBeUndefined();
+    expect(requestBody(2).messages.at(-1).content).not.toContain('Reply with only a JSON object');
+  });
+
+  it('drops response_format when the server rejects it', async () => {
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 400, statusText: 'Bad Request', text: async () => 'response_format not supported' })
+      .mockResolvedValueOnce(reply('{"queries": ["Why does BM25 saturate?"]}'));
+
+    const result = await generateOutput({ type: 'query', prompt: 'Generate queries.', llmConfig: { ...llmConfig, retry: { maxAttempts: 1 } }, ...quiet });
+
+    expect(result.data.queries).toEqual(['Why does BM25 saturate?']);
+    expect(requestBody(0).response_format).toBeDefined();
+    expect(requestBody(1).response_format).toBeUndefined();
+  });
+});
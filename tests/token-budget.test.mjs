@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import {
+  estimateTokens,
+  estimateMessagesTokens,
+  getInputBudget,
+  truncateToTokens,
+  packChatMessages,
+  packContentBlocks
+} from '../app/infrastructure/ai/llm.token-budget.mjs';
+import { getModelCatalog, DEFAULT_CONTEXT_TOKENS } from '../app/infrastructure/ai/llm.model-catalog.mjs';
+import { processResults } from '../app/features/ai/research.providers.mjs';
+
+const words = (n, word = 'word') => Array.from({ length: n }, () => word).join(' ');
+
+describe('token estimation', () => {
+  it('counts about four characters per token and one per CJK character', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('研究报告')).toBe(4);
+    expect(estimateMessagesTokens([{ role: 'user', content: 'abcd' }])).toBe(5);
+  });
+
+  it('keeps a safety margin after reserving the output', () => {
+    expect(getInputBudget(8192, 1024)).toBe(6451);
+    expect(getInputBudget(1000, 2048)).toBe(0);
+  });
+
+  it('truncates to the longest prefix that fits, marker included', () => {
+    const text = words(200);
+    const cut = truncateToTokens(text, 50);
+    expect(estimateTokens(cut)).toBeLessThanOrEqual(50);
+    expect(cut.endsWith('[...truncated]')).toBe(true);
+    expect(truncateToTokens('short', 50)).toBe('short');
+    expect(truncateToTokens(text, 2)).toBe('');
+  });
+});
+
+describe('packChatMessages', () => {
+  const history = Array.from({ length: 20 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `turn ${i} ${words(100)}` }));
+
+  it('sends the whole conversation when it fits', () => {
+    const packed = packChatMessages({ system: 'Be brief.', history: history.slice(0, 4), contextTokens: 65536 });
+    expect(packed.messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user', 'assistant']);
+    expect(packed.droppedMessages).toBe(0);
+  });
+
+  it('drops the oldest turns first and condenses them into a recap', () => {
+    const packed = packChatMessages({ system: 'Be brief.', history, contextTokens: 2048, reservedOutputTokens: 1024 });
+
+    expect(packed.droppedMessages).toBeGreaterThan(0);
+    expect(packed.summarized).toBe(true);
+    expect(packed.messages[0]).toEqual({ role: 'system', content: 'Be brief.' });
+    expect(packed.messages[1].content).toMatch(/^Earlier conversation \(\d+ messages condensed/);
+    expect(packed.messages[1].content).toContain('- user: turn 0 word');
+    expect(packed.messages.at(-1).content).toBe(history.at(-1).content);
+    expect(estimateMessagesTokens(packed.messages)).toBeLessThanOrEqual(packed.budget);
+  });
+
+  it('caps memory context and places it just before the latest turn', () => {
+    const packed = packChatMessages({ history: history.slice(-3), memory: words(5000, 'memory'), contextTokens: 8192, maxMemoryShare: 0.25 });
+
+    const memory = packed.messages.at(-2);
+    expect(memory.role).toBe('system');
+    expect(memory.content.startsWith('memory')).toBe(true);
+    expect(estimateTokens(memory.content)).toBeLessThanOrEqual(Math.floor(packed.budget * 0.25));
+  });
+
+  it('truncates a latest turn that alone exceeds the window', () => {
+    const packed = packChatMessages({ history: [{ role: 'user', content: words(20000) }], contextTokens: 2048, reservedOutputTokens: 512 });
+    expect(packed.messages).toHaveLength(1);
+    expect(estimateMessagesTokens(packed.messages)).toBeLessThanOrEqual(packed.budget);
+  });
+});
+
+describe('packContentBlocks', () => {
+  it('keeps ranked blocks in order, truncating the first that overflows', () => {
+    const blocks = [words(100, 'one'), words(100, 'two'), words(100, 'three')];
+    const packed = packContentBlocks(blocks, 150);
+
+    expect(packed.blocks[0]).toBe(blocks[0]);
+    expect(packed.blocks[1].startsWith('two')).toBe(true);
+    expect(packed).toMatchObject({ dropped: 1, truncated: 1 });
+    expect(packed.usedTokens).toBeLessThanOrEqual(150);
+  });
+});
+
+describe('model context windows', () => {
+  it('uses the built-in table, then the default', () => {
+    const catalog = getModelCatalog();
+    expect(catalog.getContextWindow({ provider: 'venice' }, 'llama-3.2-3b')).toBe(131072);
+    expect(catalog.getContextWindow({ provider: 'venice' })).toBe(65536); // default model llama-3.3-70b
+    expect(catalog.getContextWindow({ provider: 'openai' }, 'unknown-local')).toBe(DEFAULT_CONTEXT_TOKENS);
+  });
+});
+
+describe('processResults prompt packing', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ model: 'venice-uncensored', choices: [{ message: { content: 'Key Learnings:\n- BM25 saturates term frequency [1]\n\nFollow-up Questions:\n- How is k1 tuned?' } }] })
+    });
+  });
+
+  it('fits search content into the selected model window', async () => {
+    const content = Array.from({ length: 6 }, (_, i) => words(12000, `doc${i}`)); // ~72k tokens in total
+    const result = await processResults({
+      query: 'bm25',
+      content,
+      sources: content.map((_, i) => ({ url: `https://example.com/${i}` })),
+      llmConfig: { provider: 'venice', apiKey: 'k', model: 'venice-uncensored', cache: 'off' },
+      outputFn: () => {},
+      errorFn: () => {}
+    });
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(estimateMessagesTokens(body.messages)).toBeLessThanOrEqual(32768 - 1000);
+    expect(body.messages.at(-1).content).toContain('[Source 1] https://example.com/0');
+    expect(body.messages.at(-1).content).not.toContain('[Source 6]');
+    expect(result.citations).toEqual({ 'BM25 saturates term frequency': ['https://example.com/0'] });
+  });
+});
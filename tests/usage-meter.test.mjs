@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+import fetch from 'node-fetch';
+import { UsageMeter, getUsageMeter, recordUsage } from '../app/infrastructure/usage/usage.meter.mjs';
+import { LLMClient } from '../app/infrastructure/ai/venice.llm-client.mjs';
+import { executeUsage } from '../app/commands/usage.cli.mjs';
+import { executeChat } from '../app/commands/chat.cli.mjs';
+import { userManager } from '../app/features/auth/user-manager.mjs';
+
+describe('UsageMeter', () => {
+  let dir;
+  const previousDir = process.env.MCP_USAGE_DIR;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-meter-'));
+    process.env.MCP_USAGE_DIR = dir;
+  });
+
+  afterEach(async () => {
+    if (previousDir === undefined) delete process.env.MCP_USAGE_DIR;
+    else process.env.MCP_USAGE_DIR = previousDir;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('totals calls per service and command, and persists them per user', async () => {
+    const meter = new UsageMeter();
+    const now = new Date('2026-10-19T10:15:00Z');
+    await Promise.all([
+      meter.recordCall({ username: 'alice', command: 'research', service: 'venice', tokensIn: 100, tokensOut: 20, now }),
+      meter.recordCall({ username: 'alice', command: 'research', service: 'brave', now }),
+      meter.recordCall({ username: 'alice', command: 'chat', service: 'venice', tokensIn: 50, tokensOut: 10, now })
+    ]);
+
+    const usage = await new UsageMeter().getUsage('alice', new Date('2026-10-19T00:00:00Z'));
+    expect(usage).toMatchObject({ requests: 3, tokensIn: 150, tokensOut: 30 });
+    expect(usage.services).toEqual({
+      venice: { requests: 2, tokensIn: 150, tokensOut: 30 },
+      brave: { requests: 1, tokensIn: 0, tokensOut: 0 }
+    });
+    expect(usage.commands.research).toEqual({ requests: 2, tokensIn: 100, tokensOut: 20 });
+    expect(await meter.listUsers()).toEqual(['alice']);
+  });
+
+  it('enforces hourly and daily query quotas, resetting with the UTC windows', async () => {
+    const meter = new UsageMeter();
+    const limits = { maxQueriesPerHour: 2, maxQueriesPerDay: 3 };
+    const at = (time) => new Date(`2026-10-19T${time}Z`);
+
+    const first = await Promise.all([
+      meter.consumeQuota('bob', 'research', limits, at('10:00:00')),
+      meter.consumeQuota('bob', 'chat', limits, at('10:01:00')),
+      meter.consumeQuota('bob', 'chat', limits, at('10:02:00'))
+    ]);
+    expect(first.map(r => r.allowed)).toEqual([true, true, false]);
+    expect(first[2].message).toMatch(/Hourly quota reached: 2\/2/);
+
+    expect((await meter.consumeQuota('bob', 'chat', limits, at('11:00:00'))).allowed).toBe(true);
+    const daily = await meter.consumeQuota('bob', 'chat', limits, at('12:00:00'));
+    expect(daily).toMatchObject({ allowed: false });
+    expect(daily.message).toMatch(/Daily quota reached: 3\/3/);
+
+    expect((await meter.consumeQuota('bob', 'chat', limits, new Date('2026-10-20T00:00:00Z'))).allowed).toBe(true);
+    expect((await meter.checkQuota('bob', {}, at('12:00:00'))).allowed).toBe(true);
+  });
+
+  it('charges a chat once it starts, with anonymous users sharing the public quota', async () => {
+    vi.spyOn(userManager, 'getLLMProvider').mockResolvedValue('venice');
+    vi.spyOn(userManager, 'getPersonas').mockResolvedValue({});
+    const anonymous = { username: 'public', role: 'public' };
+    const startChat = (sessionId, extra = {}) =>
+      executeChat({ session: { sessionId, username: 'public' }, currentUser: anonymous, output: () => {}, error: () => {}, ...extra });
+
+    // Rejected before it starts: no quota used
+    expect(await startChat('session-1', { character: 'no-such-persona' })).toMatchObject({ success: false, error: "Unknown persona 'no-such-persona'" });
+    expect(await startChat('session-1', { memory: true })).toMatchObject({ success: false, error: 'Login required for memory mode' });
+
+    // Public limit: 3 queries an hour, whichever connection they come from
+    for (let i = 0; i < 3; i++) expect((await startChat('session-1')).success).toBe(true);
+    expect(await startChat('session-2')).toMatchObject({ success: false, error: 'Quota exceeded' });
+
+    const meter = getUsageMeter();
+    expect((await meter.getCurrentUsage('public')).hour.runs).toBe(3);
+    expect(await meter.listUsers()).toEqual(['public']);
+    vi.restoreAllMocks();
+  });
+
+  it('enforces the daily token quota', async () => {
+    const meter = new UsageMeter();
+    const now = new Date('2026-10-19T10:00:00Z');
+    await meter.recordCall({ username: 'carol', service: 'venice', tokensIn: 900, tokensOut: 200, now });
+    const result = await meter.checkQuota('carol', { maxTokensPerDay: 1000 }, now);
+    expect(result.allowed).toBe(false);
+    expect(result.message).toMatch(/Daily token quota reached: 1100\/1000/);
+  });
+
+  it('records LLMClient calls for the configured user and command', async () => {
+    fetch.mockReset();
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ model: 'llama-3.3-70b', choices: [{ message: { content: 'hi' } }], usage: { prompt_tokens: 12, completion_tokens: 3 } })
+    });
+    const client = new LLMClient({ apiKey: 'k', cache: 'off', usage: { username: 'dave', command: 'chat' } });
+    await client.completeChat({ messages: [{ role: 'user', content: 'hello' }] });
+    await recordUsage(undefined, { service: 'venice', tokensIn: 1 }); // No user: ignored
+
+    const usage = await getUsageMeter().getUsage('dave', new Date(Date.now() - 60 * 60 * 1000));
+    expect(usage.commands.chat).toEqual({ requests: 1, tokensIn: 12, tokensOut: 3 });
+    expect(await getUsageMeter().listUsers()).toEqual(['dave']);
+  });
+
+  it('/usage is admin-only and reports per user', async () => {
+    await getUsageMeter().recordCall({ username: 'erin', command: 'research', service: 'brave' });
+    const lines = [];
+    const errors = [];
+    const io = { output: line => lines.push(line), error: line => errors.push(line) };
+
+    expect(await executeUsage({ ...io, requestingUser: { username: 'erin', role: 'client' } })).toMatchObject({ success: false });
+    expect(errors[0]).toMatch(/Only administrators/);
+
+    expect(await executeUsage({ ...io, flags: { days: '7' }, requestingUser: { username: 'root', role: 'admin' } })).toMatchObject({ success: true });
+    expect(lines.join('\n')).toContain('erin: 0 queries, 1 API requests');
+    expect(lines.join('\n')).toContain('service brave: 1 requests');
+  });
+});